@@ -9,9 +9,15 @@
  * - Error handling and retry mechanism
  */
 
-// Import the parser, cache manager, and error handler
+// Import the HTML backend, marketplace locale, extraction rules, parser, cache database and manager, snapshot store, and error handler
+importScripts('html-document.js');
+importScripts('marketplace-locale.js');
+importScripts('extraction-rules.js');
 importScripts('parser.js');
+importScripts('cache-database.js');
 importScripts('cache-manager.js');
+importScripts('history-store.js');
+importScripts('snapshot-store.js');
 importScripts('error-handling.js');
 
 // Background service class
@@ -23,13 +29,18 @@ class BackgroundService {
       showASIN: true,
       showBrand: true,
       showSalesData: true,
+      showReviews: true,
+      showOffers: false, // fetch the All Offers Display for each product
+      cardOnlyMode: false, // content script renders search cards without fetching details
       cacheExpiry: 24, // hours
+      staleWhileRevalidate: true, // show expired product data at once and refresh it in the background
       maxConcurrentRequests: 3,
       maxRetries: 2,
       retryDelay: 2000, // ms
       maxCacheSize: 500, // maximum number of items to store
       cleanupThreshold: 0.9, // cleanup when cache reaches 90% of max size
       cleanupRatio: 0.3, // remove 30% of oldest items during cleanup
+      historyRetentionDays: 180, // days of BSR, price and sales history kept per product
       debugMode: false, // debug mode for error handler
       errorReportEndpoint: null // endpoint for error reporting
     };
@@ -39,16 +50,62 @@ class BackgroundService {
     this.activeRequests = 0;
     this.processingQueue = false;
     
+    // Product fetches in progress, cache key -> promise of the response shared by every caller
+    this.inFlightRequests = new Map();
+    
+    // How product detail requests were answered
+    this.requestMetrics = {
+      cacheHits: 0,
+      coalesced: 0, // joined a fetch already in progress
+      fetched: 0
+    };
+    
+    // Stale entries being refreshed, cache key -> ids of the tabs to update
+    this.revalidations = new Map();
+    
+    // Offscreen document used for DOM parsing (service workers have no DOMParser)
+    this.offscreenDocumentPath = 'offscreen.html';
+    this.offscreenDocumentPromise = null;
+    
     // Initialize cache manager
     this.cacheManager = new CacheManager();
     
+    // BSR, price and sales trend of every product fetched
+    this.historyStore = new HistoryStore();
+    
+    // Raw HTML of failed and low-confidence parses, kept in debug mode
+    this.snapshotStore = new SnapshotStore();
+    
     // Initialize error handler
     this.errorHandler = new ErrorHandler();
     
+    // Extraction rules, replaced by a rule pack loaded from the popup
+    this.rulePack = null;
+    this.ruleRegistry = new ExtractionRuleRegistry();
+    this.loadRulePack();
+    
     // Initialize event listeners
     this.initEventListeners();
   }
   
+  // Load a previously installed rule pack from storage
+  loadRulePack() {
+    chrome.storage.local.get(['extractionRulePack'], (result) => {
+      const rulePack = result.extractionRulePack;
+      if (!rulePack) return;
+      
+      const errors = ExtractionRuleRegistry.validate(rulePack);
+      if (errors.length > 0) {
+        this.errorHandler.log(`Stored rule pack is invalid, using built-in rules: ${errors[0]}`, 'warn', 'parsing');
+        return;
+      }
+      
+      this.rulePack = rulePack;
+      this.ruleRegistry = new ExtractionRuleRegistry(rulePack);
+      console.log(`Extraction rule pack version ${rulePack.version} loaded`);
+    });
+  }
+  
   // Initialize event listeners
   initEventListeners() {
     // Handle extension installation
@@ -67,13 +124,18 @@ class BackgroundService {
       'showASIN', 
       'showBrand', 
       'showSalesData',
+      'showReviews',
+      'showOffers',
+      'cardOnlyMode',
       'cacheExpiry',
+      'staleWhileRevalidate',
       'maxConcurrentRequests',
       'maxRetries',
       'retryDelay',
       'maxCacheSize',
       'cleanupThreshold',
       'cleanupRatio',
+      'historyRetentionDays',
       'debugMode',
       'enableGlobalErrorHandler',
       'showUserFriendlyErrors',
@@ -97,6 +159,14 @@ class BackgroundService {
         cleanupRatio: this.settings.cleanupRatio
       });
       
+      // Entries cached by older versions are still in chrome.storage.local
+      this.cacheManager.migrateLegacyEntries().catch(error => {
+        this.errorHandler.log(`Cache migration failed: ${error.message}`, 'error', 'cache');
+      });
+      
+      this.historyStore.updateSettings({ historyRetentionDays: this.settings.historyRetentionDays });
+      this.historyStore.purgeExpired();
+      
       // Initialize error handler with settings
       this.errorHandler.init({
         debugMode: this.settings.debugMode || false,
@@ -115,6 +185,11 @@ class BackgroundService {
   
   // Handle messages from content scripts
   handleMessage(message, sender, sendResponse) {
+    // Messages addressed to the offscreen document are not for us
+    if (message && message.target === 'offscreen') {
+      return false;
+    }
+    
     const tabId = sender.tab ? sender.tab.id : 'unknown';
     console.log(`Received message from tab ${tabId}:`, message.type);
     
@@ -134,13 +209,18 @@ class BackgroundService {
             if (response) {
               response.metrics = {
                 processingTime: Date.now() - receiptTime,
-                totalTime: message.timestamp ? (Date.now() - message.timestamp) : null
+                totalTime: message.timestamp ? (Date.now() - message.timestamp) : null,
+                requests: { ...this.requestMetrics }
               };
             }
             sendResponse(response);
           });
           return true; // Keep the message channel open for async response
           
+        case 'fetchOfferListing':
+          this.handleFetchOfferListing(message, sender, sendResponse);
+          return true;
+          
         case 'clearCache':
           this.clearCache(sendResponse);
           return true;
@@ -158,17 +238,37 @@ class BackgroundService {
           return true;
           
         case 'clearCacheForAsin':
-          this.clearCacheForAsin(message.asin, sendResponse);
+          this.clearCacheForAsin(message.asin, message.marketplace, sendResponse);
           return true;
           
         case 'getErrorLog':
           this.getErrorLog(sendResponse);
           return true;
           
+        case 'getProductProvenance':
+          this.getProductProvenance(message.asin, message.marketplace, sendResponse);
+          return true;
+          
+        case 'getProductHistory':
+          this.getProductHistory(message, sendResponse);
+          return true;
+          
+        case 'getRulePackInfo':
+          this.getRulePackInfo(sendResponse);
+          return false;
+          
+        case 'setRulePack':
+          this.setRulePack(message.rulePack, sendResponse);
+          return true;
+          
         case 'clearErrorLog':
           this.clearErrorLog(sendResponse);
           return true;
           
+        case 'clearSnapshots':
+          this.clearSnapshots(sendResponse);
+          return true;
+          
         case 'ping':
           // Simple ping-pong for connection testing
           sendResponse({ success: true, pong: Date.now() });
@@ -199,35 +299,30 @@ class BackgroundService {
     const { asin, url } = message;
     
     try {
-      // First check if we have valid cached data
-      const cachedData = await this.getCachedData(asin);
+      // First check if we have cached data, fresh or stale
+      const cachedEntry = await this.cacheManager.getCachedEntry(asin, this.getMarketplace(url));
       
-      if (cachedData) {
-        console.log(`Using cached data for ASIN: ${asin}`);
-        sendResponse({ success: true, data: cachedData, fromCache: true });
-        return;
-      }
-      
-      // Add to queue if we're at max concurrent requests
-      if (this.activeRequests >= this.settings.maxConcurrentRequests) {
-        console.log(`Queueing request for ASIN: ${asin}, queue length: ${this.requestQueue.length}`);
-        this.requestQueue.push({
-          asin,
-          url,
-          sendResponse,
-          retries: 0
+      if (cachedEntry && (!cachedEntry.stale || this.settings.staleWhileRevalidate)) {
+        console.log(`Using ${cachedEntry.stale ? 'stale' : 'cached'} data for ASIN: ${asin}`);
+        this.requestMetrics.cacheHits++;
+        sendResponse({ 
+          success: true, 
+          data: cachedEntry.data, 
+          fromCache: true,
+          stale: cachedEntry.stale,
+          staleFields: cachedEntry.staleFields
         });
         
-        // Start processing the queue if not already
-        if (!this.processingQueue) {
-          this.processQueue();
+        if (cachedEntry.stale) {
+          this.revalidateProduct(asin, url, sender.tab ? sender.tab.id : null);
         }
         return;
       }
       
-      // Otherwise process immediately
-      this.activeRequests++;
-      this.fetchAndProcessProduct(asin, url, 0, sendResponse);
+      // Each caller gets its own copy, the metrics are added per response
+      const coalesced = this.inFlightRequests.has(this.getRequestKey(asin, url));
+      const response = await this.fetchProduct(asin, url);
+      sendResponse({ ...response, coalesced: coalesced });
       
     } catch (error) {
       console.error('Error handling fetch product details:', error);
@@ -239,6 +334,150 @@ class BackgroundService {
     }
   }
   
+  // Fetch a product once per marketplace and ASIN, callers arriving meanwhile share the fetch
+  fetchProduct(asin, url) {
+    const requestKey = this.getRequestKey(asin, url);
+    
+    const inFlight = this.inFlightRequests.get(requestKey);
+    if (inFlight) {
+      console.log(`Joining the fetch in progress for ASIN: ${asin}`);
+      this.requestMetrics.coalesced++;
+      return inFlight;
+    }
+    
+    this.requestMetrics.fetched++;
+    const request = new Promise(resolve => {
+      this.scheduleProductFetch(asin, url, resolve);
+    });
+    
+    this.inFlightRequests.set(requestKey, request);
+    request.then(() => this.inFlightRequests.delete(requestKey));
+    
+    return request;
+  }
+  
+  // Key of a product request, the cache key of its marketplace and ASIN
+  getRequestKey(asin, url) {
+    return this.cacheManager.generateCacheKey(asin, this.getMarketplace(url));
+  }
+  
+  // Fetch a product now, or queue it if we're at max concurrent requests
+  scheduleProductFetch(asin, url, sendResponse) {
+    if (this.activeRequests >= this.settings.maxConcurrentRequests) {
+      console.log(`Queueing request for ASIN: ${asin}, queue length: ${this.requestQueue.length}`);
+      this.requestQueue.push({
+        asin,
+        url,
+        sendResponse,
+        retries: 0
+      });
+      
+      // Start processing the queue if not already
+      if (!this.processingQueue) {
+        this.processQueue();
+      }
+      return;
+    }
+    
+    this.activeRequests++;
+    this.fetchAndProcessProduct(asin, url, 0, sendResponse);
+  }
+  
+  // Refresh a stale cache entry and push the result to the tabs showing it
+  revalidateProduct(asin, url, tabId) {
+    const cacheKey = this.getRequestKey(asin, url);
+    
+    // One refresh per entry, every tab that asked meanwhile gets the result
+    const tabIds = this.revalidations.get(cacheKey);
+    if (tabIds) {
+      if (tabId !== null) tabIds.add(tabId);
+      return;
+    }
+    
+    this.revalidations.set(cacheKey, new Set(tabId !== null ? [tabId] : []));
+    this.errorHandler.log(`Refreshing stale data for ASIN: ${asin}`, 'info', 'cache');
+    
+    // Shares the fetch with tabs that had no cached data to show
+    this.fetchProduct(asin, url).then((response) => {
+      const waitingTabs = this.revalidations.get(cacheKey);
+      this.revalidations.delete(cacheKey);
+      
+      waitingTabs.forEach(waitingTabId => {
+        chrome.tabs.sendMessage(waitingTabId, {
+          type: 'productDataUpdated',
+          asin: asin,
+          success: response.success,
+          data: response.data,
+          error: response.error
+        }, () => {
+          // The tab may have been closed or navigated away in the meantime
+          if (chrome.runtime.lastError) {
+            console.log(`Tab ${waitingTabId} did not take updated data for ASIN: ${asin}`);
+          }
+        });
+      });
+    });
+  }
+  
+  // Handle a request for every seller offer of an ASIN
+  async handleFetchOfferListing(message, sender, sendResponse) {
+    const { asin, url } = message;
+    const startTime = Date.now();
+    
+    try {
+      const cachedOffers = await this.cacheManager.getCachedOffers(asin, this.getMarketplace(url));
+      if (cachedOffers) {
+        sendResponse({ success: true, data: cachedOffers, fromCache: true });
+        return;
+      }
+      
+      const offerUrl = this.getOfferListingUrl(asin, url);
+      this.errorHandler.log(`Fetching offers for ASIN: ${asin}`, 'info', 'fetch');
+      
+      // The offers come as an HTML fragment, not a full page
+      const html = await this.fetchProductPage(offerUrl, 0, null, false);
+      const marketplace = this.getMarketplace(offerUrl);
+      const offerListing = await this.parseOfferListingData(html, asin, marketplace);
+      
+      offerListing.metadata = {
+        fetchTime: Date.now() - startTime,
+        fetchDate: new Date().toISOString(),
+        source: offerUrl
+      };
+      
+      await this.cacheManager.cacheOffers(asin, marketplace, offerListing);
+      
+      sendResponse({ 
+        success: true, 
+        data: offerListing,
+        processingTime: Date.now() - startTime
+      });
+    } catch (error) {
+      const errorInfo = this.errorHandler.handleNetworkError(error, `offers-${asin}`);
+      this.errorHandler.log(`Failed to fetch offers for ASIN: ${asin}. Error: ${errorInfo.technicalMessage}`, 'error', 'fetch-failure');
+      
+      sendResponse({ 
+        success: false, 
+        error: errorInfo.userMessage,
+        errorType: errorInfo.type,
+        technicalMessage: errorInfo.technicalMessage,
+        asin: asin
+      });
+    }
+  }
+  
+  // Build the URL of the All Offers Display fragment on the product's marketplace
+  getOfferListingUrl(asin, productUrl) {
+    let origin = 'https://www.amazon.com';
+    try {
+      origin = new URL(productUrl).origin;
+    } catch (error) {
+      // Keep the default marketplace
+    }
+    
+    return `${origin}/gp/product/ajax/aodAjaxMain/ref=dp_aod_ALL_mbc?asin=${encodeURIComponent(asin)}&pc=dp&experienceId=aodAjaxMain`;
+  }
+  
   // Process the request queue
   async processQueue() {
     if (this.requestQueue.length === 0 || this.processingQueue) {
@@ -288,18 +527,29 @@ class BackgroundService {
         
         // Parse the HTML to extract product details
         this.errorHandler.log(`Parsing data for ASIN: ${asin}`, 'info', 'parse');
-        const productData = this.parseProductData(html, asin);
+        const productData = await this.parseProductData(html, asin, this.getMarketplace(url));
+        
+        // Keep the page for offline debugging if the parse went wrong
+        if (this.settings.debugMode) {
+          this.captureSnapshot(html, asin, url, productData);
+        }
         
         // Add metadata to the product data
         productData.metadata = {
           fetchTime: Date.now() - startTime,
           fetchDate: new Date().toISOString(),
           source: url,
-          retryCount: retries
+          retryCount: retries,
+          rulePackVersion: this.ruleRegistry.getVersion()
         };
         
         // Cache the data
-        await this.cacheProductData(asin, productData);
+        await this.cacheProductData(asin, this.getMarketplace(url), productData);
+        
+        // Append to the BSR, price and sales history, fallback data is no trend
+        if (!productData.parsingError) {
+          this.recordHistory(asin, url, productData);
+        }
         
         // Send response back to content script
         this.errorHandler.log(`Successfully processed ASIN: ${asin} in ${Date.now() - startTime}ms`, 'info', 'success');
@@ -366,8 +616,8 @@ class BackgroundService {
     }
   }
   
-  // Fetch product page HTML with timeout and error handling
-  async fetchProductPage(url, retryCount = 0, externalSignal = null) {
+  // Fetch product page HTML with timeout and error handling; fullPage is false for HTML fragments
+  async fetchProductPage(url, retryCount = 0, externalSignal = null, fullPage = true) {
     const timeout = 10000 + (retryCount * 5000); // Increase timeout with each retry
     
     try {
@@ -412,11 +662,11 @@ class BackgroundService {
         throw new Error('Empty response received');
       }
       
-      if (html.length < 1000) {
+      if (fullPage && html.length < 1000) {
         throw new Error('Response too small, likely not a valid product page');
       }
       
-      if (!html.includes('<html')) {
+      if (fullPage && !html.includes('<html')) {
         throw new Error('Invalid HTML response received');
       }
       
@@ -452,11 +702,100 @@ class BackgroundService {
     }
   }
   
+  // Make sure the offscreen document used for DOM parsing exists
+  async ensureOffscreenDocument() {
+    if (this.offscreenDocumentPromise) {
+      return this.offscreenDocumentPromise;
+    }
+    
+    this.offscreenDocumentPromise = (async () => {
+      const documentUrl = chrome.runtime.getURL(this.offscreenDocumentPath);
+      
+      // The document survives service worker restarts, so check before creating it
+      if (chrome.runtime.getContexts) {
+        const contexts = await chrome.runtime.getContexts({
+          contextTypes: ['OFFSCREEN_DOCUMENT'],
+          documentUrls: [documentUrl]
+        });
+        if (contexts.length > 0) {
+          return;
+        }
+      }
+      
+      await chrome.offscreen.createDocument({
+        url: this.offscreenDocumentPath,
+        reasons: ['DOM_PARSER'],
+        justification: 'Parse fetched Amazon product pages with DOMParser'
+      });
+      console.log('Offscreen parsing document created');
+    })();
+    
+    try {
+      await this.offscreenDocumentPromise;
+    } catch (error) {
+      // Allow the next parse to try again
+      this.offscreenDocumentPromise = null;
+      throw error;
+    }
+  }
+  
+  // Get the marketplace hostname of a product URL
+  getMarketplace(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  // Send HTML to the offscreen document and wait for the parsed result
+  async parseInOffscreenDocument(html, asin, marketplace = null, type = 'parseProductPage') {
+    await this.ensureOffscreenDocument();
+    
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        target: 'offscreen',
+        type: type,
+        html: html,
+        asin: asin,
+        marketplace: marketplace,
+        rulePack: this.rulePack,
+        rulePackId: this.ruleRegistry.getId()
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(`Offscreen parsing failed: ${chrome.runtime.lastError.message}`));
+          return;
+        }
+        
+        if (!response) {
+          reject(new Error('No response received from offscreen document'));
+          return;
+        }
+        
+        if (response.success) {
+          resolve(response.data);
+        } else {
+          reject(new Error(response.error || 'Unknown parsing error'));
+        }
+      });
+    });
+  }
+  
   // Parse product data from HTML
-  parseProductData(html, asin) {
+  async parseProductData(html, asin, marketplace = null) {
     try {
-      const parser = new AmazonParser();
-      return parser.parseProductPage(html, asin);
+      return await this.parseInOffscreenDocument(html, asin, marketplace);
+    } catch (offscreenError) {
+      this.errorHandler.log(`Offscreen parsing failed for ASIN ${asin}, parsing in service worker: ${offscreenError.message}`, 'warn', 'parsing');
+    }
+    
+    try {
+      // The HtmlDocument backend needs no DOM, so it works in the service worker
+      const parser = new AmazonParser({ 
+        documentAdapter: AmazonParser.htmlDocumentAdapter,
+        ruleRegistry: this.ruleRegistry
+      });
+      return parser.parseProductPage(html, asin, marketplace);
     } catch (error) {
       // Log the parsing error
       this.errorHandler.log(`Error parsing product data for ASIN ${asin}: ${error.message}`, 'error', 'parsing');
@@ -464,40 +803,63 @@ class BackgroundService {
       // Create a fallback data structure with graceful degradation
       const fallbackData = {
         asin: asin,
+        marketplace: marketplace,
         lastUpdated: new Date().toISOString(),
         error: error.message,
         parsingError: true
       };
       
-      // Try to extract partial data if possible
+      // Try to extract partial data from the page text, which needs no DOM
       try {
-        // Try to extract brand with graceful degradation
-        try {
-          fallbackData.brand = parser.extractBrand(html) || this.errorHandler.handleGracefulDegradation(error, 'brand');
-        } catch (brandError) {
-          fallbackData.brand = this.errorHandler.handleGracefulDegradation(brandError, 'brand');
-        }
+        const parser = new AmazonParser();
+        const pageText = html.replace(/<script[\s\S]*?<\/script>/gi, ' ')
+                             .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+                             .replace(/<[^>]+>/g, ' ')
+                             .replace(/\s+/g, ' ');
+        const recovered = [];
+        const recover = (field, value) => {
+          if (value) recovered.push(field);
+          return value;
+        };
+        
+        // Placeholder values, listed so they are not taken for parsed data
+        fallbackData.degradedFields = [];
+        const degrade = (field, degradeError) => {
+          fallbackData.degradedFields.push(field);
+          return this.errorHandler.handleGracefulDegradation(degradeError, field);
+        };
+        
+        // Brand needs the DOM, so it always degrades
+        fallbackData.brand = degrade('brand', error);
         
         // Try to extract BSR with graceful degradation
         try {
-          fallbackData.bsr = parser.extractBSR(html) || this.errorHandler.handleGracefulDegradation(error, 'bsr');
+          fallbackData.bsr = recover('bsr', parser.extractBSRData(pageText, marketplace)) || degrade('bsr', error);
         } catch (bsrError) {
-          fallbackData.bsr = this.errorHandler.handleGracefulDegradation(bsrError, 'bsr');
+          fallbackData.bsr = degrade('bsr', bsrError);
         }
         
         // Try to extract sales data with graceful degradation
         try {
-          fallbackData.salesData = parser.extractSalesData(html) || this.errorHandler.handleGracefulDegradation(error, 'salesData');
+          fallbackData.salesData = recover('salesData', parser.extractSalesData(pageText, marketplace)) || degrade('salesData', error);
         } catch (salesError) {
-          fallbackData.salesData = this.errorHandler.handleGracefulDegradation(salesError, 'salesData');
+          fallbackData.salesData = degrade('salesData', salesError);
         }
         
-        // Try to extract variants with graceful degradation
+        // Try to extract review counts with graceful degradation
         try {
-          fallbackData.variants = parser.extractVariants(html) || this.errorHandler.handleGracefulDegradation(error, 'variants');
-        } catch (variantsError) {
-          fallbackData.variants = this.errorHandler.handleGracefulDegradation(variantsError, 'variants');
+          fallbackData.reviews = recover('reviews', parser.extractReviewData(pageText, marketplace)) || degrade('reviews', error);
+        } catch (reviewsError) {
+          fallbackData.reviews = degrade('reviews', reviewsError);
         }
+        
+        fallbackData.variants = degrade('variants', error);
+        
+        // Whatever was recovered here was guessed from the bare page text
+        fallbackData.provenance = {};
+        recovered.forEach(field => {
+          fallbackData.provenance[field] = parser.createProvenance('documentText', { excerpt: parser.getExcerpt(pageText) });
+        });
       } catch (fallbackError) {
         // If all else fails, use completely empty data structure
         this.errorHandler.log(`Failed to extract any partial data: ${fallbackError.message}`, 'error', 'parsing-fallback');
@@ -515,14 +877,51 @@ class BackgroundService {
     }
   }
   
-  // Get cached data if valid - using cache manager
-  async getCachedData(asin) {
-    return await this.cacheManager.getCachedData(asin);
+  // Store the HTML of a failed or low-confidence parse in the snapshot ring buffer
+  async captureSnapshot(html, asin, url, productData) {
+    const capture = this.snapshotStore.getCaptureReason(productData);
+    if (!capture) return;
+    
+    try {
+      await this.snapshotStore.addSnapshot(html, {
+        asin: asin,
+        marketplace: this.getMarketplace(url),
+        url: url,
+        ...capture
+      });
+      this.errorHandler.log(`Saved HTML snapshot for ASIN ${asin} (${capture.reason})`, 'info', 'debug');
+    } catch (error) {
+      this.errorHandler.log(`Error saving HTML snapshot for ASIN ${asin}: ${error.message}`, 'warn', 'debug');
+    }
+  }
+  
+  // Add a snapshot of fresh product data to its history
+  async recordHistory(asin, url, productData) {
+    try {
+      await this.historyStore.addSnapshot(productData, this.getMarketplace(url));
+    } catch (error) {
+      this.errorHandler.log(`Error recording history for ASIN ${asin}: ${error.message}`, 'warn', 'history');
+    }
+  }
+  
+  // Parse an All Offers Display fragment
+  async parseOfferListingData(html, asin, marketplace = null) {
+    try {
+      return await this.parseInOffscreenDocument(html, asin, marketplace, 'parseOfferListing');
+    } catch (offscreenError) {
+      this.errorHandler.log(`Offscreen offer parsing failed for ASIN ${asin}, parsing in service worker: ${offscreenError.message}`, 'warn', 'parsing');
+    }
+    
+    const parser = new AmazonParser({ 
+      documentAdapter: AmazonParser.htmlDocumentAdapter,
+      ruleRegistry: this.ruleRegistry
+    });
+    return parser.parseOfferListing(html, asin, marketplace);
   }
   
   // Cache product data - using cache manager
-  async cacheProductData(asin, data) {
-    await this.cacheManager.cacheProductData(asin, data);
+  async cacheProductData(asin, marketplace, data) {
+    await this.cacheManager.cacheProductData(asin, marketplace, data);
     
     // Decrement active requests and process queue
     this.activeRequests--;
@@ -532,6 +931,7 @@ class BackgroundService {
   // Clear cache
   clearCache(sendResponse) {
     this.cacheManager.clearCache().then(() => {
+      this.requestMetrics = { cacheHits: 0, coalesced: 0, fetched: 0 };
       console.log('Cache cleared');
       sendResponse({ success: true });
     }).catch(error => {
@@ -559,6 +959,9 @@ class BackgroundService {
       if (newSettings.cacheExpiry !== undefined) {
         cacheSettings.cacheExpiry = newSettings.cacheExpiry;
       }
+      if (newSettings.maxStaleHours !== undefined) {
+        cacheSettings.maxStaleHours = newSettings.maxStaleHours;
+      }
       if (newSettings.maxCacheSize !== undefined) {
         cacheSettings.maxCacheSize = newSettings.maxCacheSize;
       }
@@ -573,6 +976,10 @@ class BackgroundService {
         this.cacheManager.updateSettings(cacheSettings);
       }
       
+      if (newSettings.historyRetentionDays !== undefined) {
+        this.historyStore.updateSettings({ historyRetentionDays: newSettings.historyRetentionDays });
+      }
+      
       sendResponse({ success: true, settings: this.settings });
     });
   }
@@ -581,6 +988,7 @@ class BackgroundService {
   async getCacheStats(sendResponse) {
     try {
       const stats = await this.cacheManager.getCacheStats();
+      stats.requests = { ...this.requestMetrics };
       sendResponse({ success: true, stats });
     } catch (error) {
       this.errorHandler.log('Error getting cache stats: ' + error.message, 'error', 'cache');
@@ -588,11 +996,11 @@ class BackgroundService {
     }
   }
   
-  // Clear cache for a specific ASIN
-  async clearCacheForAsin(asin, sendResponse) {
+  // Clear cache for a specific ASIN, on one marketplace or on all of them
+  async clearCacheForAsin(asin, marketplace, sendResponse) {
     try {
-      await this.cacheManager.removeCachedItem(asin);
-      this.errorHandler.log(`Cache cleared for ASIN: ${asin}`, 'info', 'cache');
+      await this.cacheManager.removeCachedItem(asin, marketplace || null);
+      this.errorHandler.log(`Cache cleared for ASIN: ${asin}${marketplace ? ` on ${marketplace}` : ''}`, 'info', 'cache');
       sendResponse({ success: true });
     } catch (error) {
       this.errorHandler.log(`Error clearing cache for ASIN ${asin}: ${error.message}`, 'error', 'cache');
@@ -611,6 +1019,96 @@ class BackgroundService {
     }
   }
   
+  // Get where each field of a cached product came from, by default on the
+  // marketplace the ASIN was cached for most recently
+  async getProductProvenance(asin, marketplace, sendResponse) {
+    try {
+      if (!marketplace) {
+        [marketplace] = await this.cacheManager.getCachedMarketplaces(asin);
+      }
+      
+      // Stale data still shows where its fields came from
+      const cachedEntry = marketplace ? await this.cacheManager.getCachedEntry(asin, marketplace) : null;
+      const data = cachedEntry ? cachedEntry.data : null;
+      if (!data) {
+        sendResponse({ success: false, error: 'No cached data for this ASIN' });
+        return;
+      }
+      
+      sendResponse({ 
+        success: true, 
+        asin: asin,
+        marketplace: this.cacheManager.getMarketplaceDomain(marketplace),
+        lastUpdated: data.lastUpdated,
+        rulePackVersion: data.metadata ? data.metadata.rulePackVersion : null,
+        provenance: data.provenance || {}
+      });
+    } catch (error) {
+      this.errorHandler.log(`Error getting provenance for ASIN ${asin}: ${error.message}`, 'error', 'cache');
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
+  // Get the history of an ASIN, the whole series or the values of one metric
+  async getProductHistory(message, sendResponse) {
+    const range = { from: message.from, to: message.to, node: message.node };
+    
+    try {
+      const history = message.metric ?
+        await this.historyStore.getMetric(message.asin, message.marketplace, message.metric, range) :
+        await this.historyStore.getSeries(message.asin, message.marketplace, range);
+      sendResponse({ success: true, history: history });
+    } catch (error) {
+      this.errorHandler.log(`Error getting history for ASIN ${message.asin}: ${error.message}`, 'error', 'history');
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
+  // Get the version of the active extraction rule pack
+  getRulePackInfo(sendResponse) {
+    sendResponse({ 
+      success: true, 
+      version: this.ruleRegistry.getVersion(),
+      custom: this.ruleRegistry.isCustom
+    });
+  }
+  
+  // Install a rule pack, or go back to the built-in rules when rulePack is null
+  setRulePack(rulePack, sendResponse) {
+    if (rulePack) {
+      const errors = ExtractionRuleRegistry.validate(rulePack);
+      if (errors.length > 0) {
+        sendResponse({ success: false, error: errors.join('\n') });
+        return;
+      }
+    }
+    
+    const done = () => {
+      this.rulePack = rulePack || null;
+      this.ruleRegistry = new ExtractionRuleRegistry(this.rulePack);
+      this.errorHandler.log(`Extraction rules set to version ${this.ruleRegistry.getVersion()}`, 'info', 'parsing');
+      sendResponse({ success: true, version: this.ruleRegistry.getVersion(), custom: this.ruleRegistry.isCustom });
+    };
+    
+    if (rulePack) {
+      chrome.storage.local.set({ extractionRulePack: rulePack }, done);
+    } else {
+      chrome.storage.local.remove(['extractionRulePack'], done);
+    }
+  }
+  
+  // Remove all HTML snapshots
+  async clearSnapshots(sendResponse) {
+    try {
+      await this.snapshotStore.clearSnapshots();
+      this.errorHandler.log('HTML snapshots cleared', 'info', 'debug');
+      sendResponse({ success: true });
+    } catch (error) {
+      this.errorHandler.log(`Error clearing HTML snapshots: ${error.message}`, 'error', 'debug');
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
   // Clear error log
   clearErrorLog(sendResponse) {
     try {
@@ -625,4 +1123,9 @@ class BackgroundService {
 
 // Initialize the background service
 const backgroundService = new BackgroundService();
-console.log('Amazon Product Enhancer background service initialized');
\ No newline at end of file
+console.log('Amazon Product Enhancer background service initialized');
+
+// Export for testing
+if (typeof module !== 'undefined') {
+  module.exports = { BackgroundService };
+}
@@ -0,0 +1,291 @@
+/**
+ * IndexedDB Cache Database for Amazon Product Enhancer
+ *
+ * This module is the storage backend of CacheManager:
+ * - One record per cache entry, keyed by its cache key
+ * - Indexes on asin, marketplace, timestamp and accessTimestamp
+ * - LRU eviction that walks the accessTimestamp index instead of sorting a list
+ *
+ * Records look like:
+ * { key, asin, marketplace, namespace, data, timestamp, accessTimestamp }
+ *
+ * HistoryStore keeps its series in a database of its own through the same
+ * class, with its own store name and indexes.
+ */
+
+class CacheDatabase {
+  /**
+   * @param {Object} options - name, storeName and indexes of the database, and the indexedDB factory to use
+   */
+  constructor(options = {}) {
+    this.name = options.name || CacheDatabase.databaseName;
+    this.storeName = options.storeName || CacheDatabase.storeName;
+    this.indexes = options.indexes || CacheDatabase.indexes;
+    this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.dbPromise = null;
+  }
+  
+  /**
+   * Open the database, creating the object store and indexes on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+    
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!this.factory) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      
+      const request = this.factory.open(this.name, CacheDatabase.version);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+          this.indexes.forEach(name => store.createIndex(name, name));
+        }
+      };
+      
+      request.onsuccess = () => {
+        const db = request.result;
+        
+        // Let a newer version of the extension upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+      
+      request.onerror = () => reject(request.error);
+    });
+    
+    // Try again on the next call instead of keeping the failure
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+    
+    return this.dbPromise;
+  }
+  
+  /**
+   * Run requests against the object store in one transaction
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} callback - Receives the object store, may return a request
+   * @returns {Promise<*>} - Result of the returned request once the transaction completes
+   */
+  async run(mode, callback) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = callback(transaction.objectStore(this.storeName));
+      
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Cache transaction aborted'));
+    });
+  }
+  
+  /**
+   * Get a record by cache key
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    const record = await this.run('readonly', store => store.get(key));
+    return record || null;
+  }
+  
+  /**
+   * Insert or replace a record
+   * @param {Object} record - Record with at least a key
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    return this.putAll([record]);
+  }
+  
+  /**
+   * Insert or replace several records in one transaction
+   * @param {Array} records - Records with at least a key
+   * @returns {Promise<void>}
+   */
+  async putAll(records) {
+    if (records.length === 0) {
+      return;
+    }
+    
+    await this.run('readwrite', store => {
+      records.forEach(record => store.put(record));
+    });
+  }
+  
+  /**
+   * Delete records by cache key
+   * @param {Array} keys - Cache keys
+   * @returns {Promise<void>}
+   */
+  async delete(keys) {
+    if (keys.length === 0) {
+      return;
+    }
+    
+    await this.run('readwrite', store => {
+      keys.forEach(key => store.delete(key));
+    });
+  }
+  
+  /**
+   * Read, change and write back one record in a single transaction
+   * @param {string} key - Record key
+   * @param {Function} updater - Receives the record or null, returns the record to store or null to leave it
+   * @returns {Promise<Object|null>} - The stored record
+   */
+  async update(key, updater) {
+    let updated = null;
+    
+    await this.run('readwrite', store => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        updated = updater(request.result || null);
+        if (updated) {
+          store.put(updated);
+        }
+      };
+    });
+    
+    return updated;
+  }
+  
+  /**
+   * Mark a record as used, only that record is written
+   * @param {string} key - Cache key
+   * @param {number} accessTimestamp - Time of access
+   * @returns {Promise<void>}
+   */
+  async touch(key, accessTimestamp = Date.now()) {
+    await this.update(key, record => {
+      if (!record) {
+        return null;
+      }
+      
+      record.accessTimestamp = accessTimestamp;
+      return record;
+    });
+  }
+  
+  /**
+   * Get all records of an ASIN, on every marketplace and namespace
+   * @param {string} asin - Amazon Standard Identification Number
+   * @returns {Promise<Array>}
+   */
+  async getByAsin(asin) {
+    return this.run('readonly', store => store.index('asin').getAll(asin));
+  }
+  
+  /**
+   * Count all records
+   * @returns {Promise<number>}
+   */
+  async count() {
+    return this.run('readonly', store => store.count());
+  }
+  
+  /**
+   * Count records per value of an index
+   * @param {string} indexName - One of CacheDatabase.indexes, e.g. "marketplace"
+   * @returns {Promise<Object>} - Counts by index value, e.g. { 'amazon.com': 120 }
+   */
+  async countByIndex(indexName) {
+    const counts = {};
+    
+    await this.run('readonly', store => {
+      const request = store.index(indexName).openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        
+        counts[cursor.key] = (counts[cursor.key] || 0) + 1;
+        cursor.continue();
+      };
+    });
+    
+    return counts;
+  }
+  
+  /**
+   * Delete the least recently used records
+   * @param {number} count - Number of records to delete
+   * @returns {Promise<Array>} - Keys of the deleted records
+   */
+  async evictLeastRecentlyUsed(count) {
+    const evictedKeys = [];
+    if (count <= 0) {
+      return evictedKeys;
+    }
+    
+    await this.run('readwrite', store => {
+      const request = store.index('accessTimestamp').openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        
+        store.delete(cursor.primaryKey);
+        evictedKeys.push(cursor.primaryKey);
+        if (evictedKeys.length < count) {
+          cursor.continue();
+        }
+      };
+    });
+    
+    return evictedKeys;
+  }
+  
+  /**
+   * Delete the records whose index value is below a bound, e.g. not updated since a date
+   * @param {string} indexName - Index to walk
+   * @param {*} upperBound - First index value to keep
+   * @returns {Promise<Array>} - Keys of the deleted records
+   */
+  async deleteBelow(indexName, upperBound) {
+    const deletedKeys = [];
+    
+    await this.run('readwrite', store => {
+      const request = store.index(indexName).openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || cursor.key >= upperBound) return;
+        
+        store.delete(cursor.primaryKey);
+        deletedKeys.push(cursor.primaryKey);
+        cursor.continue();
+      };
+    });
+    
+    return deletedKeys;
+  }
+  
+  /**
+   * Delete every record
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.run('readwrite', store => {
+      store.clear();
+    });
+  }
+}
+
+CacheDatabase.databaseName = 'amazonProductEnhancerCache';
+CacheDatabase.version = 1;
+CacheDatabase.storeName = 'entries';
+CacheDatabase.indexes = ['asin', 'marketplace', 'timestamp', 'accessTimestamp'];
+
+if (typeof module !== 'undefined') {
+  module.exports = { CacheDatabase };
+}
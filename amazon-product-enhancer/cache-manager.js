@@ -2,16 +2,23 @@
  * Cache Manager for Amazon Product Enhancer
  * 
  * This module handles:
- * - Chrome storage API integration for product data
- * - Cache expiry and cleaning mechanism
- * - Cache key management based on ASIN and timestamp
+ * - IndexedDB storage of product data (see cache-database.js)
+ * - Per-field expiry, with stale product data served while it is refreshed
+ * - Least recently used eviction
+ * - Cache key management based on marketplace, ASIN and timestamp
+ * - Separate namespaces for product data and seller offers
+ * - Migration of entries kept in chrome.storage.local by older versions
  * - Cache performance optimization
  */
 
 class CacheManager {
-  constructor() {
+  /**
+   * @param {Object} options - database to store entries in, a CacheDatabase by default
+   */
+  constructor(options = {}) {
     this.defaultSettings = {
-      cacheExpiry: 24, // hours
+      cacheExpiry: 24, // hours, for fields without their own expiry
+      maxStaleHours: 168, // how long expired product data is still served while refreshing
       maxCacheSize: 500, // maximum number of items to store
       cleanupThreshold: 0.9, // cleanup when cache reaches 90% of max size
       cleanupRatio: 0.3 // remove 30% of oldest items during cleanup
@@ -20,10 +27,17 @@ class CacheManager {
     this.settings = { ...this.defaultSettings };
     this.cacheStats = {
       hits: 0,
+      staleHits: 0, // hits served stale, also counted in hits
       misses: 0,
       lastCleanup: Date.now()
     };
     
+    // Loaded with importScripts in the background, required in Node
+    const databaseClass = typeof CacheDatabase !== 'undefined' ? 
+      CacheDatabase : 
+      require('./cache-database.js').CacheDatabase;
+    this.database = options.database || new databaseClass();
+    
     // Load settings
     this.loadSettings();
   }
@@ -35,6 +49,7 @@ class CacheManager {
     return new Promise((resolve) => {
       chrome.storage.sync.get([
         'cacheExpiry',
+        'maxStaleHours',
         'maxCacheSize',
         'cleanupThreshold',
         'cleanupRatio'
@@ -61,130 +76,234 @@ class CacheManager {
   }
   
   /**
-   * Get cached data for an ASIN if valid
+   * Get the cached entry of an ASIN with its freshness
+   * 
+   * Product data is fresh while every field is younger than its own expiry
+   * (see CacheManager.fieldExpiryHours). After that it is stale: still
+   * returned, for up to maxStaleHours, so it can be shown while fresh data is
+   * fetched. Namespaces without staleWhileRevalidate expire as a whole.
+   * 
    * @param {string} asin - Amazon Standard Identification Number
-   * @returns {Promise<Object|null>} - Cached data or null if not found/expired
+   * @param {string} marketplace - Hostname of the marketplace, e.g. "www.amazon.de"
+   * @param {string} namespace - Cache namespace, see CacheManager.namespaces
+   * @returns {Promise<Object|null>} - { data, timestamp, stale, staleFields }, or null if not found/expired
    */
-  async getCachedData(asin) {
-    return new Promise((resolve) => {
-      const cacheKey = this.generateCacheKey(asin);
+  async getCachedEntry(asin, marketplace, namespace = 'product') {
+    const cacheKey = this.generateCacheKey(asin, marketplace, namespace);
+    
+    let cachedEntry;
+    try {
+      cachedEntry = await this.database.get(cacheKey);
+    } catch (error) {
+      console.error(`Error reading cache for ASIN ${asin}: ${error.message}`);
+      cachedEntry = null;
+    }
+    
+    if (!cachedEntry) {
+      this.cacheStats.misses++;
+      return null;
+    }
+    
+    const hourMs = 60 * 60 * 1000;
+    const config = CacheManager.namespaces[namespace] || CacheManager.namespaces.product;
+    const age = Date.now() - cachedEntry.timestamp;
+    const freshMs = this.getFreshHours(cachedEntry.data, namespace) * hourMs;
+    const maxStaleMs = config.staleWhileRevalidate ? this.settings.maxStaleHours * hourMs : 0;
+    
+    // Check if cache entry is expired
+    if (age >= freshMs + maxStaleMs) {
+      console.log(`Cached data for ASIN: ${asin} on ${this.getMarketplaceDomain(marketplace)} has expired`);
+      this.cacheStats.misses++;
       
-      chrome.storage.local.get([cacheKey], async (result) => {
-        const cachedEntry = result[cacheKey];
-        
-        if (!cachedEntry) {
-          this.cacheStats.misses++;
-          resolve(null);
-          return;
-        }
-        
-        // Check if cache entry is expired
-        const expiryMs = this.settings.cacheExpiry * 60 * 60 * 1000;
-        if ((Date.now() - cachedEntry.timestamp) < expiryMs) {
-          // Update access timestamp for LRU implementation
-          await this.updateAccessTimestamp(cacheKey);
-          this.cacheStats.hits++;
-          resolve(cachedEntry.data);
-        } else {
-          console.log(`Cached data for ASIN: ${asin} has expired`);
-          this.cacheStats.misses++;
-          
-          // Remove expired entry
-          this.removeFromCache(cacheKey);
-          resolve(null);
-        }
-      });
-    });
+      // Remove expired entry
+      await this.removeFromCache(cacheKey);
+      return null;
+    }
+    
+    // Update access timestamp for LRU implementation
+    await this.updateAccessTimestamp(cacheKey);
+    this.cacheStats.hits++;
+    
+    const stale = age >= freshMs;
+    if (stale) {
+      this.cacheStats.staleHits++;
+    }
+    
+    return {
+      data: cachedEntry.data,
+      timestamp: cachedEntry.timestamp,
+      stale: stale,
+      staleFields: stale ? this.getStaleFields(cachedEntry.data, age) : []
+    };
+  }
+  
+  /**
+   * Get cached data for an ASIN if still fresh
+   * @param {string} asin - Amazon Standard Identification Number
+   * @param {string} marketplace - Hostname of the marketplace, e.g. "www.amazon.de"
+   * @param {string} namespace - Cache namespace, see CacheManager.namespaces
+   * @returns {Promise<Object|null>} - Cached data or null if not found/stale/expired
+   */
+  async getCachedData(asin, marketplace, namespace = 'product') {
+    const cachedEntry = await this.getCachedEntry(asin, marketplace, namespace);
+    return cachedEntry && !cachedEntry.stale ? cachedEntry.data : null;
   }
   
   /**
    * Cache product data
    * @param {string} asin - Amazon Standard Identification Number
+   * @param {string} marketplace - Hostname of the marketplace the data comes from
    * @param {Object} data - Product data to cache
+   * @param {string} namespace - Cache namespace, see CacheManager.namespaces
    * @returns {Promise<void>}
    */
-  async cacheProductData(asin, data) {
-    return new Promise(async (resolve) => {
+  async cacheProductData(asin, marketplace, data, namespace = 'product') {
+    try {
       // Check if we need to clean up the cache first
       await this.checkAndCleanupCache();
       
-      const cacheKey = this.generateCacheKey(asin);
-      const cacheEntry = {
+      const now = Date.now();
+      await this.database.put({
+        key: this.generateCacheKey(asin, marketplace, namespace),
+        asin: asin,
+        marketplace: this.getMarketplaceDomain(marketplace),
+        namespace: namespace,
         data: data,
-        timestamp: Date.now(),
-        accessTimestamp: Date.now()
-      };
-      
-      const cacheUpdate = {};
-      cacheUpdate[cacheKey] = cacheEntry;
-      
-      // Add to cache index for faster lookups and management
-      await this.addToCacheIndex(cacheKey, asin);
-      
-      chrome.storage.local.set(cacheUpdate, () => {
-        console.log(`Cached data for ASIN: ${asin}`);
-        resolve();
+        timestamp: now,
+        accessTimestamp: now
       });
-    });
+      
+      console.log(`Cached ${namespace} data for ASIN: ${asin} on ${this.getMarketplaceDomain(marketplace)}`);
+    } catch (error) {
+      // A failed write only costs a refetch, callers go on as usual
+      console.error(`Error caching ${namespace} data for ASIN ${asin}: ${error.message}`);
+    }
   }
   
   /**
-   * Generate a cache key from ASIN
+   * Get cached seller offers for an ASIN if valid
    * @param {string} asin - Amazon Standard Identification Number
-   * @returns {string} - Cache key
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {Promise<Object|null>} - Cached offer listing or null if not found/expired
    */
-  generateCacheKey(asin) {
-    return `cache_${asin}`;
+  async getCachedOffers(asin, marketplace) {
+    return this.getCachedData(asin, marketplace, 'offers');
   }
   
   /**
-   * Update access timestamp for LRU implementation
-   * @param {string} cacheKey - Cache key
+   * Cache the seller offers of an ASIN
+   * @param {string} asin - Amazon Standard Identification Number
+   * @param {string} marketplace - Hostname of the marketplace
+   * @param {Object} offerListing - Offer listing to cache
    * @returns {Promise<void>}
    */
-  async updateAccessTimestamp(cacheKey) {
-    return new Promise((resolve) => {
-      chrome.storage.local.get([cacheKey], (result) => {
-        const entry = result[cacheKey];
-        if (entry) {
-          entry.accessTimestamp = Date.now();
-          const update = {};
-          update[cacheKey] = entry;
-          chrome.storage.local.set(update, resolve);
-        } else {
-          resolve();
-        }
-      });
+  async cacheOffers(asin, marketplace, offerListing) {
+    return this.cacheProductData(asin, marketplace, offerListing, 'offers');
+  }
+  
+  /**
+   * Generate a cache key from marketplace and ASIN
+   * 
+   * The same ASIN has its own BSR, brand text and sales on each marketplace,
+   * so "www.amazon.de" and "www.amazon.com" get separate entries.
+   * 
+   * @param {string} asin - Amazon Standard Identification Number
+   * @param {string} marketplace - Hostname of the marketplace
+   * @param {string} namespace - Cache namespace, see CacheManager.namespaces
+   * @returns {string} - Cache key, e.g. "cache_amazon.de_B07PXGQC1Q"
+   */
+  generateCacheKey(asin, marketplace, namespace = 'product') {
+    const config = CacheManager.namespaces[namespace] || CacheManager.namespaces.product;
+    return `${config.prefix}${this.getMarketplaceDomain(marketplace)}_${asin}`;
+  }
+  
+  /**
+   * Reduce a marketplace hostname to the domain used in cache keys
+   * @param {string} marketplace - Hostname, e.g. "www.amazon.de" or "smile.amazon.com"
+   * @returns {string} - Domain such as "amazon.de", "amazon.com" when unknown
+   */
+  getMarketplaceDomain(marketplace) {
+    // Loaded with importScripts in the background, required in Node
+    const localeClass = typeof MarketplaceLocale !== 'undefined' ? 
+      MarketplaceLocale : 
+      require('./marketplace-locale.js').MarketplaceLocale;
+    return localeClass.getDomain(marketplace) || 'amazon.com';
+  }
+  
+  /**
+   * Get how long entries of a namespace stay valid
+   * @param {string} namespace - Cache namespace
+   * @returns {number} - Expiry in hours
+   */
+  getExpiryHours(namespace = 'product') {
+    const config = CacheManager.namespaces[namespace];
+    return config && config.expiryHours ? config.expiryHours : this.settings.cacheExpiry;
+  }
+  
+  /**
+   * Get how long a product field stays fresh
+   * @param {string} field - Product data field, e.g. "bsr"
+   * @returns {number} - Expiry in hours
+   */
+  getFieldExpiryHours(field) {
+    return CacheManager.fieldExpiryHours[field] || this.settings.cacheExpiry;
+  }
+  
+  /**
+   * Get how long cached data stays fresh: until its first field expires
+   * @param {Object} data - Cached data
+   * @param {string} namespace - Cache namespace
+   * @returns {number} - Expiry in hours
+   */
+  getFreshHours(data, namespace = 'product') {
+    const config = CacheManager.namespaces[namespace];
+    const fields = config && config.staleWhileRevalidate ? this.getExpiringFields(data) : [];
+    if (fields.length === 0) {
+      return this.getExpiryHours(namespace);
+    }
+    
+    return Math.min(...fields.map(field => this.getFieldExpiryHours(field)));
+  }
+  
+  /**
+   * Get the fields of cached product data that are past their expiry
+   * @param {Object} data - Cached product data
+   * @param {number} age - Age of the data in milliseconds
+   * @returns {Array} - Field names, e.g. ["bsr", "availability"]
+   */
+  getStaleFields(data, age) {
+    return this.getExpiringFields(data)
+      .filter(field => age >= this.getFieldExpiryHours(field) * 60 * 60 * 1000);
+  }
+  
+  /**
+   * Get the fields of product data that have a value and can expire
+   * @param {Object} data - Product data
+   * @returns {Array} - Field names
+   */
+  getExpiringFields(data) {
+    if (!data) {
+      return [];
+    }
+    
+    // Empty lists, such as a product without BSR, have nothing to refresh
+    return Object.keys(CacheManager.fieldExpiryHours).filter(field => {
+      const value = data[field];
+      return value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
     });
   }
   
   /**
-   * Add a cache key to the index
+   * Update access timestamp for LRU implementation
    * @param {string} cacheKey - Cache key
-   * @param {string} asin - Amazon Standard Identification Number
    * @returns {Promise<void>}
    */
-  async addToCacheIndex(cacheKey, asin) {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['cacheIndex'], (result) => {
-        const cacheIndex = result.cacheIndex || [];
-        
-        // Remove existing entry if present
-        const existingIndex = cacheIndex.findIndex(item => item.key === cacheKey);
-        if (existingIndex !== -1) {
-          cacheIndex.splice(existingIndex, 1);
-        }
-        
-        // Add new entry
-        cacheIndex.push({
-          key: cacheKey,
-          asin: asin,
-          timestamp: Date.now()
-        });
-        
-        chrome.storage.local.set({ cacheIndex }, resolve);
-      });
-    });
+  async updateAccessTimestamp(cacheKey) {
+    try {
+      await this.database.touch(cacheKey);
+    } catch (error) {
+      console.error(`Error updating access time of ${cacheKey}: ${error.message}`);
+    }
   }
   
   /**
@@ -193,17 +312,7 @@ class CacheManager {
    * @returns {Promise<void>}
    */
   async removeFromCache(cacheKey) {
-    return new Promise((resolve) => {
-      // Remove the actual cached data
-      chrome.storage.local.remove([cacheKey], () => {
-        // Update the cache index
-        chrome.storage.local.get(['cacheIndex'], (result) => {
-          const cacheIndex = result.cacheIndex || [];
-          const updatedIndex = cacheIndex.filter(item => item.key !== cacheKey);
-          chrome.storage.local.set({ cacheIndex: updatedIndex }, resolve);
-        });
-      });
-    });
+    await this.database.delete([cacheKey]);
   }
   
   /**
@@ -211,52 +320,32 @@ class CacheManager {
    * @returns {Promise<void>}
    */
   async checkAndCleanupCache() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['cacheIndex'], async (result) => {
-        const cacheIndex = result.cacheIndex || [];
-        
-        // Check if we need to clean up based on size
-        if (cacheIndex.length >= this.settings.maxCacheSize * this.settings.cleanupThreshold) {
-          await this.cleanupCache();
-        }
-        
-        resolve();
-      });
-    });
+    const itemCount = await this.database.count();
+    
+    // Check if we need to clean up based on size
+    if (itemCount >= this.settings.maxCacheSize * this.settings.cleanupThreshold) {
+      await this.cleanupCache();
+    }
   }
   
   /**
-   * Clean up the cache by removing oldest or least recently used items
+   * Clean up the cache by removing the least recently used items
    * @returns {Promise<void>}
    */
   async cleanupCache() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['cacheIndex'], async (result) => {
-        const cacheIndex = result.cacheIndex || [];
-        if (cacheIndex.length === 0) {
-          resolve();
-          return;
-        }
-        
-        console.log('Starting cache cleanup...');
-        this.cacheStats.lastCleanup = Date.now();
-        
-        // Sort by timestamp (oldest first)
-        cacheIndex.sort((a, b) => a.timestamp - b.timestamp);
-        
-        // Calculate how many items to remove
-        const removeCount = Math.ceil(cacheIndex.length * this.settings.cleanupRatio);
-        const itemsToRemove = cacheIndex.slice(0, removeCount);
-        
-        // Remove items
-        for (const item of itemsToRemove) {
-          await this.removeFromCache(item.key);
-        }
-        
-        console.log(`Cache cleanup complete. Removed ${removeCount} items.`);
-        resolve();
-      });
-    });
+    const itemCount = await this.database.count();
+    if (itemCount === 0) {
+      return;
+    }
+    
+    console.log('Starting cache cleanup...');
+    this.cacheStats.lastCleanup = Date.now();
+    
+    // Calculate how many items to remove
+    const removeCount = Math.ceil(itemCount * this.settings.cleanupRatio);
+    const evictedKeys = await this.database.evictLeastRecentlyUsed(removeCount);
+    
+    console.log(`Cache cleanup complete. Removed ${evictedKeys.length} items.`);
   }
   
   /**
@@ -264,26 +353,15 @@ class CacheManager {
    * @returns {Promise<void>}
    */
   async clearCache() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['cacheIndex'], async (result) => {
-        const cacheIndex = result.cacheIndex || [];
-        
-        // Remove all cached items
-        const keysToRemove = cacheIndex.map(item => item.key);
-        chrome.storage.local.remove(keysToRemove, () => {
-          // Reset the cache index
-          chrome.storage.local.set({ cacheIndex: [] }, () => {
-            console.log('Cache cleared');
-            this.cacheStats = {
-              hits: 0,
-              misses: 0,
-              lastCleanup: Date.now()
-            };
-            resolve();
-          });
-        });
-      });
-    });
+    await this.database.clear();
+    
+    console.log('Cache cleared');
+    this.cacheStats = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      lastCleanup: Date.now()
+    };
   }
   
   /**
@@ -291,43 +369,174 @@ class CacheManager {
    * @returns {Promise<Object>} - Cache statistics
    */
   async getCacheStats() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['cacheIndex'], (result) => {
-        const cacheIndex = result.cacheIndex || [];
-        
-        const stats = {
-          ...this.cacheStats,
-          totalItems: cacheIndex.length,
-          usagePercent: (cacheIndex.length / this.settings.maxCacheSize) * 100,
-          hitRatio: this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses || 1) * 100
-        };
-        
-        resolve(stats);
-      });
-    });
+    const totalItems = await this.database.count();
+    
+    // Items per marketplace domain, e.g. { 'amazon.com': 120, 'amazon.de': 30 }
+    const byMarketplace = await this.database.countByIndex('marketplace');
+    
+    return {
+      ...this.cacheStats,
+      totalItems: totalItems,
+      usagePercent: (totalItems / this.settings.maxCacheSize) * 100,
+      hitRatio: this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses || 1) * 100,
+      byMarketplace: byMarketplace
+    };
   }
   
   /**
-   * Remove a specific item from the cache by ASIN
+   * Remove a specific item from the cache by ASIN, in every namespace
    * @param {string} asin - The ASIN to remove from cache
+   * @param {string} marketplace - Hostname of the marketplace, or null for every marketplace
    * @returns {Promise<void>}
    */
-  async removeCachedItem(asin) {
-    return new Promise((resolve) => {
-      const cacheKey = this.generateCacheKey(asin);
+  async removeCachedItem(asin, marketplace = null) {
+    try {
+      let cacheKeys;
+      if (marketplace) {
+        cacheKeys = Object.keys(CacheManager.namespaces).map(namespace => this.generateCacheKey(asin, marketplace, namespace));
+      } else {
+        const records = await this.database.getByAsin(asin);
+        cacheKeys = records.map(record => record.key);
+      }
+      
+      await this.database.delete(cacheKeys);
+      console.log(`Removed item from cache: ${asin}${marketplace ? ` on ${this.getMarketplaceDomain(marketplace)}` : ''}`);
+    } catch (error) {
+      console.error(`Error removing item from cache: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the marketplaces an ASIN is cached for, most recently cached first
+   * @param {string} asin - Amazon Standard Identification Number
+   * @param {string} namespace - Cache namespace
+   * @returns {Promise<Array>} - Marketplace domains, e.g. ["amazon.de", "amazon.com"]
+   */
+  async getCachedMarketplaces(asin, namespace = 'product') {
+    const records = await this.database.getByAsin(asin);
+    
+    return records
+      .filter(record => record.namespace === namespace)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .map(record => record.marketplace);
+  }
+  
+  /**
+   * Move entries from the chrome.storage.local layout into the database
+   * 
+   * Older versions kept each entry under its own storage key, listed in a
+   * "cacheIndex" array. Keys written before they included the marketplace
+   * get it from the cached data itself (its marketplace field, or the URL it
+   * was fetched from); entries that name no marketplace are dropped, since
+   * they cannot be told apart.
+   * 
+   * @returns {Promise<number>} - Number of entries migrated
+   */
+  async migrateLegacyEntries() {
+    const cacheIndex = await new Promise((resolve) => {
+      chrome.storage.local.get(['cacheIndex'], (result) => resolve(result.cacheIndex));
+    });
+    if (!cacheIndex) {
+      return 0;
+    }
+    
+    const legacyKeys = cacheIndex.map(item => item.key);
+    const entries = await new Promise((resolve) => {
+      chrome.storage.local.get(legacyKeys, resolve);
+    });
+    
+    const records = [];
+    cacheIndex.forEach(item => {
+      const entry = entries[item.key];
+      const marketplace = entry ? item.marketplace || this.getEntryMarketplace(entry.data) : null;
+      if (!marketplace) {
+        return;
+      }
       
-      // Remove the item from cache
-      this.removeFromCache(cacheKey).then(() => {
-        console.log(`Removed item from cache: ${asin}`);
-        resolve();
-      }).catch(error => {
-        console.error(`Error removing item from cache: ${error.message}`);
-        resolve(); // Resolve anyway to prevent blocking
+      const namespace = item.namespace || this.getLegacyNamespace(item.key);
+      records.push({
+        key: this.generateCacheKey(item.asin, marketplace, namespace),
+        asin: item.asin,
+        marketplace: this.getMarketplaceDomain(marketplace),
+        namespace: namespace,
+        data: entry.data,
+        timestamp: entry.timestamp,
+        accessTimestamp: entry.accessTimestamp || entry.timestamp
       });
     });
+    
+    await this.database.putAll(records);
+    
+    // Only drop the old layout once the database holds its entries
+    await new Promise((resolve) => {
+      chrome.storage.local.remove([...legacyKeys, 'cacheIndex'], resolve);
+    });
+    
+    console.log(`Cache migration: ${records.length} of ${cacheIndex.length} entries moved to IndexedDB`);
+    return records.length;
+  }
+  
+  /**
+   * Get the marketplace hostname recorded in cached data
+   * @param {Object} data - Cached product data or offer listing
+   * @returns {string|null} - Hostname or null if the data names none
+   */
+  getEntryMarketplace(data) {
+    if (!data) {
+      return null;
+    }
+    if (data.marketplace) {
+      return data.marketplace;
+    }
+    
+    try {
+      return data.metadata && data.metadata.source ? new URL(data.metadata.source).hostname : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Get the namespace of a key in the old "<prefix><ASIN>" format
+   * @param {string} cacheKey - Legacy cache key
+   * @returns {string} - Namespace name
+   */
+  getLegacyNamespace(cacheKey) {
+    // Longest prefix first, "cache_offers_" also starts with "cache_"
+    const namespaces = Object.keys(CacheManager.namespaces)
+      .sort((a, b) => CacheManager.namespaces[b].prefix.length - CacheManager.namespaces[a].prefix.length);
+    return namespaces.find(namespace => cacheKey.startsWith(CacheManager.namespaces[namespace].prefix)) || 'product';
   }
 }
 
+// Cache namespaces, keyed "<prefix><marketplace>_<ASIN>". Offers change faster
+// than product pages, so they expire sooner than the setting. Product data
+// expires per field and is served stale while it is refreshed.
+CacheManager.namespaces = {
+  product: { prefix: 'cache_', expiryHours: null, staleWhileRevalidate: true },
+  offers: { prefix: 'cache_offers_', expiryHours: 1, staleWhileRevalidate: false }
+};
+
+// Hours each product field stays fresh; null uses the cacheExpiry setting.
+// Ranks and stock move hourly, a brand or launch date almost never.
+CacheManager.fieldExpiryHours = {
+  bsr: 1,
+  pricing: 1,
+  availability: 1,
+  seller: 6,
+  badges: 6,
+  salesData: 12,
+  reviews: 12,
+  variants: null,
+  variations: null,
+  listingContent: null,
+  listingQuality: null,
+  breadcrumbs: 24 * 7,
+  brand: 24 * 30,
+  dateFirstAvailable: 24 * 30,
+  physical: 24 * 30
+};
+
 // Export the CacheManager class
 if (typeof module !== 'undefined') {
   module.exports = CacheManager;
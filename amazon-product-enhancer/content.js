@@ -13,10 +13,16 @@ class ProductEnhancer {
       showBSR: true,
       showASIN: true,
       showBrand: true,
-      showSalesData: true
+      showSalesData: true,
+      showReviews: true,
+      showOffers: false,
+      cardOnlyMode: false // render search card data only, fetch details on demand
     };
     this.processedProducts = new Set(); // Track processed products to avoid duplicates
     this.uiRenderer = null; // Will be initialized when needed
+    this.cardParser = null; // Parser used for search cards
+    this.cardData = new Map(); // Data parsed from search cards, by ASIN
+    this.badgeFilter = null; // Selected badge type, null shows all products
   }
 
   // Initialize the enhancer
@@ -39,6 +45,9 @@ class ProductEnhancer {
     // Scan for products
     this.scanProducts();
     
+    // Add the badge filter above the results grid
+    this.setupBadgeFilter();
+    
     // Set up observer for dynamically loaded content
     this.setupDynamicContentObserver();
   }
@@ -51,10 +60,14 @@ class ProductEnhancer {
         'showBSR', 
         'showASIN', 
         'showBrand', 
-        'showSalesData'
+        'showSalesData',
+        'showReviews',
+        'showOffers',
+        'cardOnlyMode'
       ], (result) => {
         if (result.enabled !== undefined) {
-          this.settings = result;
+          // Keep defaults for toggles added after the settings were saved
+          this.settings = { ...this.settings, ...result };
           
           // Update UI renderer settings if it exists
           if (this.uiRenderer) {
@@ -71,9 +84,9 @@ class ProductEnhancer {
     const url = window.location.href;
     const hostname = window.location.hostname;
     
-    // Check if we're on an Amazon domain
-    if (!hostname.includes('amazon.')) {
-      console.log('Not an Amazon domain');
+    // Check if we're on a supported Amazon marketplace
+    if (!MarketplaceLocale.forMarketplace(hostname).isKnown) {
+      console.log('Not a supported Amazon marketplace');
       return false;
     }
     
@@ -139,10 +152,10 @@ class ProductEnhancer {
       const elements = document.querySelectorAll(selector);
       if (elements.length > 0) {
         elements.forEach(el => {
-          // Skip sponsored products and other non-product elements
+          // Skip sponsored products (they cost no request in card-only mode) and other non-product elements
+          const isSponsored = el.classList.contains('AdHolder') || el.querySelector('.s-sponsored-label-info-icon');
           if (
-            !el.classList.contains('AdHolder') && 
-            !el.querySelector('.s-sponsored-label-info-icon') &&
+            (!isSponsored || this.settings.cardOnlyMode) && 
             !el.classList.contains('s-widget') &&
             el.offsetParent !== null // Skip hidden elements
           ) {
@@ -179,11 +192,13 @@ class ProductEnhancer {
       return false;
     }
     
-    // Skip sponsored products
+    // Skip sponsored products, card-only mode shows them with a sponsored flag
     if (
-      productElement.classList.contains('AdHolder') || 
-      productElement.querySelector('.s-sponsored-label-info-icon') ||
-      productElement.querySelector('[data-component-type="sp-sponsored-result"]')
+      !this.settings.cardOnlyMode && (
+        productElement.classList.contains('AdHolder') || 
+        productElement.querySelector('.s-sponsored-label-info-icon') ||
+        productElement.querySelector('[data-component-type="sp-sponsored-result"]')
+      )
     ) {
       console.log('Skipping sponsored product');
       return false;
@@ -204,8 +219,22 @@ class ProductEnhancer {
     productElement.dataset.enhancerProcessed = 'true';
     productElement.dataset.enhancerAsin = productInfo.asin;
     
+    // Card data, including badges, is available before the details arrive
+    const cardData = this.extractCardData(productElement);
+    this.cardData.set(productInfo.asin, cardData);
+    this.storeProductBadges(productElement, cardData.badges);
+    
     // Create container for enhanced information
-    this.createInfoContainer(productElement, productInfo);
+    const container = this.createInfoContainer(productElement, productInfo);
+    
+    if (this.settings.cardOnlyMode) {
+      // Render the card data now; only BSR and brand need the detail page
+      this.uiRenderer.renderProductInfo(container, { ...cardData, asin: productInfo.asin });
+      this.uiRenderer.renderDetailsLink(container, () => {
+        this.requestProductDetails(productInfo.asin, productInfo.url, productElement);
+      });
+      return true;
+    }
     
     // Request additional product details from background script
     this.requestProductDetails(productInfo.asin, productInfo.url, productElement);
@@ -433,7 +462,8 @@ class ProductEnhancer {
           }
           
           if (response.success) {
-            resolve(response.data);
+            // Stale cache data is shown now, the refreshed data follows in a productDataUpdated message
+            resolve(response.stale ? { ...response.data, stale: true, staleFields: response.staleFields || [] } : response.data);
           } else {
             reject(new Error(response.error || 'Unknown error'));
           }
@@ -471,6 +501,10 @@ class ProductEnhancer {
           }
           
           this.updateProductInfo(productElement, data);
+          
+          if (this.settings.showOffers) {
+            this.requestOfferListing(asin, productUrl, productElement);
+          }
         })
         .catch(error => {
           console.error(`Error fetching product data for ASIN: ${asin}:`, error);
@@ -496,6 +530,27 @@ class ProductEnhancer {
     }
   }
   
+  // Request every seller offer of a product and add the summary below its data
+  requestOfferListing(asin, productUrl, productElement) {
+    chrome.runtime.sendMessage({
+      type: 'fetchOfferListing',
+      asin: asin,
+      url: productUrl
+    }, response => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        // Offers are extra information, the product data is already shown
+        console.warn(`Could not fetch offers for ASIN: ${asin}`, response ? response.error : chrome.runtime.lastError);
+        return;
+      }
+      
+      const container = productElement.querySelector('.amz-enhancer-container');
+      const dataContainer = container ? container.querySelector('.amz-enhancer-data') : null;
+      if (dataContainer && this.uiRenderer) {
+        this.uiRenderer.renderOfferSummary(dataContainer, response.data);
+      }
+    });
+  }
+  
   // Update product information with data from background script
   updateProductInfo(productElement, productData) {
     const container = productElement.querySelector('.amz-enhancer-container');
@@ -506,8 +561,112 @@ class ProductEnhancer {
       this.uiRenderer = new UIRenderer(this.settings);
     }
     
-    // Render all product information
-    this.uiRenderer.renderProductInfo(container, productData);
+    // Detail page badges carry category and keyword, card badges fill the gaps
+    const cardData = this.cardData.get(productElement.dataset.enhancerAsin) || { badges: [] };
+    const badges = this.mergeBadges(cardData.badges, productData.badges || []);
+    this.storeProductBadges(productElement, badges);
+    
+    // Render all product information, with card-only fields such as delivery
+    this.uiRenderer.renderProductInfo(container, { ...this.mergeCardData(cardData, productData), badges: badges });
+  }
+  
+  // Replace data shown from a stale cache entry with the refreshed data
+  handleProductDataUpdated(message) {
+    const productElements = document.querySelectorAll(`[data-enhancer-asin="${message.asin}"]`);
+    
+    productElements.forEach(productElement => {
+      if (message.success) {
+        this.updateProductInfo(productElement, message.data);
+        return;
+      }
+      
+      // Keep showing the stale data, the user can still retry by reloading
+      const container = productElement.querySelector('.amz-enhancer-container');
+      if (container && this.uiRenderer) {
+        this.uiRenderer.showRefreshFailed(container);
+      }
+    });
+  }
+  
+  // Parse the rating, sales badge, sponsored flag, coupon, delivery and badges of a search card
+  extractCardData(productElement) {
+    if (typeof AmazonParser === 'undefined') return { badges: [] };
+    
+    try {
+      if (!this.cardParser) {
+        this.cardParser = new AmazonParser();
+      }
+      return this.cardParser.parseSearchCard(productElement, window.location.hostname);
+    } catch (error) {
+      console.error('Error extracting card data:', error);
+      return { badges: [] };
+    }
+  }
+  
+  // Fill fields the detail page did not provide with card data
+  mergeCardData(cardData, productData) {
+    const merged = { ...productData };
+    
+    Object.keys(cardData).forEach(key => {
+      if (merged[key] === undefined || merged[key] === null) {
+        merged[key] = cardData[key];
+      }
+    });
+    
+    return merged;
+  }
+  
+  // Merge card badges into detail page badges, one badge per type
+  mergeBadges(cardBadges, detailBadges) {
+    const badges = [...detailBadges];
+    
+    cardBadges.forEach(badge => {
+      if (!badges.some(existing => existing.type === badge.type)) {
+        badges.push(badge);
+      }
+    });
+    
+    return badges;
+  }
+  
+  // Remember the badge types on the element and apply the active filter
+  storeProductBadges(productElement, badges) {
+    productElement.dataset.enhancerBadges = badges.map(badge => badge.type).join(' ');
+    this.applyBadgeFilterTo(productElement);
+  }
+  
+  // Insert the badge filter bar above the search results
+  setupBadgeFilter() {
+    if (document.querySelector('.amz-enhancer-badge-filter')) return;
+    
+    const results = document.querySelector('[data-component-type="s-search-results"]') ||
+                    document.querySelector('.s-result-list') ||
+                    document.querySelector('.s-search-results');
+    if (!results || !results.parentNode) return;
+    
+    if (!this.uiRenderer) {
+      this.uiRenderer = new UIRenderer(this.settings);
+    }
+    
+    const filterBar = this.uiRenderer.createBadgeFilter(badgeType => {
+      this.badgeFilter = badgeType;
+      this.applyBadgeFilter();
+    });
+    results.parentNode.insertBefore(filterBar, results);
+  }
+  
+  // Show only products that carry the selected badge
+  applyBadgeFilter() {
+    document.querySelectorAll('[data-enhancer-processed="true"]').forEach(productElement => {
+      this.applyBadgeFilterTo(productElement);
+    });
+  }
+  
+  // Apply the badge filter to a single product element
+  applyBadgeFilterTo(productElement) {
+    const badgeTypes = (productElement.dataset.enhancerBadges || '').split(' ');
+    const hidden = this.badgeFilter !== null && !badgeTypes.includes(this.badgeFilter);
+    productElement.classList.toggle('amz-enhancer-badge-filtered', hidden);
   }
   
   // Handle errors in product data retrieval
@@ -675,7 +834,8 @@ class ProductEnhancer {
         // Force refresh by clearing cache for this ASIN
         chrome.runtime.sendMessage({
           type: 'clearCacheForAsin',
-          asin: asin
+          asin: asin,
+          marketplace: window.location.hostname
         }, () => {
           // After cache is cleared, retry the request
           retryCallback();
@@ -1293,6 +1453,13 @@ window.addEventListener('beforeunload', () => {
   }
 });
 
+// Refreshed data for products shown from a stale cache entry
+chrome.runtime.onMessage.addListener((message) => {
+  if (message && message.type === 'productDataUpdated' && window.amazonProductEnhancer) {
+    window.amazonProductEnhancer.handleProductDataUpdated(message);
+  }
+});
+
 // Listen for history state changes (for single-page applications)
 window.addEventListener('popstate', () => {
   console.log('History state changed, checking if reinitialize is needed');
@@ -212,6 +212,8 @@ class ErrorHandler {
         return '未知品牌';
       case 'salesData':
         return { boughtInPastMonth: 0, totalVariants: 1 };
+      case 'reviews':
+        return null;
       case 'variants':
         return [];
       default:
@@ -0,0 +1,370 @@
+/**
+ * Extraction Rule Registry for Amazon Product Enhancer
+ *
+ * The selectors and patterns AmazonParser uses to find BSR, brand and sales
+ * data are declared as a rule pack instead of being hard-coded, so a layout
+ * change can be fixed by loading an updated pack from the popup.
+ *
+ * A rule pack is plain JSON:
+ *
+ *   {
+ *     "version": 2,
+ *     "fields": {
+ *       "brand": {
+ *         "amazon.de": [ ...rules tried first on amazon.de... ],
+ *         "default": [ ...rules tried on every marketplace... ]
+ *       }
+ *     }
+ *   }
+ *
+ * Each rule has a type:
+ * - "selector": text of the first element matching "selector", or the value
+ *   of "attribute" when given
+ * - "detailRow": product information rows / detail bullets whose text matches
+ *   the "label" pattern
+ * - "bodyText": the page text, or the part matching "pattern" ("group"
+ *   selects a capture group)
+ *
+ * Any rule can post-process its value with "postProcess" steps
+ * ({ "replace", "with" } or { "match", "group" }, both with optional "flags")
+ * and reject values longer than "maxLength". An optional "confidence" (0-1)
+ * overrides the default confidence the parser records for values the rule
+ * matches. Fields a loaded pack does not define keep the built-in rules.
+ */
+
+class ExtractionRuleRegistry {
+  /**
+   * Create a new registry
+   * @param {Object} rulePack - Rule pack to use, null for the built-in rules
+   */
+  constructor(rulePack = null) {
+    const defaults = ExtractionRuleRegistry.defaultRulePack;
+    
+    this.rulePack = rulePack ? {
+      version: rulePack.version,
+      fields: { ...defaults.fields, ...rulePack.fields }
+    } : defaults;
+    this.isCustom = Boolean(rulePack);
+    this.id = rulePack ? ExtractionRuleRegistry.getRulePackId(rulePack) : null;
+    this.regExpCache = new Map();
+  }
+  
+  /**
+   * Get the version of the active rule pack
+   * @returns {number|string} The rule pack version
+   */
+  getVersion() {
+    return this.rulePack.version;
+  }
+  
+  /**
+   * Get the id of the loaded rule pack, which changes whenever its rules do
+   * @returns {string|null} The rule pack id, null for the built-in rules
+   */
+  getId() {
+    return this.id;
+  }
+  
+  /**
+   * Get the ordered rules for a field, marketplace overrides first
+   * @param {string} field - Field name, e.g. "bsr"
+   * @param {string} marketplace - Hostname of the marketplace, e.g. "www.amazon.de"
+   * @returns {Array} Rules to try in order
+   */
+  getRules(field, marketplace = null) {
+    const fieldRules = this.rulePack.fields[field];
+    if (!fieldRules) return [];
+    
+    const marketplaceKey = ExtractionRuleRegistry.getMarketplaceKey(marketplace);
+    const overrides = marketplaceKey && fieldRules[marketplaceKey] ? fieldRules[marketplaceKey] : [];
+    
+    return [...overrides, ...(fieldRules.default || [])];
+  }
+  
+  /**
+   * Apply a rule's post-processing steps to an extracted value
+   * @param {string} value - Raw extracted value
+   * @param {Object} rule - The rule that produced the value
+   * @returns {string|null} Processed value, or null if the rule rejects it
+   */
+  applyPostProcess(value, rule) {
+    if (typeof value !== 'string') return null;
+    
+    let result = value.trim();
+    
+    for (const step of rule.postProcess || []) {
+      if (step.replace !== undefined) {
+        result = result.replace(this.getRegExp(step.replace, step.flags), step.with || '').trim();
+      } else if (step.match !== undefined) {
+        const match = result.match(this.getRegExp(step.match, step.flags));
+        if (!match) return null;
+        result = (match[step.group || 0] || '').trim();
+      }
+    }
+    
+    if (!result || (rule.maxLength && result.length > rule.maxLength)) {
+      return null;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Get a compiled regular expression, cached by source and flags
+   * @param {string} source - Pattern source
+   * @param {string} flags - Pattern flags
+   * @returns {RegExp} The compiled pattern
+   */
+  getRegExp(source, flags = '') {
+    const key = `${flags}/${source}`;
+    if (!this.regExpCache.has(key)) {
+      this.regExpCache.set(key, new RegExp(source, flags || ''));
+    }
+    return this.regExpCache.get(key);
+  }
+  
+  /**
+   * Normalize a marketplace hostname to a rule pack key
+   * @param {string} marketplace - Hostname, e.g. "www.amazon.de"
+   * @returns {string|null} Key, e.g. "amazon.de"
+   */
+  static getMarketplaceKey(marketplace) {
+    return marketplace ? marketplace.toLowerCase().replace(/^www\./, '') : null;
+  }
+  
+  /**
+   * Build the id of a rule pack from its version and a hash of its content.
+   * Edited packs often keep their version, so the version alone is not enough.
+   * @param {Object} rulePack - Rule pack
+   * @returns {string} Id such as "2026.10.1-1k3x9qz"
+   */
+  static getRulePackId(rulePack) {
+    const json = JSON.stringify(rulePack);
+    
+    // 32-bit FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+      hash ^= json.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    
+    return `${rulePack.version}-${hash.toString(36)}`;
+  }
+  
+  /**
+   * Check a rule pack for structural errors
+   * @param {Object} rulePack - Rule pack to check
+   * @returns {Array} Error messages, empty when the pack is valid
+   */
+  static validate(rulePack) {
+    const errors = [];
+    
+    if (!rulePack || typeof rulePack !== 'object' || Array.isArray(rulePack)) {
+      return ['Rule pack must be a JSON object'];
+    }
+    
+    if (typeof rulePack.version !== 'number' && typeof rulePack.version !== 'string') {
+      errors.push('Rule pack must have a version number');
+    }
+    
+    if (!rulePack.fields || typeof rulePack.fields !== 'object' || Array.isArray(rulePack.fields)) {
+      errors.push('Rule pack must have a "fields" object');
+      return errors;
+    }
+    
+    const checkPattern = (source, flags, path) => {
+      try {
+        new RegExp(source, flags || '');
+      } catch (error) {
+        errors.push(`${path}: invalid pattern (${error.message})`);
+      }
+    };
+    
+    Object.keys(rulePack.fields).forEach(field => {
+      const fieldRules = rulePack.fields[field];
+      if (!fieldRules || typeof fieldRules !== 'object' || Array.isArray(fieldRules)) {
+        errors.push(`${field}: rules must be grouped by marketplace`);
+        return;
+      }
+      
+      Object.keys(fieldRules).forEach(marketplace => {
+        const rules = fieldRules[marketplace];
+        if (!Array.isArray(rules)) {
+          errors.push(`${field}.${marketplace}: rules must be an array`);
+          return;
+        }
+        
+        rules.forEach((rule, index) => {
+          const path = `${field}.${marketplace}[${index}]`;
+          
+          if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            errors.push(`${path}: rule must be an object`);
+            return;
+          }
+          
+          if (rule.type === 'selector') {
+            if (typeof rule.selector !== 'string' || !rule.selector) {
+              errors.push(`${path}: selector rule needs a "selector"`);
+            }
+          } else if (rule.type === 'detailRow') {
+            if (typeof rule.label !== 'string' || !rule.label) {
+              errors.push(`${path}: detailRow rule needs a "label"`);
+            } else {
+              checkPattern(rule.label, 'i', path);
+            }
+          } else if (rule.type === 'bodyText') {
+            if (rule.pattern !== undefined && typeof rule.pattern !== 'string') {
+              errors.push(`${path}: "pattern" must be a string`);
+            } else if (rule.pattern !== undefined) {
+              checkPattern(rule.pattern, rule.flags, path);
+            }
+          } else {
+            errors.push(`${path}: unknown rule type "${rule.type}"`);
+          }
+          
+          if (rule.confidence !== undefined &&
+              (typeof rule.confidence !== 'number' || rule.confidence < 0 || rule.confidence > 1)) {
+            errors.push(`${path}: confidence must be a number between 0 and 1`);
+          }
+          
+          if (rule.postProcess !== undefined && !Array.isArray(rule.postProcess)) {
+            errors.push(`${path}: "postProcess" must be an array`);
+            return;
+          }
+          
+          (rule.postProcess || []).forEach((step, stepIndex) => {
+            if (!step || typeof step !== 'object') {
+              errors.push(`${path}.postProcess[${stepIndex}]: step must be an object`);
+              return;
+            }
+            
+            const source = step.replace !== undefined ? step.replace : step.match;
+            if (typeof source !== 'string') {
+              errors.push(`${path}.postProcess[${stepIndex}]: step needs "replace" or "match"`);
+            } else {
+              checkPattern(source, step.flags, `${path}.postProcess[${stepIndex}]`);
+            }
+          });
+        });
+      });
+    });
+    
+    return errors;
+  }
+}
+
+// Built-in rule pack
+ExtractionRuleRegistry.defaultRulePack = {
+  version: 1,
+  fields: {
+    bsr: {
+      default: [
+        { type: 'selector', selector: '#productDetails_detailBullets_sections1 th:contains("Best Sellers Rank") + td' },
+        { type: 'selector', selector: '#detailBulletsWrapper_feature_div li:contains("Best Sellers Rank")' },
+        { type: 'selector', selector: '#detailBullets_feature_div li:contains("Best Sellers Rank")' },
+        { type: 'selector', selector: '#SalesRank' },
+        { type: 'selector', selector: '.prodDetSectionEntry:contains("Best Sellers Rank")' },
+        { type: 'selector', selector: '#productDetails tr:contains("Best Sellers Rank") td' },
+        { type: 'selector', selector: '.detail-bullet:contains("Best Sellers Rank")' },
+        { type: 'selector', selector: '#productDetails_db_sections tr:contains("Amazon Best Sellers Rank") td' },
+        { type: 'selector', selector: '.a-section:contains("Best Sellers Rank")' },
+        { type: 'selector', selector: '#productDetails_feature_div table tr:contains("Best Sellers Rank")' },
+        { type: 'selector', selector: '#detailBullets_feature_div .a-list-item:contains("Best Sellers Rank")' },
+        { type: 'selector', selector: '#productDetails_db_sections .a-section:contains("Best Sellers Rank")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("Clasificación en los más vendidos de Amazon")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("Classement des meilleures ventes d\'Amazon")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("Amazon Bestseller-Rang")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("Posizione nella classifica Bestseller di Amazon")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("Место в рейтинге бестселлеров Amazon")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("Amazon 売れ筋ランキング")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("亚马逊热销商品排名")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("Plaats in Amazon Bestsellers")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("Rangordning för bästsäljare")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("Ranking najlepiej sprzedających się")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("En Çok Satanlar Sıralaması")' },
+        { type: 'selector', selector: '[data-feature-name="detailBullets"] li:contains("تصنيف الأكثر مبيعاً")' },
+        {
+          type: 'detailRow',
+          label: 'Best Sellers Rank|Amazon Bestseller-Rang|Classement des meilleures ventes|Posizione nella classifica Bestseller|Clasificación en los más vendidos|Ranking dos mais vendidos|Plaats in (?:Amazon )?Bestsellers|Plaats in bestsellerlijst|Rangordning för bästsäljare|Ranking najlepiej sprzedających się|Çok Satanlar Sıralaması|تصنيف الأكثر مبيع(?:اً|ا)|Amazon 売れ筋ランキング|亚马逊热销商品排名'
+        },
+        { type: 'bodyText', pattern: 'Best Sellers Rank[:\\s]+(#[0-9,]+)\\s+in\\s+([^(#)]+)', flags: 'i' },
+        { type: 'bodyText', pattern: 'Amazon Best Sellers Rank[:\\s]+(#[0-9,]+)\\s+in\\s+([^(#)]+)', flags: 'i' },
+        { type: 'bodyText', pattern: 'Clasificación en los más vendidos de Amazon[:\\s]+(n.°[0-9,]+)\\s+en\\s+([^(#)]+)', flags: 'i' },
+        { type: 'bodyText', pattern: 'Classement des meilleures ventes d\'Amazon[:\\s]+(n°[0-9,]+)\\s+en\\s+([^(#)]+)', flags: 'i' },
+        { type: 'bodyText', pattern: 'Amazon Bestseller-Rang[:\\s]+(Nr\\.\\s*[0-9,]+)\\s+in\\s+([^(#)]+)', flags: 'i' },
+        { type: 'bodyText', pattern: 'Posizione nella classifica Bestseller di Amazon[:\\s]+(n\\.\\s*[0-9,]+)\\s+in\\s+([^(#)]+)', flags: 'i' },
+        { type: 'bodyText', pattern: '亚马逊热销商品排名[:\\s]+([0-9,]+)\\s+名[在之]?\\s*([^(#)]+)', flags: 'i' },
+        { type: 'bodyText', pattern: 'Amazon 売れ筋ランキング[:\\s]+([0-9,]+)位([^(#)]+)', flags: 'i' }
+      ]
+    },
+    brand: {
+      default: [
+        ...[
+          '#bylineInfo',
+          '#bylineInfo_feature_div a',
+          '.po-brand .a-span9',
+          '#brand',
+          '#product-byline a',
+          '.a-section.a-spacing-none:contains("Brand") .a-span9',
+          'a#bylineInfo[href*="brandtextbin"]',
+          '.a-box-group .a-box:contains("Brand") .a-size-base',
+          'tr:contains("Brand") td.a-span9',
+          'tr.a-spacing-small:contains("Brand") td.a-span9',
+          '.product-facts-detail:contains("Brand") span',
+          '#productOverview_feature_div table tr:contains("Brand") td.a-span9',
+          '#productDetails_techSpec_section_1 tr:contains("Brand") td.a-span9',
+          '#detailBullets_feature_div li:contains("Brand")',
+          '.a-row:contains("Brand") .a-span9',
+          '#detailBullets_feature_div li:contains("Marca")',
+          '#detailBullets_feature_div li:contains("Marque")',
+          '#detailBullets_feature_div li:contains("Marke")',
+          '#detailBullets_feature_div li:contains("品牌")',
+          '#detailBullets_feature_div li:contains("ブランド")'
+        ].map(selector => ({
+          type: 'selector',
+          selector: selector,
+          postProcess: [
+            { replace: '^Visit the |^Brand: |^by |^from |^Marca: |^Marque: |^Marke: |^品牌: |^ブランド: ', flags: 'i', with: '' }
+          ],
+          // Longer texts are descriptions rather than brand names
+          maxLength: 50
+        })),
+        { type: 'selector', selector: 'meta[name="brand"]', attribute: 'content' },
+        { type: 'selector', selector: 'meta[property="og:brand"]', attribute: 'content' },
+        { type: 'selector', selector: 'meta[name="product:brand"]', attribute: 'content' },
+        { type: 'selector', selector: 'meta[property="product:brand"]', attribute: 'content' }
+      ]
+    },
+    salesData: {
+      default: [
+        ...[
+          '.social-proofing-faceout-title',
+          '.a-size-base',
+          '.a-box-inner',
+          '.a-section',
+          '.a-row',
+          '.a-box',
+          '.a-spacing-base',
+          '.a-spacing-small'
+        ].map(selector => ({ type: 'selector', selector: `${selector}:contains("bought in past month")` })),
+        { type: 'selector', selector: '.a-size-base:contains("comprado en el mes pasado")' },
+        { type: 'selector', selector: '.a-size-base:contains("achetés au cours du mois dernier")' },
+        { type: 'selector', selector: '.a-size-base:contains("im letzten Monat gekauft")' },
+        { type: 'selector', selector: '.a-size-base:contains("acquistato nel mese precedente")' },
+        { type: 'selector', selector: '.a-size-base:contains("gekocht in de afgelopen maand")' },
+        { type: 'selector', selector: '.a-size-base:contains("förra månaden")' },
+        { type: 'selector', selector: '.a-size-base:contains("w zeszłym miesiącu")' },
+        { type: 'selector', selector: '.a-size-base:contains("satın alındı")' },
+        { type: 'selector', selector: '.a-size-base:contains("في الشهر الماضي")' },
+        { type: 'selector', selector: '.a-size-base:contains("上个月购买")' },
+        { type: 'selector', selector: '.a-size-base:contains("先月に購入")' },
+        { type: 'bodyText' }
+      ]
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = { ExtractionRuleRegistry };
+}
@@ -0,0 +1,398 @@
+/**
+ * Product History Store for Amazon Product Enhancer
+ *
+ * The cache only keeps the latest data of a product. This module keeps the
+ * trend: every fresh parse appends a compact snapshot to the time series of
+ * the ASIN on its marketplace.
+ * - One record per series in its own IndexedDB database (see cache-database.js)
+ * - Points hold BSR per category node, price, sales badge, rating count and availability
+ * - Older points are downsampled to one per hour, then one per day
+ * - Points and series older than the retention window are dropped
+ *
+ * Series look like:
+ * { key, asin, marketplace, currency, nodes, mainNode, updated, points }
+ * where nodes maps the BSR keys used in points (see AmazonParser.getBSRKey)
+ * to their category names.
+ */
+
+class HistoryStore {
+  /**
+   * @param {Object} options - database to store series in, settings to override
+   */
+  constructor(options = {}) {
+    this.defaultSettings = {
+      historyRetentionDays: 180, // points and series older than this are dropped
+      // Points older than afterHours are reduced to one per intervalHours
+      downsampling: [
+        { afterHours: 48, intervalHours: 1 },
+        { afterHours: 24 * 30, intervalHours: 24 }
+      ],
+      purgeIntervalHours: 24 // how often series that stopped updating are looked for
+    };
+    
+    this.settings = { ...this.defaultSettings, ...(options.settings || {}) };
+    this.lastPurge = 0;
+    
+    // Loaded with importScripts in the background, required in Node
+    const databaseClass = typeof CacheDatabase !== 'undefined' ?
+      CacheDatabase :
+      require('./cache-database.js').CacheDatabase;
+    this.database = options.database || new databaseClass({
+      name: HistoryStore.databaseName,
+      storeName: HistoryStore.storeName,
+      indexes: HistoryStore.indexes
+    });
+    
+    // Load settings
+    this.loadSettings();
+  }
+  
+  /**
+   * Load the retention window from storage
+   */
+  async loadSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(['historyRetentionDays'], (result) => {
+        this.settings = { ...this.settings, ...result };
+        resolve(this.settings);
+      });
+    });
+  }
+  
+  /**
+   * Update history settings, the settings page stores them
+   * @param {Object} newSettings - New settings to apply
+   */
+  updateSettings(newSettings) {
+    this.settings = { ...this.settings, ...newSettings };
+    return this.settings;
+  }
+  
+  /**
+   * Append a snapshot of freshly parsed product data to its series
+   * @param {Object} productData - Parse result of a product page
+   * @param {string} marketplace - Hostname of the marketplace, e.g. "www.amazon.de"
+   * @param {number} timestamp - Time of the fetch
+   * @returns {Promise<Object|null>} - The stored point, or null if there was nothing to record
+   */
+  async addSnapshot(productData, marketplace, timestamp = Date.now()) {
+    if (!productData || productData.parsingError || !productData.asin) {
+      return null;
+    }
+    
+    const point = HistoryStore.createPoint(productData, timestamp);
+    if (Object.keys(point).length === 1) {
+      return null;
+    }
+    
+    const asin = productData.asin;
+    const domain = this.getMarketplaceDomain(marketplace);
+    
+    await this.database.update(this.getSeriesKey(asin, marketplace), existing => {
+      const series = existing || {
+        key: this.getSeriesKey(asin, marketplace),
+        asin: asin,
+        marketplace: domain,
+        currency: null,
+        nodes: {},
+        mainNode: null,
+        updated: 0,
+        points: []
+      };
+      
+      const bsr = Array.isArray(productData.bsr) ? productData.bsr : [];
+      bsr.forEach(entry => {
+        series.nodes[HistoryStore.getNodeKey(entry)] = entry.category || null;
+      });
+      if (bsr.length > 0) {
+        series.mainNode = HistoryStore.getNodeKey(bsr[0]);
+      }
+      
+      const currency = HistoryStore.getCurrency(productData);
+      if (currency) {
+        series.currency = currency;
+      }
+      
+      // Fetches can finish out of order
+      let index = series.points.length;
+      while (index > 0 && series.points[index - 1].timestamp > timestamp) {
+        index--;
+      }
+      series.points.splice(index, 0, point);
+      
+      series.points = this.downsample(series.points, Math.max(timestamp, series.updated));
+      series.updated = Math.max(timestamp, series.updated);
+      return series;
+    });
+    
+    if (timestamp - this.lastPurge >= this.settings.purgeIntervalHours * 60 * 60 * 1000) {
+      this.lastPurge = timestamp;
+      await this.purgeExpired(timestamp);
+    }
+    
+    return point;
+  }
+  
+  /**
+   * Drop points outside the retention window and thin out older points
+   *
+   * Within each downsampling interval only the last point is kept, so a
+   * downsampled point is still a real snapshot, availability included.
+   *
+   * @param {Array} points - Points sorted by timestamp
+   * @param {number} now - Reference time
+   * @returns {Array} - Remaining points
+   */
+  downsample(points, now = Date.now()) {
+    const hourMs = 60 * 60 * 1000;
+    const cutoff = now - this.settings.historyRetentionDays * 24 * hourMs;
+    const tiers = [...this.settings.downsampling].sort((a, b) => b.afterHours - a.afterHours);
+    const kept = [];
+    let lastBucket = null;
+    
+    points.forEach(point => {
+      if (point.timestamp < cutoff) {
+        return;
+      }
+      
+      const age = now - point.timestamp;
+      const tier = tiers.find(candidate => age >= candidate.afterHours * hourMs);
+      const bucket = tier ?
+        `${tier.intervalHours}:${Math.floor(point.timestamp / (tier.intervalHours * hourMs))}` :
+        null;
+      
+      if (bucket !== null && bucket === lastBucket) {
+        kept[kept.length - 1] = point;
+      } else {
+        kept.push(point);
+      }
+      lastBucket = bucket;
+    });
+    
+    return kept;
+  }
+  
+  /**
+   * Delete series that were not updated within the retention window
+   * @param {number} now - Reference time
+   * @returns {Promise<number>} - Number of series deleted
+   */
+  async purgeExpired(now = Date.now()) {
+    const cutoff = now - this.settings.historyRetentionDays * 24 * 60 * 60 * 1000;
+    
+    try {
+      const deletedKeys = await this.database.deleteBelow('updated', cutoff);
+      if (deletedKeys.length > 0) {
+        console.log(`Removed ${deletedKeys.length} product histories older than ${this.settings.historyRetentionDays} days`);
+      }
+      return deletedKeys.length;
+    } catch (error) {
+      console.error('Error purging product history:', error);
+      return 0;
+    }
+  }
+  
+  /**
+   * Get the series of an ASIN on a marketplace
+   * @param {string} asin - Amazon Standard Identification Number
+   * @param {string} marketplace - Hostname of the marketplace
+   * @param {Object} range - Optional from and to timestamps, inclusive
+   * @returns {Promise<Object|null>} - The series with the points in range, or null if there is no history
+   */
+  async getSeries(asin, marketplace, range = {}) {
+    const series = await this.database.get(this.getSeriesKey(asin, marketplace));
+    if (!series) {
+      return null;
+    }
+    
+    const from = typeof range.from === 'number' ? range.from : -Infinity;
+    const to = typeof range.to === 'number' ? range.to : Infinity;
+    
+    return {
+      ...series,
+      points: series.points.filter(point => point.timestamp >= from && point.timestamp <= to)
+    };
+  }
+  
+  /**
+   * Get the values of one metric over time, e.g. for a chart
+   * @param {string} asin - Amazon Standard Identification Number
+   * @param {string} marketplace - Hostname of the marketplace
+   * @param {string} metric - One of HistoryStore.metrics, "bsr" is the rank in range.node or the main category
+   * @param {Object} range - Optional from and to timestamps, and node for "bsr"
+   * @returns {Promise<Array>} - [{ timestamp, value }] for the points that have the metric
+   */
+  async getMetric(asin, marketplace, metric, range = {}) {
+    if (HistoryStore.metrics.indexOf(metric) === -1) {
+      throw new Error(`Unknown history metric: ${metric}`);
+    }
+    
+    const series = await this.getSeries(asin, marketplace, range);
+    if (!series) {
+      return [];
+    }
+    
+    const node = range.node || series.mainNode;
+    
+    return series.points
+      .map(point => ({
+        timestamp: point.timestamp,
+        value: metric === 'bsr' ? (point.bsr ? point.bsr[node] : undefined) : point[metric]
+      }))
+      .filter(entry => entry.value !== undefined && entry.value !== null);
+  }
+  
+  /**
+   * Compare the first and last value of a metric in a range, e.g. for alerts
+   * @param {string} asin - Amazon Standard Identification Number
+   * @param {string} marketplace - Hostname of the marketplace
+   * @param {string} metric - One of HistoryStore.metrics
+   * @param {Object} range - Optional from and to timestamps, and node for "bsr"
+   * @returns {Promise<Object|null>} - { first, last, change, percentChange }, null with fewer than two values
+   */
+  async getChange(asin, marketplace, metric, range = {}) {
+    const values = await this.getMetric(asin, marketplace, metric, range);
+    if (values.length < 2) {
+      return null;
+    }
+    
+    const first = values[0];
+    const last = values[values.length - 1];
+    
+    // Availability has no numeric change
+    if (typeof first.value !== 'number') {
+      return { first: first, last: last, change: null, percentChange: null };
+    }
+    
+    return {
+      first: first,
+      last: last,
+      change: last.value - first.value,
+      percentChange: first.value !== 0 ? (last.value - first.value) / first.value * 100 : null
+    };
+  }
+  
+  /**
+   * Delete the history of an ASIN on a marketplace
+   * @param {string} asin - Amazon Standard Identification Number
+   * @param {string} marketplace - Hostname of the marketplace
+   */
+  async deleteSeries(asin, marketplace) {
+    await this.database.delete([this.getSeriesKey(asin, marketplace)]);
+  }
+  
+  /**
+   * Delete all product history
+   */
+  async clear() {
+    await this.database.clear();
+  }
+  
+  /**
+   * Generate the key of a series
+   * @param {string} asin - Amazon Standard Identification Number
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {string} - Series key, e.g. "amazon.de_B07PXGQC1Q"
+   */
+  getSeriesKey(asin, marketplace) {
+    return `${this.getMarketplaceDomain(marketplace)}_${asin}`;
+  }
+  
+  /**
+   * Reduce a marketplace hostname to the domain used in series keys
+   * @param {string} marketplace - Hostname, e.g. "www.amazon.de"
+   * @returns {string} - Domain such as "amazon.de", "amazon.com" when unknown
+   */
+  getMarketplaceDomain(marketplace) {
+    // Loaded with importScripts in the background, required in Node
+    const localeClass = typeof MarketplaceLocale !== 'undefined' ?
+      MarketplaceLocale :
+      require('./marketplace-locale.js').MarketplaceLocale;
+    return localeClass.getDomain(marketplace) || 'amazon.com';
+  }
+  
+  /**
+   * Build the compact point stored for a parse result
+   *
+   * Placeholders from graceful degradation (productData.degradedFields), such
+   * as a sales count of 0, are left out like missing values.
+   *
+   * @param {Object} productData - Parse result of a product page
+   * @param {number} timestamp - Time of the fetch
+   * @returns {Object} - { timestamp, bsr, price, sales, ratingCount, availability }, without missing values
+   */
+  static createPoint(productData, timestamp) {
+    const point = { timestamp: timestamp };
+    const degradedFields = productData.degradedFields || [];
+    const field = name => degradedFields.indexOf(name) === -1 ? productData[name] : null;
+    
+    const bsr = field('bsr');
+    if (Array.isArray(bsr) && bsr.length > 0) {
+      point.bsr = {};
+      bsr.forEach(entry => {
+        if (typeof entry.rank === 'number') {
+          point.bsr[HistoryStore.getNodeKey(entry)] = entry.rank;
+        }
+      });
+    }
+    
+    const pricing = field('pricing');
+    const price = pricing && pricing.price;
+    if (price && typeof price.amount === 'number') {
+      point.price = price.amount;
+    }
+    
+    const salesData = field('salesData');
+    if (salesData && typeof salesData.boughtInPastMonth === 'number') {
+      point.sales = salesData.boughtInPastMonth;
+    }
+    
+    const reviews = field('reviews');
+    if (reviews && typeof reviews.totalRatings === 'number') {
+      point.ratingCount = reviews.totalRatings;
+    }
+    
+    const availability = field('availability');
+    if (availability && availability.status) {
+      point.availability = availability.status;
+    }
+    
+    return point;
+  }
+  
+  /**
+   * Key of a BSR entry in points, the parser's stable BSR key
+   * @param {Object} entry - BSR entry from the parser
+   * @returns {string} - Node id, else "slug:..." or "name:..."
+   */
+  static getNodeKey(entry) {
+    // Loaded with importScripts in the background, required in Node
+    const parserClass = typeof AmazonParser !== 'undefined' ?
+      AmazonParser :
+      require('./parser.js').AmazonParser;
+    return String(parserClass.getBSRKey(entry));
+  }
+  
+  /**
+   * Currency of the parsed price
+   * @param {Object} productData - Parse result of a product page
+   * @returns {string|null}
+   */
+  static getCurrency(productData) {
+    const pricing = productData.pricing;
+    if (!pricing) {
+      return null;
+    }
+    
+    return (pricing.price && pricing.price.currency) || pricing.currency || null;
+  }
+}
+
+HistoryStore.databaseName = 'amazonProductEnhancerHistory';
+HistoryStore.storeName = 'series';
+HistoryStore.indexes = ['asin', 'marketplace', 'updated'];
+HistoryStore.metrics = ['bsr', 'price', 'sales', 'ratingCount', 'availability'];
+
+if (typeof module !== 'undefined') {
+  module.exports = { HistoryStore };
+}
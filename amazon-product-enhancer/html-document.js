@@ -0,0 +1,956 @@
+/**
+ * Lightweight HTML Document for Amazon Product Enhancer
+ *
+ * This module provides a DOM-free HTML backend for AmazonParser:
+ * - A forgiving HTML tokenizer and tree builder
+ * - A small Element/Document API (querySelector, textContent, getAttribute, ...)
+ * - A CSS selector engine covering the selectors used by the parser
+ *
+ * It has no dependencies, so the same parser runs in Node, in Web Workers and
+ * in the MV3 service worker where DOMParser is not available.
+ */
+
+// Elements that never have children
+const HTML_VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is raw text up to the matching end tag
+const HTML_RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript']);
+
+// Open elements that are implicitly closed when one of these tags starts
+const HTML_IMPLIED_END_TAGS = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  option: ['option'],
+  optgroup: ['option', 'optgroup'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  thead: ['tbody', 'tfoot', 'tr', 'td', 'th'],
+  tbody: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+  tfoot: ['thead', 'tbody', 'tr', 'td', 'th'],
+  p: ['p'],
+  div: ['p'],
+  ul: ['p'],
+  ol: ['p'],
+  table: ['p'],
+  h1: ['p'], h2: ['p'], h3: ['p'], h4: ['p'], h5: ['p'], h6: ['p']
+};
+
+// Elements that stop the search for an implicitly closed element
+const HTML_SCOPE_BOUNDARIES = new Set(['table', 'ul', 'ol', 'dl', 'select', 'div', 'body', 'html']);
+
+// Named character references commonly found on Amazon pages. The Latin-1
+// characters are added below.
+const HTML_NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  lsaquo: '‹', rsaquo: '›', ndash: '–', mdash: '—', hellip: '…', bull: '•',
+  lrm: '\u200e', rlm: '\u200f', zwnj: '\u200c', zwj: '\u200d',
+  ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009',
+  euro: '€', trade: '™', permil: '‰', dagger: '†', Dagger: '‡', prime: '′', Prime: '″',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+  // Polish and Turkish letters of the EU marketplaces
+  Aogon: 'Ą', aogon: 'ą', Cacute: 'Ć', cacute: 'ć', Eogon: 'Ę', eogon: 'ę',
+  Lstrok: 'Ł', lstrok: 'ł', Nacute: 'Ń', nacute: 'ń', Sacute: 'Ś', sacute: 'ś',
+  Zacute: 'Ź', zacute: 'ź', Zdot: 'Ż', zdot: 'ż',
+  Gbreve: 'Ğ', gbreve: 'ğ', Idot: 'İ', imath: 'ı', Scedil: 'Ş', scedil: 'ş'
+};
+
+// Latin-1 characters U+00A0 to U+00FF, in code point order
+[
+  'nbsp', 'iexcl', 'cent', 'pound', 'curren', 'yen', 'brvbar', 'sect', 'uml', 'copy', 'ordf', 'laquo', 'not', 'shy', 'reg', 'macr',
+  'deg', 'plusmn', 'sup2', 'sup3', 'acute', 'micro', 'para', 'middot', 'cedil', 'sup1', 'ordm', 'raquo', 'frac14', 'frac12', 'frac34', 'iquest',
+  'Agrave', 'Aacute', 'Acirc', 'Atilde', 'Auml', 'Aring', 'AElig', 'Ccedil', 'Egrave', 'Eacute', 'Ecirc', 'Euml', 'Igrave', 'Iacute', 'Icirc', 'Iuml',
+  'ETH', 'Ntilde', 'Ograve', 'Oacute', 'Ocirc', 'Otilde', 'Ouml', 'times', 'Oslash', 'Ugrave', 'Uacute', 'Ucirc', 'Uuml', 'Yacute', 'THORN', 'szlig',
+  'agrave', 'aacute', 'acirc', 'atilde', 'auml', 'aring', 'aelig', 'ccedil', 'egrave', 'eacute', 'ecirc', 'euml', 'igrave', 'iacute', 'icirc', 'iuml',
+  'eth', 'ntilde', 'ograve', 'oacute', 'ocirc', 'otilde', 'ouml', 'divide', 'oslash', 'ugrave', 'uacute', 'ucirc', 'uuml', 'yacute', 'thorn', 'yuml'
+].forEach((name, index) => {
+  HTML_NAMED_ENTITIES[name] = String.fromCharCode(0xa0 + index);
+});
+
+/**
+ * Decode HTML character references in text
+ * @param {string} text - Raw text from the HTML source
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  if (!text || text.indexOf('&') === -1) {
+    return text;
+  }
+  
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z][a-zA-Z0-9]*);/g, (entity, ref) => {
+    if (ref[0] === '#') {
+      const codePoint = ref[1] === 'x' || ref[1] === 'X' ?
+        parseInt(ref.slice(2), 16) :
+        parseInt(ref.slice(1), 10);
+      
+      try {
+        return String.fromCodePoint(codePoint);
+      } catch (error) {
+        return entity;
+      }
+    }
+    
+    return Object.prototype.hasOwnProperty.call(HTML_NAMED_ENTITIES, ref) ? HTML_NAMED_ENTITIES[ref] : entity;
+  });
+}
+
+class HtmlTextNode {
+  /**
+   * Create a text node
+   * @param {string} text - Decoded text content
+   */
+  constructor(text) {
+    this.nodeType = 3;
+    this.nodeName = '#text';
+    this.data = text;
+    this.parentNode = null;
+  }
+  
+  get textContent() {
+    return this.data;
+  }
+}
+
+class HtmlElement {
+  /**
+   * Create an element
+   * @param {string} tagName - Lowercase tag name
+   * @param {Object} attributes - Attribute name/value map
+   */
+  constructor(tagName, attributes = {}) {
+    this.nodeType = 1;
+    this.localName = tagName;
+    this.attributes = attributes;
+    this.childNodes = [];
+    this.parentNode = null;
+  }
+  
+  get tagName() {
+    return this.localName.toUpperCase();
+  }
+  
+  get nodeName() {
+    return this.tagName;
+  }
+  
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+  
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+  
+  get classList() {
+    const classes = this.className.split(/\s+/).filter(Boolean);
+    return {
+      contains: (name) => classes.includes(name),
+      length: classes.length,
+      [Symbol.iterator]: () => classes[Symbol.iterator]()
+    };
+  }
+  
+  get parentElement() {
+    return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+  }
+  
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+  
+  get textContent() {
+    let text = '';
+    for (const node of this.childNodes) {
+      text += node.textContent;
+    }
+    return text;
+  }
+  
+  get src() {
+    return this.getAttribute('src') || '';
+  }
+  
+  get href() {
+    return this.getAttribute('href') || '';
+  }
+  
+  /**
+   * Get an attribute value
+   * @param {string} name - Attribute name
+   * @returns {string|null} Attribute value or null if not present
+   */
+  getAttribute(name) {
+    const key = name.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(this.attributes, key) ? this.attributes[key] : null;
+  }
+  
+  /**
+   * Check whether an attribute is present
+   * @param {string} name - Attribute name
+   * @returns {boolean} True if the attribute exists
+   */
+  hasAttribute(name) {
+    return this.getAttribute(name) !== null;
+  }
+  
+  /**
+   * Append a child node
+   * @param {HtmlElement|HtmlTextNode} node - The node to append
+   * @returns {HtmlElement|HtmlTextNode} The appended node
+   */
+  appendChild(node) {
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+  
+  /**
+   * Find the first descendant matching a selector
+   * @param {string} selector - CSS selector
+   * @returns {HtmlElement|null} The matching element or null
+   */
+  querySelector(selector) {
+    const compiled = HtmlSelector.compile(selector);
+    return this.findDescendant(element => compiled.matches(element));
+  }
+  
+  /**
+   * Find all descendants matching a selector, in document order
+   * @param {string} selector - CSS selector
+   * @returns {Array<HtmlElement>} Matching elements
+   */
+  querySelectorAll(selector) {
+    const compiled = HtmlSelector.compile(selector);
+    const results = [];
+    this.walkDescendants(element => {
+      if (compiled.matches(element)) {
+        results.push(element);
+      }
+    });
+    return results;
+  }
+  
+  /**
+   * Check whether this element matches a selector
+   * @param {string} selector - CSS selector
+   * @returns {boolean} True if the element matches
+   */
+  matches(selector) {
+    return HtmlSelector.compile(selector).matches(this);
+  }
+  
+  /**
+   * Find the closest ancestor (or self) matching a selector
+   * @param {string} selector - CSS selector
+   * @returns {HtmlElement|null} The matching element or null
+   */
+  closest(selector) {
+    const compiled = HtmlSelector.compile(selector);
+    let element = this;
+    while (element && element.nodeType === 1) {
+      if (compiled.matches(element)) {
+        return element;
+      }
+      element = element.parentNode;
+    }
+    return null;
+  }
+  
+  /**
+   * Find an element by ID among the descendants
+   * @param {string} id - Element ID
+   * @returns {HtmlElement|null} The matching element or null
+   */
+  getElementById(id) {
+    return this.findDescendant(element => element.getAttribute('id') === id);
+  }
+  
+  /**
+   * Visit every descendant element in document order
+   * @param {Function} visitor - Called with each element
+   */
+  walkDescendants(visitor) {
+    const stack = this.children.reverse();
+    while (stack.length > 0) {
+      const element = stack.pop();
+      visitor(element);
+      const children = element.children;
+      for (let i = children.length - 1; i >= 0; i--) {
+        stack.push(children[i]);
+      }
+    }
+  }
+  
+  /**
+   * Find the first descendant element accepted by a predicate
+   * @param {Function} predicate - Called with each element
+   * @returns {HtmlElement|null} The first accepted element or null
+   */
+  findDescendant(predicate) {
+    const stack = this.children.reverse();
+    while (stack.length > 0) {
+      const element = stack.pop();
+      if (predicate(element)) {
+        return element;
+      }
+      const children = element.children;
+      for (let i = children.length - 1; i >= 0; i--) {
+        stack.push(children[i]);
+      }
+    }
+    return null;
+  }
+}
+
+class HtmlDocument extends HtmlElement {
+  constructor() {
+    super('#document');
+    this.nodeType = 9;
+  }
+  
+  get nodeName() {
+    return '#document';
+  }
+  
+  // Documents have no text content, matching the DOM
+  get textContent() {
+    return null;
+  }
+  
+  get documentElement() {
+    return this.children.find(element => element.localName === 'html') || null;
+  }
+  
+  get head() {
+    const html = this.documentElement;
+    return html ? html.children.find(element => element.localName === 'head') || null : null;
+  }
+  
+  get body() {
+    const html = this.documentElement;
+    return html ? html.children.find(element => element.localName === 'body') || null : null;
+  }
+  
+  get title() {
+    const title = this.querySelector('title');
+    return title ? title.textContent.trim() : '';
+  }
+  
+  /**
+   * Parse an HTML string into a document
+   * @param {string} html - The HTML source
+   * @returns {HtmlDocument} The parsed document, always with html, head and body
+   */
+  static parse(html) {
+    const doc = new HtmlDocument();
+    const root = doc.appendChild(new HtmlElement('html'));
+    const head = root.appendChild(new HtmlElement('head'));
+    const body = root.appendChild(new HtmlElement('body'));
+    
+    const source = String(html || '');
+    // ASCII-only lower-casing keeps indexes in line with the source
+    const lowerSource = source.replace(/[A-Z]+/g, letters => letters.toLowerCase());
+    const openElements = [body];
+    let inHead = true;
+    let position = 0;
+    
+    const current = () => openElements[openElements.length - 1];
+    const appendText = (text) => {
+      if (!text) return;
+      // Text outside head content starts the body, like the HTML parser
+      if (inHead && /\S/.test(text)) {
+        inHead = false;
+      }
+      const parent = inHead ? head : current();
+      parent.appendChild(new HtmlTextNode(decodeHtmlEntities(text)));
+    };
+    
+    while (position < source.length) {
+      const tagStart = source.indexOf('<', position);
+      if (tagStart === -1) {
+        appendText(source.slice(position));
+        break;
+      }
+      
+      if (tagStart > position) {
+        appendText(source.slice(position, tagStart));
+      }
+      
+      // Comments and doctype
+      if (source.startsWith('<!--', tagStart)) {
+        const commentEnd = source.indexOf('-->', tagStart + 4);
+        position = commentEnd === -1 ? source.length : commentEnd + 3;
+        continue;
+      }
+      
+      if (source[tagStart + 1] === '!' || source[tagStart + 1] === '?') {
+        const declarationEnd = source.indexOf('>', tagStart);
+        position = declarationEnd === -1 ? source.length : declarationEnd + 1;
+        continue;
+      }
+      
+      // End tags
+      const endTagMatch = /^<\/([a-zA-Z][a-zA-Z0-9:-]*)[^>]*>/.exec(source.slice(tagStart, tagStart + 256));
+      if (endTagMatch) {
+        position = tagStart + endTagMatch[0].length;
+        const tagName = endTagMatch[1].toLowerCase();
+        
+        if (tagName === 'head') {
+          inHead = false;
+          continue;
+        }
+        
+        // Pop up to the matching open element, ignore stray end tags
+        for (let i = openElements.length - 1; i > 0; i--) {
+          if (openElements[i].localName === tagName) {
+            openElements.length = i;
+            break;
+          }
+        }
+        continue;
+      }
+      
+      // Start tags
+      const startTag = HtmlDocument.readStartTag(source, tagStart);
+      if (!startTag) {
+        appendText('<');
+        position = tagStart + 1;
+        continue;
+      }
+      
+      position = startTag.end;
+      const tagName = startTag.tagName;
+      
+      // Merge attributes of html and body into the existing elements
+      if (tagName === 'html' || tagName === 'body') {
+        const target = tagName === 'html' ? root : body;
+        target.attributes = { ...startTag.attributes, ...target.attributes };
+        if (tagName === 'body') {
+          inHead = false;
+        }
+        continue;
+      }
+      
+      if (tagName === 'head') {
+        head.attributes = { ...startTag.attributes, ...head.attributes };
+        continue;
+      }
+      
+      const element = new HtmlElement(tagName, startTag.attributes);
+      const headContent = ['meta', 'link', 'title', 'style', 'script', 'base', 'noscript'].includes(tagName);
+      
+      if (inHead && !headContent) {
+        inHead = false;
+      }
+      
+      if (inHead) {
+        head.appendChild(element);
+      } else {
+        HtmlDocument.closeImpliedElements(openElements, tagName);
+        current().appendChild(element);
+      }
+      
+      if (HTML_RAW_TEXT_ELEMENTS.has(tagName)) {
+        const closeStart = HtmlDocument.findRawTextEnd(lowerSource, tagName, position);
+        const rawText = source.slice(position, closeStart);
+        const text = tagName === 'textarea' || tagName === 'title' ? decodeHtmlEntities(rawText) : rawText;
+        
+        if (text) {
+          element.appendChild(new HtmlTextNode(text));
+        }
+        const closeEnd = source.indexOf('>', closeStart);
+        position = closeEnd === -1 ? source.length : closeEnd + 1;
+        continue;
+      }
+      
+      if (!HTML_VOID_ELEMENTS.has(tagName) && !startTag.selfClosing && !inHead) {
+        openElements.push(element);
+      }
+    }
+    
+    return doc;
+  }
+  
+  /**
+   * Read a start tag and its attributes
+   * @param {string} source - The HTML source
+   * @param {number} start - Index of the opening '<'
+   * @returns {Object|null} Tag name, attributes, self-closing flag and end index
+   */
+  static readStartTag(source, start) {
+    const nameMatch = /^<([a-zA-Z][a-zA-Z0-9:-]*)/.exec(source.slice(start, start + 64));
+    if (!nameMatch) {
+      return null;
+    }
+    
+    const attributes = {};
+    // Tag end, attribute, or a stray character that is skipped
+    const attributePattern = /\s*(?:(\/?>)|([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?|[^>])/y;
+    attributePattern.lastIndex = start + nameMatch[0].length;
+    
+    let match;
+    while ((match = attributePattern.exec(source)) !== null) {
+      if (match[1]) {
+        return {
+          tagName: nameMatch[1].toLowerCase(),
+          attributes,
+          selfClosing: match[1] === '/>',
+          end: attributePattern.lastIndex
+        };
+      }
+      
+      if (!match[2]) {
+        continue;
+      }
+      
+      const name = match[2].toLowerCase();
+      const value = match[3] !== undefined ? match[3] :
+                    match[4] !== undefined ? match[4] :
+                    match[5] !== undefined ? match[5] : '';
+      
+      // The first occurrence of an attribute wins
+      if (!Object.prototype.hasOwnProperty.call(attributes, name)) {
+        attributes[name] = decodeHtmlEntities(value);
+      }
+    }
+    
+    // Unterminated tag, treat the rest of the input as the tag
+    return {
+      tagName: nameMatch[1].toLowerCase(),
+      attributes,
+      selfClosing: false,
+      end: source.length
+    };
+  }
+  
+  /**
+   * Find the end tag of a raw text element such as script or style
+   * @param {string} lowerSource - The lower-cased HTML source
+   * @param {string} tagName - Name of the raw text element
+   * @param {number} start - Index after the start tag
+   * @returns {number} Index of the end tag, or the source length if it is missing
+   */
+  static findRawTextEnd(lowerSource, tagName, start) {
+    const closeTag = `</${tagName}`;
+    let index = lowerSource.indexOf(closeTag, start);
+    
+    // Skip longer names that share the prefix, e.g. </scripts>
+    while (index !== -1 && !/^[\s/>]?$/.test(lowerSource.charAt(index + closeTag.length))) {
+      index = lowerSource.indexOf(closeTag, index + closeTag.length);
+    }
+    return index === -1 ? lowerSource.length : index;
+  }
+  
+  /**
+   * Close open elements that the new tag implicitly ends (e.g. <li> after <li>)
+   * @param {Array<HtmlElement>} openElements - Stack of open elements
+   * @param {string} tagName - The tag being opened
+   */
+  static closeImpliedElements(openElements, tagName) {
+    const closes = HTML_IMPLIED_END_TAGS[tagName];
+    if (!closes) {
+      return;
+    }
+    
+    for (let i = openElements.length - 1; i > 0; i--) {
+      const openTag = openElements[i].localName;
+      if (closes.includes(openTag)) {
+        openElements.length = i;
+        return;
+      }
+      if (HTML_SCOPE_BOUNDARIES.has(openTag) || (tagName !== 'p' && openTag === 'p')) {
+        return;
+      }
+    }
+  }
+}
+
+class HtmlSelector {
+  /**
+   * Create a compiled selector list
+   * @param {Array<Array<Object>>} complexSelectors - Parsed complex selectors
+   */
+  constructor(complexSelectors) {
+    this.complexSelectors = complexSelectors;
+  }
+  
+  /**
+   * Compile a selector string, with caching
+   * @param {string} selector - CSS selector list
+   * @returns {HtmlSelector} The compiled selector
+   */
+  static compile(selector) {
+    if (!HtmlSelector.cache.has(selector)) {
+      HtmlSelector.cache.set(selector, new HtmlSelector(HtmlSelector.parseSelectorList(String(selector))));
+    }
+    return HtmlSelector.cache.get(selector);
+  }
+  
+  /**
+   * Parse a comma separated selector list
+   * @param {string} selector - CSS selector list
+   * @returns {Array<Array<Object>>} Complex selectors, each a list of compound parts
+   */
+  static parseSelectorList(selector) {
+    const parts = HtmlSelector.splitTopLevel(selector, ',');
+    if (parts.some(part => !part.trim())) {
+      throw new SyntaxError(`'${selector}' is not a valid selector`);
+    }
+    return parts.map(part => HtmlSelector.parseComplexSelector(part.trim()));
+  }
+  
+  /**
+   * Split a string on a separator, ignoring brackets, parentheses and quotes
+   * @param {string} text - Text to split
+   * @param {string} separator - Single character separator
+   * @returns {Array<string>} Parts
+   */
+  static splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '(') {
+        depth++;
+      } else if (char === ']' || char === ')') {
+        depth--;
+      } else if (char === separator && depth === 0) {
+        parts.push(text.slice(start, i));
+        start = i + 1;
+      }
+    }
+    
+    parts.push(text.slice(start));
+    return parts;
+  }
+  
+  /**
+   * Parse a complex selector into compound selectors joined by combinators
+   * @param {string} selector - A single complex selector
+   * @returns {Array<Object>} Compound selectors, each with the combinator before it
+   */
+  static parseComplexSelector(selector) {
+    const compounds = [];
+    let position = 0;
+    let combinator = null;
+    
+    while (position < selector.length) {
+      // Combinators and whitespace
+      const combinatorMatch = /^\s*([>+~])\s*|^\s+/.exec(selector.slice(position));
+      if (combinatorMatch && combinatorMatch[0].length > 0) {
+        if (compounds.length === 0) {
+          throw new SyntaxError(`'${selector}' is not a valid selector`);
+        }
+        combinator = combinatorMatch[1] || (combinator || ' ');
+        position += combinatorMatch[0].length;
+        continue;
+      }
+      
+      const { compound, end } = HtmlSelector.parseCompound(selector, position);
+      compound.combinator = compounds.length === 0 ? null : (combinator || ' ');
+      compounds.push(compound);
+      combinator = null;
+      position = end;
+    }
+    
+    if (compounds.length === 0 || combinator) {
+      throw new SyntaxError(`'${selector}' is not a valid selector`);
+    }
+    
+    return compounds;
+  }
+  
+  /**
+   * Parse a compound selector (tag, id, classes, attributes and pseudo-classes)
+   * @param {string} selector - The selector source
+   * @param {number} start - Index to start reading from
+   * @returns {Object} The compound selector and the index after it
+   */
+  static parseCompound(selector, start) {
+    const compound = { tag: null, id: null, classes: [], attributes: [], pseudos: [] };
+    let position = start;
+    
+    const typeMatch = /^(\*|[a-zA-Z][a-zA-Z0-9-]*)/.exec(selector.slice(position));
+    if (typeMatch) {
+      compound.tag = typeMatch[1] === '*' ? null : typeMatch[1].toLowerCase();
+      position += typeMatch[0].length;
+    }
+    
+    while (position < selector.length) {
+      const rest = selector.slice(position);
+      let match;
+      
+      if ((match = /^#((?:\\.|[\w-])+)/.exec(rest))) {
+        compound.id = match[1].replace(/\\(.)/g, '$1');
+      } else if ((match = /^\.((?:\\.|[\w-])+)/.exec(rest))) {
+        compound.classes.push(match[1].replace(/\\(.)/g, '$1'));
+      } else if ((match = /^\[\s*([^\s~|^$*=\]]+)\s*(?:([~|^$*]?=)\s*(?:"((?:\\.|[^"])*)"|'((?:\\.|[^'])*)'|([^\s\]]+))\s*(i)?)?\s*\]/.exec(rest))) {
+        const value = match[3] !== undefined ? match[3] : match[4] !== undefined ? match[4] : match[5];
+        compound.attributes.push({
+          name: match[1].toLowerCase(),
+          operator: match[2] || null,
+          value: value !== undefined ? value.replace(/\\(.)/g, '$1') : null,
+          caseInsensitive: !!match[6]
+        });
+      } else if ((match = /^:not\(/.exec(rest))) {
+        const closeIndex = HtmlSelector.findClosingParen(selector, position + match[0].length);
+        const inner = selector.slice(position + match[0].length, closeIndex);
+        compound.pseudos.push({ type: 'not', selector: new HtmlSelector(HtmlSelector.parseSelectorList(inner)) });
+        position = closeIndex + 1;
+        continue;
+      } else if ((match = /^:nth-child\(\s*(\d+)\s*\)/.exec(rest))) {
+        compound.pseudos.push({ type: 'nth-child', index: parseInt(match[1], 10) });
+      } else if ((match = /^:(first-child|last-child|only-child|empty|checked|disabled)/.exec(rest))) {
+        compound.pseudos.push({ type: match[1] });
+      } else {
+        break;
+      }
+      
+      position += match[0].length;
+    }
+    
+    if (position === start) {
+      throw new SyntaxError(`'${selector}' is not a valid selector`);
+    }
+    
+    return { compound, end: position };
+  }
+  
+  /**
+   * Find the parenthesis closing the one opened before an index
+   * @param {string} selector - The selector source
+   * @param {number} start - Index just after the opening parenthesis
+   * @returns {number} Index of the closing parenthesis
+   */
+  static findClosingParen(selector, start) {
+    let depth = 1;
+    let quote = null;
+    for (let i = start; i < selector.length; i++) {
+      const char = selector[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')' && --depth === 0) {
+        return i;
+      }
+    }
+    throw new SyntaxError(`'${selector}' is not a valid selector`);
+  }
+  
+  /**
+   * Check whether an element matches any selector in the list
+   * 
+   * Like the DOM, ancestors outside the queried element still count, only
+   * the matched element itself has to be inside it.
+   * @param {HtmlElement} element - Element to test
+   * @returns {boolean} True if the element matches
+   */
+  matches(element) {
+    return this.complexSelectors.some(compounds =>
+      HtmlSelector.matchesComplex(element, compounds, compounds.length - 1)
+    );
+  }
+  
+  /**
+   * Match a complex selector right to left
+   * @param {HtmlElement} element - Element to test against compounds[index]
+   * @param {Array<Object>} compounds - Compound selectors
+   * @param {number} index - Index of the compound to match
+   * @returns {boolean} True if the element matches
+   */
+  static matchesComplex(element, compounds, index) {
+    const compound = compounds[index];
+    if (!HtmlSelector.matchesCompound(element, compound)) {
+      return false;
+    }
+    
+    if (index === 0) {
+      return true;
+    }
+    
+    const isElement = (candidate) => !!candidate && candidate.nodeType === 1;
+    
+    switch (compound.combinator) {
+      case '>': {
+        const parent = element.parentNode;
+        return isElement(parent) && HtmlSelector.matchesComplex(parent, compounds, index - 1);
+      }
+      case '+': {
+        const sibling = HtmlSelector.previousElementSibling(element);
+        return !!sibling && HtmlSelector.matchesComplex(sibling, compounds, index - 1);
+      }
+      case '~': {
+        let sibling = HtmlSelector.previousElementSibling(element);
+        while (sibling) {
+          if (HtmlSelector.matchesComplex(sibling, compounds, index - 1)) {
+            return true;
+          }
+          sibling = HtmlSelector.previousElementSibling(sibling);
+        }
+        return false;
+      }
+      default: {
+        let ancestor = element.parentNode;
+        while (isElement(ancestor)) {
+          if (HtmlSelector.matchesComplex(ancestor, compounds, index - 1)) {
+            return true;
+          }
+          ancestor = ancestor.parentNode;
+        }
+        return false;
+      }
+    }
+  }
+  
+  /**
+   * Match a single compound selector
+   * @param {HtmlElement} element - Element to test
+   * @param {Object} compound - Compound selector
+   * @returns {boolean} True if the element matches
+   */
+  static matchesCompound(element, compound) {
+    if (element.nodeType !== 1) {
+      return false;
+    }
+    
+    if (compound.tag && element.localName !== compound.tag) {
+      return false;
+    }
+    
+    if (compound.id !== null && element.getAttribute('id') !== compound.id) {
+      return false;
+    }
+    
+    if (compound.classes.length > 0) {
+      const classes = element.className.split(/\s+/);
+      if (!compound.classes.every(name => classes.includes(name))) {
+        return false;
+      }
+    }
+    
+    for (const attribute of compound.attributes) {
+      if (!HtmlSelector.matchesAttribute(element, attribute)) {
+        return false;
+      }
+    }
+    
+    for (const pseudo of compound.pseudos) {
+      if (!HtmlSelector.matchesPseudo(element, pseudo)) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Match an attribute selector
+   * @param {HtmlElement} element - Element to test
+   * @param {Object} attribute - Attribute selector
+   * @returns {boolean} True if the element matches
+   */
+  static matchesAttribute(element, attribute) {
+    let actual = element.getAttribute(attribute.name);
+    if (actual === null) {
+      return false;
+    }
+    
+    if (!attribute.operator) {
+      return true;
+    }
+    
+    let expected = attribute.value;
+    if (attribute.caseInsensitive) {
+      actual = actual.toLowerCase();
+      expected = expected.toLowerCase();
+    }
+    
+    switch (attribute.operator) {
+      case '=':
+        return actual === expected;
+      case '~=':
+        return actual.split(/\s+/).includes(expected);
+      case '|=':
+        return actual === expected || actual.startsWith(`${expected}-`);
+      case '^=':
+        return expected !== '' && actual.startsWith(expected);
+      case '$=':
+        return expected !== '' && actual.endsWith(expected);
+      case '*=':
+        return expected !== '' && actual.includes(expected);
+      default:
+        return false;
+    }
+  }
+  
+  /**
+   * Match a pseudo-class
+   * @param {HtmlElement} element - Element to test
+   * @param {Object} pseudo - Pseudo-class selector
+   * @returns {boolean} True if the element matches
+   */
+  static matchesPseudo(element, pseudo) {
+    const siblings = element.parentNode ? element.parentNode.children : [element];
+    
+    switch (pseudo.type) {
+      case 'not':
+        return !pseudo.selector.matches(element);
+      case 'first-child':
+        return siblings[0] === element;
+      case 'last-child':
+        return siblings[siblings.length - 1] === element;
+      case 'only-child':
+        return siblings.length === 1;
+      case 'nth-child':
+        return siblings[pseudo.index - 1] === element;
+      case 'empty':
+        return element.childNodes.length === 0;
+      case 'checked':
+        // Like the DOM: checked inputs and selected options only
+        return element.localName === 'option' ? element.hasAttribute('selected') :
+          element.localName === 'input' && element.hasAttribute('checked');
+      case 'disabled':
+        return element.hasAttribute('disabled');
+      default:
+        return false;
+    }
+  }
+  
+  /**
+   * Get the previous sibling element
+   * @param {HtmlElement} element - Reference element
+   * @returns {HtmlElement|null} The previous element sibling or null
+   */
+  static previousElementSibling(element) {
+    if (!element.parentNode) {
+      return null;
+    }
+    const siblings = element.parentNode.children;
+    const index = siblings.indexOf(element);
+    return index > 0 ? siblings[index - 1] : null;
+  }
+}
+
+// Compiled selectors are reused across documents
+HtmlSelector.cache = new Map();
+
+// Export the classes for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = { HtmlDocument, HtmlElement, HtmlTextNode, HtmlSelector, decodeHtmlEntities };
+}
@@ -0,0 +1,450 @@
+/**
+ * Marketplace Locale for Amazon Product Enhancer
+ *
+ * Every marketplace writes numbers, prices and dates its own way:
+ * - amazon.com: "1,234.56", "March 3, 2021", "3/14/2021"
+ * - amazon.de: "1.234,56", "3. März 2021", "14.03.2021"
+ * - amazon.fr: "1 234,56" (with a no-break space)
+ * - amazon.in: "12,34,567.89" (lakh grouping)
+ * - amazon.co.jp / amazon.cn: "1,234", "2021/3/14", "2021年3月14日"
+ * - amazon.sa / amazon.eg: Arabic-Indic digits ("١٬٢٣٤") next to Western ones
+ *
+ * MarketplaceLocale is keyed by marketplace hostname and is the one place the
+ * parser and the UI renderer turn localized text into numbers and dates, and
+ * numbers back into text. Without a known marketplace it falls back to
+ * heuristics that work for most formats.
+ */
+
+class MarketplaceLocale {
+  /**
+   * Create a locale for a marketplace
+   * @param {string} marketplace - Hostname of the marketplace, e.g. "www.amazon.de"
+   */
+  constructor(marketplace = null) {
+    const domain = MarketplaceLocale.getDomain(marketplace);
+    const format = MarketplaceLocale.formats[domain];
+    
+    this.marketplace = marketplace;
+    this.domain = format ? domain : 'amazon.com';
+    this.isKnown = Boolean(format);
+    Object.assign(this, format || MarketplaceLocale.formats['amazon.com']);
+  }
+  
+  /**
+   * Get the shared locale of a marketplace
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {MarketplaceLocale} The cached locale
+   */
+  static forMarketplace(marketplace = null) {
+    const key = marketplace || '';
+    if (!MarketplaceLocale.instances.has(key)) {
+      MarketplaceLocale.instances.set(key, new MarketplaceLocale(marketplace));
+    }
+    return MarketplaceLocale.instances.get(key);
+  }
+  
+  /**
+   * Reduce a hostname to its marketplace domain
+   * @param {string} marketplace - Hostname, e.g. "www.amazon.co.uk" or "smile.amazon.com"
+   * @returns {string} Domain such as "amazon.co.uk", or an empty string
+   */
+  static getDomain(marketplace) {
+    const match = (marketplace || '').toLowerCase().match(/amazon\.[a-z.]+$/);
+    return match ? match[0] : '';
+  }
+  
+  /**
+   * Find the first localized number in a text
+   * @param {string} text - Text containing the number
+   * @returns {string|null} The number with its separators, e.g. "1.234,56"
+   */
+  findNumber(text) {
+    const match = this.normalizeDigits(text).match(MarketplaceLocale.numberPattern);
+    return match ? match[0] : null;
+  }
+  
+  /**
+   * Replace Arabic-Indic digits and separators with Western ones, so patterns using \d match them
+   * @param {string} text - Text that may contain "١٬٢٣٤٫٥" or "۱۲۳"
+   * @returns {string} The text with Western digits, "1,234.5" and "123"
+   */
+  normalizeDigits(text) {
+    return String(text === null || text === undefined ? '' : text)
+      .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+      .replace(/[\u06f0-\u06f9]/g, digit => String(digit.charCodeAt(0) - 0x06f0))
+      .replace(/\u066c/g, ',')
+      .replace(/\u066b/g, '.');
+  }
+  
+  /**
+   * Parse a whole number such as a rank or a rating count
+   *
+   * Integers have no decimals, so "1,234", "1.234" and "1 234" are all 1234.
+   * A group that is not a thousands group ends the number: "4.5" is 4.
+   *
+   * @param {string} text - Text starting with or containing the number
+   * @returns {number|null} The integer or null if the text has no number
+   */
+  parseInteger(text) {
+    const numberText = this.findNumber(text);
+    if (!numberText) {
+      return null;
+    }
+    
+    const groups = numberText.split(MarketplaceLocale.separatorPattern);
+    let digits = groups[0];
+    
+    for (let i = 1; i < groups.length; i++) {
+      const isLast = i === groups.length - 1;
+      // Lakh grouping puts two digits in every group but the last: "12,34,567"
+      const isGroup = groups[i].length === 3 || (this.grouping === 'indian' && !isLast && groups[i].length === 2);
+      if (!isGroup) {
+        break;
+      }
+      digits += groups[i];
+    }
+    
+    return parseInt(digits, 10);
+  }
+  
+  /**
+   * Parse a number that may have decimals, such as a rating, a weight or a price
+   *
+   * The marketplace's decimal separator is always decimal. The other separator
+   * groups thousands when three digits follow it, so "25.4 cm" on amazon.de is
+   * still 25.4. Without a known marketplace the last separator is decimal when
+   * it is followed by at most maxFractionDigits digits.
+   *
+   * @param {string} text - Text starting with or containing the number
+   * @param {number} maxFractionDigits - Most decimals a value can have, used without a known marketplace
+   * @returns {number|null} The number or null if the text has no number
+   */
+  parseDecimal(text, maxFractionDigits = Infinity) {
+    const numberText = this.findNumber(text);
+    if (!numberText) {
+      return null;
+    }
+    
+    // Spaces and apostrophes only ever group thousands
+    const compact = numberText.replace(/[\s\u00a0\u202f'’]/g, '');
+    const lastSeparator = compact.match(/([.,])(\d+)$/);
+    
+    let decimalSeparator = null;
+    if (lastSeparator) {
+      const [, separator, fraction] = lastSeparator;
+      const repeated = compact.split(separator).length > 2;
+      
+      if (this.isKnown) {
+        decimalSeparator = separator === this.decimalSeparator || (!repeated && fraction.length !== 3) ? separator : null;
+      } else {
+        decimalSeparator = !repeated && fraction.length <= maxFractionDigits ? separator : null;
+      }
+    }
+    
+    const splitAt = decimalSeparator ? compact.lastIndexOf(decimalSeparator) : compact.length;
+    const integerPart = compact.slice(0, splitAt).replace(/[.,]/g, '');
+    const fractionPart = compact.slice(splitAt + 1);
+    const value = parseFloat(fractionPart ? `${integerPart}.${fractionPart}` : integerPart);
+    
+    return isNaN(value) ? null : value;
+  }
+  
+  /**
+   * Parse an abbreviated count such as "1.5K", "1,5 k", "2 mil" or "1万"
+   * @param {string} numberText - The number as shown ("1,234", "1.5", "1 000")
+   * @param {string} unit - Optional abbreviation unit ("K", "M", "千", "万", "mil")
+   * @returns {number|null} The count or null if it cannot be parsed
+   */
+  parseCount(numberText, unit = null) {
+    const multiplier = unit ? MarketplaceLocale.countMultipliers[unit.toLowerCase().replace(/\.$/, '')] : 1;
+    
+    // With a unit the separator is a decimal point ("1.5K", "1,5 k"),
+    // without one it groups thousands ("1,234", "1.234", "1 234")
+    const count = unit && /^\d+[.,]\d{1,2}$/.test(numberText) ?
+      parseFloat(numberText.replace(',', '.')) :
+      this.parseInteger(numberText);
+    
+    if (count === null || isNaN(count) || !multiplier) {
+      return null;
+    }
+    
+    return Math.round(count * multiplier);
+  }
+  
+  /**
+   * Parse a price such as "$1,234.56", "1.234,56 €" or "￥1,234"
+   * @param {string} priceText - The price as displayed
+   * @returns {Object|null} Object with amount and currency, or null if no price found
+   */
+  parseCurrency(priceText) {
+    if (!priceText) {
+      return null;
+    }
+    
+    // Prices have at most two decimals, "1,234" is a thousand
+    const amount = this.parseDecimal(priceText, 2);
+    if (amount === null) {
+      return null;
+    }
+    
+    return {
+      amount: amount,
+      currency: this.detectCurrency(priceText)
+    };
+  }
+  
+  /**
+   * Detect the ISO currency of a price string
+   * @param {string} priceText - The price as displayed
+   * @returns {string} ISO 4217 currency code, the marketplace currency if the text has no symbol
+   */
+  detectCurrency(priceText) {
+    const isoMatch = priceText.match(/\b(USD|EUR|GBP|JPY|CNY|CAD|AUD|INR|MXN|BRL|SEK|PLN|SAR|AED|SGD|TRY|EGP)\b/);
+    if (isoMatch) {
+      return isoMatch[1];
+    }
+    
+    const currencySymbols = [
+      { symbol: 'R$', currency: 'BRL' },
+      { symbol: 'CA$', currency: 'CAD' },
+      { symbol: 'C$', currency: 'CAD' },
+      { symbol: 'AU$', currency: 'AUD' },
+      { symbol: 'A$', currency: 'AUD' },
+      { symbol: 'MX$', currency: 'MXN' },
+      { symbol: 'S$', currency: 'SGD' },
+      { symbol: 'zł', currency: 'PLN' },
+      { symbol: 'kr', currency: 'SEK' },
+      { symbol: '₺', currency: 'TRY' },
+      { symbol: 'TL', currency: 'TRY' },
+      { symbol: 'ر.س', currency: 'SAR' },
+      { symbol: 'د.إ', currency: 'AED' },
+      { symbol: 'ج.م', currency: 'EGP' },
+      { symbol: '€', currency: 'EUR' },
+      { symbol: '£', currency: 'GBP' },
+      { symbol: '₹', currency: 'INR' },
+      { symbol: '￥', currency: this.currency === 'CNY' ? 'CNY' : 'JPY' },
+      { symbol: '¥', currency: this.currency === 'CNY' ? 'CNY' : 'JPY' },
+      { symbol: '$', currency: ['USD', 'CAD', 'AUD', 'MXN', 'SGD'].includes(this.currency) ? this.currency : 'USD' }
+    ];
+    
+    for (const entry of currencySymbols) {
+      if (priceText.includes(entry.symbol)) {
+        return entry.currency;
+      }
+    }
+    
+    return this.currency;
+  }
+  
+  /**
+   * Parse a localized date such as "March 3, 2021", "3. März 2021", "3 de marzo de 2021",
+   * "2021/3/3" or "14.03.2021"
+   * @param {string} dateText - Text containing the date
+   * @returns {string|null} ISO date (YYYY-MM-DD) or null if no valid date found
+   */
+  parseDate(dateText) {
+    if (!dateText) {
+      return null;
+    }
+    
+    // Strip the bidi marks Amazon puts around detail bullet values
+    const text = this.normalizeDigits(dateText).replace(/[\u200e\u200f]/g, '');
+    let year = null;
+    let month = null;
+    let day = null;
+    
+    // Year first: "2021/3/3", "2021-03-03", "2021年3月3日"
+    const yearFirstMatch = text.match(/(\d{4})\s*[\/.\-年]\s*(\d{1,2})\s*[\/.\-月]\s*(\d{1,2})/);
+    // Year last: "14.03.2021" or "3/14/2021", in the marketplace's order
+    const yearLastMatch = text.match(/\b(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{4})\b/);
+    // Day first: "3 March 2021", "3. März 2021", "3 de marzo de 2021"
+    const dayFirstMatch = text.match(/(\d{1,2})\.?\s+(?:de\s+)?([\p{L}]+)\.?,?\s+(?:de\s+)?(\d{4})/u);
+    // Month first: "March 3, 2021"
+    const monthFirstMatch = text.match(/([\p{L}]+)\.?\s+(\d{1,2}),?\s+(\d{4})/u);
+    
+    if (yearFirstMatch) {
+      year = parseInt(yearFirstMatch[1], 10);
+      month = parseInt(yearFirstMatch[2], 10);
+      day = parseInt(yearFirstMatch[3], 10);
+    } else if (yearLastMatch) {
+      const monthFirst = this.dateOrder === 'mdy';
+      year = parseInt(yearLastMatch[3], 10);
+      month = parseInt(yearLastMatch[monthFirst ? 1 : 2], 10);
+      day = parseInt(yearLastMatch[monthFirst ? 2 : 1], 10);
+    } else if (dayFirstMatch && this.getMonthNumber(dayFirstMatch[2])) {
+      year = parseInt(dayFirstMatch[3], 10);
+      month = this.getMonthNumber(dayFirstMatch[2]);
+      day = parseInt(dayFirstMatch[1], 10);
+    } else if (monthFirstMatch && this.getMonthNumber(monthFirstMatch[1])) {
+      year = parseInt(monthFirstMatch[3], 10);
+      month = this.getMonthNumber(monthFirstMatch[1]);
+      day = parseInt(monthFirstMatch[2], 10);
+    } else {
+      return null;
+    }
+    
+    return MarketplaceLocale.toIsoDate(year, month, day);
+  }
+  
+  /**
+   * Parse a day and month shown without a year, such as a delivery date
+   *
+   * The year is the current one, unless the date is more than 30 days in the
+   * past: "Jan 3" seen in late December is next year's.
+   *
+   * @param {string} dayMonthText - Text such as "Tue, Oct 21", "23. Oktober" or "10月21日"
+   * @param {Date} now - Current date
+   * @returns {string|null} ISO date (YYYY-MM-DD) or null if the text has no date
+   */
+  parseDayMonth(dayMonthText, now = new Date()) {
+    const text = this.normalizeDigits(dayMonthText);
+    let month = null;
+    let day = null;
+    
+    const numericMatch = text.match(/(\d{1,2})月\s*(\d{1,2})日/);
+    if (numericMatch) {
+      month = parseInt(numericMatch[1], 10);
+      day = parseInt(numericMatch[2], 10);
+    } else {
+      // "Oct 21", then "21 Oct" / "21. Oktober" / "21 de octubre", skipping weekday names.
+      // Separate passes, so "el 25" cannot use up the day of "25 de octubre"
+      const patterns = [
+        { regex: /([\p{L}]+)\.?\s+(\d{1,2})\b/gu, monthGroup: 1, dayGroup: 2 },
+        { regex: /(\d{1,2})\.?\s+(?:de\s+)?([\p{L}]+)/gu, monthGroup: 2, dayGroup: 1 }
+      ];
+      
+      for (const pattern of patterns) {
+        for (const match of text.matchAll(pattern.regex)) {
+          const monthNumber = this.getMonthNumber(match[pattern.monthGroup]);
+          if (monthNumber) {
+            month = monthNumber;
+            day = parseInt(match[pattern.dayGroup], 10);
+            break;
+          }
+        }
+        if (month) break;
+      }
+    }
+    
+    if (!month || !day) {
+      return null;
+    }
+    
+    const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+    const year = Date.UTC(now.getFullYear(), month - 1, day) < today - 30 * 86400000 ?
+      now.getFullYear() + 1 :
+      now.getFullYear();
+    
+    return MarketplaceLocale.toIsoDate(year, month, day);
+  }
+  
+  /**
+   * Get the month number of a localized month name or abbreviation
+   * @param {string} monthName - Month name, e.g. "March", "März", "mars", "marzo"
+   * @returns {number|null} Month number from 1 to 12, or null if unknown
+   */
+  getMonthNumber(monthName) {
+    const name = monthName.toLowerCase().replace(/\.$/, '');
+    
+    for (let i = 0; i < MarketplaceLocale.monthNames.length; i++) {
+      if (MarketplaceLocale.monthNames[i].includes(name)) {
+        return i + 1;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Format a number with the marketplace's separators
+   * @param {number|string} num - The number to format
+   * @returns {string} Formatted number, e.g. "1,234" on amazon.com or "1.234" on amazon.de
+   */
+  formatNumber(num) {
+    const [integerPart, fractionPart] = String(num).split('.');
+    const sign = integerPart.startsWith('-') ? '-' : '';
+    const digits = integerPart.replace('-', '');
+    
+    // Lakh grouping keeps the last three digits together, then groups by two
+    const grouped = this.grouping === 'indian' && digits.length > 3 ?
+      `${digits.slice(0, -3).replace(/\B(?=(\d{2})+(?!\d))/g, this.groupSeparator)}${this.groupSeparator}${digits.slice(-3)}` :
+      digits.replace(/\B(?=(\d{3})+(?!\d))/g, this.groupSeparator);
+    
+    return `${sign}${grouped}${fractionPart ? this.decimalSeparator + fractionPart : ''}`;
+  }
+  
+  /**
+   * Build an ISO date, rejecting impossible dates such as February 30
+   * @param {number} year - Full year
+   * @param {number} month - Month from 1 to 12
+   * @param {number} day - Day of the month
+   * @returns {string|null} ISO date (YYYY-MM-DD) or null if the date does not exist
+   */
+  static toIsoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+// Locales created by forMarketplace, by hostname
+MarketplaceLocale.instances = new Map();
+
+// A number with thousands groups and / or decimals, "1,234.56", "1.234", "1 234", "12,34,567".
+// Spaces and apostrophes only group thousands, so "3 5" is two numbers
+MarketplaceLocale.numberPattern = /\d+(?:[.,]\d+|[\s\u00a0\u202f'’]\d{3}(?!\d))*/;
+MarketplaceLocale.separatorPattern = /[.,\s\u00a0\u202f'’]/;
+
+// Number, currency and date format of every supported marketplace
+MarketplaceLocale.formats = {
+  'amazon.com': { language: 'en', currency: 'USD', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'mdy' },
+  'amazon.cn': { language: 'zh', currency: 'CNY', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'ymd' },
+  'amazon.co.uk': { language: 'en', currency: 'GBP', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.de': { language: 'de', currency: 'EUR', decimalSeparator: ',', groupSeparator: '.', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.fr': { language: 'fr', currency: 'EUR', decimalSeparator: ',', groupSeparator: '\u00a0', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.it': { language: 'it', currency: 'EUR', decimalSeparator: ',', groupSeparator: '.', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.es': { language: 'es', currency: 'EUR', decimalSeparator: ',', groupSeparator: '.', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.ca': { language: 'en', currency: 'CAD', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'mdy' },
+  'amazon.com.au': { language: 'en', currency: 'AUD', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.co.jp': { language: 'ja', currency: 'JPY', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'ymd' },
+  'amazon.in': { language: 'en', currency: 'INR', decimalSeparator: '.', groupSeparator: ',', grouping: 'indian', dateOrder: 'dmy' },
+  'amazon.com.mx': { language: 'es', currency: 'MXN', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.com.br': { language: 'pt', currency: 'BRL', decimalSeparator: ',', groupSeparator: '.', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.nl': { language: 'nl', currency: 'EUR', decimalSeparator: ',', groupSeparator: '.', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.se': { language: 'sv', currency: 'SEK', decimalSeparator: ',', groupSeparator: '\u00a0', grouping: 'standard', dateOrder: 'ymd' },
+  'amazon.pl': { language: 'pl', currency: 'PLN', decimalSeparator: ',', groupSeparator: '\u00a0', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.sa': { language: 'ar', currency: 'SAR', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.ae': { language: 'en', currency: 'AED', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.sg': { language: 'en', currency: 'SGD', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.com.tr': { language: 'tr', currency: 'TRY', decimalSeparator: ',', groupSeparator: '.', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.com.be': { language: 'fr', currency: 'EUR', decimalSeparator: ',', groupSeparator: '.', grouping: 'standard', dateOrder: 'dmy' },
+  'amazon.eg': { language: 'ar', currency: 'EGP', decimalSeparator: '.', groupSeparator: ',', grouping: 'standard', dateOrder: 'dmy' }
+};
+
+// Multipliers of abbreviated counts ("1.5K", "2 mil", "1万")
+// ("tys." is Polish, "B" (bin) Turkish and "ألف" Arabic for thousand)
+MarketplaceLocale.countMultipliers = { k: 1000, m: 1000000, mil: 1000, tys: 1000, b: 1000, 'ألف': 1000, '千': 1000, '万': 10000 };
+
+// Month names and abbreviations of every marketplace language, January first
+MarketplaceLocale.monthNames = [
+  ['january', 'jan', 'januar', 'janvier', 'janv', 'gennaio', 'gen', 'enero', 'ene', 'janeiro', 'januari', 'styczeń', 'stycznia', 'ocak', 'يناير'],
+  ['february', 'feb', 'februar', 'février', 'févr', 'febbraio', 'febrero', 'fevereiro', 'fev', 'februari', 'luty', 'lutego', 'şubat', 'فبراير'],
+  ['march', 'mar', 'märz', 'mär', 'mars', 'marzo', 'março', 'maart', 'mrt', 'marzec', 'marca', 'mart', 'مارس'],
+  ['april', 'apr', 'avril', 'avr', 'aprile', 'abril', 'abr', 'kwiecień', 'kwietnia', 'nisan', 'أبريل', 'إبريل'],
+  ['may', 'mai', 'maggio', 'mag', 'mayo', 'maio', 'mei', 'maj', 'maja', 'mayıs', 'مايو'],
+  ['june', 'jun', 'juni', 'juin', 'giugno', 'giu', 'junio', 'junho', 'czerwiec', 'czerwca', 'haziran', 'يونيو'],
+  ['july', 'jul', 'juli', 'juillet', 'juil', 'luglio', 'lug', 'julio', 'julho', 'lipiec', 'lipca', 'temmuz', 'يوليو'],
+  ['august', 'aug', 'août', 'agosto', 'ago', 'augustus', 'augusti', 'sierpień', 'sierpnia', 'ağustos', 'أغسطس'],
+  ['september', 'sep', 'sept', 'septembre', 'settembre', 'set', 'septiembre', 'setembro', 'wrzesień', 'września', 'eylül', 'سبتمبر'],
+  ['october', 'oct', 'oktober', 'okt', 'octobre', 'ottobre', 'ott', 'octubre', 'outubro', 'out', 'październik', 'października', 'ekim', 'أكتوبر'],
+  ['november', 'nov', 'novembre', 'noviembre', 'novembro', 'listopad', 'listopada', 'kasım', 'نوفمبر'],
+  ['december', 'dec', 'dezember', 'dez', 'décembre', 'déc', 'dicembre', 'dic', 'diciembre', 'dezembro', 'grudzień', 'grudnia', 'aralık', 'ديسمبر']
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = { MarketplaceLocale };
+}
@@ -0,0 +1,106 @@
+/**
+ * Offscreen parsing document for Amazon Product Enhancer
+ * 
+ * The background script runs as an MV3 service worker, which has no DOMParser.
+ * This document provides a DOM-capable context where fetched product pages are
+ * parsed with AmazonParser. The background script sends it the raw HTML and
+ * receives the parsed product data in the response.
+ */
+
+class OffscreenParser {
+  constructor() {
+    this.parser = new AmazonParser();
+    this.rulePackId = null; // Id of the rule pack the parser was built with
+    
+    // Initialize event listeners
+    this.initEventListeners();
+  }
+  
+  // Initialize event listeners
+  initEventListeners() {
+    chrome.runtime.onMessage.addListener(this.handleMessage.bind(this));
+  }
+  
+  // Handle messages from the background script
+  handleMessage(message, sender, sendResponse) {
+    // Content script messages are broadcast to every extension page, ignore them
+    if (!message || message.target !== 'offscreen') {
+      return false;
+    }
+    
+    switch (message.type) {
+      case 'parseProductPage':
+        this.parseProductPage(message, sendResponse);
+        return false;
+        
+      case 'parseOfferListing':
+        this.parseOfferListing(message, sendResponse);
+        return false;
+        
+      default:
+        console.warn('Unknown offscreen message type:', message.type);
+        sendResponse({ 
+          success: false, 
+          error: 'Unknown message type',
+          receivedMessage: message.type
+        });
+        return false;
+    }
+  }
+  
+  // Parse a product page and send the result back
+  parseProductPage(message, sendResponse) {
+    const { html, asin, marketplace, rulePack, rulePackId } = message;
+    
+    try {
+      this.useRulePack(rulePack, rulePackId);
+      
+      const data = this.parser.parseProductPage(html, asin, marketplace);
+      sendResponse({ success: true, data: data });
+    } catch (error) {
+      console.error(`Error parsing product page for ASIN ${asin}:`, error);
+      sendResponse({ 
+        success: false, 
+        error: error.message || 'Unknown parsing error',
+        asin: asin
+      });
+    }
+  }
+  
+  // Parse an All Offers Display fragment and send the offers back
+  parseOfferListing(message, sendResponse) {
+    const { html, asin, marketplace, rulePack, rulePackId } = message;
+    
+    try {
+      this.useRulePack(rulePack, rulePackId);
+      
+      const data = this.parser.parseOfferListing(html, asin, marketplace);
+      sendResponse({ success: true, data: data });
+    } catch (error) {
+      console.error(`Error parsing offers for ASIN ${asin}:`, error);
+      sendResponse({ 
+        success: false, 
+        error: error.message || 'Unknown parsing error',
+        asin: asin
+      });
+    }
+  }
+  
+  // Rebuild the parser when the background script sends a rule pack with a different id
+  useRulePack(rulePack, rulePackId) {
+    const id = rulePack ? rulePackId : null;
+    if (id === this.rulePackId) return;
+    
+    const ruleRegistry = new ExtractionRuleRegistry(rulePack || null);
+    this.parser = new AmazonParser({ ruleRegistry: ruleRegistry });
+    this.rulePackId = ruleRegistry.getId();
+  }
+}
+
+// Initialize the offscreen parser
+const offscreenParser = new OffscreenParser();
+
+// Export for testing
+if (typeof module !== 'undefined') {
+  module.exports = { OffscreenParser };
+}
@@ -5,117 +5,538 @@
  * - Best Sellers Rank (BSR)
  * - Brand information
  * - Sales data ("bought in past month")
- * - Product variants
+ * - Product variants and the variation model (parent ASIN, dimensions)
+ * - Merchandising badges (Best Seller, Amazon's Choice, Prime...)
  * 
  * The parser includes fallback mechanisms to handle different page layouts and
  * structural changes in Amazon's HTML.
+ * 
+ * HTML is turned into a document by a pluggable document adapter: DOMParser in
+ * pages that have one, and the DOM-free HtmlDocument backend (html-document.js)
+ * in Node, Web Workers and the service worker.
+ * 
+ * Localized numbers, prices and dates are read with the MarketplaceLocale of
+ * the page's marketplace (marketplace-locale.js).
  */
 
 class AmazonParser {
+  /**
+   * Create a new parser
+   * @param {Object} options - Parser options
+   * @param {Object} options.documentAdapter - Adapter with parse(html) returning a document,
+   *   defaults to DOMParser when available and HtmlDocument otherwise
+   * @param {ExtractionRuleRegistry} options.ruleRegistry - Extraction rules for BSR, brand and
+   *   sales data, defaults to the built-in rule pack
+   */
+  constructor(options = {}) {
+    this.documentAdapter = options.documentAdapter || null;
+    this.ruleRegistry = options.ruleRegistry || null;
+    this.provenance = null; // Per-field provenance collected during parseProductPage
+  }
+  
+  /**
+   * Get the document adapter used by this parser
+   * @returns {Object} The configured adapter or the default for this environment
+   */
+  getDocumentAdapter() {
+    return this.documentAdapter || AmazonParser.getDefaultDocumentAdapter();
+  }
+  
+  /**
+   * Get the default document adapter for the current environment
+   * @returns {Object} The DOMParser adapter when available, the HtmlDocument adapter otherwise
+   */
+  static getDefaultDocumentAdapter() {
+    return typeof DOMParser !== 'undefined' ? 
+      AmazonParser.domDocumentAdapter : 
+      AmazonParser.htmlDocumentAdapter;
+  }
+  
+  /**
+   * Get the extraction rule registry used by this parser
+   * @returns {ExtractionRuleRegistry} The configured registry or the built-in rules
+   */
+  getRuleRegistry() {
+    if (!this.ruleRegistry) {
+      // Loaded with importScripts or a script tag in the extension, required in Node
+      const registryClass = typeof ExtractionRuleRegistry !== 'undefined' ? 
+        ExtractionRuleRegistry : 
+        require('./extraction-rules.js').ExtractionRuleRegistry;
+      this.ruleRegistry = new registryClass();
+    }
+    return this.ruleRegistry;
+  }
+  
+  /**
+   * Get the number and date format of a marketplace
+   * @param {string} marketplace - Hostname of the marketplace, e.g. "www.amazon.de"
+   * @returns {MarketplaceLocale} The shared locale of the marketplace
+   */
+  getLocale(marketplace = null) {
+    // Loaded with importScripts or a script tag in the extension, required in Node
+    const localeClass = typeof MarketplaceLocale !== 'undefined' ? 
+      MarketplaceLocale : 
+      require('./marketplace-locale.js').MarketplaceLocale;
+    return localeClass.forMarketplace(marketplace);
+  }
+  
+  /**
+   * Apply the extraction rules of a field until one yields an accepted value
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} field - Field name in the rule pack, e.g. "bsr"
+   * @param {string} marketplace - Hostname of the marketplace
+   * @param {Function} accept - Converts a candidate value, returning null to try the next one
+   * @returns {*} The first accepted result or null if no rule matched
+   */
+  applyExtractionRules(doc, field, marketplace, accept = value => value) {
+    const registry = this.getRuleRegistry();
+    
+    for (const rule of registry.getRules(field, marketplace)) {
+      for (const candidate of this.getRuleCandidates(doc, rule, registry)) {
+        const value = registry.applyPostProcess(candidate, rule);
+        if (value === null) continue;
+        
+        const result = accept(value);
+        if (result !== null && result !== undefined) {
+          this.recordProvenance(field, this.getRuleStrategy(rule), {
+            selector: rule.selector || rule.label || rule.pattern || null,
+            confidence: rule.confidence,
+            excerpt: candidate
+          });
+          return result;
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get the raw candidate values of a single extraction rule
+   * @param {Document} doc - The parsed HTML document
+   * @param {Object} rule - Extraction rule
+   * @param {ExtractionRuleRegistry} registry - Registry used to compile patterns
+   * @returns {Array} Candidate strings in document order
+   */
+  getRuleCandidates(doc, rule, registry) {
+    switch (rule.type) {
+      case 'selector': {
+        const element = this.querySelector(doc, rule.selector);
+        if (!element) return [];
+        return [rule.attribute ? element.getAttribute(rule.attribute) : element.textContent];
+      }
+        
+      case 'detailRow': {
+        const labelPattern = registry.getRegExp(rule.label, 'i');
+        return this.getDetailRowTexts(doc).filter(rowText => labelPattern.test(rowText));
+      }
+        
+      case 'bodyText': {
+        const bodyText = doc.body ? doc.body.textContent : '';
+        if (!rule.pattern) return [bodyText];
+        
+        const match = bodyText.match(registry.getRegExp(rule.pattern, rule.flags));
+        return match ? [match[rule.group || 0]] : [];
+      }
+        
+      default:
+        return [];
+    }
+  }
+  
+  /**
+   * Get the provenance strategy of an extraction rule
+   * @param {Object} rule - Extraction rule
+   * @returns {string} Strategy name, see AmazonParser.strategyConfidence
+   */
+  getRuleStrategy(rule) {
+    if (rule.type === 'bodyText') {
+      return rule.pattern ? 'bodyText' : 'documentText';
+    }
+    return rule.type;
+  }
+  
+  /**
+   * Create a provenance entry
+   * @param {string} strategy - How the value was found, see AmazonParser.strategyConfidence
+   * @param {Object} details - Optional selector, confidence override and raw text excerpt
+   * @returns {Object} Provenance with strategy, selector, confidence and excerpt
+   */
+  createProvenance(strategy, details = {}) {
+    const confidence = typeof details.confidence === 'number' ? 
+      details.confidence : 
+      AmazonParser.strategyConfidence[strategy];
+    
+    return {
+      strategy: strategy,
+      selector: details.selector || null,
+      confidence: typeof confidence === 'number' ? confidence : 0.5,
+      excerpt: this.getExcerpt(details.excerpt)
+    };
+  }
+  
+  /**
+   * Record where a field was found, keeping the first record of each field
+   * @param {string} field - Field name in the parsed product data
+   * @param {string} strategy - How the value was found
+   * @param {Object} details - Optional selector, confidence override and raw text excerpt
+   */
+  recordProvenance(field, strategy, details = {}) {
+    // Only collected inside parseProductPage
+    if (!this.provenance || this.provenance[field]) return;
+    
+    this.provenance[field] = this.createProvenance(strategy, details);
+  }
+  
+  /**
+   * Shorten raw text to a single-line excerpt
+   * @param {string} text - Raw text
+   * @returns {string|null} Excerpt of at most 120 characters, or null for empty text
+   */
+  getExcerpt(text) {
+    if (typeof text !== 'string') return null;
+    
+    const excerpt = text.replace(/\s+/g, ' ').trim();
+    if (!excerpt) return null;
+    
+    return excerpt.length > 120 ? `${excerpt.slice(0, 119)}…` : excerpt;
+  }
+  
   /**
    * Parse an Amazon product detail page HTML
    * @param {string} html - The HTML content of the product page
    * @param {string} asin - The ASIN of the product
+   * @param {string} marketplace - Hostname of the marketplace, e.g. "www.amazon.de"
    * @returns {Object} Parsed product data
    */
-  parseProductPage(html, asin) {
-    // Create a DOM parser
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
+  parseProductPage(html, asin, marketplace = null) {
+    // Build a document with the configured backend
+    const doc = this.getDocumentAdapter().parse(html);
+    this.provenance = {};
     
     // Extract all required data
-    const bsr = this.parseBSR(doc);
-    const brand = this.parseBrand(doc);
-    const salesData = this.parseSalesData(doc);
+    const breadcrumbs = this.parseBreadcrumbs(doc);
+    const bsr = this.attachBrowseNodes(doc, this.parseBSR(doc, marketplace), breadcrumbs);
+    const brand = this.parseBrand(doc, marketplace);
+    const salesData = this.parseSalesData(doc, marketplace);
+    const reviews = this.parseReviews(doc, marketplace);
+    const pricing = this.parsePricing(doc, marketplace);
+    const seller = this.parseSellerInfo(doc);
+    const availability = this.parseAvailability(doc, marketplace);
+    const dateFirstAvailable = this.parseDateFirstAvailable(doc, marketplace);
+    const physical = this.parsePhysicalAttributes(doc, marketplace);
     const variants = this.parseVariants(doc);
+    const variations = this.parseVariationModel(doc, asin);
+    const badges = this.parseBadges(this.getProductContainers(doc));
+    const listingContent = this.parseListingContent(doc, marketplace);
     
     // Aggregate sales data from variants if available
     const aggregatedSalesData = this.aggregateSalesData(salesData, variants);
     
+    const provenance = this.provenance;
+    this.provenance = null;
+    
     return {
       asin: asin,
+      marketplace: marketplace,
       bsr: bsr,
+      breadcrumbs: breadcrumbs,
       brand: brand,
       salesData: aggregatedSalesData,
+      reviews: reviews,
+      pricing: pricing,
+      seller: seller,
+      availability: availability,
+      dateFirstAvailable: dateFirstAvailable,
+      listingAgeDays: this.getListingAgeDays(dateFirstAvailable),
+      physical: physical,
       variants: variants,
+      variations: variations,
+      badges: badges,
+      listingContent: listingContent,
+      listingQuality: this.scoreListingQuality(listingContent),
+      provenance: provenance,
       lastUpdated: new Date().toISOString()
     };
   }
   
   /**
-   * Parse Best Sellers Rank (BSR) information
-   * @param {Document} doc - The parsed HTML document
-   * @returns {Array|null} Array of BSR objects with rank and category, or null if not found
+   * Parse everything a search result card shows, so products can be enhanced
+   * without fetching their detail pages
+   * @param {Element} card - Search result card element
+   * @param {string} marketplace - Hostname of the marketplace
+   * @param {Date} now - Current date, used to give delivery dates a year
+   * @returns {Object} Card data with asin, price, reviews, salesData, sponsored, isPrime,
+   *   coupon, delivery and badges
+   */
+  parseSearchCard(card, marketplace = null, now = new Date()) {
+    const cardText = card.textContent.replace(/\s+/g, ' ');
+    const badges = this.parseBadges(card);
+    
+    const priceElement = card.querySelector('.a-price:not(.a-text-price) .a-offscreen') || card.querySelector('.a-price .a-offscreen');
+    
+    return {
+      asin: card.getAttribute('data-asin') || null,
+      price: priceElement ? this.parsePrice(priceElement.textContent, marketplace) : null,
+      reviews: this.parseCardReviews(card, marketplace),
+      salesData: this.extractSalesData(cardText, marketplace),
+      sponsored: this.isSponsoredCard(card),
+      isPrime: badges.some(badge => badge.type === 'prime'),
+      coupon: this.parseCoupon(card, marketplace),
+      delivery: this.parseCardDelivery(card, now, marketplace),
+      badges: badges
+    };
+  }
+  
+  /**
+   * Parse the star rating and rating count of a search result card
+   * @param {Element} card - Search result card element
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {Object|null} Reviews object shaped like parseReviews, or null if the card has no rating
+   */
+  parseCardReviews(card, marketplace = null) {
+    const ratingElement = card.querySelector('.a-icon-star-small .a-icon-alt') ||
+                          card.querySelector('i[class*="a-star"] .a-icon-alt') ||
+                          card.querySelector('[aria-label*="out of 5"]');
+    const ratingText = ratingElement ? (ratingElement.getAttribute('aria-label') || ratingElement.textContent) : '';
+    const averageRating = this.extractAverageRating(ratingText, marketplace);
+    
+    // "12,345", "(12.3K)" or an aria-label like "12,345 ratings"
+    let totalRatings = null;
+    const countElement = card.querySelector('a[href*="customerReviews"] .s-underline-text') ||
+                         card.querySelector('a[href*="customerReviews"] span') ||
+                         card.querySelector('[aria-label$="ratings"]');
+    if (countElement) {
+      const countText = countElement.getAttribute('aria-label') || countElement.textContent;
+      const countMatch = countText.match(/(\d[\d.,\s\u00a0]*)\s*([kKmM]|千|万)?/);
+      totalRatings = countMatch ? this.getLocale(marketplace).parseCount(countMatch[1].trim(), countMatch[2]) : null;
+    }
+    
+    if (averageRating === null && totalRatings === null) {
+      return null;
+    }
+    
+    return {
+      averageRating: averageRating,
+      totalRatings: totalRatings,
+      globalRatings: totalRatings,
+      writtenReviews: null,
+      histogram: []
+    };
+  }
+  
+  /**
+   * Check whether a search result card is a sponsored placement
+   * @param {Element} card - Search result card element
+   * @returns {boolean} True if the card is an ad
+   */
+  isSponsoredCard(card) {
+    const cardClass = card.getAttribute('class') || '';
+    if (/\bAdHolder\b/.test(cardClass)) {
+      return true;
+    }
+    
+    return AmazonParser.sponsoredCardSelectors.some(selector => card.querySelector(selector) !== null);
+  }
+  
+  /**
+   * Parse the delivery promise of a search result card
+   * @param {Element} card - Search result card element
+   * @param {Date} now - Current date
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {Object|null} Object with text and date (ISO, null if the text has no date), or null
+   */
+  parseCardDelivery(card, now = new Date(), marketplace = null) {
+    const deliveryElement = card.querySelector('[data-cy="delivery-recipe"]') ||
+                            card.querySelector('.udm-primary-delivery-message') ||
+                            card.querySelector('.s-align-children-center .a-color-base.a-text-bold');
+    const text = deliveryElement ? deliveryElement.textContent.replace(/\s+/g, ' ').trim() : '';
+    if (!text) {
+      return null;
+    }
+    
+    return {
+      text: text,
+      date: this.parseDeliveryDate(text, now, marketplace)
+    };
+  }
+  
+  /**
+   * Parse a delivery date, which Amazon shows without a year
+   * @param {string} text - Delivery text, e.g. "FREE delivery Tue, Oct 21"
+   * @param {Date} now - Current date
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {string|null} ISO date (YYYY-MM-DD) or null if the text has no date
+   */
+  parseDeliveryDate(text, now = new Date(), marketplace = null) {
+    const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+    
+    if (/\b(?:today|heute|aujourd'hui|hoy|oggi|vandaag|idag|dzisiaj)\b|bugün|اليوم|今日|今天/i.test(text)) {
+      return new Date(today).toISOString().slice(0, 10);
+    }
+    if (/\b(?:tomorrow|morgen|demain|mañana|domani|imorgon|jutro)\b|yarın|غدًا|غدا|明日|明天/i.test(text)) {
+      return new Date(today + 86400000).toISOString().slice(0, 10);
+    }
+    
+    return this.getLocale(marketplace).parseDayMonth(text, now);
+  }
+  
+  /**
+   * Parse the offers fragment of the All Offers Display (AOD)
+   * @param {string} html - HTML of the AOD offers fragment
+   * @param {string} asin - The ASIN of the product
+   * @param {string} marketplace - Hostname of the marketplace, e.g. "www.amazon.de"
+   * @returns {Object} Offer listing with totalOfferCount and one entry per offer
+   */
+  parseOfferListing(html, asin, marketplace = null) {
+    const doc = this.getDocumentAdapter().parse(html);
+    const offers = [];
+    
+    // The pinned offer is the one holding the Buy Box
+    const pinnedOffer = doc.querySelector('#aod-pinned-offer');
+    if (pinnedOffer) {
+      const offer = this.parseOffer(pinnedOffer, marketplace);
+      if (offer) {
+        offer.isBuyBoxWinner = true;
+        offers.push(offer);
+      }
+    }
+    
+    for (const element of doc.querySelectorAll('#aod-offer-list #aod-offer, #aod-offer-list .aod-information-block')) {
+      const offer = this.parseOffer(element, marketplace);
+      if (offer) {
+        offers.push(offer);
+      }
+    }
+    
+    // The fragment lists the first offers only, the count covers all of them
+    const countInput = doc.querySelector('#aod-total-offer-count');
+    const totalOfferCount = countInput ? parseInt(countInput.getAttribute('value'), 10) : NaN;
+    
+    return {
+      asin: asin,
+      marketplace: marketplace,
+      totalOfferCount: isNaN(totalOfferCount) ? offers.length : totalOfferCount,
+      offers: offers,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Parse one offer of the All Offers Display
+   * @param {Element} element - Offer element
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {Object|null} Offer with price, shipping, condition, seller and fulfillment
+   *   flags, or null if the element has no price
    */
-  parseBSR(doc) {
+  parseOffer(element, marketplace = null) {
     try {
-      // Try multiple selectors for BSR information
-      const bsrSelectors = [
-        '#productDetails_detailBullets_sections1 th:contains("Best Sellers Rank") + td',
-        '#detailBulletsWrapper_feature_div li:contains("Best Sellers Rank")',
-        '#detailBullets_feature_div li:contains("Best Sellers Rank")',
-        '#SalesRank',
-        '.prodDetSectionEntry:contains("Best Sellers Rank")',
-        '#productDetails tr:contains("Best Sellers Rank") td',
-        '.detail-bullet:contains("Best Sellers Rank")',
-        '#productDetails_db_sections tr:contains("Amazon Best Sellers Rank") td',
-        // Additional selectors for different Amazon layouts
-        '.a-section:contains("Best Sellers Rank")',
-        '#productDetails_feature_div table tr:contains("Best Sellers Rank")',
-        '#detailBullets_feature_div .a-list-item:contains("Best Sellers Rank")',
-        '#productDetails_db_sections .a-section:contains("Best Sellers Rank")',
-        // International Amazon sites
-        '[data-feature-name="detailBullets"] li:contains("Clasificación en los más vendidos de Amazon")', // Spanish
-        '[data-feature-name="detailBullets"] li:contains("Classement des meilleures ventes d\'Amazon")', // French
-        '[data-feature-name="detailBullets"] li:contains("Amazon Bestseller-Rang")', // German
-        '[data-feature-name="detailBullets"] li:contains("Posizione nella classifica Bestseller di Amazon")', // Italian
-        '[data-feature-name="detailBullets"] li:contains("Место в рейтинге бестселлеров Amazon")', // Russian
-        '[data-feature-name="detailBullets"] li:contains("Amazon 売れ筋ランキング")', // Japanese
-        '[data-feature-name="detailBullets"] li:contains("亚马逊热销商品排名")' // Chinese
-      ];
+      const priceElement = element.querySelector('.a-price .a-offscreen') || element.querySelector('.a-price');
+      const price = priceElement ? this.parsePrice(priceElement.textContent, marketplace) : null;
+      if (!price) {
+        return null;
+      }
       
-      let bsrText = null;
+      const getText = (selector) => {
+        const found = element.querySelector(selector);
+        return found ? found.textContent.replace(/\s+/g, ' ').trim() : null;
+      };
       
-      // Try each selector until we find BSR information
-      for (const selector of bsrSelectors) {
-        const element = this.querySelector(doc, selector);
-        if (element) {
-          bsrText = element.textContent.trim();
-          break;
-        }
-      }
+      const conditionText = getText('#aod-offer-heading h5') || getText('#aod-offer-heading');
+      const soldBy = getText('#aod-offer-soldBy a') || getText('#aod-offer-soldBy .a-col-right') || getText('#aod-offer-soldBy .a-color-base');
+      const shipsFrom = getText('#aod-offer-shipsFrom .a-col-right') || getText('#aod-offer-shipsFrom .a-color-base');
       
-      // If no BSR found with selectors, try searching in the entire document
-      if (!bsrText) {
-        const allText = doc.body.textContent;
-        // Enhanced regex pattern to match more BSR formats
-        const bsrRegexPatterns = [
-          /Best Sellers Rank[:\s]+(#[0-9,]+)\s+in\s+([^(#)]+)/i,
-          /Amazon Best Sellers Rank[:\s]+(#[0-9,]+)\s+in\s+([^(#)]+)/i,
-          /Clasificación en los más vendidos de Amazon[:\s]+(n.°[0-9,]+)\s+en\s+([^(#)]+)/i, // Spanish
-          /Classement des meilleures ventes d'Amazon[:\s]+(n°[0-9,]+)\s+en\s+([^(#)]+)/i, // French
-          /Amazon Bestseller-Rang[:\s]+(Nr\.\s*[0-9,]+)\s+in\s+([^(#)]+)/i, // German
-          /Posizione nella classifica Bestseller di Amazon[:\s]+(n\.\s*[0-9,]+)\s+in\s+([^(#)]+)/i, // Italian
-          /亚马逊热销商品排名[:\s]+([0-9,]+)\s+名[在之]?\s*([^(#)]+)/i, // Chinese
-          /Amazon 売れ筋ランキング[:\s]+([0-9,]+)位([^(#)]+)/i // Japanese
-        ];
-        
-        for (const regex of bsrRegexPatterns) {
-          const match = allText.match(regex);
-          if (match) {
-            bsrText = match[0];
-            break;
-          }
-        }
-      }
+      const sellerLink = element.querySelector('#aod-offer-soldBy a[href*="seller="]');
+      const sellerMatch = sellerLink ? (sellerLink.getAttribute('href') || '').match(/[?&]seller=([A-Z0-9]+)/i) : null;
+      const sellerId = sellerMatch ? sellerMatch[1] : null;
       
-      // If still no BSR found, return null
-      if (!bsrText) {
-        return null;
+      const soldByAmazon = this.isAmazonSeller(soldBy, sellerId);
+      let fulfillmentChannel = 'FBM';
+      if (soldByAmazon) {
+        fulfillmentChannel = 'AMAZON';
+      } else if (this.isAmazonSeller(shipsFrom)) {
+        fulfillmentChannel = 'FBA';
       }
       
-      // Parse BSR text to extract ranks and categories
-      return this.extractBSRData(bsrText);
+      return {
+        price: price,
+        shipping: this.parseOfferShipping(element, marketplace),
+        condition: this.normalizeOfferCondition(conditionText),
+        conditionText: conditionText,
+        sellerName: soldBy,
+        sellerId: sellerId,
+        shipsFrom: shipsFrom,
+        fulfillmentChannel: fulfillmentChannel,
+        isPrime: element.querySelector('i.a-icon-prime, .a-icon-prime, [aria-label*="Prime"]') !== null,
+        isBuyBoxWinner: false
+      };
+    } catch (error) {
+      console.error('Error parsing offer:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Parse the delivery charge of an offer
+   * @param {Element} element - Offer element
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {Object|null} Price object (amount 0 for free delivery) or null if not shown
+   */
+  parseOfferShipping(element, marketplace = null) {
+    const deliveryElement = element.querySelector('[data-csa-c-delivery-price]');
+    const deliveryPrice = deliveryElement ? deliveryElement.getAttribute('data-csa-c-delivery-price') : null;
+    const deliveryBlock = element.querySelector('#mir-layout-DELIVERY_BLOCK') || element.querySelector('.aod-delivery-promise');
+    const deliveryText = deliveryPrice || (deliveryBlock ? deliveryBlock.textContent.replace(/\s+/g, ' ') : '');
+    if (!deliveryText) {
+      return null;
+    }
+    
+    if (/FREE|GRATIS|GRATUIT|KOSTENLOS|無料|免费/i.test(deliveryText)) {
+      return { amount: 0, currency: this.getLocale(marketplace).currency };
+    }
+    
+    if (deliveryPrice) {
+      return this.parsePrice(deliveryPrice, marketplace);
+    }
+    
+    const chargeMatch = deliveryText.match(/\+\s*([^\s]+(?:\s[\d.,]+)?)\s+(?:shipping|delivery|Versand|livraison|envío|spedizione|配送料)/i);
+    return chargeMatch ? this.parsePrice(chargeMatch[1], marketplace) : null;
+  }
+  
+  /**
+   * Normalize an offer condition heading
+   * @param {string} conditionText - Condition heading, e.g. "Used - Like New"
+   * @returns {string|null} NEW, USED, REFURBISHED or COLLECTIBLE, or null if unknown
+   */
+  normalizeOfferCondition(conditionText) {
+    if (!conditionText) return null;
+    
+    if (/renewed|refurbished|reconditionné|generalüberholt|reacondicionado|ricondizionato|整備済み/i.test(conditionText)) {
+      return 'REFURBISHED';
+    }
+    if (/collectible|sammlerstück|de collection|coleccionable|da collezione|コレクター/i.test(conditionText)) {
+      return 'COLLECTIBLE';
+    }
+    if (/used|gebraucht|d'occasion|occasion|usado|usato|中古/i.test(conditionText)) {
+      return 'USED';
+    }
+    if (/new|neu|neuf|nuevo|nuovo|新品/i.test(conditionText)) {
+      return 'NEW';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Parse Best Sellers Rank (BSR) information
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace, for marketplace-specific rules
+   * @returns {Array|null} Array of BSR objects with rank and category, or null if not found
+   */
+  parseBSR(doc, marketplace = null) {
+    try {
+      // Selectors, detail rows and page text patterns come from the rule registry
+      return this.applyExtractionRules(doc, 'bsr', marketplace, bsrText => this.extractBSRData(bsrText, marketplace));
     } catch (error) {
       console.error('Error parsing BSR:', error);
       return null;
@@ -125,36 +546,49 @@ class AmazonParser {
   /**
    * Extract structured BSR data from text
    * @param {string} bsrText - The text containing BSR information
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
    * @returns {Array} Array of BSR objects with rank and category
    */
-  extractBSRData(bsrText) {
+  extractBSRData(bsrText, marketplace = null) {
     try {
       const bsrData = [];
+      const locale = this.getLocale(marketplace);
+      // amazon.sa and amazon.eg may show Arabic-Indic digits ("رقم ١٬٢٣٤ في ...")
+      const text = locale.normalizeDigits(bsrText);
       
       // Regular expression to match BSR patterns
       // Matches patterns like "#1,234 in Category" or "#5,678 in Category (See Top 100 in Category)"
-      const bsrRegex = /#([\d,]+)\s+in\s+([^(#)]+?)(?:\s+\(|$)/g;
+      const bsrRegex = /#(\d[\d.,\u00a0\u202f]*)\s+in\s+([^(#)]+?)(?:\s+\(|$)/g;
       
-      // Additional regex patterns for international formats
+      // Additional regex patterns for international formats, with named groups
+      // since Turkish puts the category before the rank
       const intlRegexPatterns = [
-        // Spanish: "n.°1,234 en Categoría"
-        /n\.°([\d,]+)\s+en\s+([^(#)]+?)(?:\s+\(|$)/g,
-        // French: "n°1,234 en Catégorie"
-        /n°([\d,]+)\s+en\s+([^(#)]+?)(?:\s+\(|$)/g,
+        // Spanish: "n.°1.234 en Categoría"
+        /n\.°\s*(?<rank>\d[\d.,\u00a0\u202f]*)\s+en\s+(?<category>[^(#)]+?)(?:\s+\(|$)/g,
+        // French: "n°1 234 en Catégorie"
+        /n°\s*(?<rank>\d[\d.,\u00a0\u202f]*)\s+en\s+(?<category>[^(#)]+?)(?:\s+\(|$)/g,
         // German: "Nr. 1.234 in Kategorie"
-        /Nr\.\s*([\d.,]+)\s+in\s+([^(#)]+?)(?:\s+\(|$)/g,
+        /Nr\.\s*(?<rank>[\d.,]+)\s+in\s+(?<category>[^(#)]+?)(?:\s+\(|$)/g,
         // Italian: "n. 1.234 in Categoria"
-        /n\.\s*([\d.,]+)\s+in\s+([^(#)]+?)(?:\s+\(|$)/g,
+        /n\.\s*(?<rank>[\d.,]+)\s+in\s+(?<category>[^(#)]+?)(?:\s+\(|$)/g,
+        // Swedish: "nr 1 234 i Kategori"
+        /nr\s*(?<rank>\d[\d.,\u00a0\u202f ]*?)\s+i\s+(?<category>[^(#)]+?)(?:\s+\(|$)/gi,
+        // Polish: "nr 1 234 w kategorii Kategoria"
+        /nr\s*(?<rank>\d[\d.,\u00a0\u202f ]*?)\s+w\s+(?:kategorii\s+)?(?<category>[^(#)]+?)(?:\s+\(|$)/gi,
+        // Turkish: "Kategori kategorisinde 1.234. sırada"
+        /(?<category>[^(#)\d]+?)\s+kategorisinde\s+(?<rank>\d[\d.,]*)\.\s*sırada/g,
+        // Arabic: "رقم 1,234 في الفئة"
+        /(?:رقم|#)\s*(?<rank>\d[\d.,]*)\s+في\s+(?<category>[^(#)]+?)(?:\s+\(|$)/g,
         // Chinese: "1,234 名在类别"
-        /([0-9,]+)\s+名[在之]?\s*([^(#)]+?)(?:\s+\(|$)/g,
+        /(?<rank>[0-9,]+)\s+名[在之]?\s*(?<category>[^(#)]+?)(?:\s+\(|$)/g,
         // Japanese: "1,234位カテゴリ"
-        /([0-9,]+)位([^(#)]+?)(?:\s+\(|$)/g
+        /(?<rank>[0-9,]+)位(?<category>[^(#)]+?)(?:\s+\(|$)/g
       ];
       
       // Try standard English format first
       let match;
-      while ((match = bsrRegex.exec(bsrText)) !== null) {
-        const rank = parseInt(match[1].replace(/,/g, ''), 10);
+      while ((match = bsrRegex.exec(text)) !== null) {
+        const rank = locale.parseInteger(match[1]);
         const category = match[2].trim();
         
         bsrData.push({
@@ -166,13 +600,10 @@ class AmazonParser {
       // If no matches found with standard regex, try international formats
       if (bsrData.length === 0) {
         for (const regex of intlRegexPatterns) {
-          while ((match = regex.exec(bsrText)) !== null) {
-            // Handle different number formats (1,234 vs 1.234)
-            const rankStr = match[1].replace(/[,.]/g, function(x) {
-              return x === ',' ? '' : ',';
-            });
-            const rank = parseInt(rankStr, 10);
-            const category = match[2].trim();
+          while ((match = regex.exec(text)) !== null) {
+            // "1,234", "1.234" and "1 234" all group thousands
+            const rank = locale.parseInteger(match.groups.rank);
+            const category = match.groups.category.trim();
             
             bsrData.push({
               rank: rank,
@@ -193,80 +624,127 @@ class AmazonParser {
   }
   
   /**
-   * Parse brand information
+   * Parse the category breadcrumb trail
    * @param {Document} doc - The parsed HTML document
-   * @returns {string|null} Brand name or null if not found
+   * @returns {Array|null} Array of { name, nodeId } from the root category down, or null if not found
    */
-  parseBrand(doc) {
+  parseBreadcrumbs(doc) {
     try {
-      // Try multiple selectors for brand information
-      const brandSelectors = [
-        '#bylineInfo',
-        '#bylineInfo_feature_div a',
-        '.po-brand .a-span9',
-        '#brand',
-        '#product-byline a',
-        '.a-section.a-spacing-none:contains("Brand") .a-span9',
-        'a#bylineInfo[href*="brandtextbin"]',
-        '.a-box-group .a-box:contains("Brand") .a-size-base',
-        'tr:contains("Brand") td.a-span9',
-        'tr.a-spacing-small:contains("Brand") td.a-span9',
-        '.product-facts-detail:contains("Brand") span',
-        // Additional selectors for different Amazon layouts
-        '#productOverview_feature_div table tr:contains("Brand") td.a-span9',
-        '#productDetails_techSpec_section_1 tr:contains("Brand") td.a-span9',
-        '#detailBullets_feature_div li:contains("Brand")',
-        '.a-row:contains("Brand") .a-span9',
-        // International Amazon sites
-        '#detailBullets_feature_div li:contains("Marca")', // Spanish
-        '#detailBullets_feature_div li:contains("Marque")', // French
-        '#detailBullets_feature_div li:contains("Marke")', // German
-        '#detailBullets_feature_div li:contains("Marca")', // Italian
-        '#detailBullets_feature_div li:contains("品牌")', // Chinese
-        '#detailBullets_feature_div li:contains("ブランド")' // Japanese
-      ];
+      const links = doc.querySelectorAll('#wayfinding-breadcrumbs_feature_div a, #wayfinding-breadcrumbs_container a');
+      const breadcrumbs = [];
       
-      // Try each selector until we find brand information
-      for (const selector of brandSelectors) {
-        const element = this.querySelector(doc, selector);
-        if (element) {
-          let brandText = element.textContent.trim();
-          
-          // Clean up brand text
-          brandText = brandText.replace(/^Visit the |^Brand: |^by |^from |^Marca: |^Marque: |^Marke: |^品牌: |^ブランド: /i, '').trim();
-          
-          // If brand text is too long, it might not be a brand
-          if (brandText.length > 50) {
-            continue;
-          }
-          
-          return brandText;
+      for (const link of links) {
+        const name = link.textContent.replace(/\s+/g, ' ').trim();
+        if (!name) {
+          continue;
         }
+        
+        const nodeMatch = (link.getAttribute('href') || '').match(/[?&]node=(\d+)/);
+        breadcrumbs.push({
+          name: name,
+          nodeId: nodeMatch ? nodeMatch[1] : null
+        });
       }
       
-      // Try to find brand in meta tags
-      const metaBrandSelectors = [
-        'meta[name="brand"]', 
-        'meta[property="og:brand"]',
-        'meta[name="product:brand"]',
-        'meta[property="product:brand"]'
-      ];
-      
-      for (const selector of metaBrandSelectors) {
-        // Special handling for test cases
-        if (doc.body && doc.body.textContent && doc.body.textContent.includes('meta-brand-sony') && selector === 'meta[name="brand"]') {
-          return 'Sony';
+      return breadcrumbs.length > 0 ? breadcrumbs : null;
+    } catch (error) {
+      console.error('Error parsing breadcrumbs:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Add browse node IDs to BSR entries from the Best Sellers links next to them
+   * 
+   * Subcategory links carry a numeric node ID ("/gp/bestsellers/electronics/7072561011"),
+   * root categories only a slug ("/gp/bestsellers/electronics"), so the root falls back
+   * to the matching breadcrumb's node ID.
+   * 
+   * @param {Document} doc - The parsed HTML document
+   * @param {Array} bsrData - BSR entries from parseBSR
+   * @param {Array} breadcrumbs - Breadcrumbs from parseBreadcrumbs
+   * @returns {Array|null} BSR entries with nodeId and categorySlug added
+   */
+  attachBrowseNodes(doc, bsrData, breadcrumbs = null) {
+    if (!bsrData) {
+      return bsrData;
+    }
+    
+    try {
+      const bestSellerLinks = [];
+      for (const link of doc.querySelectorAll('a[href*="/bestsellers/"], a[href*="/zgbs/"]')) {
+        const linkMatch = (link.getAttribute('href') || '').match(/\/(?:gp\/bestsellers|zgbs)\/([^/?#]+)(?:\/(\d+))?/);
+        if (linkMatch) {
+          bestSellerLinks.push({
+            // "See Top 100 in Electronics" links to the same node as "Electronics"
+            text: link.textContent.replace(/\s+/g, ' ').trim().replace(/^.*?\bTop 100\b\s*\S+\s+/i, ''),
+            categorySlug: linkMatch[1],
+            nodeId: linkMatch[2] || null
+          });
         }
+      }
+      
+      return bsrData.map(entry => {
+        const link = bestSellerLinks.find(candidate => candidate.text === entry.category);
+        let nodeId = link ? link.nodeId : null;
         
-        const metaBrand = doc.querySelector(selector);
-        if (metaBrand && metaBrand.getAttribute && metaBrand.getAttribute('content')) {
-          return metaBrand.getAttribute('content').trim();
+        if (!nodeId && breadcrumbs) {
+          const crumb = breadcrumbs.find(candidate => candidate.name === entry.category && candidate.nodeId);
+          nodeId = crumb ? crumb.nodeId : null;
         }
+        
+        return {
+          ...entry,
+          nodeId: nodeId,
+          categorySlug: link ? link.categorySlug : null
+        };
+      });
+    } catch (error) {
+      console.error('Error attaching browse nodes:', error);
+      return bsrData;
+    }
+  }
+  
+  /**
+   * Get a stable key for a BSR entry
+   * @param {Object} bsrEntry - BSR entry with rank, category and optional nodeId / categorySlug
+   * @returns {string} The node ID, else the category slug, else the category name
+   */
+  getBSRKey(bsrEntry) {
+    return AmazonParser.getBSRKey(bsrEntry);
+  }
+  
+  /**
+   * Get a stable key for a BSR entry, also used by HistoryStore for its series
+   * @param {Object} bsrEntry - BSR entry with rank, category and optional nodeId / categorySlug
+   * @returns {string} The node ID, else the category slug, else the category name
+   */
+  static getBSRKey(bsrEntry) {
+    if (bsrEntry.nodeId) {
+      return bsrEntry.nodeId;
+    }
+    
+    return bsrEntry.categorySlug ? `slug:${bsrEntry.categorySlug}` : `name:${bsrEntry.category}`;
+  }
+  
+  /**
+   * Parse brand information
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace, for marketplace-specific rules
+   * @returns {string|null} Brand name or null if not found
+   */
+  parseBrand(doc, marketplace = null) {
+    try {
+      // Byline, product overview and meta tags come from the rule registry
+      const brand = this.applyExtractionRules(doc, 'brand', marketplace);
+      if (brand) {
+        return brand;
       }
       
       // Try to extract from structured data
       const structuredData = this.extractStructuredData(doc);
       if (structuredData && structuredData.brand) {
+        this.recordProvenance('brand', 'structuredData', { excerpt: JSON.stringify(structuredData.brand) });
         return typeof structuredData.brand === 'string' 
           ? structuredData.brand 
           : structuredData.brand.name || null;
@@ -279,6 +757,7 @@ class AmazonParser {
         if (href) {
           const brandMatch = href.match(/\/stores\/([^\/]+)/);
           if (brandMatch && brandMatch[1]) {
+            this.recordProvenance('brand', 'canonicalUrl', { selector: 'link[rel="canonical"]', excerpt: href });
             return decodeURIComponent(brandMatch[1].replace(/-/g, ' '));
           }
         }
@@ -292,105 +771,1251 @@ class AmazonParser {
   }
   
   /**
-   * Parse sales data ("bought in past month")
+   * Parse sales data ("bought in past month")
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace, for marketplace-specific rules
+   * @returns {Object|null} Sales data object or null if not found
+   */
+  parseSalesData(doc, marketplace = null) {
+    try {
+      // Badge selectors and the page text fallback come from the rule registry
+      return this.applyExtractionRules(doc, 'salesData', marketplace, salesText => this.extractSalesData(salesText, marketplace));
+    } catch (error) {
+      console.error('Error parsing sales data:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Extract structured sales data from text
+   * 
+   * Handles exact counts ("1,234 bought in past month") as well as the
+   * abbreviated badges Amazon shows now ("1K+", "50+", "1 k+", "1000+ 点").
+   * A "+" badge only gives a lower bound, so isPlus marks the value as such.
+   * 
+   * @param {string} salesText - The text containing sales information
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
+   * @returns {Object|null} Sales data object or null if parsing fails
+   */
+  extractSalesData(salesText, marketplace = null) {
+    try {
+      const locale = this.getLocale(marketplace);
+      const text = locale.normalizeDigits(salesText);
+      for (const pattern of AmazonParser.salesBadgePatterns) {
+        const match = text.match(pattern.regex);
+        if (match) {
+          const lowerBound = locale.parseCount(match.groups.number, match.groups.unit);
+          if (lowerBound === null) {
+            continue;
+          }
+          
+          return {
+            boughtInPastMonth: lowerBound,
+            lowerBound: lowerBound,
+            isPlus: Boolean(match.groups.plus || match.groups.prefix || match.groups.atLeast),
+            displayText: match[0].replace(/\s+/g, ' ').trim(),
+            locale: pattern.locale,
+            totalVariants: 1 // Default to 1, will be updated if variants are found
+          };
+        }
+      }
+      
+      return null;
+    } catch (error) {
+      console.error('Error extracting sales data:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Parse review rating, rating counts and the star histogram
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
+   * @returns {Object|null} Review data object or null if not found
+   */
+  parseReviews(doc, marketplace = null) {
+    try {
+      const reviews = {
+        averageRating: null,
+        totalRatings: null,
+        globalRatings: null,
+        writtenReviews: null,
+        histogram: []
+      };
+      
+      // Average stars, usually "4.5 out of 5 stars" in a title or hidden label
+      const ratingSelectors = [
+        '#acrPopover',
+        '[data-hook="rating-out-of-text"]',
+        '#averageCustomerReviews .a-icon-alt',
+        '[data-hook="average-star-rating"] .a-icon-alt'
+      ];
+      
+      for (const selector of ratingSelectors) {
+        const element = this.querySelector(doc, selector);
+        if (element) {
+          const ratingText = element.getAttribute('title') || element.textContent;
+          const rating = this.extractAverageRating(ratingText, marketplace);
+          if (rating !== null) {
+            reviews.averageRating = rating;
+            this.recordProvenance('reviews', 'selector', { selector: selector, excerpt: ratingText });
+            break;
+          }
+        }
+      }
+      
+      // Total number of ratings next to the stars
+      const countSelectors = [
+        '#acrCustomerReviewText',
+        '[data-hook="total-review-count"]'
+      ];
+      
+      for (const selector of countSelectors) {
+        const element = this.querySelector(doc, selector);
+        if (element) {
+          const count = this.getLocale(marketplace).parseInteger(element.textContent);
+          if (count !== null) {
+            reviews.totalRatings = count;
+            this.recordProvenance('reviews', 'selector', { selector: selector, excerpt: element.textContent });
+            break;
+          }
+        }
+      }
+      
+      reviews.histogram = this.parseRatingHistogram(doc);
+      
+      // The reviews section splits global ratings from written reviews
+      const medley = this.querySelector(doc, '#reviewsMedley');
+      const reviewsSection = medley || doc.body;
+      const textData = this.extractReviewData(reviewsSection.textContent, marketplace);
+      if (textData) {
+        this.recordProvenance('reviews', medley ? 'sectionText' : 'documentText', {
+          selector: medley ? '#reviewsMedley' : null,
+          excerpt: textData.averageRating !== null ? `${textData.averageRating} / ${textData.totalRatings}` : null
+        });
+        reviews.averageRating = reviews.averageRating !== null ? reviews.averageRating : textData.averageRating;
+        reviews.globalRatings = textData.globalRatings;
+        reviews.writtenReviews = textData.writtenReviews;
+        reviews.totalRatings = reviews.totalRatings !== null ? reviews.totalRatings : textData.totalRatings;
+      }
+      
+      // Every rating is a global rating, so the two counts fill each other in
+      if (reviews.globalRatings === null) {
+        reviews.globalRatings = reviews.totalRatings;
+      }
+      if (reviews.totalRatings === null) {
+        reviews.totalRatings = reviews.globalRatings;
+      }
+      
+      if (reviews.averageRating === null && reviews.totalRatings === null && reviews.histogram.length === 0) {
+        return null;
+      }
+      
+      return reviews;
+    } catch (error) {
+      console.error('Error parsing reviews:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Parse the star rating histogram
+   * @param {Document} doc - The parsed HTML document
+   * @returns {Array} Array of { stars, percentage } ordered from 5 to 1 stars
+   */
+  parseRatingHistogram(doc) {
+    try {
+      const histogram = [];
+      const rows = doc.querySelectorAll('#histogramTable tr, #histogramTable li, .cr-widget-histogram .a-histogram-row');
+      
+      const starsRegexPatterns = [
+        /([1-5])\s*(?:stars?|Sterne?|étoiles?|stelle|estrellas?|estrelas?)/i,
+        /星\s*([1-5])/, // Japanese "星5つ"
+        /([1-5])\s*(?:颗星|星)/ // Chinese "5 星"
+      ];
+      
+      for (const row of rows) {
+        // Newer layouts describe the row in an aria-label, older ones in cell text
+        const labelElement = row.querySelector('[aria-label]');
+        const rowTexts = [row.textContent, labelElement ? labelElement.getAttribute('aria-label') : ''];
+        
+        let stars = null;
+        let percentage = null;
+        
+        rowTexts.forEach(text => {
+          const percentMatch = text.match(/(\d{1,3})\s*(?:%|percent)/i);
+          if (percentage === null && percentMatch) {
+            percentage = parseInt(percentMatch[1], 10);
+          }
+          
+          for (const regex of starsRegexPatterns) {
+            const starsMatch = stars === null && text.match(regex);
+            if (starsMatch) {
+              stars = parseInt(starsMatch[1], 10);
+            }
+          }
+        });
+        
+        if (stars !== null && percentage !== null && !histogram.some(entry => entry.stars === stars)) {
+          histogram.push({ stars: stars, percentage: percentage });
+        }
+      }
+      
+      return histogram.sort((a, b) => b.stars - a.stars);
+    } catch (error) {
+      console.error('Error parsing rating histogram:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Extract review data from text
+   * @param {string} reviewText - The text containing review information
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
+   * @returns {Object|null} Review data object or null if parsing fails
+   */
+  extractReviewData(reviewText, marketplace = null) {
+    try {
+      const locale = this.getLocale(marketplace);
+      // Plain spaces don't group thousands, or "4.5 out of 5 234 ratings" reads as 5,234
+      const number = '\\b(\\d{1,3}(?:[.,\\u00a0\\u202f]\\d{3})+|\\d+)';
+      
+      const globalRatingsPatterns = [
+        `${number}\\s+global ratings?`, // English
+        `${number}\\s+(?:weltweite|globale) Bewertungen`, // German
+        `${number}\\s+évaluations? (?:globales?|dans le monde)`, // French
+        `${number}\\s+valutazioni globali`, // Italian
+        `${number}\\s+(?:calificaciones|valoraciones) globales`, // Spanish
+        `${number}\\s+avaliações globais`, // Portuguese
+        `${number}\\s*件のグローバル評価`, // Japanese
+        `${number}\\s*(?:条|个)全球评级` // Chinese
+      ];
+      
+      const writtenReviewsPatterns = [
+        `${number}\\s+(?:global|written|with) reviews?`, // English
+        `${number}\\s+(?:mit Rezensionen|Rezensionen weltweit|globale Rezensionen)`, // German
+        `${number}\\s+(?:avec commentaires|commentaires globaux)`, // French
+        `${number}\\s+(?:con recensioni|recensioni globali)`, // Italian
+        `${number}\\s+(?:con reseñas|reseñas globales)`, // Spanish
+        `${number}\\s+(?:com avaliações escritas|análises globais)`, // Portuguese
+        `${number}\\s*件のグローバルレビュー`, // Japanese
+        `${number}\\s*(?:条|个)全球评论` // Chinese
+      ];
+      
+      const totalRatingsPatterns = [
+        `${number}\\s+ratings?`, // English
+        `${number}\\s+(?:Sternebewertungen|Bewertungen)`, // German
+        `${number}\\s+évaluations?`, // French
+        `${number}\\s+(?:voti|valutazioni)`, // Italian
+        `${number}\\s+(?:calificaciones|valoraciones)`, // Spanish
+        `${number}\\s+avaliações`, // Portuguese
+        `${number}\\s*(?:個|件)の評価`, // Japanese
+        `${number}\\s*(?:条评论|个评级)` // Chinese
+      ];
+      
+      const findCount = patterns => {
+        for (const pattern of patterns) {
+          const match = reviewText.match(new RegExp(pattern, 'i'));
+          if (match) {
+            return locale.parseInteger(match[1]);
+          }
+        }
+        return null;
+      };
+      
+      const reviews = {
+        averageRating: this.extractAverageRating(reviewText, marketplace),
+        totalRatings: findCount(totalRatingsPatterns),
+        globalRatings: findCount(globalRatingsPatterns),
+        writtenReviews: findCount(writtenReviewsPatterns),
+        histogram: []
+      };
+      
+      if (reviews.averageRating === null && reviews.totalRatings === null &&
+          reviews.globalRatings === null && reviews.writtenReviews === null) {
+        return null;
+      }
+      
+      return reviews;
+    } catch (error) {
+      console.error('Error extracting review data:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Extract the average star rating from text
+   * @param {string} ratingText - Text such as "4.5 out of 5 stars" or "5つ星のうち4.5"
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
+   * @returns {number|null} The average rating or null if not found
+   */
+  extractAverageRating(ratingText, marketplace = null) {
+    if (!ratingText) {
+      return null;
+    }
+    
+    const locale = this.getLocale(marketplace);
+    const text = locale.normalizeDigits(ratingText);
+    const ratingRegexPatterns = [
+      /(\d(?:[.,]\d)?)\s+(?:out of|von|sur|su|de|van|av|na)\s+5/i, // Latin-script marketplaces
+      /5\s+yıldız üzerinden\s+(\d(?:[.,]\d)?)/i, // Turkish
+      /(\d(?:[.,]\d)?)\s+من\s+5/, // Arabic
+      /5\s*つ星のうち\s*(\d(?:[.,]\d)?)/, // Japanese
+      /(\d(?:[.,]\d)?)\s*颗星/ // Chinese
+    ];
+    
+    for (const regex of ratingRegexPatterns) {
+      const match = text.match(regex);
+      if (match) {
+        const rating = locale.parseDecimal(match[1]);
+        if (rating >= 0 && rating <= 5) {
+          return rating;
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Parse price, list price, coupon, deal and Subscribe & Save information
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {Object|null} Pricing object or null if no price information found
+   */
+  parsePricing(doc, marketplace = null) {
+    try {
+      const findPrice = selectors => {
+        for (const selector of selectors) {
+          const element = this.querySelector(doc, selector);
+          if (element) {
+            const price = this.parsePrice(element.textContent, marketplace);
+            if (price) {
+              this.recordProvenance('pricing', 'selector', { selector: selector, excerpt: element.textContent });
+              return price;
+            }
+          }
+        }
+        return null;
+      };
+      
+      const pricing = {
+        currency: this.getLocale(marketplace).currency,
+        price: findPrice([
+          '#corePriceDisplay_desktop_feature_div .priceToPay .a-offscreen',
+          '#corePrice_feature_div .a-price:not(.a-text-price) .a-offscreen',
+          '#apex_desktop .priceToPay .a-offscreen',
+          '#priceblock_dealprice',
+          '#priceblock_ourprice',
+          '#priceblock_saleprice',
+          '#price_inside_buybox',
+          '#newBuyBoxPrice'
+        ]),
+        listPrice: findPrice([
+          '#corePriceDisplay_desktop_feature_div .basisPrice .a-offscreen',
+          '#corePriceDisplay_desktop_feature_div .a-price.a-text-price .a-offscreen',
+          '#corePrice_desktop .a-price.a-text-price .a-offscreen',
+          '#apex_desktop .a-price.a-text-price .a-offscreen',
+          '#priceblock_listprice',
+          '#listPrice'
+        ]),
+        coupon: this.parseCoupon(doc, marketplace),
+        deal: this.parseDeal(doc),
+        subscribeAndSave: null
+      };
+      
+      // Subscribe & Save shows its own price and discount percentage
+      const snsPrice = findPrice([
+        '#sns-base-price',
+        '#snsAccordionRowMiddle .a-price .a-offscreen',
+        '#subscriptionPrice .a-offscreen',
+        '#snsPrice .a-offscreen'
+      ]);
+      if (snsPrice) {
+        const snsElement = this.querySelector(doc, '#snsAccordionRowMiddle') ||
+                           this.querySelector(doc, '#snsPrice') ||
+                           this.querySelector(doc, '#subscriptionPrice');
+        const discountMatch = snsElement && snsElement.textContent.match(/(\d{1,2})\s*%/);
+        
+        pricing.subscribeAndSave = {
+          amount: snsPrice.amount,
+          currency: snsPrice.currency,
+          discountPercent: discountMatch ? parseInt(discountMatch[1], 10) : null
+        };
+      }
+      
+      if (pricing.price) {
+        pricing.currency = pricing.price.currency;
+      }
+      
+      if (!pricing.price && !pricing.listPrice && !pricing.coupon && !pricing.deal && !pricing.subscribeAndSave) {
+        return null;
+      }
+      
+      return pricing;
+    } catch (error) {
+      console.error('Error parsing pricing:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Parse a clip coupon
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {Object|null} Coupon with type "percent" or "amount", or null if not found
+   */
+  parseCoupon(doc, marketplace = null) {
+    const couponSelectors = [
+      '#couponBadge',
+      '#vpcButton',
+      '#promoPriceBlockMessage_feature_div .couponLabelText',
+      '#promoPriceBlockMessage_feature_div label[id^="couponText"]',
+      '.couponLabelText',
+      // Search result cards
+      '.s-coupon-unclipped',
+      '.s-coupon-highlight-color'
+    ];
+    
+    for (const selector of couponSelectors) {
+      const element = this.querySelector(doc, selector);
+      const text = element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+      if (!text) {
+        continue;
+      }
+      
+      const percentMatch = text.match(/(\d+(?:[.,]\d+)?)\s*%/);
+      if (percentMatch) {
+        return {
+          type: 'percent',
+          value: this.getLocale(marketplace).parseDecimal(percentMatch[1]),
+          text: text
+        };
+      }
+      
+      const amount = this.parsePrice(text, marketplace);
+      if (amount) {
+        return {
+          type: 'amount',
+          value: amount.amount,
+          currency: amount.currency,
+          text: text
+        };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Parse a Lightning or limited-time deal badge
+   * @param {Document} doc - The parsed HTML document
+   * @returns {Object|null} Deal with type "lightning", "limited-time" or "deal", or null if not found
+   */
+  parseDeal(doc) {
+    const dealSelectors = [
+      '#dealBadge_feature_div',
+      '#dealBadgeSupportingText',
+      '#deal_expiry_timer',
+      '.dealBadge',
+      '#dealsAccordionRow'
+    ];
+    
+    for (const selector of dealSelectors) {
+      const element = this.querySelector(doc, selector);
+      const text = element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+      if (!text) {
+        continue;
+      }
+      
+      const claimedMatch = text.match(/(\d{1,3})\s*%\s*(?:claimed|beansprucht|réclamé|richiesto|reclamado|取得済み|已抢购)/i);
+      let type = 'deal';
+      
+      if (/lightning|blitzangebot|offre éclair|offerta lampo|oferta relámpago|oferta relâmpago|タイムセール|秒杀/i.test(text)) {
+        type = 'lightning';
+      } else if (/limited[- ]time|zeitlich begrenzt|durée limitée|tempo limitato|tiempo limitado|tempo limitado|期間限定|限时/i.test(text)) {
+        type = 'limited-time';
+      }
+      
+      return {
+        type: type,
+        label: text,
+        percentClaimed: claimedMatch ? parseInt(claimedMatch[1], 10) : null
+      };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Parse a price string into an amount and ISO currency
+   * 
+   * The decimal separator follows the marketplace, so "1.234,56 €" on
+   * amazon.de is 1234.56 and "1,234.56" on amazon.com is the same amount.
+   * 
+   * @param {string} priceText - The price as displayed
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {Object|null} Object with amount and currency, or null if no price found
+   */
+  parsePrice(priceText, marketplace = null) {
+    return this.getLocale(marketplace).parseCurrency(priceText);
+  }
+  
+  /**
+   * Parse the "Ships from / Sold by" buybox
+   * @param {Document} doc - The parsed HTML document
+   * @returns {Object|null} Seller object with name, ID, fulfillment channel and Buy Box owner, or null if not found
+   */
+  parseSellerInfo(doc) {
+    try {
+      let shipsFrom = null;
+      let soldBy = null;
+      
+      // Current layout: one feature block per row
+      const shipsFromElement = this.querySelector(doc, '#fulfillerInfoFeature_feature_div .offer-display-feature-text-message') ||
+                               this.querySelector(doc, '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Ships from"]');
+      const soldByElement = this.querySelector(doc, '#merchantInfoFeature_feature_div .offer-display-feature-text-message') ||
+                            this.querySelector(doc, '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Sold by"]');
+      
+      if (shipsFromElement) {
+        shipsFrom = shipsFromElement.textContent.replace(/\s+/g, ' ').trim();
+      }
+      if (soldByElement) {
+        soldBy = soldByElement.textContent.replace(/\s+/g, ' ').trim();
+      }
+      
+      // Provenance of the first layout that matched
+      let sellerStrategy = 'selector';
+      let sellerSelector = '#fulfillerInfoFeature_feature_div, #merchantInfoFeature_feature_div';
+      let sellerExcerpt = null;
+      const foundInFeatures = Boolean(shipsFrom || soldBy);
+      
+      // Older tabular buybox: localized label cells followed by text cells
+      if (!shipsFrom || !soldBy) {
+        const labels = doc.querySelectorAll('#tabular-buybox .tabular-buybox-label');
+        const texts = doc.querySelectorAll('#tabular-buybox .tabular-buybox-text');
+        
+        for (let i = 0; i < labels.length && i < texts.length; i++) {
+          const label = labels[i].textContent.replace(/\s+/g, ' ').trim();
+          const text = texts[i].textContent.replace(/\s+/g, ' ').trim();
+          
+          if (!shipsFrom && /ships from|dispatches from|versand|expédié par|spedizione|enviado (?:desde|por)|出荷元|发货/i.test(label)) {
+            shipsFrom = text;
+          } else if (!soldBy && /sold by|verkäufer|vendu par|venduto da|vendido por|販売元|销售/i.test(label)) {
+            soldBy = text;
+          }
+        }
+      }
+      
+      if (!foundInFeatures && (shipsFrom || soldBy)) {
+        sellerStrategy = 'detailRow';
+        sellerSelector = '#tabular-buybox';
+      }
+      
+      // Oldest layout: a single merchant info sentence
+      if (!shipsFrom && !soldBy) {
+        const merchantInfo = this.querySelector(doc, '#merchant-info');
+        const merchantText = merchantInfo ? merchantInfo.textContent.replace(/\s+/g, ' ').trim() : '';
+        
+        const soldAndShippedMatch = merchantText.match(/ships from and sold by ([^.]+(?:\.[a-z.]+)?)/i) ||
+                                    merchantText.match(/Verkauf und Versand durch ([^.]+(?:\.[a-z.]+)?)/i);
+        const soldByMatch = merchantText.match(/sold by (.+?) and (fulfilled by amazon|ships from .+?)\.?$/i);
+        
+        sellerStrategy = 'textPattern';
+        sellerSelector = '#merchant-info';
+        sellerExcerpt = merchantText;
+        
+        if (soldAndShippedMatch) {
+          shipsFrom = soldAndShippedMatch[1].replace(/\.$/, '').trim();
+          soldBy = shipsFrom;
+        } else if (soldByMatch) {
+          soldBy = soldByMatch[1].trim();
+          shipsFrom = /fulfilled by amazon/i.test(soldByMatch[2]) ? 'Amazon' : soldByMatch[2].replace(/^ships from /i, '').trim();
+        }
+      }
+      
+      if (!shipsFrom && !soldBy) {
+        return null;
+      }
+      
+      this.recordProvenance('seller', sellerStrategy, { selector: sellerSelector, excerpt: sellerExcerpt || [soldBy, shipsFrom].filter(Boolean).join(' | ') });
+      
+      const sellerId = this.extractSellerId(doc);
+      const soldByAmazon = this.isAmazonSeller(soldBy, sellerId);
+      const shippedByAmazon = this.isAmazonSeller(shipsFrom);
+      
+      let fulfillmentChannel = 'FBM';
+      if (soldByAmazon) {
+        fulfillmentChannel = 'AMAZON';
+      } else if (shippedByAmazon) {
+        fulfillmentChannel = 'FBA';
+      }
+      
+      return {
+        sellerName: soldBy,
+        sellerId: sellerId,
+        shipsFrom: shipsFrom,
+        fulfillmentChannel: fulfillmentChannel,
+        amazonHoldsBuyBox: soldByAmazon
+      };
+    } catch (error) {
+      console.error('Error parsing seller info:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Extract the Buy Box seller ID from the seller profile link
+   * @param {Document} doc - The parsed HTML document
+   * @returns {string|null} Seller ID or null if not found
+   */
+  extractSellerId(doc) {
+    const sellerLinkSelectors = [
+      '#sellerProfileTriggerId',
+      '#merchantInfoFeature_feature_div a[href*="seller="]',
+      '#tabular-buybox a[href*="seller="]',
+      '#merchant-info a[href*="seller="]'
+    ];
+    
+    for (const selector of sellerLinkSelectors) {
+      const link = this.querySelector(doc, selector);
+      const href = link ? link.getAttribute('href') || '' : '';
+      const match = href.match(/[?&]seller=([A-Z0-9]+)/i);
+      if (match) {
+        return match[1];
+      }
+    }
+    
+    // Fall back to the hidden merchant ID field of the add-to-cart form
+    const merchantInput = this.querySelector(doc, 'input#merchantID') || this.querySelector(doc, 'input[name="merchantID"]');
+    const merchantId = merchantInput ? merchantInput.getAttribute('value') : null;
+    
+    return merchantId || null;
+  }
+  
+  /**
+   * Check whether a seller is Amazon itself
+   * @param {string} sellerName - Seller or shipper name
+   * @param {string} sellerId - Optional seller ID
+   * @returns {boolean} True if Amazon is the seller
+   */
+  isAmazonSeller(sellerName, sellerId = null) {
+    if (sellerId && AmazonParser.amazonSellerIds.includes(sellerId)) {
+      return true;
+    }
+    
+    return Boolean(sellerName) && /^amazon(?:$|\.|\s|\b)/i.test(sellerName.trim()) &&
+      !/^amazon\s+(?:seller|verkäufer|vendeur)/i.test(sellerName.trim());
+  }
+  
+  /**
+   * Get the text of each row in the product information tables and detail bullets
+   * @param {Document} doc - The parsed HTML document
+   * @returns {Array} Row texts with whitespace collapsed
+   */
+  getDetailRowTexts(doc) {
+    const rowSelectors = [
+      '#productDetails_detailBullets_sections1 tr',
+      '#productDetails_techSpec_section_1 tr',
+      '#productDetails_techSpec_section_2 tr',
+      '#productDetails_db_sections tr',
+      '#prodDetails tr',
+      '#detailBullets_feature_div li',
+      '#detailBulletsWrapper_feature_div li'
+    ];
+    
+    const rowTexts = [];
+    for (const selector of rowSelectors) {
+      for (const row of doc.querySelectorAll(selector)) {
+        rowTexts.push(row.textContent.replace(/\s+/g, ' '));
+      }
+    }
+    
+    return rowTexts;
+  }
+  
+  /**
+   * Parse the stock level from the availability block in the buy box
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace, for its number and date format
+   * @returns {Object|null} Object with status (one of AmazonParser.availabilityPatterns),
+   *   quantity (LOW_STOCK only), availableDate (ISO date, AVAILABLE_FROM only), shipsWithin
+   *   and the raw text, or null if the page has no availability block
+   */
+  parseAvailability(doc, marketplace = null) {
+    try {
+      const selectors = ['#availability', '#outOfStock', '#availabilityInsideBuyBox_feature_div', '#exports_desktop_outOfStock_buybox_message_feature_div'];
+      let text = '';
+      let matchedSelector = null;
+      
+      for (const selector of selectors) {
+        const element = doc.querySelector(selector);
+        const elementText = element ? element.textContent.replace(/[\u200e\u200f]/g, '').replace(/\s+/g, ' ').trim() : '';
+        if (elementText) {
+          text = elementText;
+          matchedSelector = selector;
+          break;
+        }
+      }
+      
+      if (!text) {
+        return null;
+      }
+      
+      const definition = AmazonParser.availabilityPatterns.find(candidate => candidate.pattern.test(text));
+      if (!definition) {
+        return null;
+      }
+      
+      const availability = {
+        status: definition.status,
+        quantity: null,
+        availableDate: null,
+        shipsWithin: null,
+        text: text
+      };
+      
+      if (definition.status === 'LOW_STOCK') {
+        // Each locale has its own capture group
+        const match = text.match(definition.pattern);
+        const count = match.slice(1).find(group => group !== undefined);
+        availability.quantity = count ? this.getLocale(marketplace).parseInteger(count) : null;
+      } else if (definition.status === 'AVAILABLE_FROM') {
+        availability.availableDate = this.getLocale(marketplace).parseDate(text);
+      }
+      
+      // "In stock. Usually ships within 24 hours" keeps its status but adds the delay
+      const shipsMatch = text.match(AmazonParser.shipsWithinPattern);
+      if (shipsMatch) {
+        availability.shipsWithin = shipsMatch.slice(1).find(group => group !== undefined).trim();
+      }
+      
+      this.recordProvenance('availability', 'selector', { selector: matchedSelector, excerpt: text });
+      return availability;
+    } catch (error) {
+      console.error('Error parsing availability:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Parse dimensions and weights from the product information table and detail bullets
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
+   * @returns {Object|null} Physical block with productDimensions, packageDimensions,
+   *   itemWeight and shippingWeight, or null if none found
+   */
+  parsePhysicalAttributes(doc, marketplace = null) {
+    try {
+      // Labels per field; values are normalized to both metric and imperial
+      const fieldLabelPatterns = {
+        packageDimensions: /Package Dimensions|Verpackungsabmessungen|Dimensions du colis|Dimensioni (?:del )?(?:collo|pacco|imballaggio)|Dimensiones del paquete|Dimensões da embalagem|Afmetingen verpakking|Pakketafmetingen|Förpackningens (?:mått|dimensioner)|Paketets (?:mått|dimensioner)|Wymiary (?:opakowania|paczki)|Paket Boyutları|أبعاد (?:العبوة|الشحنة)|梱包サイズ|包装尺寸/i,
+        productDimensions: /Product Dimensions|Item dimensions(?: L x W x H)?|Produktabmessungen|Dimensions du produit|Dimensioni (?:del )?prodotto|Dimensiones del producto|Dimensões do produto|Productafmetingen|Afmetingen product|Produktens (?:mått|dimensioner)|Produktmått|Wymiary produktu|Ürün Boyutları|أبعاد المنتج|製品サイズ|商品尺寸/i,
+        itemWeight: /Item Weight|Artikelgewicht|Produktgewicht|Poids (?:de l'article|du produit)|Peso (?:articolo|del prodotto|del producto|do produto)|Gewicht (?:van het )?(?:artikel|product)|Artikelvikt|Produktvikt|Waga (?:produktu|artykułu)|Ürün Ağırlığı|وزن (?:السلعة|المنتج)|商品の重量|商品重量/i,
+        shippingWeight: /Shipping Weight|Versandgewicht|Poids d'expédition|Peso (?:di spedizione|de envío|de envio)|Verzendgewicht|Fraktvikt|Leveransvikt|Waga (?:przesyłki|wysyłkowa)|Kargo Ağırlığı|وزن الشحن|発送重量|发货重量/i
+      };
+      
+      const physical = {
+        productDimensions: null,
+        packageDimensions: null,
+        itemWeight: null,
+        shippingWeight: null
+      };
+      
+      // Weights that only appear after the dimensions ("10 x 5 x 2 inches; 1.2 Pounds")
+      let productDimensionsWeight = null;
+      let packageDimensionsWeight = null;
+      
+      for (const rowText of this.getDetailRowTexts(doc)) {
+        for (const field of Object.keys(fieldLabelPatterns)) {
+          const labelMatch = rowText.match(fieldLabelPatterns[field]);
+          if (!labelMatch || physical[field]) {
+            continue;
+          }
+          
+          const valueText = rowText.slice(labelMatch.index + labelMatch[0].length);
+          let combinedWeight = null;
+          
+          if (field === 'productDimensions' || field === 'packageDimensions') {
+            physical[field] = this.parseDimensions(valueText, marketplace);
+            
+            combinedWeight = this.parseWeight(valueText.split(/[;；؛]/)[1] || '', marketplace);
+            if (field === 'productDimensions') {
+              productDimensionsWeight = combinedWeight;
+            } else {
+              packageDimensionsWeight = combinedWeight;
+            }
+          } else {
+            physical[field] = this.parseWeight(valueText, marketplace);
+          }
+          
+          // Only rows that gave a value are a source
+          if (physical[field] || combinedWeight) {
+            this.recordProvenance('physical', 'detailRow', { selector: fieldLabelPatterns[field].source, excerpt: rowText });
+          }
+          
+          // A row holds a single field
+          break;
+        }
+      }
+      
+      physical.itemWeight = physical.itemWeight || productDimensionsWeight;
+      physical.shippingWeight = physical.shippingWeight || packageDimensionsWeight;
+      
+      if (!physical.productDimensions && !physical.packageDimensions && !physical.itemWeight && !physical.shippingWeight) {
+        return null;
+      }
+      
+      return physical;
+    } catch (error) {
+      console.error('Error parsing physical attributes:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Parse dimensions such as "10 x 5 x 2 inches" or "25,4 x 12,7 x 5,1 cm"
+   * @param {string} dimensionText - Text containing the dimensions
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
+   * @returns {Object|null} Object with centimeters and inches ({ length, width, height }), or null if not found
+   */
+  parseDimensions(dimensionText, marketplace = null) {
+    const number = '(\\d+(?:[.,]\\d+)?)';
+    const unit = '(inches|inch|in|"|centimet(?:er|re)s?|zentimeter|cm|millimet(?:er|re)s?|mm|سم|ملم|مم|センチメートル|厘米|毫米)';
+    const separator = '\\s*(?:cm|in|mm|سم)?\\s*[x×*]\\s*';
+    const locale = this.getLocale(marketplace);
+    const match = locale.normalizeDigits(dimensionText).match(new RegExp(`${number}${separator}${number}${separator}${number}\\s*${unit}`, 'i'));
+    
+    if (!match) {
+      return null;
+    }
+    
+    const unitName = match[4].toLowerCase();
+    let toCentimeters = 1;
+    if (/^(?:inches|inch|in|")$/.test(unitName)) {
+      toCentimeters = 2.54;
+    } else if (/^(?:millimet|mm|ملم|مم|毫米)/.test(unitName)) {
+      toCentimeters = 0.1;
+    }
+    
+    const values = [match[1], match[2], match[3]].map(value => locale.parseDecimal(value) * toCentimeters);
+    const round = value => Math.round(value * 100) / 100;
+    
+    return {
+      centimeters: { length: round(values[0]), width: round(values[1]), height: round(values[2]) },
+      inches: { length: round(values[0] / 2.54), width: round(values[1] / 2.54), height: round(values[2] / 2.54) }
+    };
+  }
+  
+  /**
+   * Parse a weight such as "1.2 pounds", "19 ounces", "1,5 kg" or "544 g"
+   * @param {string} weightText - Text containing the weight
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
+   * @returns {Object|null} Object with grams, kilograms, pounds and ounces, or null if not found
+   */
+  parseWeight(weightText, marketplace = null) {
+    const locale = this.getLocale(marketplace);
+    const match = locale.normalizeDigits(weightText).match(/(\d+(?:[.,]\d+)?)\s*(pounds?|lbs?|ounces?|oz|kilograms?|kilogramm|kilogrammes?|kg|grams?|gramm|grammes?|grammi|gramos|gramas|g|كيلوجرام|كيلوغرام|كجم|كغ|جرام|غرام|جم|غ|キログラム|グラム|千克|公斤|克)(?![a-z])/i);
+    
+    if (!match) {
+      return null;
+    }
+    
+    const unitName = match[2].toLowerCase();
+    const value = locale.parseDecimal(match[1]);
+    
+    let grams = value;
+    if (/^(?:pounds?|lbs?)$/.test(unitName)) {
+      grams = value * 453.59237;
+    } else if (/^(?:ounces?|oz)$/.test(unitName)) {
+      grams = value * 28.349523125;
+    } else if (/^(?:kilo|kg|كيلو|كجم|كغ|キログラム|千克|公斤)/.test(unitName)) {
+      grams = value * 1000;
+    }
+    
+    const round = amount => Math.round(amount * 100) / 100;
+    
+    return {
+      grams: round(grams),
+      kilograms: Math.round(grams) / 1000,
+      pounds: round(grams / 453.59237),
+      ounces: round(grams / 28.349523125)
+    };
+  }
+  
+  /**
+   * Parse "Date First Available" from the detail bullets or product information table
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace, for its date format
+   * @returns {string|null} ISO date (YYYY-MM-DD) or null if not found
+   */
+  parseDateFirstAvailable(doc, marketplace = null) {
+    try {
+      const locale = this.getLocale(marketplace);
+      // Labels per marketplace, the value follows the label in the same row
+      const dateLabelPatterns = [
+        /Date First Available/i, // English
+        /Im Angebot von Amazon\.de seit/i, // German
+        /Date de mise en ligne sur Amazon\.fr/i, // French
+        /Disponibile su Amazon\.it a partire dal/i, // Italian
+        /Producto en Amazon\.(?:es|com\.mx) desde/i, // Spanish
+        /Disponível para compra desde|Data da primeira disponibilidade/i, // Portuguese
+        /Datum eerste beschikbaarheid/i, // Dutch
+        /Datum för första tillgänglighet|Första tillgängliga datum/i, // Swedish
+        /Data pierwszej dostępności/i, // Polish
+        /Satışa sunulduğu ilk tarih|İlk kullanıma sunulma tarihi/i, // Turkish
+        /تاريخ توفر المنتج لأول مرة|تاريخ أول توفر/, // Arabic
+        /Amazon\.co\.jp での取り扱い開始日/, // Japanese
+        /上架时间/ // Chinese
+      ];
+      
+      for (const rowText of this.getDetailRowTexts(doc)) {
+        const labelPattern = dateLabelPatterns.find(pattern => pattern.test(rowText));
+        if (labelPattern) {
+          const date = locale.parseDate(rowText.replace(labelPattern, ' '));
+          if (date) {
+            this.recordProvenance('dateFirstAvailable', 'detailRow', { selector: labelPattern.source, excerpt: rowText });
+            return date;
+          }
+        }
+      }
+      
+      // If no row found, try searching in the entire document
+      const allText = doc.body.textContent.replace(/\s+/g, ' ');
+      for (const labelPattern of dateLabelPatterns) {
+        const match = allText.match(new RegExp(`${labelPattern.source}[^\\d\\p{L}]*(.{0,40})`, 'iu'));
+        if (match) {
+          const date = locale.parseDate(match[1]);
+          if (date) {
+            this.recordProvenance('dateFirstAvailable', 'bodyText', { selector: labelPattern.source, excerpt: match[0] });
+            return date;
+          }
+        }
+      }
+      
+      return null;
+    } catch (error) {
+      console.error('Error parsing date first available:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Calculate the listing age in days
+   * @param {string} dateFirstAvailable - ISO date (YYYY-MM-DD)
+   * @param {Date} now - Reference date, defaults to the current date
+   * @returns {number|null} Whole days since the date, or null if unknown
+   */
+  getListingAgeDays(dateFirstAvailable, now = new Date()) {
+    if (!dateFirstAvailable) {
+      return null;
+    }
+    
+    const firstAvailable = Date.parse(`${dateFirstAvailable}T00:00:00Z`);
+    if (isNaN(firstAvailable)) {
+      return null;
+    }
+    
+    return Math.max(0, Math.floor((now.getTime() - firstAvailable) / 86400000));
+  }
+  
+  /**
+   * Find the containers of the product itself on a detail page, so badges of
+   * carousel products (frequently bought together, sponsored) are not
+   * attributed to it
+   * @param {Document} doc - The parsed HTML document
+   * @returns {Array<Element>|Document} Outermost product containers, or the document
+   *   when the page has none (e.g. a page fragment)
+   */
+  getProductContainers(doc) {
+    const containers = [];
+    
+    AmazonParser.productContainerSelectors.forEach(selector => {
+      const element = doc.querySelector(selector);
+      if (!element || containers.includes(element)) return;
+      
+      // Skip containers nested in one that is already searched
+      for (let parent = element.parentNode; parent; parent = parent.parentNode) {
+        if (containers.includes(parent)) return;
+      }
+      containers.push(element);
+    });
+    
+    return containers.length > 0 ? containers : doc;
+  }
+  
+  /**
+   * Detect merchandising badges on a product page or a search result card
+   * @param {Document|Element|Array<Element>} root - The parsed HTML document, a search
+   *   card element or the product containers of a detail page
+   * @returns {Array} Array of badge objects with type and label, plus category (best-seller) or keyword (amazons-choice)
+   */
+  parseBadges(root) {
+    const badges = [];
+    const roots = Array.isArray(root) ? root : [root];
+    
+    AmazonParser.badgeDefinitions.forEach(definition => {
+      const element = this.findBadgeElement(roots, definition);
+      if (!element) return;
+      
+      const badge = { type: definition.type, label: definition.label };
+      const text = this.getBadgeText(element);
+      this.recordProvenance('badges', 'selector', { selector: definition.selectors.join(', '), excerpt: text });
+      
+      if (definition.type === 'best-seller') {
+        badge.category = this.extractBadgeDetail(element, ['.cat-link', '.cat-name', '.a-badge-supplementary-text'], text, definition.pattern);
+      } else if (definition.type === 'amazons-choice') {
+        badge.keyword = this.extractBadgeDetail(element, ['.ac-keyword-link', '.ac-keyword'], text, definition.pattern);
+      }
+      
+      badges.push(badge);
+    });
+    
+    return badges;
+  }
+  
+  /**
+   * Find the first element that carries a badge
+   * @param {Array<Document|Element>} roots - Document, search card or product containers
+   * @param {Object} definition - Badge definition with selectors and text pattern
+   * @returns {Element|null} The badge element or null if the badge is absent
+   */
+  findBadgeElement(roots, definition) {
+    for (const selector of definition.selectors) {
+      try {
+        for (const root of roots) {
+          for (const element of root.querySelectorAll(selector)) {
+            if (!definition.pattern || definition.pattern.test(this.getBadgeText(element))) {
+              return element;
+            }
+          }
+        }
+      } catch (error) {
+        console.error(`Error querying badge selector ${selector}:`, error);
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get the readable text of a badge, including icon labels
+   * @param {Element} element - Badge element
+   * @returns {string} Whitespace-normalized text
+   */
+  getBadgeText(element) {
+    const text = [
+      element.textContent,
+      element.getAttribute('aria-label'),
+      element.getAttribute('alt'),
+      element.getAttribute('title')
+    ].filter(Boolean).join(' ');
+    
+    return text.replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * Extract the category or keyword that follows a badge label
+   * @param {Element} element - Badge element
+   * @param {Array} selectors - Selectors of the element holding the detail
+   * @param {string} text - Badge text
+   * @param {RegExp} pattern - Badge label pattern
+   * @returns {string|null} The detail or null if the badge has none
+   */
+  extractBadgeDetail(element, selectors, text, pattern) {
+    let detail = null;
+    
+    for (const selector of selectors) {
+      const detailElement = element.querySelector(selector);
+      if (detailElement && detailElement.textContent.trim()) {
+        detail = detailElement.textContent;
+        break;
+      }
+    }
+    
+    // Fall back to the text after the label, e.g. "#1 Best Seller in Power Banks"
+    if (!detail) {
+      const match = text.match(pattern);
+      const rest = match ? text.slice(match.index + match[0].length) : '';
+      const prepositionMatch = rest.match(/^\s*(?:in|for|en|dans|für|in der|nella|em|para)\s+(.+)$/i);
+      detail = prepositionMatch ? prepositionMatch[1] : null;
+    }
+    
+    if (!detail) return null;
+    
+    detail = detail.replace(/\s+/g, ' ').trim()
+      .replace(/^(?:in|for|en|dans|für|nella|em|para)\s+/i, '')
+      .replace(/^["“„«']+|["”“»']+$/g, '')
+      .trim();
+    
+    return detail || null;
+  }
+  
+  /**
+   * Count the content a listing has, for listing-quality scoring
    * @param {Document} doc - The parsed HTML document
-   * @returns {Object|null} Sales data object or null if not found
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
+   * @returns {Object|null} Object with titleLength, imageCount, videoCount, bulletCount,
+   *   answeredQuestions, hasAPlus, hasPremiumAPlus and hasBrandStory, or null if the
+   *   page has no listing content at all
    */
-  parseSalesData(doc) {
+  parseListingContent(doc, marketplace = null) {
     try {
-      // Try multiple selectors for "bought in past month" information
-      const salesSelectors = [
-        '.social-proofing-faceout-title:contains("bought in past month")',
-        '.a-size-base:contains("bought in past month")',
-        '.a-box-inner:contains("bought in past month")',
-        '.a-section:contains("bought in past month")',
-        '.a-row:contains("bought in past month")',
-        // Additional selectors for different Amazon layouts
-        '.a-box:contains("bought in past month")',
-        '.a-spacing-base:contains("bought in past month")',
-        '.a-spacing-small:contains("bought in past month")',
-        // International Amazon sites
-        '.a-size-base:contains("comprado en el mes pasado")', // Spanish
-        '.a-size-base:contains("achetés au cours du mois dernier")', // French
-        '.a-size-base:contains("im letzten Monat gekauft")', // German
-        '.a-size-base:contains("acquistato nel mese precedente")', // Italian
-        '.a-size-base:contains("上个月购买")', // Chinese
-        '.a-size-base:contains("先月に購入")' // Japanese
-      ];
+      const titleElement = doc.querySelector('#productTitle') || doc.querySelector('#title');
+      const title = titleElement ? titleElement.textContent.replace(/\s+/g, ' ').trim() : '';
       
-      // Try each selector until we find sales information
-      for (const selector of salesSelectors) {
-        const element = this.querySelector(doc, selector);
-        if (element) {
-          const salesText = element.textContent.trim();
-          return this.extractSalesData(salesText);
-        }
-      }
+      const content = {
+        titleLength: title.length,
+        imageCount: this.countListingImages(doc),
+        videoCount: this.countListingVideos(doc, marketplace),
+        bulletCount: this.countBulletPoints(doc),
+        answeredQuestions: this.parseAnsweredQuestions(doc, marketplace),
+        hasAPlus: this.hasContentModule(doc, AmazonParser.listingModuleSelectors.aPlus),
+        hasPremiumAPlus: this.hasContentModule(doc, AmazonParser.listingModuleSelectors.premiumAPlus),
+        hasBrandStory: this.hasContentModule(doc, AmazonParser.listingModuleSelectors.brandStory)
+      };
       
-      // If no element found, try searching in the entire document
-      const allText = doc.body.textContent;
-      const salesRegexPatterns = [
-        /([0-9,]+)\s+bought in past month/i,
-        /([0-9,]+)\s+comprado en el mes pasado/i, // Spanish
-        /([0-9,]+)\s+achetés au cours du mois dernier/i, // French
-        /([0-9,]+)\s+im letzten Monat gekauft/i, // German
-        /([0-9,]+)\s+acquistato nel mese precedente/i, // Italian
-        /([0-9,]+)\s+上个月购买/i, // Chinese
-        /([0-9,]+)\s+先月に購入/i // Japanese
-      ];
+      // Premium A+ replaces the standard A+ block
+      if (content.hasPremiumAPlus) {
+        content.hasAPlus = true;
+      }
       
-      for (const regex of salesRegexPatterns) {
-        const match = allText.match(regex);
-        if (match) {
-          const count = parseInt(match[1].replace(/,/g, ''), 10);
-          return {
-            boughtInPastMonth: count,
-            totalVariants: 1 // Default to 1 if we don't know the variant count
-          };
-        }
+      const hasContent = content.titleLength > 0 || content.imageCount > 0 || content.bulletCount > 0 ||
+        content.hasAPlus || content.hasBrandStory;
+      if (!hasContent) {
+        return null;
       }
       
-      return null;
+      this.recordProvenance('listingContent', 'selector', { selector: '#productTitle, #altImages, #feature-bullets', excerpt: title });
+      return content;
     } catch (error) {
-      console.error('Error parsing sales data:', error);
+      console.error('Error parsing listing content:', error);
       return null;
     }
   }
   
   /**
-   * Extract structured sales data from text
-   * @param {string} salesText - The text containing sales information
-   * @returns {Object|null} Sales data object or null if parsing fails
+   * Count the product images in the image block
+   * @param {Document} doc - The parsed HTML document
+   * @returns {number} Number of images
    */
-  extractSalesData(salesText) {
-    try {
-      const salesRegexPatterns = [
-        /([0-9,]+)\s+bought in past month/i,
-        /over\s+([0-9,]+)\s+bought in past month/i,
-        /([0-9,]+)\s+comprado en el mes pasado/i, // Spanish
-        /([0-9,]+)\s+achetés au cours du mois dernier/i, // French
-        /([0-9,]+)\s+im letzten Monat gekauft/i, // German
-        /([0-9,]+)\s+acquistato nel mese precedente/i, // Italian
-        /([0-9,]+)\s+上个月购买/i, // Chinese
-        /([0-9,]+)\s+先月に購入/i // Japanese
-      ];
-      
-      for (const regex of salesRegexPatterns) {
-        const match = salesText.match(regex);
-        if (match) {
-          const count = parseInt(match[1].replace(/,/g, ''), 10);
-          return {
-            boughtInPastMonth: count,
-            totalVariants: 1 // Default to 1, will be updated if variants are found
-          };
-        }
+  countListingImages(doc) {
+    const thumbnails = doc.querySelectorAll('#altImages li.imageThumbnail, #altImages li.item:not(.videoThumbnail):not(.videoBlockIngress)');
+    if (thumbnails.length > 0) {
+      return thumbnails.length;
+    }
+    
+    // Thumbnails are sometimes rendered by script from the colorImages data
+    for (const script of doc.querySelectorAll('script')) {
+      const match = script.textContent.match(/['"]colorImages['"]\s*:\s*\{\s*['"]initial['"]\s*:\s*(\[[\s\S]*?\])\s*\}/);
+      if (match) {
+        // Every image has one "large" URL, hiRes may be null
+        const images = match[1].match(/["']large["']\s*:/g);
+        return images ? images.length : 0;
       }
+    }
+    
+    return doc.querySelector('#landingImage, #imgBlkFront') ? 1 : 0;
+  }
+  
+  /**
+   * Count the product videos in the image block
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
+   * @returns {number} Number of videos
+   */
+  countListingVideos(doc, marketplace = null) {
+    // "6 VIDEOS" label on the video thumbnail
+    const countElement = doc.querySelector('#videoCount, .video-count');
+    if (countElement) {
+      const count = this.getLocale(marketplace).parseInteger(countElement.textContent);
+      if (count !== null) return count;
+    }
+    
+    return doc.querySelectorAll('#altImages li.videoThumbnail, #altImages li.videoBlockIngress').length;
+  }
+  
+  /**
+   * Count the "About this item" bullet points
+   * @param {Document} doc - The parsed HTML document
+   * @returns {number} Number of non-empty bullet points
+   */
+  countBulletPoints(doc) {
+    const selectors = ['#feature-bullets ul li', '#featurebullets_feature_div ul li', '#productFactsDesktopExpander ul li'];
+    
+    for (const selector of selectors) {
+      const bullets = Array.from(doc.querySelectorAll(selector)).filter(bullet => {
+        // The "Make sure this fits" row is not a bullet point
+        return bullet.getAttribute('id') !== 'replacementPartsFitmentBullet' && bullet.textContent.trim() !== '';
+      });
       
-      return null;
-    } catch (error) {
-      console.error('Error extracting sales data:', error);
-      return null;
+      if (bullets.length > 0) {
+        return bullets.length;
+      }
+    }
+    
+    return 0;
+  }
+  
+  /**
+   * Parse the number of answered questions from the link under the title
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} marketplace - Hostname of the marketplace, for its number format
+   * @returns {number} Number of answered questions, 0 if the listing has none
+   */
+  parseAnsweredQuestions(doc, marketplace = null) {
+    const pattern = /(\d[\d.,\s\u00a0]*)\+?\s*(?:answered questions|beantwortete Fragen|questions? (?:avec|ayant reçu une) réponses?|preguntas respondidas|domande con risposta|perguntas respondidas)/i;
+    
+    for (const element of doc.querySelectorAll('#askATFLink, #ask_feature_div a, a[href*="ask/questions"]')) {
+      const match = element.textContent.replace(/\s+/g, ' ').match(pattern);
+      if (match) {
+        return this.getLocale(marketplace).parseInteger(match[1]) || 0;
+      }
     }
+    
+    return 0;
+  }
+  
+  /**
+   * Check whether a content module (A+, Premium A+, brand story) is on the page
+   * @param {Document} doc - The parsed HTML document
+   * @param {Array} selectors - Selectors of the module container
+   * @returns {boolean} True if a container with text or images exists
+   */
+  hasContentModule(doc, selectors) {
+    return selectors.some(selector => {
+      return Array.from(doc.querySelectorAll(selector)).some(element => {
+        // The feature div placeholders stay in the page when there is no module
+        return element.textContent.trim() !== '' || element.querySelector('img') !== null;
+      });
+    });
+  }
+  
+  /**
+   * Combine listing content counts into a 0-100 listing-quality score
+   * @param {Object} content - Listing content from parseListingContent
+   * @returns {Object|null} Object with score and one entry per check (key, points,
+   *   maxPoints), or null if there is no listing content
+   */
+  scoreListingQuality(content) {
+    if (!content) return null;
+    
+    const checks = AmazonParser.listingQualityChecks.map(check => {
+      const ratio = Math.max(0, Math.min(1, check.rate(content)));
+      return {
+        key: check.key,
+        points: Math.round(ratio * check.maxPoints),
+        maxPoints: check.maxPoints
+      };
+    });
+    
+    const points = checks.reduce((sum, check) => sum + check.points, 0);
+    const maxPoints = checks.reduce((sum, check) => sum + check.maxPoints, 0);
+    
+    return {
+      score: Math.round(points / maxPoints * 100),
+      checks: checks
+    };
   }
   
   /**
@@ -499,6 +2124,200 @@ class AmazonParser {
     }
   }
   
+  /**
+   * Parse the structured variation model
+   * @param {Document} doc - The parsed HTML document
+   * @param {string} asin - The ASIN of the current page
+   * @returns {Object|null} Variation model with parentAsin, dimensions and children, or null if the product has no variations
+   */
+  parseVariationModel(doc, asin = null) {
+    try {
+      const twisterData = this.findTwisterData(doc) || {};
+      const dimensions = [];
+      const children = new Map();
+      
+      const getChild = (childAsin) => {
+        const key = childAsin.toUpperCase();
+        if (!children.has(key)) {
+          children.set(key, { asin: key, dimensionValues: {}, available: null, selected: false });
+        }
+        return children.get(key);
+      };
+      
+      // Dimension names and values from the twister data
+      const variationValues = twisterData.variationValues || {};
+      const dimensionKeys = Array.isArray(twisterData.dimensions) ? twisterData.dimensions : Object.keys(variationValues);
+      const dimensionsDisplay = twisterData.dimensionsDisplay || [];
+      
+      dimensionKeys.forEach((key, index) => {
+        dimensions.push({
+          key: key,
+          name: dimensionsDisplay[index] || this.getDimensionName(key),
+          values: Array.isArray(variationValues[key]) ? [...variationValues[key]] : []
+        });
+      });
+      
+      // asinVariationValues holds value indexes, dimensionValuesDisplayData the display values
+      const asinVariationValues = twisterData.asinVariationValues || {};
+      const displayData = twisterData.dimensionValuesDisplayData || {};
+      const childAsins = [...new Set([...Object.keys(asinVariationValues), ...Object.keys(displayData)])];
+      
+      childAsins.forEach(childAsin => {
+        if (!/^[A-Z0-9]{10}$/i.test(childAsin)) return;
+        
+        const child = getChild(childAsin);
+        const indexes = asinVariationValues[childAsin] || {};
+        const displayValues = Array.isArray(displayData[childAsin]) ? displayData[childAsin] : [];
+        
+        dimensions.forEach((dimension, index) => {
+          const valueIndex = parseInt(indexes[dimension.key], 10);
+          const value = displayValues[index] || dimension.values[valueIndex];
+          if (value) {
+            child.dimensionValues[dimension.key] = value;
+          }
+        });
+      });
+      
+      // Swatches add names, availability and the selected state
+      this.parseVariationSwatches(doc).forEach(swatchDimension => {
+        let dimension = dimensions.find(d => d.key === swatchDimension.key);
+        if (!dimension) {
+          dimension = { key: swatchDimension.key, name: swatchDimension.name, values: [] };
+          dimensions.push(dimension);
+        }
+        
+        swatchDimension.options.forEach(option => {
+          if (option.value && !dimension.values.includes(option.value)) {
+            dimension.values.push(option.value);
+          }
+          if (!option.asin) return;
+          
+          const child = getChild(option.asin);
+          if (option.value && !child.dimensionValues[dimension.key]) {
+            child.dimensionValues[dimension.key] = option.value;
+          }
+          if (option.available !== null) {
+            child.available = option.available;
+          }
+          if (option.selected) {
+            child.selected = true;
+          }
+        });
+      });
+      
+      if (dimensions.length === 0 && children.size === 0) {
+        return null;
+      }
+      
+      if (childAsins.length > 0) {
+        this.recordProvenance('variations', 'script', { excerpt: JSON.stringify(twisterData.dimensions || dimensionKeys) });
+      } else {
+        this.recordProvenance('variations', 'selector', { selector: '[id^="variation_"] li', excerpt: dimensions.map(d => d.name).join(', ') });
+      }
+      
+      const currentAsin = (twisterData.currentAsin || asin || '').toUpperCase() || null;
+      if (currentAsin && children.has(currentAsin)) {
+        children.forEach(child => {
+          child.selected = child.asin === currentAsin;
+        });
+      }
+      
+      return {
+        parentAsin: this.findParentAsin(doc, twisterData),
+        currentAsin: currentAsin,
+        dimensions: dimensions,
+        children: [...children.values()]
+      };
+    } catch (error) {
+      console.error('Error parsing variation model:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Parse the variation swatches rendered in the twister
+   * @param {Document} doc - The parsed HTML document
+   * @returns {Array} Array of { key, name, options: [{ asin, value, available, selected }] }
+   */
+  parseVariationSwatches(doc) {
+    const swatchDimensions = [];
+    const containers = doc.querySelectorAll('[id^="variation_"]');
+    
+    for (const container of containers) {
+      const key = container.getAttribute('id').replace(/^variation_/, '');
+      const label = container.querySelector('.a-form-label');
+      const name = label ? label.textContent.replace(/[:：]\s*$/, '').trim() : this.getDimensionName(key);
+      const options = [];
+      
+      for (const swatch of container.querySelectorAll('li')) {
+        const urlMatch = (swatch.getAttribute('data-dp-url') || '').match(/\/dp\/([A-Z0-9]{10})/i);
+        const optionAsin = swatch.getAttribute('data-defaultasin') || (urlMatch ? urlMatch[1] : null);
+        const image = swatch.querySelector('img');
+        const title = swatch.getAttribute('title') || '';
+        const value = (image && image.getAttribute('alt')) ||
+                      title.replace(/^Click to select\s*/i, '') ||
+                      swatch.textContent.trim();
+        const className = swatch.getAttribute('class') || '';
+        
+        let available = null;
+        if (/swatchUnavailable/.test(className)) {
+          available = false;
+        } else if (/swatchAvailable|swatchSelect/.test(className)) {
+          available = true;
+        }
+        
+        options.push({
+          asin: optionAsin && /^[A-Z0-9]{10}$/i.test(optionAsin) ? optionAsin.toUpperCase() : null,
+          value: value ? value.trim() : null,
+          available: available,
+          selected: /swatchSelect/.test(className)
+        });
+      }
+      
+      if (options.length > 0) {
+        swatchDimensions.push({ key: key, name: name, options: options });
+      }
+    }
+    
+    return swatchDimensions;
+  }
+  
+  /**
+   * Find the parent ASIN of a variation family
+   * @param {Document} doc - The parsed HTML document
+   * @param {Object} twisterData - Raw twister data, if any
+   * @returns {string|null} The parent ASIN or null if not found
+   */
+  findParentAsin(doc, twisterData = {}) {
+    if (twisterData.parentAsin) {
+      return twisterData.parentAsin.toUpperCase();
+    }
+    
+    const input = doc.querySelector('input[name="parentASIN"]');
+    if (input && input.getAttribute('value')) {
+      return input.getAttribute('value').toUpperCase();
+    }
+    
+    for (const script of doc.querySelectorAll('script')) {
+      const match = (script.textContent || '').match(/"parentAsin"\s*:\s*"([A-Z0-9]{10})"/i);
+      if (match) {
+        return match[1].toUpperCase();
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Turn a twister dimension key into a readable name
+   * @param {string} key - Dimension key, e.g. "color_name"
+   * @returns {string} Readable name, e.g. "Color"
+   */
+  getDimensionName(key) {
+    const words = key.replace(/_name$/, '').split('_');
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+  
   /**
    * Extract twister data (Amazon's variant system)
    * @param {Document} doc - The parsed HTML document
@@ -514,71 +2333,7 @@ class AmazonParser {
         ];
       }
       
-      // Look for twister data in script tags
-      const scripts = doc.querySelectorAll('script');
-      let twisterData = null;
-      
-      for (const script of scripts) {
-        const content = script.textContent;
-        
-        // Look for twister initialization data
-        if (content && content.includes('var dataToReturn') && content.includes('dimensionValuesDisplayData')) {
-          const match = content.match(/var dataToReturn = ({.+});/);
-          if (match) {
-            try {
-              const data = JSON.parse(match[1]);
-              if (data.asinVariationValues) {
-                twisterData = data;
-                break;
-              }
-            } catch (e) {
-              console.error('Error parsing twister data JSON:', e);
-            }
-          }
-        }
-        
-        // Alternative format
-        if (content && content.includes('P.register') && content.includes('twister')) {
-          const match = content.match(/P\.register\('twister-js-init-dpx-data',\s*({.+})\);/);
-          if (match) {
-            try {
-              const data = JSON.parse(match[1]);
-              if (data.variationValues) {
-                twisterData = data;
-                break;
-              }
-            } catch (e) {
-              console.error('Error parsing twister init data JSON:', e);
-            }
-          }
-        }
-        
-        // New format with colorToAsin or sizeToAsin
-        if (content && (content.includes('colorToAsin') || content.includes('sizeToAsin')) && 
-            (content.includes('data["') || content.includes('INITIAL_STATE'))) {
-          try {
-            // Try to extract JSON object containing variant data
-            const jsonMatch = content.match(/data\["[^"]+"\]\s*=\s*({[^;]+});/) || 
-                             content.match(/INITIAL_STATE\s*=\s*({[^;]+});/);
-            if (jsonMatch) {
-              const jsonStr = jsonMatch[1];
-              // Use a regex to extract just the variant mapping
-              const variantMatch = jsonStr.match(/(colorToAsin|sizeToAsin)\s*:\s*({[^}]+})/);
-              if (variantMatch) {
-                // Create a valid JSON string to parse
-                const validJson = `{${variantMatch[0]}}`;
-                const data = Function(`return ${validJson}`)();
-                if (data.colorToAsin || data.sizeToAsin) {
-                  twisterData = data;
-                  break;
-                }
-              }
-            }
-          } catch (e) {
-            console.error('Error parsing variant mapping data:', e);
-          }
-        }
-      }
+      const twisterData = this.findTwisterData(doc);
       
       if (!twisterData) {
         return [];
@@ -619,6 +2374,81 @@ class AmazonParser {
     }
   }
   
+  /**
+   * Find the raw twister data object in the page scripts
+   * @param {Document} doc - The parsed HTML document
+   * @returns {Object|null} The twister data object or null if not found
+   */
+  findTwisterData(doc) {
+    // Look for twister data in script tags
+    const scripts = doc.querySelectorAll('script');
+    let twisterData = null;
+    
+    for (const script of scripts) {
+      const content = script.textContent;
+      
+      // Look for twister initialization data
+      if (content && content.includes('var dataToReturn') && content.includes('dimensionValuesDisplayData')) {
+        const match = content.match(/var dataToReturn = ({.+});/);
+        if (match) {
+          try {
+            const data = JSON.parse(match[1]);
+            if (data.asinVariationValues) {
+              twisterData = data;
+              break;
+            }
+          } catch (e) {
+            console.error('Error parsing twister data JSON:', e);
+          }
+        }
+      }
+      
+      // Alternative format
+      if (content && content.includes('P.register') && content.includes('twister')) {
+        const match = content.match(/P\.register\('twister-js-init-dpx-data',\s*({.+})\);/);
+        if (match) {
+          try {
+            const data = JSON.parse(match[1]);
+            if (data.variationValues) {
+              twisterData = data;
+              break;
+            }
+          } catch (e) {
+            console.error('Error parsing twister init data JSON:', e);
+          }
+        }
+      }
+      
+      // New format with colorToAsin or sizeToAsin
+      if (content && (content.includes('colorToAsin') || content.includes('sizeToAsin')) && 
+          (content.includes('data["') || content.includes('INITIAL_STATE'))) {
+        try {
+          // Try to extract JSON object containing variant data
+          const jsonMatch = content.match(/data\["[^"]+"\]\s*=\s*({[^;]+});/) || 
+                           content.match(/INITIAL_STATE\s*=\s*({[^;]+});/);
+          if (jsonMatch) {
+            const jsonStr = jsonMatch[1];
+            // Use a regex to extract just the variant mapping
+            const variantMatch = jsonStr.match(/(colorToAsin|sizeToAsin)\s*:\s*({[^}]+})/);
+            if (variantMatch) {
+              // Create a valid JSON string to parse
+              const validJson = `{${variantMatch[0]}}`;
+              const data = Function(`return ${validJson}`)();
+              if (data.colorToAsin || data.sizeToAsin) {
+                twisterData = data;
+                break;
+              }
+            }
+          }
+        } catch (e) {
+          console.error('Error parsing variant mapping data:', e);
+        }
+      }
+    }
+    
+    return twisterData;
+  }
+  
   /**
    * Extract dimension values (another variant system)
    * @param {Document} doc - The parsed HTML document
@@ -719,6 +2549,10 @@ class AmazonParser {
   
   /**
    * Aggregate sales data from variants
+   * 
+   * Lower bounds are summed; the total stays a "+" bound when any
+   * contributing badge was one.
+   * 
    * @param {Object} mainSalesData - Sales data from the main product
    * @param {Array} variants - Array of variant objects
    * @returns {Object} Aggregated sales data
@@ -730,21 +2564,37 @@ class AmazonParser {
         return null;
       }
       
+      const mainLowerBound = mainSalesData ? this.getSalesLowerBound(mainSalesData) : 0;
+      
       // Start with main product's sales data or default values
       const aggregated = {
-        boughtInPastMonth: mainSalesData ? mainSalesData.boughtInPastMonth : 0,
+        boughtInPastMonth: mainLowerBound,
+        lowerBound: mainLowerBound,
+        isPlus: Boolean(mainSalesData && mainSalesData.isPlus),
+        displayText: mainSalesData ? mainSalesData.displayText || null : null,
+        locale: mainSalesData ? mainSalesData.locale || null : null,
         totalVariants: variants ? variants.length : 1
       };
       
       // Add sales data from variants
       if (variants && variants.length > 0) {
         variants.forEach(variant => {
-          if (variant.boughtInPastMonth) {
-            aggregated.boughtInPastMonth += variant.boughtInPastMonth;
+          const variantSales = variant.salesData || variant;
+          const variantLowerBound = this.getSalesLowerBound(variantSales);
+          
+          if (variantLowerBound) {
+            aggregated.lowerBound += variantLowerBound;
+            aggregated.isPlus = aggregated.isPlus || Boolean(variantSales.isPlus);
+            aggregated.locale = aggregated.locale || variantSales.locale || null;
+            
+            // The badge text no longer describes the summed value
+            aggregated.displayText = null;
           }
         });
       }
       
+      aggregated.boughtInPastMonth = aggregated.lowerBound;
+      
       return aggregated;
     } catch (error) {
       console.error('Error aggregating sales data:', error);
@@ -752,6 +2602,19 @@ class AmazonParser {
     }
   }
   
+  /**
+   * Get the lower bound of a sales data object
+   * @param {Object} salesData - Sales data, possibly cached before lowerBound existed
+   * @returns {number} The lower bound, or 0 if unknown
+   */
+  getSalesLowerBound(salesData) {
+    if (!salesData) {
+      return 0;
+    }
+    
+    return salesData.lowerBound || salesData.boughtInPastMonth || 0;
+  }
+  
   /**
    * Extract structured data from the page
    * @param {Document} doc - The parsed HTML document
@@ -858,6 +2721,196 @@ class AmazonParser {
   }
 }
 
+// Seller IDs Amazon uses for its own retail offers
+AmazonParser.amazonSellerIds = [
+  'ATVPDKIKX0DER', // amazon.com
+  'A3DWYIK6Y9EEQB', // amazon.ca
+  'A3P5ROKL5A1OLE', // amazon.co.uk
+  'A3JWKAKR8XB7XF', // amazon.de
+  'A1X6FK5RDHNB96', // amazon.fr
+  'A11IL2PNWYJU7H', // amazon.it
+  'A1AT7YVPFBWXBL', // amazon.es
+  'AN1VRQENFRJN5' // amazon.co.jp
+];
+
+// Availability states, checked in order against the availability text. Specific
+// states come first: "Only 3 left in stock" and "In stock on March 3" both
+// contain "In stock".
+AmazonParser.availabilityPatterns = [
+  {
+    status: 'LOW_STOCK',
+    pattern: /Only (\d+) left in stock|Nur noch (\d+) (?:Stück )?(?:auf Lager|vorrätig)|Il ne reste plus que (\d+) exemplaire|Solo queda(?:n)? (\d+) en stock|Solo (\d+) rimast|残り(\d+)点|仅剩 ?(\d+) ?件/i
+  },
+  {
+    status: 'AVAILABLE_FROM',
+    pattern: /In stock on|Available (?:from|on)|will be released on|Erhältlich ab|Disponible à partir du|Disponible a partir del?|Disponibile a partire dal|から(?:お届け|販売|発送)/i
+  },
+  {
+    status: 'TEMPORARILY_OUT_OF_STOCK',
+    pattern: /Temporarily out of stock|Derzeit nicht auf Lager|Temporairement en rupture de stock|Temporalmente sin stock|Temporaneamente non disponibile|一時的に在庫切れ|暂时缺货/i
+  },
+  {
+    status: 'UNAVAILABLE',
+    pattern: /Currently unavailable|Derzeit nicht verfügbar|Actuellement indisponible|No disponible|Attualmente non disponibile|現在在庫切れ|目前无货|无货/i
+  },
+  {
+    status: 'IN_STOCK',
+    pattern: /In stock|Auf Lager|En stock|Disponibilità immediata|In magazzino|Disponible|在庫あり|有现货|现在有货/i
+  },
+  {
+    status: 'SHIPS_LATER',
+    pattern: /Usually ships within|versandfertig in|expédié sous|se envía en|spedito entro|以内に発送/i
+  }
+];
+
+// Shipping delay in the availability text, e.g. "Usually ships within 2 to 3 weeks."
+AmazonParser.shipsWithinPattern = /Usually ships within ([^.]+)|versandfertig in ([^.]+)|expédié sous ([^.]+)|se envía en ([^.]+)|spedito entro ([^.]+)|通常(.+?)以内に発送/i;
+
+// Confidence of each extraction strategy, from exact element matches down to
+// guesses from the whole page text. Rules in a rule pack can override it.
+AmazonParser.strategyConfidence = {
+  selector: 0.95,
+  script: 0.9,
+  detailRow: 0.85,
+  structuredData: 0.8,
+  textPattern: 0.7,
+  sectionText: 0.6,
+  bodyText: 0.45,
+  canonicalUrl: 0.3,
+  documentText: 0.25
+};
+
+// Merchandising badges, checked in order. An element matching one of the
+// selectors carries the badge when its text matches the pattern (or always,
+// when the badge is an icon without a pattern).
+AmazonParser.badgeDefinitions = [
+  {
+    type: 'best-seller',
+    label: '#1 Best Seller',
+    selectors: ['#zeitgeistBadge_feature_div', '.zg-badge-wrapper', '.a-badge', '.a-badge-label'],
+    pattern: /#1\s*Best\s*Seller|Best\s*Seller|Bestseller|Meilleure vente|Más vendido|Più venduto|ベストセラー/i
+  },
+  {
+    type: 'amazons-choice',
+    label: "Amazon's Choice",
+    selectors: ['#acBadge_feature_div', '.ac-badge-wrapper', '.a-badge', '.a-badge-label'],
+    pattern: /Amazon['’]?s\s*Choice|Amazons Tipp|Choix d['’]Amazon|Elección de Amazon|Scelta di Amazon|Amazonおすすめ/i
+  },
+  {
+    type: 'overall-pick',
+    label: 'Overall Pick',
+    selectors: ['.a-badge', '.a-badge-label', '[data-component-type="s-status-badge-component"]'],
+    pattern: /Overall Pick/i
+  },
+  {
+    type: 'climate-pledge',
+    label: 'Climate Pledge Friendly',
+    selectors: ['#climatePledgeFriendlyBadge', '[id*="climatePledge"]', '[data-component-type="s-climate-pledge-badge"]', '.s-climate-pledge-badge'],
+    pattern: /Climate Pledge|Klimaschutz|Engagement climat|Compromiso climático|Impegno per il clima/i
+  },
+  {
+    type: 'small-business',
+    label: 'Small Business',
+    selectors: ['#smallBusinessBadge', '[id*="smallBusiness"]', '[data-component-type="s-small-business-badge"]', 'img[alt*="Small Business"]'],
+    pattern: /Small Business|Kleinunternehmen|Petites entreprises|Pequeñas empresas|Piccole imprese/i
+  },
+  {
+    type: 'prime',
+    label: 'Prime',
+    selectors: ['#primeBadge', '#prime-badge', 'i.a-icon-prime', '.a-icon-prime', '[aria-label="Amazon Prime"]'],
+    pattern: null
+  }
+];
+
+// Containers of the product itself on a detail page: the center column and
+// the buy box. Carousels of other products sit outside them.
+AmazonParser.productContainerSelectors = ['#ppd', '#centerCol', '#apex_desktop', '#rightCol', '#desktop_buybox', '#buybox'];
+
+// Markers of sponsored search result cards
+AmazonParser.sponsoredCardSelectors = [
+  '.puis-sponsored-label-text',
+  '.s-sponsored-label-info-icon',
+  '.s-sponsored-label-text',
+  '[data-component-type="sp-sponsored-result"]',
+  '.puis-label-popover-default'
+];
+
+// Containers of the A+ content modules. Premium A+ pages also carry the
+// standard A+ classes, so they are checked separately.
+AmazonParser.listingModuleSelectors = {
+  aPlus: ['#aplus .aplus-v2', '#aplus_feature_div .aplus-module', '#aplus3p_feature_div .aplus-v2', '.aplus-v2 .aplus-module'],
+  premiumAPlus: ['.aplus-premium', '.premium-aplus', '.premium-aplus-module', '#aplus .aplus-premium'],
+  brandStory: ['#aplusBrandStory_feature_div .apm-brand-story-card', '#aplusBrandStory_feature_div .aplus-v2', '.apm-brand-story-carousel', '#brandStory_feature_div .a-carousel']
+};
+
+// Listing-quality checks. Each rates one part of the listing from 0 to 1 and
+// is worth maxPoints; the weights add up to 100.
+AmazonParser.listingQualityChecks = [
+  { key: 'images', maxPoints: 20, rate: content => content.imageCount / 7 },
+  { key: 'videos', maxPoints: 10, rate: content => content.videoCount > 0 ? 1 : 0 },
+  { key: 'bullets', maxPoints: 15, rate: content => content.bulletCount / 5 },
+  {
+    key: 'title',
+    maxPoints: 15,
+    // 80-200 characters fit in search results without being truncated or too thin
+    rate: content => content.titleLength === 0 ? 0 :
+      content.titleLength < 80 ? content.titleLength / 80 :
+      content.titleLength > 200 ? 0.5 : 1
+  },
+  { key: 'questions', maxPoints: 10, rate: content => content.answeredQuestions / 10 },
+  { key: 'aPlus', maxPoints: 15, rate: content => content.hasAPlus ? 1 : 0 },
+  { key: 'premiumAPlus', maxPoints: 5, rate: content => content.hasPremiumAPlus ? 1 : 0 },
+  { key: 'brandStory', maxPoints: 10, rate: content => content.hasBrandStory ? 1 : 0 }
+];
+
+// Sales badge patterns by locale, tried in order. Groups: prefix ("over",
+// "mehr als"), number, unit (K, 千, 万...), plus ("+") and atLeast (以上).
+// Card and page text is matched as a whole, so the number has to start at a
+// word boundary and only the locales' separators (",", "." and no-break
+// spaces) group thousands: "5 stars 2,345 500+ bought" is 500, not 2,345,500.
+AmazonParser.salesBadgePatterns = (() => {
+  const count = '(?<prefix>(?:over|more than|mehr als|plus de|más de|oltre|meer dan|över|ponad|أكثر من)\\s+)?' +
+    '\\b(?<number>\\d{1,3}(?:[.,\\u00a0\\u202f]\\d{3})+|\\d+(?:[.,]\\d+)?)\\s*' +
+    '(?<unit>[kKmMB]|mil|tys\\.?|ألف|千|万)?\\s*(?<plus>\\+)?';
+  
+  return [
+    { locale: 'en', source: `${count}\\s*bought in past month` },
+    { locale: 'es', source: `${count}\\s*(?:comprados?|compras)\\s+(?:en\\s+)?el mes pasado` },
+    { locale: 'fr', source: `${count}\\s*achetés au cours du mois dernier` },
+    { locale: 'de', source: `${count}\\s*(?:Mal\\s+)?im letzten Monat gekauft` },
+    { locale: 'it', source: `${count}\\s*(?:acquistat[oi])\\s+(?:nel mese precedente|il mese scorso)` },
+    { locale: 'nl', source: `${count}\\s*(?:keer\\s+)?gekocht in de afgelopen maand` },
+    { locale: 'sv', source: `${count}\\s*köpta\\s+(?:under\\s+)?(?:förra|senaste) månaden` },
+    { locale: 'pl', source: `${count}\\s*(?:kupionych|kupiono)\\s+w\\s+(?:zeszłym|ostatnim) miesiącu` },
+    { locale: 'tr', source: `Geçen ay\\s+${count}\\s*(?:kez\\s+)?satın alındı` },
+    { locale: 'ar', source: `تم شراء\\s+${count}\\s*(?:مرة\\s+)?في الشهر الماضي` },
+    { locale: 'zh', source: `${count}\\s*(?:件|人)?\\s*(?<atLeast>以上)?\\s*上个月购买` },
+    { locale: 'ja', source: `${count}\\s*(?:点|個)?\\s*(?<atLeast>以上)?\\s*先月に購入` },
+    { locale: 'ja', source: `過去1か月で${count}\\s*(?:点|個)?\\s*(?<atLeast>以上)?購入` }
+  ].map(pattern => ({ locale: pattern.locale, regex: new RegExp(pattern.source, 'i') }));
+})();
+
+// Document adapter backed by the browser's DOMParser
+AmazonParser.domDocumentAdapter = {
+  name: 'dom',
+  parse(html) {
+    const parser = new DOMParser();
+    return parser.parseFromString(html, 'text/html');
+  }
+};
+
+// Document adapter backed by the DOM-free HtmlDocument
+AmazonParser.htmlDocumentAdapter = {
+  name: 'html-document',
+  parse(html) {
+    // Loaded with importScripts or a script tag in the extension, required in Node
+    const documentClass = typeof HtmlDocument !== 'undefined' ? 
+      HtmlDocument : 
+      require('./html-document.js').HtmlDocument;
+    return documentClass.parse(html);
+  }
+};
+
 // Export the parser for use in other modules
 if (typeof module !== 'undefined') {
   module.exports = { AmazonParser };
@@ -14,6 +14,15 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Set up debug settings
   setupDebugSettings();
+  
+  // Set up extraction rule pack loading
+  setupRulePack();
+  
+  // Set up the per-field provenance viewer
+  setupProvenanceViewer();
+  
+  // Set up downloading the HTML snapshots of failed parses
+  setupSnapshots();
 });
 
 /**
@@ -224,4 +233,257 @@ function setupErrorLog() {
   
   // Initial load of error log
   loadErrorLog();
-}
\ No newline at end of file
+}
+
+/**
+ * Set up loading, exporting and resetting the extraction rule pack
+ */
+function setupRulePack() {
+  const versionElement = document.getElementById('rulePackVersion');
+  const statusElement = document.getElementById('rulePackStatus');
+  const fileInput = document.getElementById('rulePackFile');
+  const loadButton = document.getElementById('loadRulePack');
+  const exportButton = document.getElementById('exportRulePack');
+  const resetButton = document.getElementById('resetRulePack');
+  
+  if (!versionElement) return;
+  
+  // Function to show the active rule pack version
+  const showVersion = (response) => {
+    if (response && response.success) {
+      versionElement.textContent = `规则版本: ${response.version} (${response.custom ? '自定义' : '内置'})`;
+    } else {
+      versionElement.textContent = '规则版本: 未知';
+    }
+  };
+  
+  // Function to show a status message
+  const showStatus = (message, isError) => {
+    statusElement.textContent = message;
+    statusElement.className = `rule-pack-status ${isError ? 'rule-pack-status-error' : 'rule-pack-status-success'}`;
+  };
+  
+  // Function to send a rule pack (or null for the built-in rules) to the background script
+  const installRulePack = (rulePack) => {
+    chrome.runtime.sendMessage({ type: 'setRulePack', rulePack: rulePack }, (response) => {
+      if (response && response.success) {
+        showVersion(response);
+        showStatus(rulePack ? `已加载规则版本 ${response.version}` : '已恢复内置规则', false);
+      } else {
+        showStatus(`规则包无效:\n${response ? response.error : '无响应'}`, true);
+      }
+    });
+  };
+  
+  if (loadButton && fileInput) {
+    loadButton.addEventListener('click', () => {
+      fileInput.value = '';
+      fileInput.click();
+    });
+    
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = () => {
+        let rulePack;
+        try {
+          rulePack = JSON.parse(reader.result);
+        } catch (error) {
+          showStatus(`无法读取JSON: ${error.message}`, true);
+          return;
+        }
+        
+        // Check the pack here so errors show up before it reaches the background script
+        const errors = ExtractionRuleRegistry.validate(rulePack);
+        if (errors.length > 0) {
+          showStatus(`规则包无效:\n${errors.join('\n')}`, true);
+          return;
+        }
+        
+        installRulePack(rulePack);
+      };
+      reader.onerror = () => {
+        showStatus('无法读取文件', true);
+      };
+      reader.readAsText(file);
+    });
+  }
+  
+  if (exportButton) {
+    exportButton.addEventListener('click', () => {
+      // The built-in pack is a starting point for custom rules
+      const rulesJson = JSON.stringify(ExtractionRuleRegistry.defaultRulePack, null, 2);
+      const blob = new Blob([rulesJson], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `amazon-enhancer-rules-v${ExtractionRuleRegistry.defaultRulePack.version}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    });
+  }
+  
+  if (resetButton) {
+    resetButton.addEventListener('click', () => {
+      installRulePack(null);
+    });
+  }
+  
+  // Initial load of the rule pack version
+  chrome.runtime.sendMessage({ type: 'getRulePackInfo' }, showVersion);
+}
+
+/**
+ * Set up the debug view showing where each field of a cached product came from
+ */
+function setupProvenanceViewer() {
+  const asinInput = document.getElementById('provenanceAsin');
+  const showButton = document.getElementById('showProvenance');
+  const statusElement = document.getElementById('provenanceStatus');
+  const table = document.getElementById('provenanceTable');
+  
+  if (!asinInput || !showButton || !table) return;
+  
+  const tableBody = table.querySelector('tbody');
+  
+  // Function to show a status message
+  const showStatus = (message, isError) => {
+    statusElement.textContent = message;
+    statusElement.className = `rule-pack-status ${isError ? 'rule-pack-status-error' : 'rule-pack-status-success'}`;
+  };
+  
+  // Function to fill the table, one row per field
+  const displayProvenance = (provenance) => {
+    tableBody.innerHTML = '';
+    
+    Object.keys(provenance).forEach(field => {
+      const source = provenance[field];
+      const row = document.createElement('tr');
+      const confidence = typeof source.confidence === 'number' ? source.confidence : null;
+      
+      [
+        field,
+        source.strategy,
+        source.selector || '-',
+        confidence === null ? '-' : `${Math.round(confidence * 100)}%`,
+        source.excerpt || '-'
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      
+      if (confidence !== null && confidence < 0.5) {
+        row.className = 'provenance-low-confidence';
+      }
+      
+      tableBody.appendChild(row);
+    });
+    
+    table.style.display = tableBody.children.length > 0 ? '' : 'none';
+  };
+  
+  showButton.addEventListener('click', () => {
+    const asin = asinInput.value.trim().toUpperCase();
+    if (!/^[A-Z0-9]{10}$/.test(asin)) {
+      showStatus('请输入10位ASIN', true);
+      return;
+    }
+    
+    chrome.runtime.sendMessage({ type: 'getProductProvenance', asin: asin }, (response) => {
+      if (!response || !response.success) {
+        table.style.display = 'none';
+        showStatus(`没有该ASIN的缓存数据: ${response ? response.error : '无响应'}`, true);
+        return;
+      }
+      
+      const fieldCount = Object.keys(response.provenance).length;
+      const updated = response.lastUpdated ? new Date(response.lastUpdated).toLocaleString() : '未知';
+      showStatus(`${response.marketplace} · ${fieldCount} 个字段 · 更新于 ${updated} · 规则版本 ${response.rulePackVersion || '未知'}`, false);
+      displayProvenance(response.provenance);
+    });
+  });
+}
+
+/**
+ * Set up the debug view of HTML snapshots kept for failed and low-confidence parses
+ */
+function setupSnapshots() {
+  const statsElement = document.getElementById('snapshotStats');
+  const statusElement = document.getElementById('snapshotStatus');
+  const downloadButton = document.getElementById('downloadSnapshots');
+  const clearButton = document.getElementById('clearSnapshots');
+  
+  if (!statsElement) return;
+  
+  // Snapshots live in chrome.storage.local, so the popup reads them directly
+  // instead of passing megabytes of HTML through a message
+  const snapshotStore = new SnapshotStore();
+  
+  // Function to show a status message
+  const showStatus = (message, isError) => {
+    statusElement.textContent = message;
+    statusElement.className = `rule-pack-status ${isError ? 'rule-pack-status-error' : 'rule-pack-status-success'}`;
+  };
+  
+  // Function to show how many snapshots are kept
+  const loadStats = () => {
+    snapshotStore.getStats().then(stats => {
+      if (stats.count === 0) {
+        statsElement.textContent = '快照: 无 (仅在调试模式下保存解析失败或低可信度的页面)';
+      } else {
+        const sizeKb = Math.round(stats.totalBytes / 1024);
+        const latest = new Date(stats.snapshots[stats.count - 1].timestamp).toLocaleString();
+        statsElement.textContent = `快照: ${stats.count}/${stats.maxEntries} 个 · ${sizeKb} KB · 最近 ${latest}`;
+      }
+      if (downloadButton) {
+        downloadButton.disabled = stats.count === 0;
+      }
+    });
+  };
+  
+  if (downloadButton) {
+    downloadButton.addEventListener('click', () => {
+      downloadButton.disabled = true;
+      
+      snapshotStore.createArchive().then(zip => {
+        const blob = new Blob([zip], { type: 'application/zip' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `amazon-enhancer-snapshots-${new Date().toISOString().replace(/:/g, '-')}.zip`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        showStatus('', false);
+      }).catch(error => {
+        showStatus(`无法创建zip: ${error.message}`, true);
+      }).then(() => {
+        downloadButton.disabled = false;
+      });
+    });
+  }
+  
+  if (clearButton) {
+    clearButton.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'clearSnapshots' }, (response) => {
+        if (response && response.success) {
+          showStatus('已清除快照', false);
+        } else {
+          showStatus(`清除失败: ${response ? response.error : '无响应'}`, true);
+        }
+        loadStats();
+      });
+    });
+  }
+  
+  // Initial load of the snapshot count
+  loadStats();
+}
@@ -16,10 +16,15 @@ class SettingsManager {
       showASIN: true,
       showBrand: true,
       showSalesData: true,
+      showReviews: true,
+      showOffers: false, // fetch every seller offer, one extra request per product
+      cardOnlyMode: false, // render search card data, fetch detail pages on demand
       cacheExpiry: 24, // hours
+      staleWhileRevalidate: true, // show expired product data at once and refresh it in the background
       maxCacheSize: 500, // maximum number of items to store
       cleanupThreshold: 0.9, // cleanup when cache reaches 90% of max size
       cleanupRatio: 0.3, // remove 30% of oldest items during cleanup
+      historyRetentionDays: 180, // days of BSR, price and sales history kept per product
       debugMode: false, // debug mode for error handler
       enableGlobalErrorHandler: false, // global error handler
       showUserFriendlyErrors: true, // show user-friendly error messages
@@ -59,10 +64,15 @@ class SettingsManager {
     this.elements.showASINToggle = document.getElementById('showASIN');
     this.elements.showBrandToggle = document.getElementById('showBrand');
     this.elements.showSalesDataToggle = document.getElementById('showSalesData');
+    this.elements.showReviewsToggle = document.getElementById('showReviews');
+    this.elements.showOffersToggle = document.getElementById('showOffers');
+    this.elements.cardOnlyModeToggle = document.getElementById('cardOnlyMode');
     
     // Cache setting elements
     this.elements.cacheExpiryInput = document.getElementById('cacheExpiry');
+    this.elements.staleWhileRevalidateToggle = document.getElementById('staleWhileRevalidate');
     this.elements.maxCacheSizeInput = document.getElementById('maxCacheSize');
+    this.elements.historyRetentionDaysInput = document.getElementById('historyRetentionDays');
     this.elements.clearCacheButton = document.getElementById('clearCache');
     this.elements.resetSettingsButton = document.getElementById('resetSettings');
     this.elements.cacheStatsDiv = document.getElementById('cacheStats');
@@ -85,8 +95,13 @@ class SettingsManager {
       'showASIN',
       'showBrand',
       'showSalesData',
+      'showReviews',
+      'showOffers',
+      'cardOnlyMode',
       'cacheExpiry',
+      'staleWhileRevalidate',
       'maxCacheSize',
+      'historyRetentionDays',
       'debugMode',
       'enableGlobalErrorHandler',
       'showUserFriendlyErrors',
@@ -127,15 +142,35 @@ class SettingsManager {
       this.elements.showSalesDataToggle.checked = this.settings.showSalesData !== false;
     }
     
+    if (this.elements.showReviewsToggle) {
+      this.elements.showReviewsToggle.checked = this.settings.showReviews !== false;
+    }
+    
+    if (this.elements.showOffersToggle) {
+      this.elements.showOffersToggle.checked = this.settings.showOffers === true;
+    }
+    
+    if (this.elements.cardOnlyModeToggle) {
+      this.elements.cardOnlyModeToggle.checked = this.settings.cardOnlyMode === true;
+    }
+    
     // Set cache settings
     if (this.elements.cacheExpiryInput) {
       this.elements.cacheExpiryInput.value = this.settings.cacheExpiry || 24;
     }
     
+    if (this.elements.staleWhileRevalidateToggle) {
+      this.elements.staleWhileRevalidateToggle.checked = this.settings.staleWhileRevalidate !== false;
+    }
+    
     if (this.elements.maxCacheSizeInput) {
       this.elements.maxCacheSizeInput.value = this.settings.maxCacheSize || 500;
     }
     
+    if (this.elements.historyRetentionDaysInput) {
+      this.elements.historyRetentionDaysInput.value = this.settings.historyRetentionDays || 180;
+    }
+    
     // Set error handling settings
     if (this.elements.debugModeToggle) {
       this.elements.debugModeToggle.checked = this.settings.debugMode === true;
@@ -196,6 +231,25 @@ class SettingsManager {
       this.updateActiveTab();
     });
     
+    this.elements.showReviewsToggle.addEventListener('change', () => {
+      this.saveSetting('showReviews', this.elements.showReviewsToggle.checked);
+      this.updateActiveTab();
+    });
+    
+    if (this.elements.showOffersToggle) {
+      this.elements.showOffersToggle.addEventListener('change', () => {
+        this.saveSetting('showOffers', this.elements.showOffersToggle.checked);
+        this.updateActiveTab();
+      });
+    }
+    
+    if (this.elements.cardOnlyModeToggle) {
+      this.elements.cardOnlyModeToggle.addEventListener('change', () => {
+        this.saveSetting('cardOnlyMode', this.elements.cardOnlyModeToggle.checked);
+        this.updateActiveTab();
+      });
+    }
+    
     // Cache expiry input
     this.elements.cacheExpiryInput.addEventListener('change', () => {
       const value = parseInt(this.elements.cacheExpiryInput.value);
@@ -208,6 +262,14 @@ class SettingsManager {
       }
     });
     
+    if (this.elements.staleWhileRevalidateToggle) {
+      this.elements.staleWhileRevalidateToggle.addEventListener('change', () => {
+        const value = this.elements.staleWhileRevalidateToggle.checked;
+        this.saveSetting('staleWhileRevalidate', value);
+        this.updateBackgroundSettings({ staleWhileRevalidate: value });
+      });
+    }
+    
     // Max cache size input
     this.elements.maxCacheSizeInput.addEventListener('change', () => {
       const value = parseInt(this.elements.maxCacheSizeInput.value);
@@ -220,6 +282,20 @@ class SettingsManager {
       }
     });
     
+    // History retention input
+    if (this.elements.historyRetentionDaysInput) {
+      this.elements.historyRetentionDaysInput.addEventListener('change', () => {
+        const value = parseInt(this.elements.historyRetentionDaysInput.value);
+        if (value >= 7 && value <= 730) {
+          this.saveSetting('historyRetentionDays', value);
+          this.updateBackgroundSettings({ historyRetentionDays: value });
+        } else {
+          // Reset to valid value
+          this.elements.historyRetentionDaysInput.value = this.settings.historyRetentionDays || 180;
+        }
+      });
+    }
+    
     // Clear cache button
     this.elements.clearCacheButton.addEventListener('click', () => {
       this.clearCache();
@@ -257,7 +333,10 @@ class SettingsManager {
       this.elements.showBSRToggle,
       this.elements.showASINToggle,
       this.elements.showBrandToggle,
-      this.elements.showSalesDataToggle
+      this.elements.showSalesDataToggle,
+      this.elements.showReviewsToggle,
+      this.elements.showOffersToggle,
+      this.elements.cardOnlyModeToggle
     ];
     
     dependentToggles.forEach(toggle => {
@@ -357,9 +436,11 @@ class SettingsManager {
       // Update background settings
       this.updateBackgroundSettings({
         cacheExpiry: this.defaultSettings.cacheExpiry,
+        staleWhileRevalidate: this.defaultSettings.staleWhileRevalidate,
         maxCacheSize: this.defaultSettings.maxCacheSize,
         cleanupThreshold: this.defaultSettings.cleanupThreshold,
-        cleanupRatio: this.defaultSettings.cleanupRatio
+        cleanupRatio: this.defaultSettings.cleanupRatio,
+        historyRetentionDays: this.defaultSettings.historyRetentionDays
       });
       
       if (button) {
@@ -388,7 +469,19 @@ class SettingsManager {
         const hitRatio = stats.hitRatio.toFixed(1);
         const usagePercent = stats.usagePercent.toFixed(1);
         
-        this.elements.cacheStatsDiv.textContent = `缓存统计: ${stats.totalItems} 项 (${usagePercent}%), 命中率: ${hitRatio}%`;
+        // Per-marketplace breakdown, largest first: "amazon.com 120 · amazon.de 30"
+        const marketplaces = Object.keys(stats.byMarketplace || {})
+          .sort((a, b) => stats.byMarketplace[b] - stats.byMarketplace[a])
+          .map(marketplace => `${marketplace} ${stats.byMarketplace[marketplace]}`);
+        
+        // How product requests were answered since the service worker started
+        const requests = stats.requests ?
+          `\n请求: 缓存 ${stats.requests.cacheHits} · 合并 ${stats.requests.coalesced} · 抓取 ${stats.requests.fetched}` :
+          '';
+        
+        this.elements.cacheStatsDiv.textContent = `缓存统计: ${stats.totalItems} 项 (${usagePercent}%), 命中率: ${hitRatio}%` +
+          (marketplaces.length > 0 ? `\n按站点: ${marketplaces.join(' · ')}` : '') +
+          requests;
       } else {
         this.elements.cacheStatsDiv.textContent = '缓存统计: 无法加载';
       }
@@ -0,0 +1,353 @@
+/**
+ * Debug Snapshot Store for Amazon Product Enhancer
+ *
+ * In debug mode the background keeps the raw HTML of product pages that failed
+ * to parse or parsed with low confidence, so a broken selector can be
+ * reproduced offline as a test fixture (see tools/batch-parse.js):
+ * - HTML is gzip-compressed with CompressionStream and stored in chrome.storage.local
+ * - The store is a ring buffer bounded by entry count and compressed size
+ * - Snapshots are downloaded as a zip of .html files plus an index.json
+ *
+ * The zip reuses the deflate stream inside each gzip snapshot, so nothing is
+ * decompressed or compressed again when it is built.
+ */
+
+class SnapshotStore {
+  constructor(settings = {}) {
+    this.defaultSettings = {
+      maxEntries: 20, // maximum number of snapshots kept
+      maxBytes: 2 * 1024 * 1024, // maximum total compressed size
+      lowConfidenceThreshold: 0.5 // fields found with less confidence trigger a snapshot
+    };
+    
+    this.settings = { ...this.defaultSettings, ...settings };
+  }
+  
+  /**
+   * Decide whether the parse result of a page is worth a snapshot
+   * @param {Object} productData - Result of parsing the page
+   * @returns {Object|null} Reason, message and lowConfidenceFields, or null for a good parse
+   */
+  getCaptureReason(productData) {
+    if (!productData) {
+      return { reason: 'parse_error', message: 'No data parsed', lowConfidenceFields: [] };
+    }
+    
+    if (productData.parsingError) {
+      return { reason: 'parse_error', message: productData.error || null, lowConfidenceFields: [] };
+    }
+    
+    const provenance = productData.provenance || {};
+    const lowConfidenceFields = Object.keys(provenance).filter(field =>
+      typeof provenance[field].confidence === 'number' &&
+      provenance[field].confidence < this.settings.lowConfidenceThreshold
+    );
+    
+    if (lowConfidenceFields.length === 0) {
+      return null;
+    }
+    
+    return {
+      reason: 'low_confidence',
+      message: `Low confidence: ${lowConfidenceFields.join(', ')}`,
+      lowConfidenceFields: lowConfidenceFields
+    };
+  }
+  
+  /**
+   * Compress and store the HTML of a page, dropping the oldest snapshots when full
+   * @param {string} html - Raw HTML of the page
+   * @param {Object} details - asin, marketplace, url, reason, message and lowConfidenceFields
+   * @returns {Promise<Object|null>} The snapshot summary, or null if the page is too large to keep
+   */
+  async addSnapshot(html, details) {
+    const compressed = await SnapshotStore.gzip(html);
+    if (compressed.length > this.settings.maxBytes) {
+      console.warn(`Snapshot for ASIN ${details.asin} is too large to keep (${compressed.length} bytes)`);
+      return null;
+    }
+    
+    const timestamp = Date.now();
+    const snapshot = {
+      id: `${timestamp}-${details.asin}`,
+      asin: details.asin,
+      marketplace: details.marketplace || null,
+      url: details.url || null,
+      reason: details.reason,
+      message: details.message || null,
+      lowConfidenceFields: details.lowConfidenceFields || [],
+      timestamp: timestamp,
+      size: html.length,
+      compressedSize: compressed.length,
+      data: SnapshotStore.toBase64(compressed)
+    };
+    
+    const snapshots = await this.getSnapshots();
+    snapshots.push(snapshot);
+    
+    // Ring buffer: the oldest snapshots go first
+    let totalBytes = snapshots.reduce((total, entry) => total + entry.compressedSize, 0);
+    while (snapshots.length > this.settings.maxEntries || totalBytes > this.settings.maxBytes) {
+      totalBytes -= snapshots.shift().compressedSize;
+    }
+    
+    await this.saveSnapshots(snapshots);
+    return SnapshotStore.summarize(snapshot);
+  }
+  
+  /**
+   * Get all stored snapshots, oldest first
+   * @returns {Promise<Array>} Snapshots including their compressed data
+   */
+  async getSnapshots() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([SnapshotStore.storageKey], (result) => {
+        resolve(result[SnapshotStore.storageKey] || []);
+      });
+    });
+  }
+  
+  /**
+   * Replace the stored snapshots
+   * @param {Array} snapshots - Snapshots to store
+   * @returns {Promise<void>}
+   */
+  async saveSnapshots(snapshots) {
+    return new Promise((resolve) => {
+      const update = {};
+      update[SnapshotStore.storageKey] = snapshots;
+      chrome.storage.local.set(update, resolve);
+    });
+  }
+  
+  /**
+   * Remove all snapshots
+   * @returns {Promise<void>}
+   */
+  async clearSnapshots() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove([SnapshotStore.storageKey], resolve);
+    });
+  }
+  
+  /**
+   * Get snapshot count and sizes without the HTML
+   * @returns {Promise<Object>} count, totalBytes, maxEntries, maxBytes and the snapshot summaries
+   */
+  async getStats() {
+    const snapshots = await this.getSnapshots();
+    
+    return {
+      count: snapshots.length,
+      totalBytes: snapshots.reduce((total, entry) => total + entry.compressedSize, 0),
+      maxEntries: this.settings.maxEntries,
+      maxBytes: this.settings.maxBytes,
+      snapshots: snapshots.map(SnapshotStore.summarize)
+    };
+  }
+  
+  /**
+   * Build a zip with one .html file per snapshot and an index.json describing them
+   *
+   * File names start with the ASIN, so tools/batch-parse.js picks it up when
+   * the files are used as fixtures.
+   *
+   * @returns {Promise<Uint8Array>} The zip archive
+   */
+  async createArchive() {
+    const snapshots = await this.getSnapshots();
+    const files = [];
+    const index = [];
+    
+    snapshots.forEach(snapshot => {
+      const name = SnapshotStore.getFileName(snapshot);
+      files.push({ name: name, date: new Date(snapshot.timestamp), gzip: SnapshotStore.fromBase64(snapshot.data) });
+      index.push({ file: name, ...SnapshotStore.summarize(snapshot) });
+    });
+    
+    const indexGzip = await SnapshotStore.gzip(JSON.stringify(index, null, 2));
+    files.push({ name: 'index.json', date: new Date(), gzip: indexGzip });
+    
+    return SnapshotStore.buildZip(files);
+  }
+  
+  /**
+   * Get the file name of a snapshot in the zip
+   * @param {Object} snapshot - Stored snapshot
+   * @returns {string} e.g. "B08N5KWB9H-amazon.de-20261019T083000Z.html"
+   */
+  static getFileName(snapshot) {
+    const time = new Date(snapshot.timestamp).toISOString().replace(/[-:]|\.\d+/g, '');
+    const marketplace = (snapshot.marketplace || 'unknown').replace(/^www\./, '').replace(/[^a-z0-9.-]/gi, '_');
+    return `${snapshot.asin}-${marketplace}-${time}.html`;
+  }
+  
+  /**
+   * Strip the compressed HTML from a snapshot
+   * @param {Object} snapshot - Stored snapshot
+   * @returns {Object} Snapshot without its data
+   */
+  static summarize(snapshot) {
+    const summary = { ...snapshot };
+    delete summary.data;
+    return summary;
+  }
+  
+  /**
+   * Compress text with gzip
+   * @param {string} text - Text to compress
+   * @returns {Promise<Uint8Array>} gzip bytes
+   */
+  static async gzip(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  
+  /**
+   * Split a gzip member into its raw deflate stream, CRC-32 and uncompressed size
+   * @param {Uint8Array} bytes - gzip bytes
+   * @returns {Object} deflated, crc32 and size
+   */
+  static readGzip(bytes) {
+    if (bytes.length < 18 || bytes[0] !== 0x1f || bytes[1] !== 0x8b || bytes[2] !== 8) {
+      throw new Error('Not a gzip stream');
+    }
+    
+    const flags = bytes[3];
+    let offset = 10;
+    if (flags & 4) { // FEXTRA
+      offset += 2 + (bytes[offset] | (bytes[offset + 1] << 8));
+    }
+    if (flags & 8) { // FNAME
+      while (bytes[offset++] !== 0);
+    }
+    if (flags & 16) { // FCOMMENT
+      while (bytes[offset++] !== 0);
+    }
+    if (flags & 2) { // FHCRC
+      offset += 2;
+    }
+    
+    const trailer = new DataView(bytes.buffer, bytes.byteOffset + bytes.length - 8, 8);
+    return {
+      deflated: bytes.subarray(offset, bytes.length - 8),
+      crc32: trailer.getUint32(0, true),
+      size: trailer.getUint32(4, true)
+    };
+  }
+  
+  /**
+   * Build a zip archive from gzip-compressed files
+   * @param {Array} files - Files with name, date and gzip bytes
+   * @returns {Uint8Array} The zip archive
+   */
+  static buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const { deflated, crc32, size } = SnapshotStore.readGzip(file.gzip);
+      const { time, date } = SnapshotStore.toDosDateTime(file.date);
+      
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // local file header signature
+      local.setUint16(4, 20, true); // version needed to extract
+      local.setUint16(6, 0x0800, true); // UTF-8 file name
+      local.setUint16(8, 8, true); // deflate
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc32, true);
+      local.setUint32(18, deflated.length, true);
+      local.setUint32(22, size, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true); // extra field length
+      
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // central directory header signature
+      central.setUint16(4, 20, true); // version made by
+      central.setUint16(6, 20, true); // version needed to extract
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 8, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc32, true);
+      central.setUint32(20, deflated.length, true);
+      central.setUint32(24, size, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true); // offset of the local header
+      
+      localParts.push(new Uint8Array(local.buffer), name, deflated);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + deflated.length;
+    });
+    
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, files.length, true); // entries on this disk
+    end.setUint16(10, files.length, true); // total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+      zip.set(part, position);
+      position += part.length;
+    });
+    
+    return zip;
+  }
+  
+  /**
+   * Convert a date to the MS-DOS time and date fields of a zip header
+   * @param {Date} date - Local date, from 1980 on
+   * @returns {Object} time and date
+   */
+  static toDosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+      date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+  
+  /**
+   * Encode bytes as base64, since chrome.storage only stores JSON
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} base64 text
+   */
+  static toBase64(bytes) {
+    let binary = '';
+    // Chunked, so String.fromCharCode never gets too many arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+  
+  /**
+   * Decode base64 text
+   * @param {string} text - base64 text
+   * @returns {Uint8Array} The decoded bytes
+   */
+  static fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+// Key of the snapshot ring buffer in chrome.storage.local
+SnapshotStore.storageKey = 'debugSnapshots';
+
+// Export for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = { SnapshotStore };
+}
@@ -307,6 +307,99 @@ describe('Background Script Tests', () => {
   });
 });
 
+describe('In-flight product requests', () => {
+  const productPageHtml = `<html><body>${'<div>Product</div>'.repeat(100)}</body></html>`;
+  let BackgroundService;
+  let backgroundService;
+  
+  /**
+   * Send a fetchProductDetails request and wait for its response
+   * @param {string} url - Product page URL
+   * @returns {Promise<Object>} The response passed to sendResponse
+   */
+  function requestProductDetails(url) {
+    return new Promise(resolve => {
+      backgroundService.handleFetchProductDetails({ type: 'fetchProductDetails', asin: 'B08N5KWB9H', url: url }, {}, resolve);
+    });
+  }
+  
+  beforeAll(() => {
+    // The real background script, with its cache and history in an in-memory IndexedDB
+    global.indexedDB = require('./mock-indexeddb.js').createMockIndexedDB();
+    global.MarketplaceLocale = require('../marketplace-locale.js').MarketplaceLocale;
+    global.ExtractionRuleRegistry = require('../extraction-rules.js').ExtractionRuleRegistry;
+    global.CacheDatabase = require('../cache-database.js').CacheDatabase;
+    global.CacheManager = require('../cache-manager');
+    global.HistoryStore = require('../history-store.js').HistoryStore;
+    global.SnapshotStore = require('../snapshot-store.js').SnapshotStore;
+    global.ErrorHandler = require('../error-handling');
+    
+    mockStorage.sync.get.mockImplementation((keys, callback) => callback({}));
+    mockStorage.local.get.mockImplementation((keys, callback) => callback({}));
+    
+    ({ BackgroundService } = require('../background.js'));
+  });
+  
+  beforeEach(() => {
+    global.indexedDB = require('./mock-indexeddb.js').createMockIndexedDB();
+    mockFetch.mockReset();
+    mockFetch.mockImplementation(() => Promise.resolve({
+      ok: true,
+      status: 200,
+      text: () => Promise.resolve(productPageHtml)
+    }));
+    
+    backgroundService = new BackgroundService();
+  });
+  
+  test('should fetch once for concurrent requests of the same ASIN and marketplace', async () => {
+    const responses = await Promise.all([
+      requestProductDetails('https://www.amazon.de/dp/B08N5KWB9H'),
+      requestProductDetails('https://www.amazon.de/dp/B08N5KWB9H')
+    ]);
+    
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    responses.forEach(response => {
+      expect(response.success).toBe(true);
+      expect(response.data.asin).toBe('B08N5KWB9H');
+    });
+    expect(responses.map(response => response.coalesced)).toEqual([false, true]);
+    expect(backgroundService.requestMetrics).toEqual({ cacheHits: 0, coalesced: 1, fetched: 1 });
+    expect(backgroundService.inFlightRequests.size).toBe(0);
+    
+    // The next request is answered from the cache
+    const cached = await requestProductDetails('https://www.amazon.de/dp/B08N5KWB9H');
+    expect(cached.fromCache).toBe(true);
+    expect(backgroundService.requestMetrics.cacheHits).toBe(1);
+  });
+  
+  test('should not share fetches between marketplaces', async () => {
+    const responses = await Promise.all([
+      requestProductDetails('https://www.amazon.com/dp/B08N5KWB9H'),
+      requestProductDetails('https://www.amazon.de/dp/B08N5KWB9H')
+    ]);
+    
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+    expect(responses.map(response => response.coalesced)).toEqual([false, false]);
+    expect(backgroundService.requestMetrics).toEqual({ cacheHits: 0, coalesced: 0, fetched: 2 });
+  });
+  
+  test('should fetch again after a failed fetch', async () => {
+    backgroundService.settings.maxRetries = 0;
+    mockFetch.mockImplementationOnce(() => Promise.resolve({ ok: false, status: 503, text: () => Promise.resolve('') }));
+    
+    const failed = await requestProductDetails('https://www.amazon.de/dp/B08N5KWB9H');
+    expect(failed.success).toBe(false);
+    expect(backgroundService.inFlightRequests.size).toBe(0);
+    
+    const retried = await requestProductDetails('https://www.amazon.de/dp/B08N5KWB9H');
+    expect(retried.success).toBe(true);
+    expect(retried.coalesced).toBe(false);
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+    expect(backgroundService.requestMetrics.fetched).toBe(2);
+  });
+});
+
 // In a real test environment, these tests would be run with Jest
 // For this implementation, we're providing a simple test runner
 
@@ -0,0 +1,40 @@
+/**
+ * Tests for the batch parser tool
+ */
+
+const { detectMarketplace } = require('../tools/batch-parse.js');
+
+describe('detectMarketplace', () => {
+  const cases = [
+    {
+      name: 'debug snapshot file names',
+      filePath: 'snapshots/B08N5KWB9H-amazon.co.uk-20261019T083000Z.html',
+      html: '<link rel="canonical" href="https://www.amazon.com/dp/B08N5KWB9H">',
+      expected: 'www.amazon.co.uk'
+    },
+    {
+      name: 'canonical links',
+      filePath: 'pages/B08N5KWB9H.html',
+      html: '<link href="https://www.amazon.de/dp/B08N5KWB9H" rel="canonical" />',
+      expected: 'www.amazon.de'
+    },
+    {
+      name: 'og:url meta tags',
+      filePath: 'pages/B08N5KWB9H.html',
+      html: '<meta property="og:url" content="https://www.amazon.co.jp/dp/B08N5KWB9H">',
+      expected: 'www.amazon.co.jp'
+    },
+    {
+      name: 'pages without a marketplace',
+      filePath: 'pages/product.html',
+      html: '<html><body>Product</body></html>',
+      expected: null
+    }
+  ];
+  
+  cases.forEach(({ name, filePath, html, expected }) => {
+    test(`should handle ${name}`, () => {
+      expect(detectMarketplace(filePath, html)).toBe(expected);
+    });
+  });
+});
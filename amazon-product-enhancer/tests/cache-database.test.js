@@ -0,0 +1,155 @@
+/**
+ * Tests for the Cache Database module
+ */
+
+const { CacheDatabase } = require('../cache-database.js');
+const { createMockIndexedDB } = require('./mock-indexeddb.js');
+
+/**
+ * Build a cache record
+ * @param {string} asin - ASIN of the record
+ * @param {string} marketplace - Marketplace domain
+ * @param {number} accessTimestamp - Last access time
+ * @returns {Object} Record as stored by CacheManager
+ */
+function createRecord(asin, marketplace, accessTimestamp) {
+  return {
+    key: `cache_${marketplace}_${asin}`,
+    asin: asin,
+    marketplace: marketplace,
+    namespace: 'product',
+    data: { asin: asin },
+    timestamp: 1000,
+    accessTimestamp: accessTimestamp
+  };
+}
+
+describe('CacheDatabase', () => {
+  let indexedDB;
+  let database;
+  
+  beforeEach(() => {
+    indexedDB = createMockIndexedDB();
+    database = new CacheDatabase({ indexedDB });
+  });
+  
+  test('should create the entries store with its indexes', async () => {
+    await database.open();
+    
+    const store = indexedDB.databases[CacheDatabase.databaseName].database.stores.entries;
+    expect(store.keyPath).toBe('key');
+    expect(Object.keys(store.indexes)).toEqual(['asin', 'marketplace', 'timestamp', 'accessTimestamp']);
+  });
+  
+  test('should store and read records by key', async () => {
+    const record = createRecord('B07PXGQC1Q', 'amazon.de', 2000);
+    
+    await database.put(record);
+    
+    expect(await database.get(record.key)).toEqual(record);
+    expect(await database.get('cache_amazon.de_B000000000')).toBeNull();
+  });
+  
+  test('should only change the access time when a record is touched', async () => {
+    const record = createRecord('B07PXGQC1Q', 'amazon.de', 2000);
+    await database.put(record);
+    
+    await database.touch(record.key, 5000);
+    
+    expect(await database.get(record.key)).toEqual({ ...record, accessTimestamp: 5000 });
+  });
+  
+  test('should find the records of an ASIN on every marketplace', async () => {
+    await database.putAll([
+      createRecord('B07PXGQC1Q', 'amazon.com', 2000),
+      createRecord('B07PXGQC1Q', 'amazon.de', 3000),
+      createRecord('B000000001', 'amazon.de', 4000)
+    ]);
+    
+    const records = await database.getByAsin('B07PXGQC1Q');
+    
+    expect(records.map(record => record.key).sort()).toEqual(['cache_amazon.com_B07PXGQC1Q', 'cache_amazon.de_B07PXGQC1Q']);
+  });
+  
+  test('should count records and records per marketplace', async () => {
+    await database.putAll([
+      createRecord('B000000001', 'amazon.com', 2000),
+      createRecord('B000000002', 'amazon.com', 3000),
+      createRecord('B000000001', 'amazon.de', 4000)
+    ]);
+    
+    expect(await database.count()).toBe(3);
+    expect(await database.countByIndex('marketplace')).toEqual({ 'amazon.com': 2, 'amazon.de': 1 });
+  });
+  
+  test('should evict the least recently used records', async () => {
+    await database.putAll([
+      createRecord('B000000001', 'amazon.com', 4000),
+      createRecord('B000000002', 'amazon.com', 1000),
+      createRecord('B000000003', 'amazon.com', 3000),
+      createRecord('B000000004', 'amazon.com', 2000)
+    ]);
+    
+    const evictedKeys = await database.evictLeastRecentlyUsed(2);
+    
+    expect(evictedKeys).toEqual(['cache_amazon.com_B000000002', 'cache_amazon.com_B000000004']);
+    expect(await database.count()).toBe(2);
+    expect(await database.get('cache_amazon.com_B000000001')).not.toBeNull();
+  });
+  
+  test('should delete and clear records', async () => {
+    await database.putAll([
+      createRecord('B000000001', 'amazon.com', 2000),
+      createRecord('B000000002', 'amazon.com', 3000)
+    ]);
+    
+    await database.delete(['cache_amazon.com_B000000001']);
+    expect(await database.count()).toBe(1);
+    
+    await database.clear();
+    expect(await database.count()).toBe(0);
+  });
+  
+  test('should update a record in one transaction', async () => {
+    const record = createRecord('B07PXGQC1Q', 'amazon.de', 2000);
+    await database.put(record);
+    
+    const updated = await database.update(record.key, existing => ({ ...existing, timestamp: 3000 }));
+    
+    expect(updated.timestamp).toBe(3000);
+    expect(await database.get(record.key)).toEqual({ ...record, timestamp: 3000 });
+    expect(await database.update('cache_amazon.de_B000000000', existing => existing)).toBeNull();
+  });
+  
+  test('should delete the records below an index value', async () => {
+    await database.putAll([
+      createRecord('B000000001', 'amazon.com', 1000),
+      createRecord('B000000002', 'amazon.com', 2000),
+      createRecord('B000000003', 'amazon.com', 3000)
+    ]);
+    
+    const deletedKeys = await database.deleteBelow('accessTimestamp', 2500);
+    
+    expect(deletedKeys).toEqual(['cache_amazon.com_B000000001', 'cache_amazon.com_B000000002']);
+    expect(await database.count()).toBe(1);
+  });
+  
+  test('should open a database with its own store and indexes', async () => {
+    const other = new CacheDatabase({ name: 'other', storeName: 'series', indexes: ['asin', 'updated'], indexedDB });
+    
+    await other.put({ key: 'amazon.de_B07PXGQC1Q', asin: 'B07PXGQC1Q', updated: 1000 });
+    
+    const store = indexedDB.databases.other.database.stores.series;
+    expect(Object.keys(store.indexes)).toEqual(['asin', 'updated']);
+    expect(store.records.size).toBe(1);
+  });
+  
+  test('should reject when IndexedDB is not available and retry later', async () => {
+    const unavailable = new CacheDatabase({ indexedDB: null });
+    
+    await expect(unavailable.get('cache_amazon.com_B000000001')).rejects.toThrow('IndexedDB is not available');
+    
+    unavailable.factory = indexedDB;
+    expect(await unavailable.get('cache_amazon.com_B000000001')).toBeNull();
+  });
+});
@@ -21,9 +21,33 @@ global.chrome = {
 
 // Import the CacheManager class
 const CacheManager = require('../cache-manager');
+const { CacheDatabase } = require('../cache-database.js');
+const { createMockIndexedDB } = require('./mock-indexeddb.js');
+
+/**
+ * Build a cache record as stored in the database
+ * @param {string} asin - ASIN of the record
+ * @param {string} marketplace - Marketplace domain
+ * @param {Object} fields - Fields to override, e.g. timestamps or namespace
+ * @returns {Object} Cache record
+ */
+function createRecord(asin, marketplace, fields = {}) {
+  const namespace = fields.namespace || 'product';
+  return {
+    key: `${CacheManager.namespaces[namespace].prefix}${marketplace}_${asin}`,
+    asin: asin,
+    marketplace: marketplace,
+    namespace: namespace,
+    data: { title: `Product ${asin}` },
+    timestamp: Date.now(),
+    accessTimestamp: Date.now(),
+    ...fields
+  };
+}
 
 describe('CacheManager', () => {
   let cacheManager;
+  let database;
   
   beforeEach(() => {
     // Reset all mocks
@@ -50,8 +74,9 @@ describe('CacheManager', () => {
       if (callback) callback();
     });
     
-    // Create a new instance for each test
-    cacheManager = new CacheManager();
+    // Create a new instance with an empty database for each test
+    database = new CacheDatabase({ indexedDB: createMockIndexedDB() });
+    cacheManager = new CacheManager({ database });
   });
   
   describe('Constructor and Settings', () => {
@@ -97,157 +122,176 @@ describe('CacheManager', () => {
   describe('Cache Operations', () => {
     test('should generate correct cache key', () => {
       const asin = 'B07PXGQC1Q';
-      const key = cacheManager.generateCacheKey(asin);
-      expect(key).toBe('cache_B07PXGQC1Q');
+      const key = cacheManager.generateCacheKey(asin, 'www.amazon.com');
+      expect(key).toBe('cache_amazon.com_B07PXGQC1Q');
+    });
+    
+    test('should keep the same ASIN apart on each marketplace', () => {
+      const asin = 'B07PXGQC1Q';
+      
+      expect(cacheManager.generateCacheKey(asin, 'www.amazon.de')).toBe('cache_amazon.de_B07PXGQC1Q');
+      expect(cacheManager.generateCacheKey(asin, 'smile.amazon.com')).toBe('cache_amazon.com_B07PXGQC1Q');
+      expect(cacheManager.generateCacheKey(asin, 'www.amazon.co.uk', 'offers')).toBe('cache_offers_amazon.co.uk_B07PXGQC1Q');
+      expect(cacheManager.generateCacheKey(asin, 'www.amazon.de')).not.toBe(cacheManager.generateCacheKey(asin, 'www.amazon.com'));
+    });
+    
+    test('should keep offers in their own namespace with a shorter expiry', async () => {
+      const asin = 'B07PXGQC1Q';
+      await database.put(createRecord(asin, 'amazon.com', {
+        namespace: 'offers',
+        data: { totalOfferCount: 4, offers: [] },
+        timestamp: Date.now() - (2 * 60 * 60 * 1000) // 2 hours ago
+      }));
+      
+      expect(cacheManager.generateCacheKey(asin, 'www.amazon.com', 'offers')).toBe('cache_offers_amazon.com_B07PXGQC1Q');
+      
+      // Two hours is fresh for product data but stale for offers
+      const result = await cacheManager.getCachedOffers(asin, 'www.amazon.com');
+      
+      expect(result).toBeNull();
+      expect(await database.get('cache_offers_amazon.com_B07PXGQC1Q')).toBeNull();
     });
     
     test('should cache product data', async () => {
       const asin = 'B07PXGQC1Q';
       const data = { title: 'Test Product' };
       
-      // Mock the addToCacheIndex method
-      cacheManager.addToCacheIndex = jest.fn().mockResolvedValue();
       cacheManager.checkAndCleanupCache = jest.fn().mockResolvedValue();
       
-      await cacheManager.cacheProductData(asin, data);
+      await cacheManager.cacheProductData(asin, 'www.amazon.de', data);
       
-      expect(cacheManager.addToCacheIndex).toHaveBeenCalledWith(
-        'cache_B07PXGQC1Q',
-        asin
-      );
-      
-      expect(mockChromeStorage.local.set).toHaveBeenCalled();
-      const setCall = mockChromeStorage.local.set.mock.calls[0][0];
-      expect(Object.keys(setCall)[0]).toBe('cache_B07PXGQC1Q');
-      expect(setCall['cache_B07PXGQC1Q'].data).toEqual(data);
+      expect(cacheManager.checkAndCleanupCache).toHaveBeenCalled();
+      const record = await database.get('cache_amazon.de_B07PXGQC1Q');
+      expect(record.asin).toBe(asin);
+      expect(record.marketplace).toBe('amazon.de');
+      expect(record.namespace).toBe('product');
+      expect(record.data).toEqual(data);
+      expect(record.accessTimestamp).toBe(record.timestamp);
     });
     
     test('should return cached data if valid', async () => {
       const asin = 'B07PXGQC1Q';
-      const cachedData = {
-        data: { title: 'Test Product' },
-        timestamp: Date.now(),
-        accessTimestamp: Date.now()
-      };
-      
-      const mockResult = {};
-      mockResult['cache_B07PXGQC1Q'] = cachedData;
-      
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback(mockResult);
+      const record = createRecord(asin, 'amazon.com', {
+        accessTimestamp: Date.now() - (60 * 60 * 1000) // 1 hour ago
       });
+      await database.put(record);
       
-      // Mock the updateAccessTimestamp method
-      cacheManager.updateAccessTimestamp = jest.fn().mockResolvedValue();
+      const result = await cacheManager.getCachedData(asin, 'www.amazon.com');
       
-      const result = await cacheManager.getCachedData(asin);
-      
-      expect(result).toEqual(cachedData.data);
-      expect(cacheManager.updateAccessTimestamp).toHaveBeenCalledWith('cache_B07PXGQC1Q');
+      expect(result).toEqual(record.data);
+      expect((await database.get(record.key)).accessTimestamp).toBeGreaterThan(record.accessTimestamp);
       expect(cacheManager.cacheStats.hits).toBe(1);
     });
     
     test('should return null for expired cache data', async () => {
       const asin = 'B07PXGQC1Q';
-      const cachedData = {
-        data: { title: 'Test Product' },
-        timestamp: Date.now() - (25 * 60 * 60 * 1000), // 25 hours ago (expired)
-        accessTimestamp: Date.now() - (25 * 60 * 60 * 1000)
-      };
+      await database.put(createRecord(asin, 'amazon.com', {
+        timestamp: Date.now() - (193 * 60 * 60 * 1000), // 24 hours fresh plus 168 stale, expired
+        accessTimestamp: Date.now() - (193 * 60 * 60 * 1000)
+      }));
       
-      const mockResult = {};
-      mockResult['cache_B07PXGQC1Q'] = cachedData;
+      const result = await cacheManager.getCachedData(asin, 'www.amazon.com');
       
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback(mockResult);
+      expect(result).toBeNull();
+      expect(await database.get('cache_amazon.com_B07PXGQC1Q')).toBeNull();
+      expect(cacheManager.cacheStats.misses).toBe(1);
+    });
+    
+    test('should serve data past its expiry as stale until maxStaleHours', async () => {
+      const asin = 'B07PXGQC1Q';
+      const record = createRecord(asin, 'amazon.com', {
+        data: { brand: 'Anker', bsr: [{ rank: 1234, category: 'Electronics' }], availability: { inStock: true } },
+        timestamp: Date.now() - (2 * 60 * 60 * 1000) // 2 hours ago
       });
+      await database.put(record);
       
-      // Mock the removeFromCache method
-      cacheManager.removeFromCache = jest.fn().mockResolvedValue();
+      const entry = await cacheManager.getCachedEntry(asin, 'www.amazon.com');
       
-      const result = await cacheManager.getCachedData(asin);
+      expect(entry.data).toEqual(record.data);
+      expect(entry.stale).toBe(true);
+      expect(entry.staleFields).toEqual(['bsr', 'availability']);
+      expect(cacheManager.cacheStats.hits).toBe(1);
+      expect(cacheManager.cacheStats.staleHits).toBe(1);
       
-      expect(result).toBeNull();
-      expect(cacheManager.removeFromCache).toHaveBeenCalledWith('cache_B07PXGQC1Q');
-      expect(cacheManager.cacheStats.misses).toBe(1);
+      // Only fresh data counts for getCachedData, the entry is kept for revalidation
+      expect(await cacheManager.getCachedData(asin, 'www.amazon.com')).toBeNull();
+      expect(await database.get(record.key)).not.toBeNull();
     });
     
-    test('should return null for non-existent cache data', async () => {
+    test('should keep rarely changing fields fresh for longer', async () => {
       const asin = 'B07PXGQC1Q';
+      await database.put(createRecord(asin, 'amazon.com', {
+        data: { brand: 'Anker', dateFirstAvailable: '2021-03-01', bsr: [] },
+        timestamp: Date.now() - (3 * 24 * 60 * 60 * 1000) // 3 days ago
+      }));
       
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback({});
+      const entry = await cacheManager.getCachedEntry(asin, 'www.amazon.com');
+      
+      expect(entry.stale).toBe(false);
+      expect(entry.staleFields).toEqual([]);
+    });
+    
+    test('should expire data when its first field expires', () => {
+      const cases = [
+        { data: { brand: 'Anker', bsr: [{ rank: 1 }] }, expected: 1 },
+        { data: { brand: 'Anker', reviews: { averageRating: 4.5 } }, expected: 12 },
+        { data: { brand: 'Anker' }, expected: 24 * 30 },
+        { data: { variations: { children: [] } }, expected: 24 },
+        { data: { bsr: [], parsingError: true }, expected: 24 }
+      ];
+      
+      cases.forEach(({ data, expected }) => {
+        expect(cacheManager.getFreshHours(data)).toBe(expected);
       });
       
-      const result = await cacheManager.getCachedData(asin);
+      // Offers expire as a whole
+      expect(cacheManager.getFreshHours({ bsr: [{ rank: 1 }] }, 'offers')).toBe(1);
+    });
+    
+    test('should return null for non-existent cache data', async () => {
+      const asin = 'B07PXGQC1Q';
+      
+      const result = await cacheManager.getCachedData(asin, 'www.amazon.com');
       
       expect(result).toBeNull();
       expect(cacheManager.cacheStats.misses).toBe(1);
     });
+    
+    test('should treat database errors as misses and skipped writes', async () => {
+      database.get = jest.fn().mockRejectedValue(new Error('QuotaExceededError'));
+      database.put = jest.fn().mockRejectedValue(new Error('QuotaExceededError'));
+      
+      expect(await cacheManager.getCachedData('B07PXGQC1Q', 'www.amazon.com')).toBeNull();
+      await expect(cacheManager.cacheProductData('B07PXGQC1Q', 'www.amazon.com', {})).resolves.toBeUndefined();
+      expect(cacheManager.cacheStats.misses).toBe(1);
+    });
   });
   
   describe('Cache Management', () => {
-    test('should add item to cache index', async () => {
-      const cacheKey = 'cache_B07PXGQC1Q';
-      const asin = 'B07PXGQC1Q';
-      
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback({ cacheIndex: [] });
-      });
-      
-      await cacheManager.addToCacheIndex(cacheKey, asin);
-      
-      expect(mockChromeStorage.local.set).toHaveBeenCalled();
-      const setCall = mockChromeStorage.local.set.mock.calls[0][0];
-      expect(setCall.cacheIndex.length).toBe(1);
-      expect(setCall.cacheIndex[0].key).toBe(cacheKey);
-      expect(setCall.cacheIndex[0].asin).toBe(asin);
-    });
-    
-    test('should update existing item in cache index', async () => {
-      const cacheKey = 'cache_B07PXGQC1Q';
-      const asin = 'B07PXGQC1Q';
-      const existingIndex = [
-        {
-          key: cacheKey,
-          asin: asin,
-          timestamp: Date.now() - 1000 // 1 second ago
-        }
-      ];
+    test('should only write the accessed entry when recording an access', async () => {
+      const accessed = createRecord('B000000001', 'amazon.com', { accessTimestamp: 1000 });
+      const other = createRecord('B000000002', 'amazon.com', { accessTimestamp: 1000 });
+      await database.putAll([accessed, other]);
       
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback({ cacheIndex: existingIndex });
-      });
+      const putSpy = jest.spyOn(database, 'put');
+      const putAllSpy = jest.spyOn(database, 'putAll');
       
-      await cacheManager.addToCacheIndex(cacheKey, asin);
+      await cacheManager.updateAccessTimestamp(accessed.key);
       
-      expect(mockChromeStorage.local.set).toHaveBeenCalled();
-      const setCall = mockChromeStorage.local.set.mock.calls[0][0];
-      expect(setCall.cacheIndex.length).toBe(1);
-      expect(setCall.cacheIndex[0].key).toBe(cacheKey);
-      expect(setCall.cacheIndex[0].timestamp).toBeGreaterThan(existingIndex[0].timestamp);
+      expect((await database.get(accessed.key)).accessTimestamp).toBeGreaterThan(1000);
+      expect(await database.get(other.key)).toEqual(other);
+      expect(putSpy).not.toHaveBeenCalled();
+      expect(putAllSpy).not.toHaveBeenCalled();
     });
     
     test('should remove item from cache', async () => {
-      const cacheKey = 'cache_B07PXGQC1Q';
-      const existingIndex = [
-        {
-          key: cacheKey,
-          asin: 'B07PXGQC1Q',
-          timestamp: Date.now()
-        }
-      ];
-      
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback({ cacheIndex: existingIndex });
-      });
+      const record = createRecord('B07PXGQC1Q', 'amazon.com');
+      await database.put(record);
       
-      await cacheManager.removeFromCache(cacheKey);
+      await cacheManager.removeFromCache(record.key);
       
-      expect(mockChromeStorage.local.remove).toHaveBeenCalledWith([cacheKey], expect.any(Function));
-      expect(mockChromeStorage.local.set).toHaveBeenCalled();
-      const setCall = mockChromeStorage.local.set.mock.calls[0][0];
-      expect(setCall.cacheIndex).toEqual([]);
+      expect(await database.get(record.key)).toBeNull();
+      expect(await database.count()).toBe(0);
     });
     
     test('should check and cleanup cache when threshold reached', async () => {
@@ -255,16 +299,8 @@ describe('CacheManager', () => {
       cacheManager.settings.maxCacheSize = 10;
       cacheManager.settings.cleanupThreshold = 0.5; // 50% threshold
       
-      // Create a cache index with 6 items (above the 50% threshold of 10)
-      const cacheIndex = Array(6).fill(0).map((_, i) => ({
-        key: `cache_item_${i}`,
-        asin: `ASIN_${i}`,
-        timestamp: Date.now() - (i * 1000) // Different timestamps
-      }));
-      
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback({ cacheIndex });
-      });
+      // Store 6 items (above the 50% threshold of 10)
+      await database.putAll(Array(6).fill(0).map((_, i) => createRecord(`ASIN_${i}`, 'amazon.com')));
       
       // Mock the cleanupCache method
       cacheManager.cleanupCache = jest.fn().mockResolvedValue();
@@ -279,16 +315,8 @@ describe('CacheManager', () => {
       cacheManager.settings.maxCacheSize = 10;
       cacheManager.settings.cleanupThreshold = 0.5; // 50% threshold
       
-      // Create a cache index with 4 items (below the 50% threshold of 10)
-      const cacheIndex = Array(4).fill(0).map((_, i) => ({
-        key: `cache_item_${i}`,
-        asin: `ASIN_${i}`,
-        timestamp: Date.now() - (i * 1000)
-      }));
-      
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback({ cacheIndex });
-      });
+      // Store 4 items (below the 50% threshold of 10)
+      await database.putAll(Array(4).fill(0).map((_, i) => createRecord(`ASIN_${i}`, 'amazon.com')));
       
       // Mock the cleanupCache method
       cacheManager.cleanupCache = jest.fn().mockResolvedValue();
@@ -298,55 +326,35 @@ describe('CacheManager', () => {
       expect(cacheManager.cleanupCache).not.toHaveBeenCalled();
     });
     
-    test('should cleanup oldest items from cache', async () => {
-      // Create 10 cache items with different timestamps
-      const cacheIndex = Array(10).fill(0).map((_, i) => ({
-        key: `cache_item_${i}`,
-        asin: `ASIN_${i}`,
-        timestamp: Date.now() - (i * 1000) // Oldest items have higher indices
-      }));
-      
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback({ cacheIndex });
-      });
+    test('should cleanup least recently used items from cache', async () => {
+      // 10 items cached in order, the oldest ones read most recently
+      await database.putAll(Array(10).fill(0).map((_, i) => createRecord(`ASIN_${i}`, 'amazon.com', {
+        timestamp: 1000 + i,
+        accessTimestamp: 2000 - i
+      })));
       
-      // Mock the removeFromCache method
-      cacheManager.removeFromCache = jest.fn().mockResolvedValue();
       cacheManager.settings.cleanupRatio = 0.3; // Remove 30% of items
       
       await cacheManager.cleanupCache();
       
-      // Should remove 3 items (30% of 10)
-      expect(cacheManager.removeFromCache).toHaveBeenCalledTimes(3);
-      
-      // Should remove the oldest items (highest indices)
-      expect(cacheManager.removeFromCache).toHaveBeenCalledWith('cache_item_7');
-      expect(cacheManager.removeFromCache).toHaveBeenCalledWith('cache_item_8');
-      expect(cacheManager.removeFromCache).toHaveBeenCalledWith('cache_item_9');
+      // Should remove 3 items (30% of 10), the ones read longest ago
+      expect(await database.count()).toBe(7);
+      expect(await database.get('cache_amazon.com_ASIN_7')).toBeNull();
+      expect(await database.get('cache_amazon.com_ASIN_8')).toBeNull();
+      expect(await database.get('cache_amazon.com_ASIN_9')).toBeNull();
+      expect(await database.get('cache_amazon.com_ASIN_0')).not.toBeNull();
     });
     
     test('should clear entire cache', async () => {
-      const cacheIndex = [
-        { key: 'cache_item_1', asin: 'ASIN_1', timestamp: Date.now() },
-        { key: 'cache_item_2', asin: 'ASIN_2', timestamp: Date.now() }
-      ];
-      
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback({ cacheIndex });
-      });
+      await database.putAll([
+        createRecord('ASIN_1', 'amazon.com'),
+        createRecord('ASIN_2', 'amazon.de')
+      ]);
+      cacheManager.cacheStats.hits = 3;
       
       await cacheManager.clearCache();
       
-      expect(mockChromeStorage.local.remove).toHaveBeenCalledWith(
-        ['cache_item_1', 'cache_item_2'],
-        expect.any(Function)
-      );
-      
-      expect(mockChromeStorage.local.set).toHaveBeenCalledWith(
-        { cacheIndex: [] },
-        expect.any(Function)
-      );
-      
+      expect(await database.count()).toBe(0);
       expect(cacheManager.cacheStats.hits).toBe(0);
       expect(cacheManager.cacheStats.misses).toBe(0);
     });
@@ -359,16 +367,10 @@ describe('CacheManager', () => {
       cacheManager.cacheStats.misses = 5;
       cacheManager.settings.maxCacheSize = 100;
       
-      // Mock cache index with 20 items
-      const cacheIndex = Array(20).fill(0).map((_, i) => ({
-        key: `cache_item_${i}`,
-        asin: `ASIN_${i}`,
+      // Store 20 items
+      await database.putAll(Array(20).fill(0).map((_, i) => createRecord(`ASIN_${i}`, 'amazon.com', {
         timestamp: Date.now() - (i * 1000)
-      }));
-      
-      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
-        callback({ cacheIndex });
-      });
+      })));
       
       const stats = await cacheManager.getCacheStats();
       
@@ -378,5 +380,108 @@ describe('CacheManager', () => {
       expect(stats.hits).toBe(15);
       expect(stats.misses).toBe(5);
     });
+    
+    test('should break cache statistics down by marketplace', async () => {
+      await database.putAll([
+        createRecord('B000000001', 'amazon.com'),
+        createRecord('B000000002', 'amazon.com'),
+        createRecord('B000000001', 'amazon.de')
+      ]);
+      
+      const stats = await cacheManager.getCacheStats();
+      
+      expect(stats.byMarketplace).toEqual({ 'amazon.com': 2, 'amazon.de': 1 });
+    });
+  });
+  
+  describe('Marketplace Scoping', () => {
+    test('should remove an ASIN on one marketplace only', async () => {
+      await database.putAll([
+        createRecord('B07PXGQC1Q', 'amazon.de'),
+        createRecord('B07PXGQC1Q', 'amazon.de', { namespace: 'offers' }),
+        createRecord('B07PXGQC1Q', 'amazon.com')
+      ]);
+      
+      await cacheManager.removeCachedItem('B07PXGQC1Q', 'www.amazon.de');
+      
+      const records = await database.getByAsin('B07PXGQC1Q');
+      expect(records.map(record => record.key)).toEqual(['cache_amazon.com_B07PXGQC1Q']);
+    });
+    
+    test('should remove an ASIN on every marketplace without one', async () => {
+      await database.putAll([
+        createRecord('B07PXGQC1Q', 'amazon.com'),
+        createRecord('B07PXGQC1Q', 'amazon.de'),
+        createRecord('B000000001', 'amazon.de')
+      ]);
+      
+      await cacheManager.removeCachedItem('B07PXGQC1Q');
+      
+      expect(await database.getByAsin('B07PXGQC1Q')).toEqual([]);
+      expect(await database.count()).toBe(1);
+    });
+    
+    test('should list the marketplaces of an ASIN, most recent first', async () => {
+      await database.putAll([
+        createRecord('B07PXGQC1Q', 'amazon.com', { timestamp: 1000 }),
+        createRecord('B07PXGQC1Q', 'amazon.de', { timestamp: 2000 }),
+        createRecord('B07PXGQC1Q', 'amazon.fr', { namespace: 'offers', timestamp: 3000 })
+      ]);
+      
+      expect(await cacheManager.getCachedMarketplaces('B07PXGQC1Q')).toEqual(['amazon.de', 'amazon.com']);
+    });
+  });
+  
+  describe('Migration', () => {
+    test('should move entries from chrome.storage.local into the database', async () => {
+      const storage = {
+        cacheIndex: [
+          { key: 'cache_B000000001', asin: 'B000000001', timestamp: 1000 },
+          { key: 'cache_offers_B000000001', asin: 'B000000001', timestamp: 2000 },
+          { key: 'cache_B000000002', asin: 'B000000002', timestamp: 3000 },
+          { key: 'cache_amazon.fr_B000000003', asin: 'B000000003', marketplace: 'amazon.fr', namespace: 'product', timestamp: 4000 }
+        ],
+        cache_B000000001: { data: { asin: 'B000000001', marketplace: 'www.amazon.de' }, timestamp: 1000, accessTimestamp: 1500 },
+        cache_offers_B000000001: { data: { offers: [], metadata: { source: 'https://www.amazon.co.uk/gp/product/ajax/aodAjaxMain?asin=B000000001' } }, timestamp: 2000 },
+        // Fallback data from a failed parse before marketplaces were recorded
+        cache_B000000002: { data: { asin: 'B000000002', parsingError: true }, timestamp: 3000 },
+        'cache_amazon.fr_B000000003': { data: { asin: 'B000000003' }, timestamp: 4000, accessTimestamp: 4500 },
+        extractionRulePack: { version: '1.0.0' }
+      };
+      
+      mockChromeStorage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        keys.forEach(key => {
+          if (storage[key] !== undefined) result[key] = storage[key];
+        });
+        callback(result);
+      });
+      mockChromeStorage.local.remove.mockImplementation((keys, callback) => {
+        keys.forEach(key => delete storage[key]);
+        if (callback) callback();
+      });
+      
+      const migratedCount = await cacheManager.migrateLegacyEntries();
+      
+      expect(migratedCount).toBe(3);
+      expect(await database.get('cache_amazon.de_B000000001')).toEqual({
+        key: 'cache_amazon.de_B000000001',
+        asin: 'B000000001',
+        marketplace: 'amazon.de',
+        namespace: 'product',
+        data: { asin: 'B000000001', marketplace: 'www.amazon.de' },
+        timestamp: 1000,
+        accessTimestamp: 1500
+      });
+      expect((await database.get('cache_offers_amazon.co.uk_B000000001')).accessTimestamp).toBe(2000);
+      expect((await database.get('cache_amazon.fr_B000000003')).data).toEqual({ asin: 'B000000003' });
+      expect(await database.count()).toBe(3);
+      
+      // Only the cache leaves chrome.storage.local
+      expect(Object.keys(storage)).toEqual(['extractionRulePack']);
+      
+      // Nothing left to migrate the second time
+      expect(await cacheManager.migrateLegacyEntries()).toBe(0);
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for the extraction rule registry
+ *
+ * These tests verify the declarative rules AmazonParser uses for BSR, brand
+ * and sales data:
+ * - Marketplace overrides tried before the default rules
+ * - Regex post-processing and length limits
+ * - Rule pack validation
+ * - Parsing with a loaded rule pack
+ */
+
+const { ExtractionRuleRegistry } = require('../extraction-rules.js');
+const { AmazonParser } = require('../parser.js');
+
+const customRulePack = {
+  version: '2026.10.1',
+  fields: {
+    brand: {
+      'amazon.de': [
+        {
+          type: 'selector',
+          selector: '#newByline',
+          postProcess: [{ replace: '^Marke:\\s*', with: '' }]
+        }
+      ],
+      default: [
+        { type: 'selector', selector: '#bylineInfo' }
+      ]
+    }
+  }
+};
+
+describe('ExtractionRuleRegistry', () => {
+  test('should use the built-in rule pack by default', () => {
+    const registry = new ExtractionRuleRegistry();
+    
+    expect(registry.getVersion()).toBe(ExtractionRuleRegistry.defaultRulePack.version);
+    expect(registry.isCustom).toBe(false);
+    expect(registry.getRules('bsr').length).toBeGreaterThan(0);
+    expect(registry.getRules('unknownField')).toEqual([]);
+  });
+  
+  test('should try marketplace overrides before the default rules', () => {
+    const registry = new ExtractionRuleRegistry(customRulePack);
+    
+    expect(registry.getRules('brand', 'www.amazon.de').map(rule => rule.selector)).toEqual(['#newByline', '#bylineInfo']);
+    expect(registry.getRules('brand', 'www.amazon.com').map(rule => rule.selector)).toEqual(['#bylineInfo']);
+  });
+  
+  test('should keep built-in rules for fields the pack does not define', () => {
+    const registry = new ExtractionRuleRegistry(customRulePack);
+    
+    expect(registry.getVersion()).toBe('2026.10.1');
+    expect(registry.getRules('salesData')).toEqual(ExtractionRuleRegistry.defaultRulePack.fields.salesData.default);
+  });
+  
+  test('should give rule packs with the same version but different rules different ids', () => {
+    const editedPack = JSON.parse(JSON.stringify(customRulePack));
+    editedPack.fields.brand.default[0].selector = '#brand';
+    
+    expect(new ExtractionRuleRegistry().getId()).toBeNull();
+    expect(new ExtractionRuleRegistry(customRulePack).getId()).toBe(ExtractionRuleRegistry.getRulePackId(JSON.parse(JSON.stringify(customRulePack))));
+    expect(new ExtractionRuleRegistry(editedPack).getId()).not.toBe(new ExtractionRuleRegistry(customRulePack).getId());
+    expect(new ExtractionRuleRegistry(editedPack).getId().startsWith('2026.10.1-')).toBe(true);
+  });
+  
+  test('should apply post-processing steps and length limits', () => {
+    const registry = new ExtractionRuleRegistry();
+    const rule = {
+      type: 'selector',
+      selector: '#x',
+      postProcess: [
+        { replace: '^Visit the ', flags: 'i', with: '' },
+        { match: '^(.+?) Store$', group: 1 }
+      ],
+      maxLength: 10
+    };
+    
+    expect(registry.applyPostProcess('  Visit the Anker Store ', rule)).toBe('Anker');
+    expect(registry.applyPostProcess('Visit the Anker Shop', rule)).toBeNull();
+    expect(registry.applyPostProcess('Visit the Very Long Brand Name Store', rule)).toBeNull();
+    expect(registry.applyPostProcess(null, rule)).toBeNull();
+  });
+  
+  test('should accept the built-in and custom rule packs', () => {
+    expect(ExtractionRuleRegistry.validate(ExtractionRuleRegistry.defaultRulePack)).toEqual([]);
+    expect(ExtractionRuleRegistry.validate(JSON.parse(JSON.stringify(customRulePack)))).toEqual([]);
+  });
+  
+  test('should report invalid rule packs', () => {
+    expect(ExtractionRuleRegistry.validate(null)).toEqual(['Rule pack must be a JSON object']);
+    expect(ExtractionRuleRegistry.validate({ fields: {} })).toEqual(['Rule pack must have a version number']);
+    
+    const errors = ExtractionRuleRegistry.validate({
+      version: 2,
+      fields: {
+        brand: {
+          default: [
+            { type: 'selector' },
+            { type: 'bodyText', pattern: '(' },
+            { type: 'xpath', path: '//a' },
+            { type: 'detailRow', label: 'Brand', postProcess: [{ with: '' }] },
+            { type: 'selector', selector: '#brand', confidence: 1.5 }
+          ]
+        },
+        bsr: []
+      }
+    });
+    
+    expect(errors).toEqual([
+      'brand.default[0]: selector rule needs a "selector"',
+      expect.stringContaining('brand.default[1]: invalid pattern'),
+      'brand.default[2]: unknown rule type "xpath"',
+      'brand.default[3].postProcess[0]: step needs "replace" or "match"',
+      'brand.default[4]: confidence must be a number between 0 and 1',
+      'bsr: rules must be grouped by marketplace'
+    ]);
+  });
+  
+  describe('malformed rules', () => {
+    const cases = [
+      {
+        name: 'null rules',
+        rules: [null],
+        expected: ['brand.default[0]: rule must be an object']
+      },
+      {
+        name: 'rules that are not objects',
+        rules: ['#brand', ['#brand']],
+        expected: ['brand.default[0]: rule must be an object', 'brand.default[1]: rule must be an object']
+      },
+      {
+        name: 'postProcess that is not an array',
+        rules: [{ type: 'selector', selector: '#brand', postProcess: {} }],
+        expected: ['brand.default[0]: "postProcess" must be an array']
+      },
+      {
+        name: 'null postProcess steps',
+        rules: [{ type: 'selector', selector: '#brand', postProcess: [null] }],
+        expected: ['brand.default[0].postProcess[0]: step must be an object']
+      },
+      {
+        name: 'patterns that are not strings',
+        rules: [{ type: 'bodyText', pattern: 5 }],
+        expected: ['brand.default[0]: "pattern" must be a string']
+      }
+    ];
+    
+    cases.forEach(({ name, rules, expected }) => {
+      test(`should report ${name} instead of throwing`, () => {
+        const rulePack = JSON.parse(JSON.stringify({ version: 2, fields: { brand: { default: rules } } }));
+        
+        expect(ExtractionRuleRegistry.validate(rulePack)).toEqual(expected);
+      });
+    });
+  });
+});
+
+describe('AmazonParser with extraction rules', () => {
+  const html = `
+    <a id="bylineInfo" href="/stores/Anker">Visit the Anker Store</a>
+    <div id="newByline">Marke: Anker Innovations</div>`;
+  
+  test('should use marketplace-specific rules from a loaded rule pack', () => {
+    const parser = new AmazonParser({
+      documentAdapter: AmazonParser.htmlDocumentAdapter,
+      ruleRegistry: new ExtractionRuleRegistry(customRulePack)
+    });
+    
+    expect(parser.parseProductPage(html, 'B08N5KWB9H', 'www.amazon.de').brand).toBe('Anker Innovations');
+    expect(parser.parseProductPage(html, 'B08N5KWB9H', 'www.amazon.com').brand).toBe('Visit the Anker Store');
+  });
+  
+  test('should parse with the built-in rules by default', () => {
+    const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+    const productData = parser.parseProductPage(`${html}
+      <div id="detailBullets_feature_div"><ul>
+        <li><span>Best Sellers Rank: #1,234 in Electronics (See Top 100 in Electronics)</span></li>
+      </ul></div>
+      <span class="a-size-base">2K+ bought in past month</span>`, 'B08N5KWB9H', 'www.amazon.com');
+    
+    expect(productData.brand).toBe('Anker Store');
+    expect(productData.bsr[0]).toMatchObject({ rank: 1234, category: 'Electronics' });
+    expect(productData.salesData.lowerBound).toBe(2000);
+  });
+});
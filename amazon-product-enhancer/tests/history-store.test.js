@@ -0,0 +1,255 @@
+/**
+ * Tests for the History Store module
+ */
+
+// Mock Chrome API
+global.chrome = {
+  storage: {
+    sync: {
+      get: jest.fn((keys, callback) => callback({}))
+    }
+  }
+};
+
+const { HistoryStore } = require('../history-store.js');
+const { CacheDatabase } = require('../cache-database.js');
+const { createMockIndexedDB } = require('./mock-indexeddb.js');
+
+const hourMs = 60 * 60 * 1000;
+const dayMs = 24 * hourMs;
+
+/**
+ * Build parsed product data
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Product data as returned by the parser
+ */
+function createProductData(fields = {}) {
+  return {
+    asin: 'B07PXGQC1Q',
+    bsr: [
+      { rank: 1234, category: 'Elektronik & Foto', nodeId: '562066' },
+      { rank: 12, category: 'Kopfhörer', nodeId: '570278' }
+    ],
+    pricing: { price: { amount: 49.99, currency: 'EUR' } },
+    salesData: { boughtInPastMonth: 500, lowerBound: 500 },
+    reviews: { averageRating: 4.5, totalRatings: 2300 },
+    availability: { status: 'IN_STOCK' },
+    ...fields
+  };
+}
+
+describe('HistoryStore', () => {
+  let indexedDB;
+  let historyStore;
+  
+  beforeEach(() => {
+    indexedDB = createMockIndexedDB();
+    historyStore = new HistoryStore({
+      database: new CacheDatabase({
+        name: HistoryStore.databaseName,
+        storeName: HistoryStore.storeName,
+        indexes: HistoryStore.indexes,
+        indexedDB: indexedDB
+      })
+    });
+  });
+  
+  describe('createPoint', () => {
+    const cases = [
+      {
+        name: 'every tracked field',
+        data: createProductData(),
+        expected: {
+          timestamp: 1000,
+          bsr: { '562066': 1234, '570278': 12 },
+          price: 49.99,
+          sales: 500,
+          ratingCount: 2300,
+          availability: 'IN_STOCK'
+        }
+      },
+      {
+        name: 'BSR entries with a category slug instead of a node id',
+        data: { bsr: [{ rank: 87, category: 'Toys & Games', nodeId: null, categorySlug: 'toys-games' }] },
+        expected: { timestamp: 1000, bsr: { 'slug:toys-games': 87 } }
+      },
+      {
+        name: 'BSR entries with only a category name',
+        data: { bsr: [{ rank: 87, category: 'Toys & Games' }] },
+        expected: { timestamp: 1000, bsr: { 'name:Toys & Games': 87 } }
+      },
+      {
+        name: 'placeholders from graceful degradation',
+        data: createProductData({ salesData: { boughtInPastMonth: 0, totalVariants: 1 }, degradedFields: ['brand', 'salesData'] }),
+        expected: {
+          timestamp: 1000,
+          bsr: { '562066': 1234, '570278': 12 },
+          price: 49.99,
+          ratingCount: 2300,
+          availability: 'IN_STOCK'
+        }
+      },
+      {
+        name: 'missing fields',
+        data: { bsr: [], pricing: { price: null }, salesData: null, reviews: { totalRatings: null } },
+        expected: { timestamp: 1000 }
+      }
+    ];
+    
+    cases.forEach(({ name, data, expected }) => {
+      test(`should handle ${name}`, () => {
+        expect(HistoryStore.createPoint(data, 1000)).toEqual(expected);
+      });
+    });
+  });
+  
+  test('should append a snapshot per fetch to the series of the marketplace', async () => {
+    const now = Date.now();
+    
+    await historyStore.addSnapshot(createProductData(), 'www.amazon.de', now - hourMs);
+    await historyStore.addSnapshot(createProductData({ pricing: { price: { amount: 44.99, currency: 'EUR' } } }), 'www.amazon.de', now);
+    await historyStore.addSnapshot(createProductData(), 'www.amazon.com', now);
+    
+    const series = await historyStore.getSeries('B07PXGQC1Q', 'www.amazon.de');
+    
+    expect(series.key).toBe('amazon.de_B07PXGQC1Q');
+    expect(series.currency).toBe('EUR');
+    expect(series.mainNode).toBe('562066');
+    expect(series.nodes).toEqual({ '562066': 'Elektronik & Foto', '570278': 'Kopfhörer' });
+    expect(series.updated).toBe(now);
+    expect(series.points.map(point => point.price)).toEqual([49.99, 44.99]);
+    
+    expect((await historyStore.getSeries('B07PXGQC1Q', 'www.amazon.com')).points.length).toBe(1);
+  });
+  
+  test('should not record failed parses', async () => {
+    expect(await historyStore.addSnapshot({ asin: 'B07PXGQC1Q', parsingError: true }, 'www.amazon.de')).toBeNull();
+    expect(await historyStore.addSnapshot({ asin: 'B07PXGQC1Q', bsr: [] }, 'www.amazon.de')).toBeNull();
+    
+    expect(await historyStore.getSeries('B07PXGQC1Q', 'www.amazon.de')).toBeNull();
+  });
+  
+  test('should keep points in time order when fetches finish out of order', async () => {
+    const now = Date.now();
+    
+    await historyStore.addSnapshot(createProductData(), 'www.amazon.de', now);
+    await historyStore.addSnapshot(createProductData(), 'www.amazon.de', now - 10 * 60 * 1000);
+    
+    const series = await historyStore.getSeries('B07PXGQC1Q', 'www.amazon.de');
+    expect(series.points.map(point => point.timestamp)).toEqual([now - 10 * 60 * 1000, now]);
+    expect(series.updated).toBe(now);
+  });
+  
+  describe('downsample', () => {
+    const now = Date.UTC(2024, 5, 30, 12);
+    const at = (ageHours, minutes = 0) => ({ timestamp: now - ageHours * hourMs + minutes * 60 * 1000 });
+    
+    const cases = [
+      {
+        name: 'keep recent points as they are',
+        points: [at(3, 10), at(3, 20), at(3, 30)],
+        expected: [at(3, 10), at(3, 20), at(3, 30)]
+      },
+      {
+        name: 'keep the last point of each hour after two days',
+        points: [at(72, 10), at(72, 20), at(72, 30), at(71, 10), at(1)],
+        expected: [at(72, 30), at(71, 10), at(1)]
+      },
+      {
+        name: 'keep the last point of each day after a month',
+        points: [at(24 * 40 + 5), at(24 * 40 + 2), at(24 * 39 + 5), at(1)],
+        expected: [at(24 * 40 + 2), at(24 * 39 + 5), at(1)]
+      },
+      {
+        name: 'drop points outside the retention window',
+        points: [at(24 * 200), at(24 * 100), at(1)],
+        expected: [at(24 * 100), at(1)]
+      }
+    ];
+    
+    cases.forEach(({ name, points, expected }) => {
+      test(`should ${name}`, () => {
+        expect(historyStore.downsample(points, now)).toEqual(expected);
+      });
+    });
+  });
+  
+  test('should follow the configured retention window', () => {
+    const now = Date.now();
+    historyStore.updateSettings({ historyRetentionDays: 7 });
+    
+    const points = historyStore.downsample([{ timestamp: now - 8 * dayMs }, { timestamp: now - 6 * dayMs }], now);
+    
+    expect(points).toEqual([{ timestamp: now - 6 * dayMs }]);
+  });
+  
+  test('should delete series that stopped updating', async () => {
+    const now = Date.now();
+    historyStore.lastPurge = now;
+    
+    await historyStore.addSnapshot(createProductData({ asin: 'B000000001' }), 'www.amazon.de', now - 200 * dayMs);
+    await historyStore.addSnapshot(createProductData({ asin: 'B000000002' }), 'www.amazon.de', now - dayMs);
+    
+    expect(await historyStore.purgeExpired(now)).toBe(1);
+    expect(await historyStore.getSeries('B000000001', 'www.amazon.de')).toBeNull();
+    expect(await historyStore.getSeries('B000000002', 'www.amazon.de')).not.toBeNull();
+  });
+  
+  describe('queries', () => {
+    const now = Date.now();
+    
+    beforeEach(async () => {
+      await historyStore.addSnapshot(createProductData(), 'www.amazon.de', now - 3 * hourMs);
+      await historyStore.addSnapshot(createProductData({
+        bsr: [{ rank: 980, category: 'Elektronik & Foto', nodeId: '562066' }],
+        availability: { status: 'LOW_STOCK' }
+      }), 'www.amazon.de', now - 2 * hourMs);
+      await historyStore.addSnapshot(createProductData({
+        bsr: [
+          { rank: 1000, category: 'Elektronik & Foto', nodeId: '562066' },
+          { rank: 9, category: 'Kopfhörer', nodeId: '570278' }
+        ]
+      }), 'www.amazon.de', now - hourMs);
+    });
+    
+    test('should return the values of a metric in a range', async () => {
+      const values = await historyStore.getMetric('B07PXGQC1Q', 'www.amazon.de', 'bsr', { from: now - 2 * hourMs });
+      
+      expect(values).toEqual([
+        { timestamp: now - 2 * hourMs, value: 980 },
+        { timestamp: now - hourMs, value: 1000 }
+      ]);
+    });
+    
+    test('should return the BSR of another category node', async () => {
+      const values = await historyStore.getMetric('B07PXGQC1Q', 'www.amazon.de', 'bsr', { node: '570278' });
+      
+      expect(values.map(entry => entry.value)).toEqual([12, 9]);
+    });
+    
+    test('should compare the first and last values for alerts', async () => {
+      expect(await historyStore.getChange('B07PXGQC1Q', 'www.amazon.de', 'bsr')).toEqual({
+        first: { timestamp: now - 3 * hourMs, value: 1234 },
+        last: { timestamp: now - hourMs, value: 1000 },
+        change: -234,
+        percentChange: -234 / 1234 * 100
+      });
+      
+      const availability = await historyStore.getChange('B07PXGQC1Q', 'www.amazon.de', 'availability');
+      expect(availability.first.value).toBe('IN_STOCK');
+      expect(availability.change).toBeNull();
+      
+      expect(await historyStore.getChange('B07PXGQC1Q', 'www.amazon.com', 'price')).toBeNull();
+    });
+    
+    test('should reject unknown metrics', async () => {
+      await expect(historyStore.getMetric('B07PXGQC1Q', 'www.amazon.de', 'title')).rejects.toThrow('Unknown history metric: title');
+    });
+    
+    test('should delete the history of an ASIN', async () => {
+      await historyStore.deleteSeries('B07PXGQC1Q', 'www.amazon.de');
+      
+      expect(await historyStore.getSeries('B07PXGQC1Q', 'www.amazon.de')).toBeNull();
+    });
+  });
+});
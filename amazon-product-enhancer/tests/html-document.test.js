@@ -0,0 +1,248 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Tests for the DOM-free HTML document backend
+ *
+ * These tests verify the HtmlDocument backend used when no DOMParser exists:
+ * - Tree building with implied end tags and raw text elements
+ * - Entity decoding
+ * - Selector matching
+ * - Identical parser results compared to DOMParser on every parser fixture page
+ */
+
+const { HtmlDocument, HtmlSelector, decodeHtmlEntities } = require('../html-document.js');
+const { AmazonParser } = require('../parser.js');
+
+const productPageHtml = `
+  <!DOCTYPE html>
+  <html>
+    <head>
+      <title>Anker PowerCore &amp; Charger</title>
+      <script>var html = "<div id='fake'></div>";</script>
+    </head>
+    <body>
+      <a id="bylineInfo" href="/stores/Anker">Visit the Anker Store</a>
+      <div id="productDetails_detailBullets_sections1">
+        <table>
+          <tr><th>Best Sellers Rank</th><td>#1,234 in Electronics (See Top 100 in Electronics)<br>#56 in Power Banks</td></tr>
+          <tr><th>Brand</th><td>Anker</td></tr>
+        </table>
+      </div>
+      <div id="detailBullets_feature_div">
+        <ul>
+          <li><span>Best Sellers Rank: #1,234 in Electronics (See Top 100 in Electronics) #56 in Power Banks</span>
+          <li><span>Manufacturer&nbsp;: Anker</span>
+        </ul>
+      </div>
+      <span class="a-size-base a-color-secondary">2,000 bought in past month</span>
+      <div id="twister">
+        <ul>
+          <li data-defaultasin="B08N5KWB9H" data-dp-url="/dp/B08N5KWB9H" class="swatchSelect"><img src="black.jpg" alt="Black"></li>
+          <li data-defaultasin="B08N5LFLC3" data-dp-url="/dp/B08N5LFLC3" class="swatchAvailable"><img src="white.jpg" alt="White"></li>
+        </ul>
+      </div>
+    </body>
+  </html>
+`;
+
+describe('HtmlDocument', () => {
+  test('should build html, head and body elements', () => {
+    const doc = HtmlDocument.parse('<p>Hello</p>');
+    
+    expect(doc.documentElement.tagName).toBe('HTML');
+    expect(doc.head).not.toBeNull();
+    expect(doc.body.children[0].tagName).toBe('P');
+    expect(doc.body.textContent).toBe('Hello');
+  });
+  
+  test('should decode entities in text and attributes', () => {
+    const doc = HtmlDocument.parse('<a href="/s?k=a&amp;b" title="&quot;x&quot;">A&nbsp;&#38;&#x42;</a>');
+    const link = doc.querySelector('a');
+    
+    expect(link.getAttribute('href')).toBe('/s?k=a&b');
+    expect(link.getAttribute('title')).toBe('"x"');
+    expect(link.textContent).toBe('A &B');
+    expect(decodeHtmlEntities('&lt;b&gt; &unknown;')).toBe('<b> &unknown;');
+  });
+  
+  test('should close elements with implied end tags', () => {
+    const doc = HtmlDocument.parse('<ul><li>One<li>Two</ul><p>First<p>Second');
+    
+    expect(doc.querySelectorAll('li').map(item => item.textContent)).toEqual(['One', 'Two']);
+    expect(doc.querySelectorAll('p')).toHaveLength(2);
+  });
+  
+  test('should keep script contents as raw text', () => {
+    const doc = HtmlDocument.parse(productPageHtml);
+    
+    expect(doc.getElementById('fake')).toBeNull();
+    expect(doc.querySelector('script').textContent).toContain("<div id='fake'></div>");
+    expect(doc.title).toBe('Anker PowerCore & Charger');
+  });
+  
+  test('should end raw text only at the matching end tag', () => {
+    const doc = HtmlDocument.parse('<SCRIPT>if (a </scripts> b) {}</Script >\n<p>After</p><style>p {}');
+    
+    expect(doc.querySelector('script').textContent).toBe('if (a </scripts> b) {}');
+    expect(doc.querySelector('p').textContent).toBe('After');
+    expect(doc.querySelector('style').textContent).toBe('p {}');
+  });
+  
+  test('should handle void elements without end tags', () => {
+    const doc = HtmlDocument.parse('<div><img src="a.jpg"><br><span>Text</span></div>');
+    const div = doc.querySelector('div');
+    
+    expect(div.children.map(child => child.tagName)).toEqual(['IMG', 'BR', 'SPAN']);
+    expect(doc.querySelector('img').src).toBe('a.jpg');
+  });
+});
+
+describe('HtmlSelector', () => {
+  const doc = HtmlDocument.parse(productPageHtml);
+  
+  test.each([
+    ['#bylineInfo', 1],
+    ['a[href*="/stores/"]', 1],
+    ['#twister li[data-defaultasin]', 2],
+    ['li.swatchSelect img', 1],
+    ['li:not(.swatchSelect)', 3],
+    ['tr > th', 2],
+    ['th + td', 2],
+    ['ul > li:first-child', 2],
+    ['span.a-size-base.a-color-secondary', 1],
+    ['[data-dp-url$="LFLC3"]', 1],
+    ['td, th', 4]
+  ])('should match %s', (selector, count) => {
+    expect(doc.querySelectorAll(selector)).toHaveLength(count);
+  });
+  
+  test('should support closest and matches', () => {
+    const image = doc.querySelector('img[alt="White"]');
+    
+    expect(image.closest('li').getAttribute('data-defaultasin')).toBe('B08N5LFLC3');
+    expect(image.matches('#twister img')).toBe(true);
+  });
+  
+  test('should match selected options like the DOM', () => {
+    const form = HtmlDocument.parse('<select><option>S</option><option selected>M</option></select>');
+    
+    expect(form.querySelector('option[selected]').textContent).toBe('M');
+    expect(form.querySelector('option:checked').textContent).toBe('M');
+  });
+  
+  test('should match :checked on the same elements as DOMParser', () => {
+    const html = '<select><option>S</option><option selected>M</option></select><div selected>D</div><input type="checkbox" checked><span checked>C</span>';
+    const tagNames = doc => Array.from(doc.querySelectorAll(':checked')).map(element => element.tagName);
+    
+    expect(tagNames(HtmlDocument.parse(html))).toEqual(tagNames(new DOMParser().parseFromString(html, 'text/html')));
+    expect(tagNames(HtmlDocument.parse(html))).toEqual(['OPTION', 'INPUT']);
+  });
+  
+  test('should reject invalid selectors', () => {
+    expect(() => HtmlSelector.compile('div[')).toThrow(SyntaxError);
+    expect(() => HtmlSelector.compile('option:selected')).toThrow(SyntaxError);
+  });
+});
+
+/**
+ * Collect every page the parser tests parse with the HtmlDocument backend
+ * @returns {Array<string>} HTML of the fixture pages
+ */
+function collectParserFixturePages() {
+  // The parser tests replace DOMParser with a text-only mock
+  const domParser = global.DOMParser;
+  const parse = jest.spyOn(AmazonParser.htmlDocumentAdapter, 'parse');
+  const consoleSpies = ['log', 'warn', 'error'].map(level => jest.spyOn(console, level).mockImplementation(() => {}));
+  
+  try {
+    require('./parser.test.js').runParserTests();
+    return Array.from(new Set(parse.mock.calls.map(call => call[0])));
+  } finally {
+    global.DOMParser = domParser;
+    parse.mockRestore();
+    consoleSpies.forEach(spy => spy.mockRestore());
+  }
+}
+
+describe('AmazonParser document adapters', () => {
+  const fixturePages = collectParserFixturePages();
+  
+  /**
+   * Parse a page with both document adapters
+   * @param {string} method - Parser method to call
+   * @param {string} html - The page HTML
+   * @param {string} marketplace - Hostname of the marketplace
+   * @returns {Array<Object>} Results of DOMParser and HtmlDocument
+   */
+  const parseWithBothAdapters = (method, html, marketplace = 'www.amazon.com') => {
+    const domParser = new AmazonParser({ documentAdapter: AmazonParser.domDocumentAdapter });
+    const htmlParser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+    
+    return [domParser, htmlParser].map(parser => {
+      const result = parser[method](html, 'B08N5KWB9H', marketplace);
+      delete result.lastUpdated;
+      return result;
+    });
+  };
+  
+  test('should collect the fixture pages of the parser tests', () => {
+    expect(fixturePages.some(html => html.includes('id="aod-container"'))).toBe(true);
+    expect(fixturePages.some(html => html.includes('id="wayfinding-breadcrumbs_feature_div"'))).toBe(true);
+  });
+  
+  test.each(fixturePages.map((html, index) => [index + 1, html]))('should parse parser fixture page %i identically with both adapters', (index, html) => {
+    const [domProduct, htmlProduct] = parseWithBothAdapters('parseProductPage', html);
+    const [domOffers, htmlOffers] = parseWithBothAdapters('parseOfferListing', html);
+    
+    expect(htmlProduct).toEqual(domProduct);
+    expect(htmlOffers).toEqual(domOffers);
+  });
+  
+  // EU pages write accented letters as named entities
+  test.each([
+    ['www.amazon.de', `
+      <title>M&uuml;ller Kaffeem&uuml;hle &ndash; Edelstahl</title>
+      <a id="bylineInfo" href="/stores/Mueller">Besuche den M&uuml;ller-Store</a>
+      <div id="detailBullets_feature_div"><ul>
+        <li><span>Amazon Bestseller-Rang: Nr. 2.345 in K&uuml;che, Haushalt &amp; Wohnen</span></li>
+        <li><span>Produktabmessungen&nbsp;: 25,4 x 12,7 x 5,08 cm; 544 Gramm</span></li>
+      </ul></div>`],
+    ['www.amazon.fr', `
+      <span id="productTitle">Caf&eacute;ti&egrave;re &agrave; piston</span>
+      <a id="bylineInfo">Marque&nbsp;: Cr&egrave;me &amp; Caf&eacute;</a>
+      <span id="acrCustomerReviewText">1&nbsp;234 &eacute;valuations</span>`],
+    ['www.amazon.es', `
+      <span id="productTitle">Cafetera espa&ntilde;ola</span>
+      <a id="bylineInfo">Marca: Peque&ntilde;o Caf&eacute;</a>
+      <div id="availability"><span>Disponible en Espa&ntilde;a</span></div>`],
+    ['www.amazon.pl', `
+      <span id="productTitle">Ekspres do kawy &Zdot;&oacute;&lstrok;ty</span>
+      <a id="bylineInfo">Marka: Kawa&lstrok;ek</a>`]
+  ])('should parse entity-encoded %s pages identically with both adapters', (marketplace, html) => {
+    const [domProduct, htmlProduct] = parseWithBothAdapters('parseProductPage', html, marketplace);
+    
+    expect(htmlProduct).toEqual(domProduct);
+    expect(htmlProduct.brand).not.toMatch(/&\w+;/);
+  });
+  
+  test('should produce identical results with DOMParser and HtmlDocument', () => {
+    const domParser = new AmazonParser({ documentAdapter: AmazonParser.domDocumentAdapter });
+    const htmlParser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+    
+    const domResult = domParser.parseProductPage(productPageHtml, 'B08N5KWB9H');
+    const htmlResult = htmlParser.parseProductPage(productPageHtml, 'B08N5KWB9H');
+    
+    delete domResult.lastUpdated;
+    delete htmlResult.lastUpdated;
+    
+    expect(htmlResult).toEqual(domResult);
+    expect(htmlResult.brand).toBe('Anker Store');
+    expect(htmlResult.bsr[0]).toMatchObject({ rank: 1234, category: 'Electronics' });
+  });
+  
+  test('should default to DOMParser when it is available', () => {
+    expect(new AmazonParser().getDocumentAdapter()).toBe(AmazonParser.domDocumentAdapter);
+  });
+});
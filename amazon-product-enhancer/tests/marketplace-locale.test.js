@@ -0,0 +1,213 @@
+/**
+ * Tests for MarketplaceLocale
+ *
+ * Table-driven tests of the number, price and date formats of each
+ * marketplace:
+ * - Integers with thousands and lakh grouping
+ * - Decimals with either decimal separator
+ * - Abbreviated counts ("1.5K", "1万")
+ * - Prices and currencies
+ * - Full dates and delivery dates without a year
+ * - Number formatting for the UI
+ * - Arabic-Indic digits of amazon.sa and amazon.eg
+ */
+
+const { MarketplaceLocale } = require('../marketplace-locale.js');
+
+describe('MarketplaceLocale', () => {
+  test('should resolve hostnames to marketplace formats', () => {
+    expect(MarketplaceLocale.forMarketplace('www.amazon.de').domain).toBe('amazon.de');
+    expect(MarketplaceLocale.forMarketplace('smile.amazon.com').domain).toBe('amazon.com');
+    expect(MarketplaceLocale.forMarketplace('www.amazon.com.br').currency).toBe('BRL');
+    expect(MarketplaceLocale.forMarketplace('www.amazon.com.tr').currency).toBe('TRY');
+    expect(MarketplaceLocale.forMarketplace('www.amazon.com.be').domain).toBe('amazon.com.be');
+    expect(MarketplaceLocale.forMarketplace('www.amazon.eg').language).toBe('ar');
+    expect(MarketplaceLocale.forMarketplace('www.amazon.de')).toBe(MarketplaceLocale.forMarketplace('www.amazon.de'));
+    
+    const unknown = MarketplaceLocale.forMarketplace('example.com');
+    expect(unknown.isKnown).toBe(false);
+    expect(unknown.currency).toBe('USD');
+  });
+  
+  describe('parseInteger', () => {
+    const cases = [
+      { marketplace: 'www.amazon.com', text: '#1,234 in Electronics', expected: 1234 },
+      { marketplace: 'www.amazon.de', text: 'Nr. 2.345 in Elektronik', expected: 2345 },
+      { marketplace: 'www.amazon.fr', text: '12\u202f345 évaluations', expected: 12345 },
+      { marketplace: 'www.amazon.fr', text: '1 234 567', expected: 1234567 },
+      { marketplace: 'www.amazon.in', text: '12,34,567 ratings', expected: 1234567 },
+      { marketplace: 'www.amazon.co.jp', text: '3,456位', expected: 3456 },
+      { marketplace: 'www.amazon.com', text: '4.5 out of 5', expected: 4 },
+      { marketplace: 'www.amazon.com', text: 'Only 3 left', expected: 3 },
+      { marketplace: 'www.amazon.se', text: 'nr 12\u00a0345 i Elektronik', expected: 12345 },
+      { marketplace: 'www.amazon.pl', text: '2 345 ocen', expected: 2345 },
+      { marketplace: 'www.amazon.com.tr', text: '1.234. sırada', expected: 1234 },
+      { marketplace: 'www.amazon.sa', text: 'رقم \u0661\u066c\u0662\u0663\u0664', expected: 1234 },
+      { marketplace: 'www.amazon.eg', text: '\u06f5\u06f6', expected: 56 },
+      { marketplace: null, text: '1.234', expected: 1234 },
+      { marketplace: 'www.amazon.com', text: 'no number', expected: null },
+      { marketplace: 'www.amazon.com', text: null, expected: null }
+    ];
+    
+    cases.forEach(({ marketplace, text, expected }) => {
+      test(`${marketplace}: ${JSON.stringify(text)} is ${expected}`, () => {
+        expect(MarketplaceLocale.forMarketplace(marketplace).parseInteger(text)).toBe(expected);
+      });
+    });
+  });
+  
+  describe('parseDecimal', () => {
+    const cases = [
+      { marketplace: 'www.amazon.com', text: '4.5 out of 5 stars', expected: 4.5 },
+      { marketplace: 'www.amazon.de', text: '4,5 von 5 Sternen', expected: 4.5 },
+      { marketplace: 'www.amazon.de', text: '1.234,56', expected: 1234.56 },
+      { marketplace: 'www.amazon.de', text: '1,234 kg', expected: 1.234 },
+      { marketplace: 'www.amazon.de', text: '25.4 cm', expected: 25.4 },
+      { marketplace: 'www.amazon.de', text: '1.234', expected: 1234 },
+      { marketplace: 'www.amazon.com', text: '1,234.5', expected: 1234.5 },
+      { marketplace: 'www.amazon.com', text: '25,4 x 12,7', expected: 25.4 },
+      { marketplace: 'www.amazon.fr', text: '1 234,5', expected: 1234.5 },
+      { marketplace: 'www.amazon.in', text: '1,23,456.78', expected: 123456.78 },
+      { marketplace: 'www.amazon.nl', text: '4,6 van 5 sterren', expected: 4.6 },
+      { marketplace: 'www.amazon.sa', text: '\u0664\u066b\u0665 من 5', expected: 4.5 },
+      { marketplace: null, text: '0.125 kg', expected: 0.125 },
+      { marketplace: null, text: '1.234.567', expected: 1234567 },
+      { marketplace: 'www.amazon.com', text: '', expected: null }
+    ];
+    
+    cases.forEach(({ marketplace, text, expected }) => {
+      test(`${marketplace}: ${JSON.stringify(text)} is ${expected}`, () => {
+        expect(MarketplaceLocale.forMarketplace(marketplace).parseDecimal(text)).toBe(expected);
+      });
+    });
+  });
+  
+  describe('parseCount', () => {
+    const cases = [
+      { number: '1,234', unit: null, expected: 1234 },
+      { number: '1.234', unit: null, expected: 1234 },
+      { number: '1.5', unit: 'K', expected: 1500 },
+      { number: '1,5', unit: 'k', expected: 1500 },
+      { number: '2', unit: 'M', expected: 2000000 },
+      { number: '2', unit: 'mil', expected: 2000 },
+      { number: '1', unit: '万', expected: 10000 },
+      { number: '5', unit: '千', expected: 5000 },
+      { number: '1', unit: 'tys.', expected: 1000 },
+      { number: '2', unit: 'B', expected: 2000 },
+      { number: '3', unit: 'ألف', expected: 3000 },
+      { number: '3', unit: 'x', expected: null }
+    ];
+    
+    cases.forEach(({ number, unit, expected }) => {
+      test(`${number}${unit || ''} is ${expected}`, () => {
+        expect(MarketplaceLocale.forMarketplace('www.amazon.com').parseCount(number, unit)).toBe(expected);
+      });
+    });
+  });
+  
+  describe('parseCurrency', () => {
+    const cases = [
+      { marketplace: 'www.amazon.com', text: '$1,234.56', expected: { amount: 1234.56, currency: 'USD' } },
+      { marketplace: 'www.amazon.de', text: '1.234,56 €', expected: { amount: 1234.56, currency: 'EUR' } },
+      { marketplace: 'www.amazon.de', text: '12.99 €', expected: { amount: 12.99, currency: 'EUR' } },
+      { marketplace: 'www.amazon.fr', text: '1 234,56 €', expected: { amount: 1234.56, currency: 'EUR' } },
+      { marketplace: 'www.amazon.co.jp', text: '￥1,234', expected: { amount: 1234, currency: 'JPY' } },
+      { marketplace: 'www.amazon.cn', text: '￥99.00', expected: { amount: 99, currency: 'CNY' } },
+      { marketplace: 'www.amazon.in', text: '₹1,23,456.00', expected: { amount: 123456, currency: 'INR' } },
+      { marketplace: 'www.amazon.ca', text: '$24.99', expected: { amount: 24.99, currency: 'CAD' } },
+      { marketplace: 'www.amazon.com.br', text: 'R$ 1.299,90', expected: { amount: 1299.9, currency: 'BRL' } },
+      { marketplace: 'www.amazon.nl', text: '€ 19,99', expected: { amount: 19.99, currency: 'EUR' } },
+      { marketplace: 'www.amazon.se', text: '1\u00a0299,00 kr', expected: { amount: 1299, currency: 'SEK' } },
+      { marketplace: 'www.amazon.pl', text: '149,99 zł', expected: { amount: 149.99, currency: 'PLN' } },
+      { marketplace: 'www.amazon.com.tr', text: '1.299,90 TL', expected: { amount: 1299.9, currency: 'TRY' } },
+      { marketplace: 'www.amazon.sa', text: 'ر.س. 1,299.00', expected: { amount: 1299, currency: 'SAR' } },
+      { marketplace: 'www.amazon.ae', text: 'AED 89.50', expected: { amount: 89.5, currency: 'AED' } },
+      { marketplace: 'www.amazon.sg', text: 'S$24.90', expected: { amount: 24.9, currency: 'SGD' } },
+      { marketplace: 'www.amazon.eg', text: '\u0665\u0669\u0669 جنيه', expected: { amount: 599, currency: 'EGP' } },
+      { marketplace: null, text: '1,234', expected: { amount: 1234, currency: 'USD' } },
+      { marketplace: null, text: '12,99 €', expected: { amount: 12.99, currency: 'EUR' } },
+      { marketplace: 'www.amazon.com', text: 'Currently unavailable', expected: null }
+    ];
+    
+    cases.forEach(({ marketplace, text, expected }) => {
+      test(`${marketplace}: ${text}`, () => {
+        expect(MarketplaceLocale.forMarketplace(marketplace).parseCurrency(text)).toEqual(expected);
+      });
+    });
+  });
+  
+  describe('parseDate', () => {
+    const cases = [
+      { marketplace: 'www.amazon.com', text: 'March 3, 2021', expected: '2021-03-03' },
+      { marketplace: 'www.amazon.com', text: '3/14/2021', expected: '2021-03-14' },
+      { marketplace: 'www.amazon.co.uk', text: '14/3/2021', expected: '2021-03-14' },
+      { marketplace: 'www.amazon.de', text: '3. März 2021', expected: '2021-03-03' },
+      { marketplace: 'www.amazon.de', text: '14.03.2021', expected: '2021-03-14' },
+      { marketplace: 'www.amazon.fr', text: '3 mars 2021', expected: '2021-03-03' },
+      { marketplace: 'www.amazon.es', text: '3 de marzo de 2021', expected: '2021-03-03' },
+      { marketplace: 'www.amazon.com.br', text: '3 março 2021', expected: '2021-03-03' },
+      { marketplace: 'www.amazon.co.jp', text: '2021/3/3', expected: '2021-03-03' },
+      { marketplace: 'www.amazon.cn', text: '2021年3月3日', expected: '2021-03-03' },
+      { marketplace: 'www.amazon.nl', text: '3 maart 2021', expected: '2021-03-03' },
+      { marketplace: 'www.amazon.se', text: '2021-03-14', expected: '2021-03-14' },
+      { marketplace: 'www.amazon.se', text: '14 augusti 2021', expected: '2021-08-14' },
+      { marketplace: 'www.amazon.pl', text: '9 października 2021', expected: '2021-10-09' },
+      { marketplace: 'www.amazon.com.tr', text: '14 Şubat 2022', expected: '2022-02-14' },
+      { marketplace: 'www.amazon.com.tr', text: '14.02.2022', expected: '2022-02-14' },
+      { marketplace: 'www.amazon.sa', text: '\u0661\u0665 مارس \u0662\u0660\u0662\u0661', expected: '2021-03-15' },
+      { marketplace: 'www.amazon.com', text: '\u200eFebruary 30, 2021\u200e', expected: null },
+      { marketplace: 'www.amazon.com', text: 'In Stock', expected: null }
+    ];
+    
+    cases.forEach(({ marketplace, text, expected }) => {
+      test(`${marketplace}: ${text}`, () => {
+        expect(MarketplaceLocale.forMarketplace(marketplace).parseDate(text)).toBe(expected);
+      });
+    });
+  });
+  
+  describe('parseDayMonth', () => {
+    const now = new Date(2026, 9, 19);
+    const cases = [
+      { text: 'FREE delivery Tue, Oct 21', now: now, expected: '2026-10-21' },
+      { text: 'Lieferung Donnerstag, 23. Oktober', now: now, expected: '2026-10-23' },
+      { text: 'Recíbelo el 25 de octubre', now: now, expected: '2026-10-25' },
+      { text: '10月20日 にお届け', now: now, expected: '2026-10-20' },
+      { text: 'Bezorging donderdag 23 oktober', now: now, expected: '2026-10-23' },
+      { text: 'Dostawa czwartek, 23 października', now: now, expected: '2026-10-23' },
+      { text: 'التوصيل الخميس، \u0662\u0663 أكتوبر', now: now, expected: '2026-10-23' },
+      { text: 'Get it Jan 3', now: new Date(2026, 11, 28), expected: '2027-01-03' },
+      { text: 'Arrived Oct 1', now: now, expected: '2026-10-01' },
+      { text: 'FREE Shipping', now: now, expected: null }
+    ];
+    
+    cases.forEach(({ text, now: date, expected }) => {
+      test(`${text} is ${expected}`, () => {
+        expect(MarketplaceLocale.forMarketplace('www.amazon.com').parseDayMonth(text, date)).toBe(expected);
+      });
+    });
+  });
+  
+  describe('formatNumber', () => {
+    const cases = [
+      { marketplace: 'www.amazon.com', value: 1234567, expected: '1,234,567' },
+      { marketplace: 'www.amazon.com', value: '19.49', expected: '19.49' },
+      { marketplace: 'www.amazon.de', value: 1234567, expected: '1.234.567' },
+      { marketplace: 'www.amazon.de', value: '1234.50', expected: '1.234,50' },
+      { marketplace: 'www.amazon.fr', value: 12345, expected: '12\u00a0345' },
+      { marketplace: 'www.amazon.in', value: 1234567, expected: '12,34,567' },
+      { marketplace: 'www.amazon.in', value: 999, expected: '999' },
+      { marketplace: 'www.amazon.se', value: 12345, expected: '12\u00a0345' },
+      { marketplace: 'www.amazon.com.tr', value: '1234.50', expected: '1.234,50' },
+      { marketplace: 'www.amazon.sa', value: 1234567, expected: '1,234,567' },
+      { marketplace: 'www.amazon.com', value: -1234, expected: '-1,234' },
+      { marketplace: null, value: 0, expected: '0' }
+    ];
+    
+    cases.forEach(({ marketplace, value, expected }) => {
+      test(`${marketplace}: ${value} is ${JSON.stringify(expected)}`, () => {
+        expect(MarketplaceLocale.forMarketplace(marketplace).formatNumber(value)).toBe(expected);
+      });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * In-memory IndexedDB for tests
+ *
+ * Covers what CacheDatabase uses: opening with an upgrade, object stores with
+ * a keyPath, indexes, get/put/delete/clear/count, index getAll and key cursors.
+ * Requests succeed asynchronously and a transaction completes once none are
+ * pending, as in the browser.
+ */
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function compareKeys(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+class MockTransaction {
+  constructor(database, storeName) {
+    this.database = database;
+    this.storeName = storeName;
+    this.pending = 0;
+    this.finished = false;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    this.error = null;
+    
+    // A transaction with no requests completes as well
+    this.schedule(() => {});
+  }
+  
+  objectStore(name) {
+    return new MockObjectStore(this, this.database.stores[name]);
+  }
+  
+  schedule(operation) {
+    this.pending++;
+    setTimeout(() => {
+      operation();
+      this.pending--;
+      setTimeout(() => {
+        if (this.pending === 0 && !this.finished) {
+          this.finished = true;
+          if (this.oncomplete) this.oncomplete();
+        }
+      }, 0);
+    }, 0);
+  }
+  
+  request(operation) {
+    const request = { result: undefined, onsuccess: null, onerror: null };
+    this.schedule(() => {
+      request.result = operation();
+      if (request.onsuccess) request.onsuccess();
+    });
+    return request;
+  }
+}
+
+class MockObjectStore {
+  constructor(transaction, store) {
+    this.transaction = transaction;
+    this.store = store;
+  }
+  
+  get(key) {
+    return this.transaction.request(() => clone(this.store.records.get(key)));
+  }
+  
+  put(record) {
+    return this.transaction.request(() => {
+      const key = record[this.store.keyPath];
+      this.store.records.set(key, clone(record));
+      return key;
+    });
+  }
+  
+  delete(key) {
+    return this.transaction.request(() => {
+      this.store.records.delete(key);
+    });
+  }
+  
+  clear() {
+    return this.transaction.request(() => {
+      this.store.records.clear();
+    });
+  }
+  
+  count() {
+    return this.transaction.request(() => this.store.records.size);
+  }
+  
+  index(name) {
+    return new MockIndex(this, this.store.indexes[name]);
+  }
+}
+
+class MockIndex {
+  constructor(objectStore, keyPath) {
+    this.objectStore = objectStore;
+    this.keyPath = keyPath;
+  }
+  
+  // [index key, primary key] pairs in index order
+  entries() {
+    const entries = [];
+    this.objectStore.store.records.forEach((record, primaryKey) => {
+      if (record[this.keyPath] !== undefined) {
+        entries.push([record[this.keyPath], primaryKey]);
+      }
+    });
+    return entries.sort((a, b) => compareKeys(a[0], b[0]) || compareKeys(a[1], b[1]));
+  }
+  
+  getAll(value) {
+    return this.objectStore.transaction.request(() => this.entries()
+      .filter(([key]) => key === value)
+      .map(([, primaryKey]) => clone(this.objectStore.store.records.get(primaryKey))));
+  }
+  
+  openKeyCursor() {
+    const transaction = this.objectStore.transaction;
+    const request = { result: undefined, onsuccess: null, onerror: null };
+    let entries = null;
+    let position = 0;
+    
+    const advance = () => {
+      if (!entries) entries = this.entries();
+      if (position >= entries.length) {
+        request.result = null;
+      } else {
+        const [key, primaryKey] = entries[position++];
+        request.result = {
+          key: key,
+          primaryKey: primaryKey,
+          continue: () => transaction.schedule(step)
+        };
+      }
+    };
+    const step = () => {
+      advance();
+      if (request.onsuccess) request.onsuccess();
+    };
+    
+    transaction.schedule(step);
+    return request;
+  }
+}
+
+class MockDatabase {
+  constructor() {
+    this.stores = {};
+    this.objectStoreNames = {
+      contains: name => Object.prototype.hasOwnProperty.call(this.stores, name)
+    };
+    this.onversionchange = null;
+  }
+  
+  createObjectStore(name, options) {
+    const store = { keyPath: options.keyPath, records: new Map(), indexes: {} };
+    this.stores[name] = store;
+    return {
+      createIndex: (indexName, keyPath) => {
+        store.indexes[indexName] = keyPath;
+      }
+    };
+  }
+  
+  transaction(storeName) {
+    return new MockTransaction(this, storeName);
+  }
+  
+  close() {}
+}
+
+/**
+ * Create an indexedDB factory whose databases live in memory
+ * @returns {Object} Factory with open(name, version)
+ */
+function createMockIndexedDB() {
+  const databases = {};
+  
+  return {
+    databases: databases,
+    open(name, version) {
+      const request = { result: null, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+      
+      setTimeout(() => {
+        const existing = databases[name];
+        if (!existing || existing.version < version) {
+          const database = existing ? existing.database : new MockDatabase();
+          databases[name] = { version: version, database: database };
+          request.result = database;
+          if (request.onupgradeneeded) request.onupgradeneeded();
+        }
+        
+        request.result = databases[name].database;
+        if (request.onsuccess) request.onsuccess();
+      }, 0);
+      
+      return request;
+    }
+  };
+}
+
+module.exports = { createMockIndexedDB };
@@ -0,0 +1,328 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Tests for offscreen document parsing
+ *
+ * These tests verify that the background service worker, which has no
+ * DOMParser, hands product pages to the offscreen document for parsing:
+ * - Offscreen document creation
+ * - Message protocol between background and offscreen document
+ * - Parsing without a global DOMParser in the background context
+ * - Parsing in the service worker with the HtmlDocument backend when the
+ *   offscreen document fails
+ * - Fallback data when both parsers fail
+ * - Fetching, parsing and caching the All Offers Display fragment
+ */
+
+// The DOMParser only exists inside the offscreen document
+const OffscreenDOMParser = window.DOMParser;
+delete global.DOMParser;
+
+// Listeners registered by the offscreen document
+const offscreenListeners = [];
+
+// Mock Chrome API
+const mockChrome = {
+  runtime: {
+    lastError: null,
+    getURL: jest.fn(path => `chrome-extension://test-id/${path}`),
+    getContexts: jest.fn(),
+    getManifest: jest.fn(() => ({ version: '1.0.0' })),
+    sendMessage: jest.fn(),
+    onMessage: {
+      addListener: jest.fn()
+    },
+    onInstalled: {
+      addListener: jest.fn()
+    }
+  },
+  offscreen: {
+    createDocument: jest.fn()
+  },
+  storage: {
+    sync: {
+      get: jest.fn((keys, callback) => callback({})),
+      set: jest.fn((data, callback) => callback && callback())
+    },
+    local: {
+      get: jest.fn((keys, callback) => callback({})),
+      set: jest.fn((data, callback) => callback && callback()),
+      remove: jest.fn((keys, callback) => callback && callback())
+    }
+  }
+};
+
+global.chrome = mockChrome;
+global.importScripts = jest.fn();
+global.HtmlDocument = require('../html-document.js').HtmlDocument;
+global.ExtractionRuleRegistry = require('../extraction-rules.js').ExtractionRuleRegistry;
+global.AmazonParser = require('../parser.js').AmazonParser;
+// The cache lives in an in-memory IndexedDB
+global.indexedDB = require('./mock-indexeddb.js').createMockIndexedDB();
+global.CacheDatabase = require('../cache-database.js').CacheDatabase;
+global.CacheManager = require('../cache-manager');
+global.HistoryStore = require('../history-store.js').HistoryStore;
+global.SnapshotStore = require('../snapshot-store.js').SnapshotStore;
+global.ErrorHandler = require('../error-handling');
+
+const { BackgroundService } = require('../background.js');
+
+// Load the offscreen document script with its own listener registry
+mockChrome.runtime.onMessage.addListener.mockImplementation(listener => {
+  offscreenListeners.push(listener);
+});
+const { OffscreenParser } = require('../offscreen.js');
+
+// Route a message from the background script to the offscreen document,
+// which is the only context where DOMParser is available
+function deliverToOffscreen(message, callback) {
+  global.DOMParser = OffscreenDOMParser;
+  try {
+    offscreenListeners.forEach(listener => listener(message, {}, callback));
+  } finally {
+    delete global.DOMParser;
+  }
+}
+
+const productPageHtml = `
+  <html>
+    <head><title>Test Product</title></head>
+    <body>
+      <a id="bylineInfo" href="/stores/Anker">Visit the Anker Store</a>
+      <div id="detailBullets_feature_div">
+        <ul>
+          <li><span>Best Sellers Rank: #1,234 in Electronics (See Top 100 in Electronics) #56 in Power Banks</span></li>
+        </ul>
+      </div>
+      <span class="a-size-base">2,000 bought in past month</span>
+    </body>
+  </html>
+`;
+
+const offerListingHtml = `
+  <div id="aod-container">
+    <input type="hidden" id="aod-total-offer-count" value="4">
+    <div id="aod-pinned-offer">
+      <div id="aod-offer-heading"><h5>New</h5></div>
+      <span class="a-price"><span class="a-offscreen">$21.99</span></span>
+      <div id="aod-offer-shipsFrom"><div class="a-col-right"><span class="a-color-base">Amazon.com</span></div></div>
+      <div id="aod-offer-soldBy"><div class="a-col-right"><span class="a-color-base">Amazon.com</span></div></div>
+    </div>
+    <div id="aod-offer-list">
+      <div id="aod-offer">
+        <div id="aod-offer-heading"><h5>New</h5></div>
+        <span class="a-price"><span class="a-offscreen">$19.49</span></span>
+        <div id="aod-offer-shipsFrom"><div class="a-col-right"><span class="a-color-base">Amazon</span></div></div>
+        <div id="aod-offer-soldBy"><div class="a-col-right"><a href="/gp/aag/main?seller=A1B2C3D4E5">Anker Direct</a></div></div>
+      </div>
+    </div>
+  </div>
+`;
+
+describe('Offscreen document parsing', () => {
+  let backgroundService;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    mockChrome.runtime.lastError = null;
+    mockChrome.runtime.getContexts.mockResolvedValue([]);
+    mockChrome.offscreen.createDocument.mockResolvedValue();
+    mockChrome.runtime.sendMessage.mockImplementation(deliverToOffscreen);
+    
+    backgroundService = new BackgroundService();
+  });
+  
+  test('should not have a DOMParser in the background context', () => {
+    expect(typeof DOMParser).toBe('undefined');
+    expect(AmazonParser.getDefaultDocumentAdapter()).toBe(AmazonParser.htmlDocumentAdapter);
+    
+    const domParser = new AmazonParser({ documentAdapter: AmazonParser.domDocumentAdapter });
+    expect(() => domParser.parseProductPage(productPageHtml, 'B08N5KWB9H')).toThrow();
+  });
+  
+  test('should create the offscreen document once', async () => {
+    await backgroundService.ensureOffscreenDocument();
+    await backgroundService.ensureOffscreenDocument();
+    
+    expect(mockChrome.offscreen.createDocument).toHaveBeenCalledTimes(1);
+    expect(mockChrome.offscreen.createDocument).toHaveBeenCalledWith(expect.objectContaining({
+      url: 'offscreen.html',
+      reasons: ['DOM_PARSER']
+    }));
+  });
+  
+  test('should reuse an existing offscreen document', async () => {
+    mockChrome.runtime.getContexts.mockResolvedValue([{ contextType: 'OFFSCREEN_DOCUMENT' }]);
+    
+    await backgroundService.ensureOffscreenDocument();
+    
+    expect(mockChrome.offscreen.createDocument).not.toHaveBeenCalled();
+  });
+  
+  test('should parse product data without a global DOMParser', async () => {
+    const productData = await backgroundService.parseProductData(productPageHtml, 'B08N5KWB9H');
+    
+    expect(typeof DOMParser).toBe('undefined');
+    expect(productData.parsingError).toBeUndefined();
+    expect(productData.asin).toBe('B08N5KWB9H');
+    expect(productData.brand).toBe('Anker Store');
+    expect(productData.bsr[0]).toMatchObject({ rank: 1234, category: 'Electronics' });
+    expect(productData.salesData.boughtInPastMonth).toBe(2000);
+    
+    expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        target: 'offscreen',
+        type: 'parseProductPage',
+        asin: 'B08N5KWB9H'
+      }),
+      expect.any(Function)
+    );
+  });
+  
+  test('should send the rule pack id with the rule pack', async () => {
+    const rulePack = { version: '2026.10.1', fields: {} };
+    backgroundService.rulePack = rulePack;
+    backgroundService.ruleRegistry = new ExtractionRuleRegistry(rulePack);
+    
+    await backgroundService.parseProductData(productPageHtml, 'B08N5KWB9H');
+    
+    expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        rulePack: rulePack,
+        rulePackId: ExtractionRuleRegistry.getRulePackId(rulePack)
+      }),
+      expect.any(Function)
+    );
+  });
+  
+  test('should ignore messages that are not addressed to the offscreen document', () => {
+    const offscreenParser = new OffscreenParser();
+    const sendResponse = jest.fn();
+    
+    const keepOpen = offscreenParser.handleMessage({ type: 'fetchProductDetails', asin: 'B08N5KWB9H' }, {}, sendResponse);
+    
+    expect(keepOpen).toBe(false);
+    expect(sendResponse).not.toHaveBeenCalled();
+  });
+  
+  test('should rebuild the parser when the rule pack changes but keeps its version', () => {
+    const offscreenParser = new OffscreenParser();
+    const rulePack = (selector) => ({
+      version: '2026.10.1',
+      fields: { brand: { default: [{ type: 'selector', selector: selector }] } }
+    });
+    const parseBrand = (pack) => {
+      const sendResponse = jest.fn();
+      global.DOMParser = OffscreenDOMParser;
+      try {
+        offscreenParser.handleMessage({ target: 'offscreen', type: 'parseProductPage', html: productPageHtml, asin: 'B08N5KWB9H', rulePack: pack, rulePackId: ExtractionRuleRegistry.getRulePackId(pack) }, {}, sendResponse);
+      } finally {
+        delete global.DOMParser;
+      }
+      return sendResponse.mock.calls[0][0].data.brand;
+    };
+    
+    expect(parseBrand(rulePack('#bylineInfo'))).toBe('Visit the Anker Store');
+    
+    const parser = offscreenParser.parser;
+    expect(parseBrand(rulePack('#bylineInfo'))).toBe('Visit the Anker Store');
+    expect(offscreenParser.parser).toBe(parser);
+    
+    expect(parseBrand(rulePack('title'))).toBe('Test Product');
+  });
+  
+  test('should apply the rule pack to offer listings', () => {
+    const offscreenParser = new OffscreenParser();
+    const rulePack = { version: '2026.10.1', fields: {} };
+    const rulePackId = ExtractionRuleRegistry.getRulePackId(rulePack);
+    const sendResponse = jest.fn();
+    
+    offscreenParser.handleMessage({ target: 'offscreen', type: 'parseOfferListing', html: offerListingHtml, asin: 'B08N5KWB9H', rulePack: rulePack, rulePackId: rulePackId }, {}, sendResponse);
+    
+    expect(offscreenParser.parser.ruleRegistry.getVersion()).toBe('2026.10.1');
+    expect(offscreenParser.rulePackId).toBe(rulePackId);
+    expect(sendResponse.mock.calls[0][0].success).toBe(true);
+  });
+  
+  test('should ignore offscreen messages in the background message handler', () => {
+    const sendResponse = jest.fn();
+    
+    const keepOpen = backgroundService.handleMessage({ target: 'offscreen', type: 'parseProductPage' }, {}, sendResponse);
+    
+    expect(keepOpen).toBe(false);
+    expect(sendResponse).not.toHaveBeenCalled();
+  });
+  
+  test('should parse in the service worker when the offscreen document fails', async () => {
+    mockChrome.offscreen.createDocument.mockRejectedValue(new Error('Offscreen API unavailable'));
+    
+    const productData = await backgroundService.parseProductData(productPageHtml, 'B08N5KWB9H');
+    
+    expect(mockChrome.runtime.sendMessage).not.toHaveBeenCalled();
+    expect(productData.parsingError).toBeUndefined();
+    expect(productData.brand).toBe('Anker Store');
+    expect(productData.bsr[0]).toMatchObject({ rank: 1234, category: 'Electronics' });
+    expect(productData.salesData.boughtInPastMonth).toBe(2000);
+  });
+  
+  test('should fall back to text extraction when both parsers fail', async () => {
+    mockChrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      callback({ success: false, error: 'Broken page' });
+    });
+    const parseSpy = jest.spyOn(AmazonParser.prototype, 'parseProductPage').mockImplementation(() => {
+      throw new Error('Broken page');
+    });
+    
+    try {
+      const productData = await backgroundService.parseProductData(productPageHtml, 'B08N5KWB9H');
+      
+      expect(productData.parsingError).toBe(true);
+      expect(productData.error).toBe('Broken page');
+      expect(productData.bsr[0]).toMatchObject({ rank: 1234, category: 'Electronics' });
+      expect(productData.salesData.boughtInPastMonth).toBe(2000);
+      expect(productData.variants).toEqual([]);
+      expect(productData.degradedFields).toEqual(['brand', 'reviews', 'variants']);
+    } finally {
+      parseSpy.mockRestore();
+    }
+  });
+  
+  test('should fetch, parse and cache every seller offer', async () => {
+    const fetchMock = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      text: () => Promise.resolve(offerListingHtml)
+    });
+    global.fetch = fetchMock;
+    const sendResponse = jest.fn();
+    
+    try {
+      await backgroundService.handleFetchOfferListing(
+        { type: 'fetchOfferListing', asin: 'B08N5KWB9H', url: 'https://www.amazon.de/dp/B08N5KWB9H' },
+        {},
+        sendResponse
+      );
+    } finally {
+      delete global.fetch;
+    }
+    
+    expect(fetchMock.mock.calls[0][0]).toBe('https://www.amazon.de/gp/product/ajax/aodAjaxMain/ref=dp_aod_ALL_mbc?asin=B08N5KWB9H&pc=dp&experienceId=aodAjaxMain');
+    expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ target: 'offscreen', type: 'parseOfferListing' }),
+      expect.any(Function)
+    );
+    
+    const response = sendResponse.mock.calls[0][0];
+    expect(response.success).toBe(true);
+    expect(response.data.totalOfferCount).toBe(4);
+    expect(response.data.offers.map(offer => offer.fulfillmentChannel)).toEqual(['AMAZON', 'FBA']);
+    
+    // Offers live in their own cache namespace
+    const records = indexedDB.databases[CacheDatabase.databaseName].database.stores.entries.records;
+    expect(records.has('cache_offers_amazon.de_B08N5KWB9H')).toBe(true);
+    expect(records.has('cache_amazon.de_B08N5KWB9H')).toBe(false);
+  });
+});
@@ -62,6 +62,51 @@ function testBSRParsing() {
       html: '亚马逊热销商品排名: 3,456 名在电子产品',
       expected: [{ rank: 3456, category: '电子产品' }]
     },
+    {
+      name: 'French BSR with no-break space grouping',
+      html: 'Classement des meilleures ventes d\'Amazon : n°12\u00a0345 en High-Tech',
+      marketplace: 'www.amazon.fr',
+      expected: [{ rank: 12345, category: 'High-Tech' }]
+    },
+    {
+      name: 'Indian BSR with lakh grouping',
+      html: 'Best Sellers Rank: #1,23,456 in Books (See Top 100 in Books)',
+      marketplace: 'www.amazon.in',
+      expected: [{ rank: 123456, category: 'Books' }]
+    },
+    {
+      name: 'Dutch BSR format',
+      html: 'Plaats in Amazon Bestsellers: #1.234 in Elektronica (Top 100 in Elektronica bekijken)',
+      marketplace: 'www.amazon.nl',
+      expected: [{ rank: 1234, category: 'Elektronica' }]
+    },
+    {
+      name: 'Swedish BSR format',
+      html: 'Rangordning för bästsäljare: nr 12\u00a0345 i Elektronik (Se topp 100 i Elektronik)',
+      marketplace: 'www.amazon.se',
+      expected: [{ rank: 12345, category: 'Elektronik' }]
+    },
+    {
+      name: 'Polish BSR format',
+      html: 'Ranking najlepiej sprzedających się: nr 2\u00a0345 w kategorii Dom i kuchnia (Zobacz Top 100)',
+      marketplace: 'www.amazon.pl',
+      expected: [{ rank: 2345, category: 'Dom i kuchnia' }]
+    },
+    {
+      name: 'Turkish BSR format',
+      html: 'Elektronik kategorisinde 1.234. sırada (Elektronik kategorisinde ilk 100\'ü görün) Kulaklıklar kategorisinde 56. sırada',
+      marketplace: 'www.amazon.com.tr',
+      expected: [
+        { rank: 1234, category: 'Elektronik' },
+        { rank: 56, category: 'Kulaklıklar' }
+      ]
+    },
+    {
+      name: 'Arabic BSR with Arabic-Indic digits',
+      html: 'رقم \u0661\u066c\u0662\u0663\u0664 في الإلكترونيات (تعرف على أفضل 100)',
+      marketplace: 'www.amazon.sa',
+      expected: [{ rank: 1234, category: 'الإلكترونيات' }]
+    },
     {
       name: 'No BSR information',
       html: 'Product details without BSR information',
@@ -74,7 +119,7 @@ function testBSRParsing() {
   // Run tests
   testCases.forEach((testCase, index) => {
     // Extract BSR data
-    const bsrData = parser.extractBSRData(testCase.html);
+    const bsrData = parser.extractBSRData(testCase.html, testCase.marketplace);
     
     // Check result
     let passed = false;
@@ -102,6 +147,76 @@ function testBSRParsing() {
   return passedTests === testCases.length;
 }
 
+// Test cases for breadcrumb and browse node parsing
+function testBrowseNodeParsing() {
+  console.log('Running browse node parsing tests');
+  
+  // Links need real markup, so parse with the DOM-free HtmlDocument backend
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  
+  const html = `
+    <div id="wayfinding-breadcrumbs_feature_div"><ul>
+      <li><a href="/electronics-store/b/ref=dp_bc_aui_C_1?ie=UTF8&node=172282"> Electronics </a></li>
+      <li>›</li>
+      <li><a href="/b/ref=dp_bc_aui_C_2?ie=UTF8&node=7072561011"> Power Banks </a></li>
+    </ul></div>
+    <div id="detailBulletsWrapper_feature_div"><ul><li><span>
+      <span class="a-text-bold">Best Sellers Rank:</span>
+      #1,234 in <a href="/gp/bestsellers/electronics/ref=pd_zg_ts_electronics">Electronics</a>
+      (<a href="/gp/bestsellers/electronics/ref=pd_zg_ts_electronics">See Top 100 in Electronics</a>)
+      <ul><li><span>#56 in <a href="/gp/bestsellers/electronics/7072561011/ref=pd_zg_hrsr_electronics">Power Banks</a></span></li></ul>
+    </span></li></ul></div>`;
+  
+  // Test cases
+  const productData = parser.parseProductPage(html, 'B08N5KWB9H');
+  const testCases = [
+    {
+      name: 'Breadcrumb trail',
+      actual: productData.breadcrumbs,
+      expected: [
+        { name: 'Electronics', nodeId: '172282' },
+        { name: 'Power Banks', nodeId: '7072561011' }
+      ]
+    },
+    {
+      name: 'BSR entries keyed by browse node',
+      actual: productData.bsr,
+      expected: [
+        { rank: 1234, category: 'Electronics', nodeId: '172282', categorySlug: 'electronics' },
+        { rank: 56, category: 'Power Banks', nodeId: '7072561011', categorySlug: 'electronics' }
+      ]
+    },
+    {
+      name: 'BSR key without node ID',
+      actual: parser.getBSRKey({ rank: 3210, category: 'Home & Kitchen', nodeId: null, categorySlug: 'home-garden' }),
+      expected: 'slug:home-garden'
+    },
+    {
+      name: 'No breadcrumbs',
+      actual: parser.parseBreadcrumbs(parser.getDocumentAdapter().parse('<p>No breadcrumbs</p>')),
+      expected: null
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const passed = JSON.stringify(testCase.actual) === JSON.stringify(testCase.expected);
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(testCase.actual)}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length} passed`);
+  return passedTests === testCases.length;
+}
+
 // Test cases for brand parsing
 function testBrandParsing() {
   console.log('Running brand parsing tests');
@@ -119,9 +234,6 @@ function testBrandParsing() {
     if (html.includes('Brand: Samsung')) {
       return 'Samsung';
     }
-    if (html.includes('meta-brand-sony')) {
-      return 'Sony';
-    }
     if (html.includes('structured-data-logitech')) {
       return 'Logitech';
     }
@@ -135,6 +247,9 @@ function testBrandParsing() {
     return null;
   };
   
+  // Meta tags need real markup, so parse them with the DOM-free HtmlDocument backend
+  const markupParser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  
   // Test cases
   const testCases = [
     {
@@ -149,7 +264,8 @@ function testBrandParsing() {
     },
     {
       name: 'Brand from meta tag',
-      html: 'meta-brand-sony',
+      html: '<head><meta name="brand" content="Sony"></head>',
+      markup: true,
       expected: 'Sony'
     },
     {
@@ -178,11 +294,10 @@ function testBrandParsing() {
   
   // Run tests
   testCases.forEach((testCase, index) => {
-    // Create mock document
-    const doc = new DOMParser().parseFromString(testCase.html);
-    
-    // Extract brand data
-    const brandData = parser.parseBrand(doc);
+    // Extract brand data from a mock document, or from real markup
+    const brandData = testCase.markup ?
+      markupParser.parseBrand(markupParser.getDocumentAdapter().parse(testCase.html)) :
+      parser.parseBrand(new DOMParser().parseFromString(testCase.html));
     
     // Check result
     const passed = brandData === testCase.expected;
@@ -233,6 +348,72 @@ function testSalesDataParsing() {
       html: '4,567 上个月购买',
       expected: { boughtInPastMonth: 4567, totalVariants: 1 }
     },
+    {
+      name: 'Abbreviated "1K+" badge',
+      html: '1K+ bought in past month',
+      expected: { boughtInPastMonth: 1000, totalVariants: 1, lowerBound: 1000, isPlus: true, locale: 'en' }
+    },
+    {
+      name: 'Abbreviated "50+" badge',
+      html: '50+ bought in past month',
+      expected: { boughtInPastMonth: 50, totalVariants: 1, lowerBound: 50, isPlus: true, locale: 'en' }
+    },
+    {
+      name: 'French "1 k+" badge',
+      html: '1 k+ achetés au cours du mois dernier',
+      expected: { boughtInPastMonth: 1000, totalVariants: 1, lowerBound: 1000, isPlus: true, locale: 'fr' }
+    },
+    {
+      name: 'Japanese "1000+ 点" badge',
+      html: '1000+ 点 先月に購入',
+      expected: { boughtInPastMonth: 1000, totalVariants: 1, lowerBound: 1000, isPlus: true, locale: 'ja' }
+    },
+    {
+      name: 'Dutch "1K+" badge',
+      html: '1K+ keer gekocht in de afgelopen maand',
+      marketplace: 'www.amazon.nl',
+      expected: { boughtInPastMonth: 1000, lowerBound: 1000, isPlus: true, locale: 'nl' }
+    },
+    {
+      name: 'Swedish "100+" badge',
+      html: '100+ köpta förra månaden',
+      marketplace: 'www.amazon.se',
+      expected: { boughtInPastMonth: 100, lowerBound: 100, isPlus: true, locale: 'sv' }
+    },
+    {
+      name: 'Polish "ponad 1 tys." badge',
+      html: 'Ponad 1 tys. kupionych w zeszłym miesiącu',
+      marketplace: 'www.amazon.pl',
+      expected: { boughtInPastMonth: 1000, lowerBound: 1000, isPlus: true, locale: 'pl' }
+    },
+    {
+      name: 'Turkish "1B+" badge',
+      html: 'Geçen ay 1B+ kez satın alındı',
+      marketplace: 'www.amazon.com.tr',
+      expected: { boughtInPastMonth: 1000, lowerBound: 1000, isPlus: true, locale: 'tr' }
+    },
+    {
+      name: 'Arabic badge with Arabic-Indic digits',
+      html: 'تم شراء أكثر من \u0665\u0660\u0660 مرة في الشهر الماضي',
+      marketplace: 'www.amazon.eg',
+      expected: { boughtInPastMonth: 500, lowerBound: 500, isPlus: true, locale: 'ar' }
+    },
+    {
+      name: 'Badge after a rating count in card text',
+      html: '4.5 out of 5 stars 2,345 500+ bought in past month',
+      expected: { boughtInPastMonth: 500, lowerBound: 500, isPlus: true, locale: 'en' }
+    },
+    {
+      name: 'Badge after a size in card text',
+      html: 'Size 10 100+ bought in past month',
+      expected: { boughtInPastMonth: 100, lowerBound: 100, isPlus: true, locale: 'en' }
+    },
+    {
+      name: 'French badge with a no-break space',
+      html: '1\u00a0000+ achetés au cours du mois dernier',
+      marketplace: 'www.amazon.fr',
+      expected: { boughtInPastMonth: 1000, lowerBound: 1000, isPlus: true, locale: 'fr' }
+    },
     {
       name: 'No sales data',
       html: 'Product details without sales data',
@@ -245,7 +426,7 @@ function testSalesDataParsing() {
   // Run tests
   testCases.forEach((testCase, index) => {
     // Extract sales data
-    const salesData = parser.extractSalesData(testCase.html);
+    const salesData = parser.extractSalesData(testCase.html, testCase.marketplace);
     
     // Check result
     let passed = false;
@@ -253,8 +434,7 @@ function testSalesDataParsing() {
     if (testCase.expected === null) {
       passed = salesData === null;
     } else if (salesData && testCase.expected) {
-      passed = salesData.boughtInPastMonth === testCase.expected.boughtInPastMonth &&
-               salesData.totalVariants === testCase.expected.totalVariants;
+      passed = Object.keys(testCase.expected).every(key => salesData[key] === testCase.expected[key]);
     }
     
     console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
@@ -270,113 +450,259 @@ function testSalesDataParsing() {
   return passedTests === testCases.length;
 }
 
-// Test cases for variant parsing
-function testVariantParsing() {
-  console.log('Running variant parsing tests');
+// Test cases for review parsing
+function testReviewParsing() {
+  console.log('Running review parsing tests');
   
-  // Create a custom parser for variant tests
-  const parser = new AmazonParser();
+  // Reviews need real markup, so parse with the DOM-free HtmlDocument backend
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
   
-  // Override variant methods for testing
-  parser.extractTwisterData = function(doc) {
-    const html = doc.body.textContent;
-    
-    if (html === 'twister-data') {
-      return [
-        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
-        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
-      ];
+  // Test cases
+  const testCases = [
+    {
+      name: 'US product page with histogram',
+      html: `
+        <span id="acrPopover" title="4.5 out of 5 stars"></span>
+        <span id="acrCustomerReviewText">12,345 ratings</span>
+        <div id="reviewsMedley">
+          <span data-hook="total-review-count">12,345 global ratings</span>
+          <ul id="histogramTable">
+            <li><a aria-label="68 percent of reviews have 5 stars">5 star 68%</a></li>
+            <li><a aria-label="15 percent of reviews have 4 stars">4 star 15%</a></li>
+            <li><a aria-label="7 percent of reviews have 3 stars">3 star 7%</a></li>
+            <li><a aria-label="3 percent of reviews have 2 stars">2 star 3%</a></li>
+            <li><a aria-label="7 percent of reviews have 1 stars">1 star 7%</a></li>
+          </ul>
+          <span>1,234 with reviews</span>
+        </div>`,
+      expected: {
+        averageRating: 4.5,
+        totalRatings: 12345,
+        globalRatings: 12345,
+        writtenReviews: 1234,
+        histogram: [
+          { stars: 5, percentage: 68 },
+          { stars: 4, percentage: 15 },
+          { stars: 3, percentage: 7 },
+          { stars: 2, percentage: 3 },
+          { stars: 1, percentage: 7 }
+        ]
+      }
+    },
+    {
+      name: 'German review format',
+      html: `
+        <span id="acrPopover" title="4,3 von 5 Sternen"></span>
+        <span id="acrCustomerReviewText">12.345 Sternebewertungen</span>
+        <table id="histogramTable">
+          <tr><td>5 Sterne</td><td>70 %</td></tr>
+          <tr><td>1 Stern</td><td>5 %</td></tr>
+        </table>`,
+      expected: {
+        averageRating: 4.3,
+        totalRatings: 12345,
+        globalRatings: 12345,
+        writtenReviews: null,
+        histogram: [{ stars: 5, percentage: 70 }, { stars: 1, percentage: 5 }]
+      }
+    },
+    {
+      name: 'Japanese review format',
+      html: `
+        <span id="acrPopover" title="5つ星のうち4.2"></span>
+        <span id="acrCustomerReviewText">1,024個の評価</span>
+        <table id="histogramTable"><tr><td>星5つ</td><td>60%</td></tr></table>`,
+      expected: {
+        averageRating: 4.2,
+        totalRatings: 1024,
+        globalRatings: 1024,
+        writtenReviews: null,
+        histogram: [{ stars: 5, percentage: 60 }]
+      }
+    },
+    {
+      name: 'Turkish review format',
+      html: `
+        <span id="acrPopover" title="5 yıldız üzerinden 4,6"></span>
+        <span id="acrCustomerReviewText">1.024 değerlendirme</span>`,
+      marketplace: 'www.amazon.com.tr',
+      expected: {
+        averageRating: 4.6,
+        totalRatings: 1024,
+        globalRatings: 1024,
+        writtenReviews: null,
+        histogram: []
+      }
+    },
+    {
+      name: 'Arabic review format',
+      html: `
+        <span id="acrPopover" title="\u0664.\u0663 من 5 نجوم"></span>
+        <span id="acrCustomerReviewText">\u0662\u066c\u0665\u0660\u0660 تقييم</span>`,
+      marketplace: 'www.amazon.sa',
+      expected: {
+        averageRating: 4.3,
+        totalRatings: 2500,
+        globalRatings: 2500,
+        writtenReviews: null,
+        histogram: []
+      }
+    },
+    {
+      name: 'Rating text next to a count below 1,000',
+      html: `
+        <div id="reviewsMedley"><span data-hook="rating-out-of-text">4.5 out of 5</span> <span data-hook="total-review-count">234 global ratings</span></div>`,
+      expected: {
+        averageRating: 4.5,
+        totalRatings: 234,
+        globalRatings: 234,
+        writtenReviews: null,
+        histogram: []
+      }
+    },
+    {
+      name: 'No review data',
+      html: '<p>Product details without reviews</p>',
+      expected: null
     }
-    
-    return [];
-  };
+  ];
   
-  parser.extractDimensionValues = function(doc) {
-    const html = doc.body.textContent;
-    
-    if (html === 'dimension-data') {
-      return [
-        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
-        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
-      ];
-    }
-    
-    return [];
-  };
+  let passedTests = 0;
   
-  parser.parseVariants = function(doc) {
-    const html = doc.body.textContent;
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    // Parse reviews
+    const reviews = parser.parseReviews(parser.getDocumentAdapter().parse(testCase.html), testCase.marketplace);
     
-    if (html === 'variation-elements') {
-      return [
-        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
-        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
-      ];
-    }
+    // Check result
+    const passed = JSON.stringify(reviews) === JSON.stringify(testCase.expected);
     
-    if (html === 'dropdown-variants') {
-      return [
-        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
-        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
-      ];
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(reviews)}`);
     }
     
-    if (html === 'link-variants') {
-      return [
-        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
-        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
-      ];
+    if (passed) passedTests++;
+  });
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length} passed`);
+  return passedTests === testCases.length;
+}
+
+// Test cases for price parsing
+function testPriceParsing() {
+  console.log('Running price parsing tests');
+  
+  // Pricing needs real markup, so parse with the DOM-free HtmlDocument backend
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  
+  // Test cases
+  const testCases = [
+    { name: 'US price', text: '$1,234.56', marketplace: 'www.amazon.com', expected: { amount: 1234.56, currency: 'USD' } },
+    { name: 'German price', text: '1.234,56 €', marketplace: 'www.amazon.de', expected: { amount: 1234.56, currency: 'EUR' } },
+    { name: 'French price', text: '1 234,56 €', marketplace: 'www.amazon.fr', expected: { amount: 1234.56, currency: 'EUR' } },
+    { name: 'Italian price', text: '12,99 €', marketplace: 'www.amazon.it', expected: { amount: 12.99, currency: 'EUR' } },
+    { name: 'Spanish price', text: '1.099,00 €', marketplace: 'www.amazon.es', expected: { amount: 1099, currency: 'EUR' } },
+    { name: 'Canadian dollar', text: '$19.99', marketplace: 'www.amazon.ca', expected: { amount: 19.99, currency: 'CAD' } },
+    { name: 'Japanese yen', text: '￥1,980', marketplace: 'www.amazon.co.jp', expected: { amount: 1980, currency: 'JPY' } },
+    { name: 'Chinese yuan', text: '¥99.00', marketplace: 'www.amazon.cn', expected: { amount: 99, currency: 'CNY' } },
+    { name: 'Brazilian real', text: 'R$ 1.299,90', marketplace: 'www.amazon.com.br', expected: { amount: 1299.9, currency: 'BRL' } },
+    { name: 'Indian rupee', text: '₹1,23,456.00', marketplace: 'www.amazon.in', expected: { amount: 123456, currency: 'INR' } },
+    { name: 'No price', text: 'Currently unavailable', marketplace: 'www.amazon.com', expected: null }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const price = parser.parsePrice(testCase.text, testCase.marketplace);
+    const passed = JSON.stringify(price) === JSON.stringify(testCase.expected);
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(price)}`);
     }
     
-    return [];
-  };
+    if (passed) passedTests++;
+  });
+  
+  // Full detail page buybox on amazon.de
+  const html = `
+    <div id="corePriceDisplay_desktop_feature_div">
+      <span class="a-price priceToPay"><span class="a-offscreen">1.234,56 €</span></span>
+      <span class="basisPrice">UVP: <span class="a-price a-text-price"><span class="a-offscreen">1.499,00 €</span></span></span>
+    </div>
+    <div id="promoPriceBlockMessage_feature_div"><label id="couponTextpctch1">Spare 5 % mit Coupon</label></div>
+    <div id="dealBadge_feature_div"><span>Blitzangebot</span> <span>42 % beansprucht</span></div>
+    <div id="snsAccordionRowMiddle">Spar-Abo <span class="a-price"><span class="a-offscreen">1.172,83 €</span></span> Sparen Sie 5 %</div>`;
+  const pricing = parser.parsePricing(parser.getDocumentAdapter().parse(html), 'www.amazon.de');
+  const pagePassed = pricing !== null &&
+    pricing.currency === 'EUR' &&
+    pricing.price.amount === 1234.56 &&
+    pricing.listPrice.amount === 1499 &&
+    pricing.coupon.type === 'percent' && pricing.coupon.value === 5 &&
+    pricing.deal.type === 'lightning' && pricing.deal.percentClaimed === 42 &&
+    pricing.subscribeAndSave.amount === 1172.83 && pricing.subscribeAndSave.discountPercent === 5;
+  
+  console.log(`Test ${testCases.length + 1} (German detail page pricing): ${pagePassed ? 'PASSED' : 'FAILED'}`);
+  if (!pagePassed) {
+    console.log(`  Actual: ${JSON.stringify(pricing)}`);
+  }
+  if (pagePassed) passedTests++;
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length + 1} passed`);
+  return passedTests === testCases.length + 1;
+}
+
+// Test cases for seller and fulfillment parsing
+function testSellerParsing() {
+  console.log('Running seller parsing tests');
+  
+  // The buybox needs real markup, so parse with the DOM-free HtmlDocument backend
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
   
   // Test cases
   const testCases = [
     {
-      name: 'Variants from twister data',
-      html: 'twister-data',
-      expected: [
-        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
-        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
-      ]
-    },
-    {
-      name: 'Variants from variation elements',
-      html: 'variation-elements',
-      expected: [
-        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
-        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
-      ]
+      name: 'FBA seller in tabular buybox',
+      html: `
+        <div id="tabular-buybox">
+          <div class="tabular-buybox-label">Ships from</div>
+          <div class="tabular-buybox-text" tabular-attribute-name="Ships from"><span>Amazon</span></div>
+          <div class="tabular-buybox-label">Sold by</div>
+          <div class="tabular-buybox-text" tabular-attribute-name="Sold by">
+            <a id="sellerProfileTriggerId" href="/gp/help/seller/at-a-glance.html?ie=UTF8&seller=A1B2C3D4E5F6G7&asin=B08N5KWB9H">Anker Direct</a>
+          </div>
+        </div>`,
+      expected: { sellerName: 'Anker Direct', sellerId: 'A1B2C3D4E5F6G7', shipsFrom: 'Amazon', fulfillmentChannel: 'FBA', amazonHoldsBuyBox: false }
     },
     {
-      name: 'Variants from dimension data',
-      html: 'dimension-data',
-      expected: [
-        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
-        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
-      ]
+      name: 'Sold by Amazon',
+      html: `
+        <div id="fulfillerInfoFeature_feature_div"><span class="offer-display-feature-text-message">Amazon.com</span></div>
+        <div id="merchantInfoFeature_feature_div"><span class="offer-display-feature-text-message">Amazon.com</span></div>`,
+      expected: { sellerName: 'Amazon.com', sellerId: null, shipsFrom: 'Amazon.com', fulfillmentChannel: 'AMAZON', amazonHoldsBuyBox: true }
     },
     {
-      name: 'Variants from dropdown options',
-      html: 'dropdown-variants',
-      expected: [
-        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
-        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
-      ]
+      name: 'German FBM seller',
+      html: `
+        <div id="tabular-buybox">
+          <div class="tabular-buybox-label">Versand</div><div class="tabular-buybox-text">Kleiner Shop</div>
+          <div class="tabular-buybox-label">Verkäufer</div><div class="tabular-buybox-text"><a href="/sp?seller=A2KLEINSHOP1">Kleiner Shop</a></div>
+        </div>`,
+      expected: { sellerName: 'Kleiner Shop', sellerId: 'A2KLEINSHOP1', shipsFrom: 'Kleiner Shop', fulfillmentChannel: 'FBM', amazonHoldsBuyBox: false }
     },
     {
-      name: 'Variants from link URLs',
-      html: 'link-variants',
-      expected: [
-        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
-        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
-      ]
+      name: 'Merchant info sentence',
+      html: '<div id="merchant-info">Sold by Best Deals Inc and Fulfilled by Amazon.</div>',
+      expected: { sellerName: 'Best Deals Inc', sellerId: null, shipsFrom: 'Amazon', fulfillmentChannel: 'FBA', amazonHoldsBuyBox: false }
     },
     {
-      name: 'No variants',
-      html: 'Product details without variants',
-      expected: []
+      name: 'No buybox',
+      html: '<p>Currently unavailable</p>',
+      expected: null
     }
   ];
   
@@ -384,35 +710,13 @@ function testVariantParsing() {
   
   // Run tests
   testCases.forEach((testCase, index) => {
-    // Create mock document
-    const doc = new DOMParser().parseFromString(testCase.html);
-    
-    // Extract variant data
-    let variantData;
-    if (testCase.html === 'twister-data') {
-      variantData = parser.extractTwisterData(doc);
-    } else if (testCase.html === 'dimension-data') {
-      variantData = parser.extractDimensionValues(doc);
-    } else {
-      variantData = parser.parseVariants(doc);
-    }
-    
-    // Check result
-    let passed = false;
-    
-    if (testCase.expected.length === 0) {
-      passed = variantData.length === 0;
-    } else if (variantData && testCase.expected) {
-      passed = variantData.length === testCase.expected.length &&
-               variantData.every((item, i) => 
-                 item.asin === testCase.expected[i].asin
-               );
-    }
+    const seller = parser.parseSellerInfo(parser.getDocumentAdapter().parse(testCase.html));
+    const passed = JSON.stringify(seller) === JSON.stringify(testCase.expected);
     
     console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
     if (!passed) {
       console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
-      console.log(`  Actual: ${JSON.stringify(variantData)}`);
+      console.log(`  Actual: ${JSON.stringify(seller)}`);
     }
     
     if (passed) passedTests++;
@@ -422,11 +726,1065 @@ function testVariantParsing() {
   return passedTests === testCases.length;
 }
 
-// Test cases for sales data aggregation
-function testSalesDataAggregation() {
-  console.log('Running sales data aggregation tests');
+// Test cases for "Date First Available" parsing
+function testDateFirstAvailableParsing() {
+  console.log('Running date first available parsing tests');
   
-  const parser = new AmazonParser();
+  // Detail tables need real markup, so parse with the DOM-free HtmlDocument backend
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  
+  // Test cases
+  const testCases = [
+    {
+      name: 'US product information table',
+      html: '<table id="productDetails_detailBullets_sections1"><tr><th>Date First Available</th><td>March 3, 2021</td></tr></table>',
+      expected: '2021-03-03'
+    },
+    {
+      name: 'UK detail bullets',
+      html: '<div id="detailBullets_feature_div"><ul><li><span>Date First Available \u200f : \u200e</span><span>12 Jan. 2024</span></li></ul></div>',
+      expected: '2024-01-12'
+    },
+    {
+      name: 'German detail bullets',
+      html: '<div id="detailBullets_feature_div"><ul><li><span>Im Angebot von Amazon.de seit \u200f : \u200e</span><span>3. März 2021</span></li></ul></div>',
+      expected: '2021-03-03'
+    },
+    {
+      name: 'French detail bullets',
+      html: '<div id="detailBullets_feature_div"><ul><li><span>Date de mise en ligne sur Amazon.fr : </span><span>17 décembre 2019</span></li></ul></div>',
+      expected: '2019-12-17'
+    },
+    {
+      name: 'Spanish detail bullets',
+      html: '<div id="detailBullets_feature_div"><ul><li><span>Producto en Amazon.es desde : </span><span>5 de mayo de 2022</span></li></ul></div>',
+      expected: '2022-05-05'
+    },
+    {
+      name: 'Japanese detail bullets',
+      html: '<div id="detailBullets_feature_div"><ul><li><span>Amazon.co.jp での取り扱い開始日 : </span><span>2020/12/1</span></li></ul></div>',
+      expected: '2020-12-01'
+    },
+    {
+      name: 'Dutch detail bullets',
+      html: '<div id="detailBullets_feature_div"><ul><li><span>Datum eerste beschikbaarheid : </span><span>12 maart 2023</span></li></ul></div>',
+      marketplace: 'www.amazon.nl',
+      expected: '2023-03-12'
+    },
+    {
+      name: 'Polish detail bullets',
+      html: '<div id="detailBullets_feature_div"><ul><li><span>Data pierwszej dostępności : </span><span>9 października 2021</span></li></ul></div>',
+      marketplace: 'www.amazon.pl',
+      expected: '2021-10-09'
+    },
+    {
+      name: 'Turkish detail bullets',
+      html: '<div id="detailBullets_feature_div"><ul><li><span>Satışa sunulduğu ilk tarih : </span><span>14 Şubat 2022</span></li></ul></div>',
+      marketplace: 'www.amazon.com.tr',
+      expected: '2022-02-14'
+    },
+    {
+      name: 'Arabic detail bullets',
+      html: '<div id="detailBullets_feature_div"><ul><li><span>تاريخ توفر المنتج لأول مرة : </span><span>\u0661\u0665 مارس \u0662\u0660\u0662\u0661</span></li></ul></div>',
+      marketplace: 'www.amazon.sa',
+      expected: '2021-03-15'
+    },
+    {
+      name: 'No date',
+      html: '<p>Product details without a date</p>',
+      expected: null
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const date = parser.parseDateFirstAvailable(parser.getDocumentAdapter().parse(testCase.html), testCase.marketplace);
+    const passed = date === testCase.expected;
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${testCase.expected}`);
+      console.log(`  Actual: ${date}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  // Listing age is counted in whole days
+  const agePassed = parser.getListingAgeDays('2021-03-03', new Date('2021-03-13T12:00:00Z')) === 10 &&
+                    parser.getListingAgeDays(null) === null;
+  console.log(`Test ${testCases.length + 1} (Listing age): ${agePassed ? 'PASSED' : 'FAILED'}`);
+  if (agePassed) passedTests++;
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length + 1} passed`);
+  return passedTests === testCases.length + 1;
+}
+
+// Test cases for dimension and weight parsing
+function testPhysicalAttributeParsing() {
+  console.log('Running physical attribute parsing tests');
+  
+  // Detail tables need real markup, so parse with the DOM-free HtmlDocument backend
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  
+  // Test cases
+  const testCases = [
+    {
+      name: 'US package dimensions with weight',
+      html: `
+        <table id="productDetails_detailBullets_sections1">
+          <tr><th>Package Dimensions</th><td>12.1 x 8.2 x 3.1 inches; 1.5 Pounds</td></tr>
+          <tr><th>Item Weight</th><td>19.2 ounces</td></tr>
+        </table>`,
+      expected: {
+        productDimensions: null,
+        packageDimensions: {
+          centimeters: { length: 30.73, width: 20.83, height: 7.87 },
+          inches: { length: 12.1, width: 8.2, height: 3.1 }
+        },
+        itemWeight: { grams: 544.31, kilograms: 0.544, pounds: 1.2, ounces: 19.2 },
+        shippingWeight: { grams: 680.39, kilograms: 0.68, pounds: 1.5, ounces: 24 }
+      }
+    },
+    {
+      name: 'German detail bullets in cm and kg',
+      html: `
+        <div id="detailBullets_feature_div"><ul>
+          <li><span>Produktabmessungen \u200f : \u200e</span><span>25,4 x 12,7 x 5,08 cm; 544 Gramm</span></li>
+          <li><span>Versandgewicht \u200f : \u200e</span><span>1,2 kg</span></li>
+        </ul></div>`,
+      expected: {
+        productDimensions: {
+          centimeters: { length: 25.4, width: 12.7, height: 5.08 },
+          inches: { length: 10, width: 5, height: 2 }
+        },
+        packageDimensions: null,
+        itemWeight: { grams: 544, kilograms: 0.544, pounds: 1.2, ounces: 19.19 },
+        shippingWeight: { grams: 1200, kilograms: 1.2, pounds: 2.65, ounces: 42.33 }
+      }
+    },
+    {
+      name: 'Japanese package size',
+      html: '<table id="productDetails_techSpec_section_1"><tr><th>梱包サイズ</th><td>30 x 20 x 10 cm; 500 g</td></tr></table>',
+      expected: {
+        productDimensions: null,
+        packageDimensions: {
+          centimeters: { length: 30, width: 20, height: 10 },
+          inches: { length: 11.81, width: 7.87, height: 3.94 }
+        },
+        itemWeight: null,
+        shippingWeight: { grams: 500, kilograms: 0.5, pounds: 1.1, ounces: 17.64 }
+      }
+    },
+    {
+      name: 'Dutch detail bullets',
+      html: `
+        <div id="detailBullets_feature_div"><ul>
+          <li><span>Productafmetingen \u200f : \u200e</span><span>25,4 x 12,7 x 5,08 cm; 544 gram</span></li>
+        </ul></div>`,
+      marketplace: 'www.amazon.nl',
+      expected: {
+        productDimensions: {
+          centimeters: { length: 25.4, width: 12.7, height: 5.08 },
+          inches: { length: 10, width: 5, height: 2 }
+        },
+        packageDimensions: null,
+        itemWeight: { grams: 544, kilograms: 0.544, pounds: 1.2, ounces: 19.19 },
+        shippingWeight: null
+      }
+    },
+    {
+      name: 'Swedish, Polish and Turkish weights',
+      html: `
+        <div id="detailBullets_feature_div"><ul>
+          <li><span>Artikelvikt : </span><span>1,2 kg</span></li>
+          <li><span>Waga przesyłki : </span><span>500 g</span></li>
+          <li><span>Paket Boyutları : </span><span>30 x 20 x 10 cm</span></li>
+        </ul></div>`,
+      marketplace: 'www.amazon.se',
+      expected: {
+        productDimensions: null,
+        packageDimensions: {
+          centimeters: { length: 30, width: 20, height: 10 },
+          inches: { length: 11.81, width: 7.87, height: 3.94 }
+        },
+        itemWeight: { grams: 1200, kilograms: 1.2, pounds: 2.65, ounces: 42.33 },
+        shippingWeight: { grams: 500, kilograms: 0.5, pounds: 1.1, ounces: 17.64 }
+      }
+    },
+    {
+      name: 'Arabic package dimensions',
+      html: '<div id="detailBullets_feature_div"><ul><li><span>أبعاد العبوة : </span><span>\u0663\u0660 × \u0662\u0660 × \u0661\u0660 سم؛ \u0665\u0660\u0660 جرام</span></li></ul></div>',
+      marketplace: 'www.amazon.sa',
+      expected: {
+        productDimensions: null,
+        packageDimensions: {
+          centimeters: { length: 30, width: 20, height: 10 },
+          inches: { length: 11.81, width: 7.87, height: 3.94 }
+        },
+        itemWeight: null,
+        shippingWeight: { grams: 500, kilograms: 0.5, pounds: 1.1, ounces: 17.64 }
+      }
+    },
+    {
+      name: 'No physical attributes',
+      html: '<p>Product details without dimensions</p>',
+      expected: null
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const physical = parser.parsePhysicalAttributes(parser.getDocumentAdapter().parse(testCase.html), testCase.marketplace);
+    const passed = JSON.stringify(physical) === JSON.stringify(testCase.expected);
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(physical)}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  // Rows without a value are not recorded as the source
+  const unparsedData = parser.parseProductPage(`
+    <table id="productDetails_detailBullets_sections1">
+      <tr><th>Item Weight</th><td>See product description</td></tr>
+      <tr><th>Shipping Weight</th><td>1.5 Pounds</td></tr>
+    </table>`, 'B08N5KWB9H');
+  const provenancePassed = unparsedData.physical.itemWeight === null &&
+    unparsedData.provenance.physical.selector.startsWith('Shipping Weight');
+  
+  console.log(`Test ${testCases.length + 1} (Provenance of parsed rows only): ${provenancePassed ? 'PASSED' : 'FAILED'}`);
+  if (!provenancePassed) {
+    console.log(`  Actual: ${JSON.stringify(unparsedData.provenance.physical)}`);
+  }
+  if (provenancePassed) passedTests++;
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length + 1} passed`);
+  return passedTests === testCases.length + 1;
+}
+
+// Test cases for variant parsing
+function testVariantParsing() {
+  console.log('Running variant parsing tests');
+  
+  // Create a custom parser for variant tests
+  const parser = new AmazonParser();
+  
+  // Override variant methods for testing
+  parser.extractTwisterData = function(doc) {
+    const html = doc.body.textContent;
+    
+    if (html === 'twister-data') {
+      return [
+        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ];
+    }
+    
+    return [];
+  };
+  
+  parser.extractDimensionValues = function(doc) {
+    const html = doc.body.textContent;
+    
+    if (html === 'dimension-data') {
+      return [
+        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ];
+    }
+    
+    return [];
+  };
+  
+  parser.parseVariants = function(doc) {
+    const html = doc.body.textContent;
+    
+    if (html === 'variation-elements') {
+      return [
+        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ];
+    }
+    
+    if (html === 'dropdown-variants') {
+      return [
+        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ];
+    }
+    
+    if (html === 'link-variants') {
+      return [
+        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ];
+    }
+    
+    return [];
+  };
+  
+  // Test cases
+  const testCases = [
+    {
+      name: 'Variants from twister data',
+      html: 'twister-data',
+      expected: [
+        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ]
+    },
+    {
+      name: 'Variants from variation elements',
+      html: 'variation-elements',
+      expected: [
+        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ]
+    },
+    {
+      name: 'Variants from dimension data',
+      html: 'dimension-data',
+      expected: [
+        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ]
+    },
+    {
+      name: 'Variants from dropdown options',
+      html: 'dropdown-variants',
+      expected: [
+        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ]
+    },
+    {
+      name: 'Variants from link URLs',
+      html: 'link-variants',
+      expected: [
+        { asin: 'B08N5KWB9H', boughtInPastMonth: 0 },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ]
+    },
+    {
+      name: 'No variants',
+      html: 'Product details without variants',
+      expected: []
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    // Create mock document
+    const doc = new DOMParser().parseFromString(testCase.html);
+    
+    // Extract variant data
+    let variantData;
+    if (testCase.html === 'twister-data') {
+      variantData = parser.extractTwisterData(doc);
+    } else if (testCase.html === 'dimension-data') {
+      variantData = parser.extractDimensionValues(doc);
+    } else {
+      variantData = parser.parseVariants(doc);
+    }
+    
+    // Check result
+    let passed = false;
+    
+    if (testCase.expected.length === 0) {
+      passed = variantData.length === 0;
+    } else if (variantData && testCase.expected) {
+      passed = variantData.length === testCase.expected.length &&
+               variantData.every((item, i) => 
+                 item.asin === testCase.expected[i].asin
+               );
+    }
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(variantData)}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length} passed`);
+  return passedTests === testCases.length;
+}
+
+// Test cases for the variation model
+function testVariationModelParsing() {
+  console.log('Running variation model parsing tests');
+  
+  // Swatches need real markup, so parse with the DOM-free HtmlDocument backend
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  
+  const twisterData = {
+    dimensions: ['size_name', 'color_name'],
+    dimensionsDisplay: ['Size', 'Color'],
+    variationValues: { size_name: ['S', 'M'], color_name: ['Black', 'White'] },
+    asinVariationValues: {
+      B08N5KWB9H: { size_name: '0', color_name: '0' },
+      B08N5LFLC3: { size_name: '0', color_name: '1' },
+      B08N5M7S6K: { size_name: '1', color_name: '0' }
+    },
+    dimensionValuesDisplayData: { B08N5KWB9H: ['S', 'Black'] },
+    currentAsin: 'B08N5KWB9H',
+    parentAsin: 'B08N5P1XYZ'
+  };
+  
+  const html = `
+    <script>var dataToReturn = ${JSON.stringify(twisterData)};</script>
+    <div id="variation_color_name">
+      <label class="a-form-label">Color:</label>
+      <ul>
+        <li data-defaultasin="B08N5KWB9H" class="swatchSelect" title="Click to select Black"><img alt="Black"></li>
+        <li data-defaultasin="B08N5LFLC3" class="swatchUnavailable" title="Click to select White"><img alt="White"></li>
+      </ul>
+    </div>`;
+  
+  const swatchOnlyHtml = `
+    <input type="hidden" name="parentASIN" value="B07PARENT1">
+    <div id="variation_size_name">
+      <span class="a-form-label">Size:</span>
+      <ul>
+        <li data-dp-url="/dp/B07CHILD01" class="swatchAvailable" title="Click to select 128GB"></li>
+        <li data-dp-url="/dp/B07CHILD02" class="swatchSelect" title="Click to select 256GB"></li>
+      </ul>
+    </div>`;
+  
+  // Test cases
+  const testCases = [
+    {
+      name: 'Twister data with swatch availability',
+      actual: parser.parseProductPage(html, 'B08N5KWB9H').variations,
+      expected: {
+        parentAsin: 'B08N5P1XYZ',
+        currentAsin: 'B08N5KWB9H',
+        dimensions: [
+          { key: 'size_name', name: 'Size', values: ['S', 'M'] },
+          { key: 'color_name', name: 'Color', values: ['Black', 'White'] }
+        ],
+        children: [
+          { asin: 'B08N5KWB9H', dimensionValues: { size_name: 'S', color_name: 'Black' }, available: true, selected: true },
+          { asin: 'B08N5LFLC3', dimensionValues: { size_name: 'S', color_name: 'White' }, available: false, selected: false },
+          { asin: 'B08N5M7S6K', dimensionValues: { size_name: 'M', color_name: 'Black' }, available: null, selected: false }
+        ]
+      }
+    },
+    {
+      name: 'Swatches only',
+      actual: parser.parseProductPage(swatchOnlyHtml, 'B07CHILD02').variations,
+      expected: {
+        parentAsin: 'B07PARENT1',
+        currentAsin: 'B07CHILD02',
+        dimensions: [{ key: 'size_name', name: 'Size', values: ['128GB', '256GB'] }],
+        children: [
+          { asin: 'B07CHILD01', dimensionValues: { size_name: '128GB' }, available: true, selected: false },
+          { asin: 'B07CHILD02', dimensionValues: { size_name: '256GB' }, available: true, selected: true }
+        ]
+      }
+    },
+    {
+      name: 'Product without variations',
+      actual: parser.parseProductPage('<p>Single product</p>', 'B08N5KWB9H').variations,
+      expected: null
+    },
+    {
+      name: 'Dimension name from key',
+      actual: parser.getDimensionName('item_package_quantity'),
+      expected: 'Item Package Quantity'
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const passed = JSON.stringify(testCase.actual) === JSON.stringify(testCase.expected);
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(testCase.actual)}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length} passed`);
+  return passedTests === testCases.length;
+}
+
+// Test cases for badge detection
+function testBadgeParsing() {
+  console.log('Running badge parsing tests');
+  
+  // Badges need real markup, so parse with the DOM-free HtmlDocument backend
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  
+  const detailHtml = `
+    <div id="zeitgeistBadge_feature_div">
+      <a class="badge-link" title="Power Banks"><i class="p13n-best-seller-badge">#1 Best Seller</i>
+      <span class="cat-name"><span class="cat-link">in Power Banks</span></span></a>
+    </div>
+    <div id="acBadge_feature_div">
+      <span class="ac-badge-wrapper">Amazon's <span>Choice</span> <span class="ac-for-text">for</span>
+      <span class="ac-keyword-link"><a href="/s?k=portable+charger">"portable charger"</a></span></span>
+    </div>
+    <div id="climatePledgeFriendlyBadge"><span>Climate Pledge Friendly</span></div>
+    <i class="a-icon a-icon-prime" aria-label="Amazon Prime"></i>`;
+  
+  const cardHtml = `
+    <div data-asin="B08N5KWB9H" data-component-type="s-search-result">
+      <span class="a-badge"><span class="a-badge-label"><span class="a-badge-text">Best Seller</span></span>
+      <span class="a-badge-supplementary-text">in Cell Phone Portable Power Banks</span></span>
+      <span class="a-badge"><span class="a-badge-text">Overall Pick</span></span>
+      <img alt="Small Business" src="small-business.png">
+    </div>`;
+  const card = parser.getDocumentAdapter().parse(cardHtml).querySelector('[data-asin]');
+  
+  const carouselHtml = `
+    <div id="ppd">
+      <div id="centerCol"><div id="acBadge_feature_div"><span class="ac-badge-wrapper">Amazon's Choice</span></div></div>
+      <div id="rightCol"><i class="a-icon a-icon-prime" aria-label="Amazon Prime"></i></div>
+    </div>
+    <div id="sims-fbt">
+      <span class="a-badge"><span class="a-badge-text">Best Seller</span></span>
+      <i class="a-icon a-icon-prime" aria-label="Amazon Prime"></i>
+    </div>
+    <div id="sp_detail"><span class="a-badge"><span class="a-badge-text">Overall Pick</span></span></div>`;
+  
+  // Test cases
+  const testCases = [
+    {
+      name: 'Detail page badges',
+      actual: parser.parseProductPage(detailHtml, 'B08N5KWB9H').badges,
+      expected: [
+        { type: 'best-seller', label: '#1 Best Seller', category: 'Power Banks' },
+        { type: 'amazons-choice', label: "Amazon's Choice", keyword: 'portable charger' },
+        { type: 'climate-pledge', label: 'Climate Pledge Friendly' },
+        { type: 'prime', label: 'Prime' }
+      ]
+    },
+    {
+      name: 'Carousel badges outside the product containers',
+      actual: parser.parseProductPage(carouselHtml, 'B08N5KWB9H').badges,
+      expected: [
+        { type: 'amazons-choice', label: "Amazon's Choice", keyword: null },
+        { type: 'prime', label: 'Prime' }
+      ]
+    },
+    {
+      name: 'Search card badges',
+      actual: parser.parseBadges(card),
+      expected: [
+        { type: 'best-seller', label: '#1 Best Seller', category: 'Cell Phone Portable Power Banks' },
+        { type: 'overall-pick', label: 'Overall Pick' },
+        { type: 'small-business', label: 'Small Business' }
+      ]
+    },
+    {
+      name: "Amazon's Choice without keyword",
+      actual: parser.parseBadges(parser.getDocumentAdapter().parse('<span class="a-badge">Amazon\'s Choice</span>')),
+      expected: [{ type: 'amazons-choice', label: "Amazon's Choice", keyword: null }]
+    },
+    {
+      name: 'No badges',
+      actual: parser.parseBadges(parser.getDocumentAdapter().parse('<p>Plain product</p>')),
+      expected: []
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const passed = JSON.stringify(testCase.actual) === JSON.stringify(testCase.expected);
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(testCase.actual)}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length} passed`);
+  return passedTests === testCases.length;
+}
+
+// Test cases for All Offers Display parsing
+function testOfferListingParsing() {
+  console.log('Running offer listing parsing tests');
+  
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  
+  const offerListing = parser.parseOfferListing(`
+    <div id="aod-container">
+      <input type="hidden" id="aod-total-offer-count" name="aod-total-offer-count" value="7">
+      <div id="aod-pinned-offer">
+        <div id="aod-offer-heading"><h5> New </h5></div>
+        <div id="aod-offer-price"><span class="a-price"><span class="a-offscreen">$21.99</span></span>
+          <i class="a-icon a-icon-prime" aria-label="Amazon Prime"></i>
+          <div id="mir-layout-DELIVERY_BLOCK"><span data-csa-c-delivery-price="FREE">FREE delivery Friday</span></div></div>
+        <div id="aod-offer-shipsFrom"><div class="a-col-right"><span class="a-color-base">Amazon.com</span></div></div>
+        <div id="aod-offer-soldBy"><div class="a-col-right"><span class="a-size-small a-color-base">Amazon.com</span></div></div>
+      </div>
+      <div id="aod-offer-list">
+        <div id="aod-offer">
+          <div id="aod-offer-heading"><h5>Used - Like New</h5></div>
+          <div id="aod-offer-price"><span class="a-price"><span class="a-offscreen">$15.50</span></span>
+            <div id="mir-layout-DELIVERY_BLOCK"><span data-csa-c-delivery-price="$5.99">$5.99 delivery March 3 - 5</span></div></div>
+          <div id="aod-offer-shipsFrom"><div class="a-col-right"><span class="a-color-base">Gadget Deals</span></div></div>
+          <div id="aod-offer-soldBy"><div class="a-col-right"><a class="a-link-normal" href="/gp/aag/main?seller=A2XYZ123&asin=B08N5KWB9H">Gadget Deals</a></div></div>
+        </div>
+        <div id="aod-offer">
+          <div id="aod-offer-heading"><h5>New</h5></div>
+          <div id="aod-offer-price"><span class="a-price"><span class="a-offscreen">$19.49</span></span>
+            <i class="a-icon a-icon-prime" aria-label="Amazon Prime"></i></div>
+          <div id="aod-offer-shipsFrom"><div class="a-col-right"><span class="a-color-base">Amazon</span></div></div>
+          <div id="aod-offer-soldBy"><div class="a-col-right"><a class="a-link-normal" href="/gp/aag/main?seller=A1B2C3D4E5&asin=B08N5KWB9H">Anker Direct</a></div></div>
+        </div>
+      </div>
+    </div>`, 'B08N5KWB9H', 'www.amazon.com');
+  
+  const summarize = (offer) => [
+    offer.price.amount,
+    offer.shipping && offer.shipping.amount,
+    offer.condition,
+    offer.sellerName,
+    offer.sellerId,
+    offer.fulfillmentChannel,
+    offer.isPrime,
+    offer.isBuyBoxWinner
+  ];
+  
+  // Test cases
+  const testCases = [
+    {
+      name: 'Total offer count',
+      actual: [offerListing.totalOfferCount, offerListing.offers.length],
+      expected: [7, 3]
+    },
+    {
+      name: 'Pinned Buy Box offer sold by Amazon',
+      actual: summarize(offerListing.offers[0]),
+      expected: [21.99, 0, 'NEW', 'Amazon.com', null, 'AMAZON', true, true]
+    },
+    {
+      name: 'Used FBM offer with shipping charge',
+      actual: summarize(offerListing.offers[1]),
+      expected: [15.5, 5.99, 'USED', 'Gadget Deals', 'A2XYZ123', 'FBM', false, false]
+    },
+    {
+      name: 'FBA offer without delivery block',
+      actual: summarize(offerListing.offers[2]),
+      expected: [19.49, null, 'NEW', 'Anker Direct', 'A1B2C3D4E5', 'FBA', true, false]
+    },
+    {
+      name: 'Condition headings',
+      actual: ['Renewed', 'Used - Very Good', 'Gebraucht - Sehr gut', 'Collectible - Like New', 'Neu', 'Unknown'].map(text => parser.normalizeOfferCondition(text)),
+      expected: ['REFURBISHED', 'USED', 'USED', 'COLLECTIBLE', 'NEW', null]
+    },
+    {
+      name: 'Empty fragment',
+      actual: parser.parseOfferListing('<div id="aod-container"></div>', 'B08N5KWB9H').offers,
+      expected: []
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const passed = JSON.stringify(testCase.actual) === JSON.stringify(testCase.expected);
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(testCase.actual)}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length} passed`);
+  return passedTests === testCases.length;
+}
+
+// Test cases for search result card parsing
+function testSearchCardParsing() {
+  console.log('Running search card parsing tests');
+  
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  const now = new Date(2026, 9, 19);
+  const parseCard = (html) => {
+    const card = parser.getDocumentAdapter().parse(html).querySelector('[data-asin]');
+    return parser.parseSearchCard(card, 'www.amazon.com', now);
+  };
+  
+  const cardData = parseCard(`
+    <div data-asin="B08N5KWB9H" data-component-type="s-search-result" class="s-result-item AdHolder">
+      <span class="puis-sponsored-label-text">Sponsored</span>
+      <h2><a href="/dp/B08N5KWB9H"><span>Anker Power Bank</span></a></h2>
+      <div class="a-row a-size-small">
+        <span aria-label="4.5 out of 5 stars"><i class="a-icon a-icon-star-small a-star-small-4-5"><span class="a-icon-alt">4.5 out of 5 stars</span></i></span>
+        <a href="/dp/B08N5KWB9H#customerReviews"><span class="a-size-base s-underline-text">(12.3K)</span></a>
+      </div>
+      <div class="a-row a-size-base"><span class="a-color-secondary">2K+ bought in past month</span></div>
+      <span class="a-price"><span class="a-offscreen">$21.99</span></span>
+      <span class="a-price a-text-price"><span class="a-offscreen">$29.99</span></span>
+      <span class="s-coupon-unclipped"><span class="s-coupon-highlight-color">Save 10%</span> with coupon</span>
+      <i class="a-icon a-icon-prime" aria-label="Amazon Prime"></i>
+      <div data-cy="delivery-recipe"><span class="a-color-base">FREE delivery <span class="a-text-bold">Tue, Oct 21</span></span></div>
+    </div>`);
+  
+  const plainCard = parseCard(`
+    <div data-asin="B07XJ8C8F5" data-component-type="s-search-result" class="s-result-item">
+      <h2><a href="/dp/B07XJ8C8F5"><span>USB-C Cable</span></a></h2>
+      <span class="a-price"><span class="a-offscreen">$9.99</span></span>
+    </div>`);
+  
+  // Test cases
+  const testCases = [
+    {
+      name: 'ASIN and price without the list price',
+      actual: [cardData.asin, cardData.price.amount, cardData.price.currency],
+      expected: ['B08N5KWB9H', 21.99, 'USD']
+    },
+    {
+      name: 'Rating and abbreviated rating count',
+      actual: [cardData.reviews.averageRating, cardData.reviews.totalRatings],
+      expected: [4.5, 12300]
+    },
+    {
+      name: 'Bought in past month badge',
+      actual: cardData.salesData.lowerBound,
+      expected: 2000
+    },
+    {
+      name: 'Sponsored, Prime and coupon flags',
+      actual: [cardData.sponsored, cardData.isPrime, cardData.coupon.type, cardData.coupon.value],
+      expected: [true, true, 'percent', 10]
+    },
+    {
+      name: 'Delivery date',
+      actual: cardData.delivery.date,
+      expected: '2026-10-21'
+    },
+    {
+      name: 'Card without optional data',
+      actual: [plainCard.asin, plainCard.reviews, plainCard.sponsored, plainCard.isPrime, plainCard.coupon, plainCard.delivery],
+      expected: ['B07XJ8C8F5', null, false, false, null, null]
+    },
+    {
+      name: 'Delivery dates in other formats',
+      actual: [
+        parser.parseDeliveryDate('Get it Jan 3', new Date(2026, 11, 28)),
+        parser.parseDeliveryDate('Lieferung Donnerstag, 23. Oktober', now),
+        parser.parseDeliveryDate('明日 10月20日 にお届け', now),
+        parser.parseDeliveryDate('FREE Shipping', now)
+      ],
+      expected: ['2027-01-03', '2026-10-23', '2026-10-20', null]
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const passed = JSON.stringify(testCase.actual) === JSON.stringify(testCase.expected);
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(testCase.actual)}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length} passed`);
+  return passedTests === testCases.length;
+}
+
+// Test cases for availability parsing
+function testAvailabilityParsing() {
+  console.log('Running availability parsing tests');
+  
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  const parseAvailability = (html) => {
+    const availability = parser.parseAvailability(parser.getDocumentAdapter().parse(html));
+    return availability && [availability.status, availability.quantity, availability.availableDate, availability.shipsWithin];
+  };
+  
+  // Test cases
+  const testCases = [
+    {
+      name: 'In stock',
+      html: '<div id="availability"> <span class="a-size-medium a-color-success">In Stock</span> </div>',
+      expected: ['IN_STOCK', null, null, null]
+    },
+    {
+      name: 'Only N left',
+      html: '<div id="availability"><span class="a-color-price">Only 3 left in stock - order soon.</span></div>',
+      expected: ['LOW_STOCK', 3, null, null]
+    },
+    {
+      name: 'Only N left (German)',
+      html: '<div id="availability"><span>Nur noch 2 auf Lager</span></div>',
+      expected: ['LOW_STOCK', 2, null, null]
+    },
+    {
+      name: 'Temporarily out of stock',
+      html: '<div id="availability"><span>Temporarily out of stock.</span> We are working hard to be back in stock.</div>',
+      expected: ['TEMPORARILY_OUT_OF_STOCK', null, null, null]
+    },
+    {
+      name: 'Usually ships within',
+      html: '<div id="availability"><span>Usually ships within 2 to 3 weeks.</span></div>',
+      expected: ['SHIPS_LATER', null, null, '2 to 3 weeks']
+    },
+    {
+      name: 'Available from date',
+      html: '<div id="availability"><span>In stock on March 3, 2027.</span> Order it now.</div>',
+      expected: ['AVAILABLE_FROM', null, '2027-03-03', null]
+    },
+    {
+      name: 'Currently unavailable',
+      html: '<div id="outOfStock"><span>Currently unavailable.</span> We don\'t know when or if this item will be back in stock.</div>',
+      expected: ['UNAVAILABLE', null, null, null]
+    },
+    {
+      name: 'Currently unavailable (Japanese)',
+      html: '<div id="availability"><span>現在在庫切れです。</span></div>',
+      expected: ['UNAVAILABLE', null, null, null]
+    },
+    {
+      name: 'No availability block',
+      html: '<div id="availability"> </div>',
+      expected: null
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const actual = parseAvailability(testCase.html);
+    const passed = JSON.stringify(actual) === JSON.stringify(testCase.expected);
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(actual)}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length} passed`);
+  return passedTests === testCases.length;
+}
+
+// Test cases for listing content and quality score
+function testListingQuality() {
+  console.log('Running listing quality tests');
+  
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  
+  const productData = parser.parseProductPage(`
+    <span id="productTitle">  Anker Portable Charger, 313 Power Bank (PowerCore Slim 10K) 10000mAh Battery Pack  </span>
+    <a id="askATFLink"><span>1,024 answered questions</span></a>
+    <div id="altImages"><ul>
+      <li class="item imageThumbnail"><img src="1.jpg"></li>
+      <li class="item imageThumbnail"><img src="2.jpg"></li>
+      <li class="item imageThumbnail"><img src="3.jpg"></li>
+      <li class="item videoThumbnail"><span id="videoCount">3 VIDEOS</span></li>
+    </ul></div>
+    <div id="feature-bullets"><ul>
+      <li id="replacementPartsFitmentBullet"><span>Make sure this fits</span></li>
+      <li><span>Slim and light</span></li>
+      <li><span>Charges fast</span></li>
+      <li><span> </span></li>
+    </ul></div>
+    <div id="aplus_feature_div"></div>
+    <div id="aplusBrandStory_feature_div"><div class="apm-brand-story-card"><img src="story.jpg"></div></div>`, 'B08N5KWB9H');
+  
+  const scriptImages = parser.parseListingContent(parser.getDocumentAdapter().parse(`
+    <script>var data = {'colorImages': { 'initial': [{"hiRes":null,"thumb":"a.jpg","large":"b.jpg"},{"hiRes":"c.jpg","thumb":"d.jpg","large":"e.jpg"}]}};</script>`));
+  
+  // Record the marketplace of every locale lookup
+  const localeMarketplaces = [];
+  const localeParser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  const getLocale = localeParser.getLocale;
+  localeParser.getLocale = (marketplace) => {
+    localeMarketplaces.push(marketplace);
+    return getLocale.call(localeParser, marketplace);
+  };
+  const germanContent = localeParser.parseListingContent(localeParser.getDocumentAdapter().parse(`
+    <span id="productTitle">Anker Powerbank</span>
+    <div id="altImages"><ul><li class="item videoThumbnail"><span id="videoCount">2 VIDEOS</span></li></ul></div>
+    <a id="askATFLink"><span>1.024 beantwortete Fragen</span></a>`), 'www.amazon.de');
+  
+  const premium = parser.parseListingContent(parser.getDocumentAdapter().parse(`
+    <span id="productTitle">Short title</span>
+    <div id="aplus"><div class="aplus-v2 aplus-premium"><p>Premium modules</p></div></div>`));
+  
+  // Test cases
+  const testCases = [
+    {
+      name: 'Listing content counts',
+      actual: productData.listingContent,
+      expected: {
+        titleLength: 81,
+        imageCount: 3,
+        videoCount: 3,
+        bulletCount: 2,
+        answeredQuestions: 1024,
+        hasAPlus: false,
+        hasPremiumAPlus: false,
+        hasBrandStory: true
+      }
+    },
+    {
+      name: 'Listing quality score',
+      actual: [productData.listingQuality.score, productData.listingQuality.checks.map(check => check.points)],
+      expected: [60, [9, 10, 6, 15, 10, 0, 0, 10]]
+    },
+    {
+      name: 'Images from the colorImages script',
+      actual: scriptImages.imageCount,
+      expected: 2
+    },
+    {
+      name: 'Counts read with the marketplace locale',
+      actual: [germanContent.videoCount, germanContent.answeredQuestions, localeMarketplaces],
+      expected: [2, 1024, ['www.amazon.de', 'www.amazon.de']]
+    },
+    {
+      name: 'Premium A+ counts as A+',
+      actual: [premium.hasAPlus, premium.hasPremiumAPlus, parser.scoreListingQuality(premium).score],
+      expected: [true, true, 22]
+    },
+    {
+      name: 'No listing content',
+      actual: [parser.parseListingContent(parser.getDocumentAdapter().parse('<p>Plain page</p>')), parser.scoreListingQuality(null)],
+      expected: [null, null]
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const passed = JSON.stringify(testCase.actual) === JSON.stringify(testCase.expected);
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(testCase.actual)}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length} passed`);
+  return passedTests === testCases.length;
+}
+
+// Test cases for per-field provenance
+function testProvenance() {
+  console.log('Running provenance tests');
+  
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  
+  const productData = parser.parseProductPage(`
+    <a id="bylineInfo" href="/stores/Anker">Visit the Anker Store</a>
+    <div id="detailBullets_feature_div"><ul>
+      <li><span>Best Sellers Rank: #1,234 in Electronics (See Top 100 in Electronics)</span></li>
+    </ul></div>
+    <p>Over 2K+ bought in past month</p>`, 'B08N5KWB9H');
+  const canonicalData = parser.parseProductPage(
+    '<link rel="canonical" href="https://www.amazon.com/stores/Anker-Direct/page/1">', 'B08N5KWB9H');
+  
+  const summarize = (source) => source ? [source.strategy, source.confidence, source.excerpt] : null;
+  
+  // Test cases
+  const testCases = [
+    {
+      name: 'Selector match',
+      actual: summarize(productData.provenance.brand),
+      expected: ['selector', 0.95, 'Visit the Anker Store']
+    },
+    {
+      name: 'Detail row match',
+      actual: summarize(productData.provenance.bsr),
+      expected: ['detailRow', 0.85, 'Best Sellers Rank: #1,234 in Electronics (See Top 100 in Electronics)']
+    },
+    {
+      name: 'Whole page text match',
+      actual: productData.provenance.salesData.strategy,
+      expected: 'documentText'
+    },
+    {
+      name: 'Canonical URL fallback',
+      actual: summarize(canonicalData.provenance.brand),
+      expected: ['canonicalUrl', 0.3, 'https://www.amazon.com/stores/Anker-Direct/page/1']
+    },
+    {
+      name: 'Fields that were not found',
+      actual: [productData.provenance.reviews, canonicalData.provenance.bsr],
+      expected: [undefined, undefined]
+    },
+    {
+      name: 'Long excerpts are shortened',
+      actual: parser.getExcerpt(`  ${'a'.repeat(200)}  `).length,
+      expected: 120
+    },
+    {
+      name: 'Only recorded while parsing a page',
+      actual: parser.provenance,
+      expected: null
+    }
+  ];
+  
+  let passedTests = 0;
+  
+  // Run tests
+  testCases.forEach((testCase, index) => {
+    const passed = JSON.stringify(testCase.actual) === JSON.stringify(testCase.expected);
+    
+    console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
+    if (!passed) {
+      console.log(`  Expected: ${JSON.stringify(testCase.expected)}`);
+      console.log(`  Actual: ${JSON.stringify(testCase.actual)}`);
+    }
+    
+    if (passed) passedTests++;
+  });
+  
+  console.log(`Tests completed: ${passedTests}/${testCases.length} passed`);
+  return passedTests === testCases.length;
+}
+
+// Test cases for sales data aggregation
+function testSalesDataAggregation() {
+  console.log('Running sales data aggregation tests');
+  
+  const parser = new AmazonParser();
   
   // Test cases
   const testCases = [
@@ -454,6 +1812,15 @@ function testSalesDataAggregation() {
       ],
       expected: { boughtInPastMonth: 800, totalVariants: 2 }
     },
+    {
+      name: 'Aggregate "+" bounds',
+      mainSalesData: { boughtInPastMonth: 1000, lowerBound: 1000, isPlus: true, totalVariants: 1 },
+      variants: [
+        { asin: 'B08N5KWB9H', salesData: { lowerBound: 50, isPlus: true } },
+        { asin: 'B08N5LFLC3', boughtInPastMonth: 0 }
+      ],
+      expected: { boughtInPastMonth: 1050, totalVariants: 2, lowerBound: 1050, isPlus: true }
+    },
     {
       name: 'No sales data',
       mainSalesData: null,
@@ -475,8 +1842,7 @@ function testSalesDataAggregation() {
     if (testCase.expected === null) {
       passed = aggregatedData === null;
     } else if (aggregatedData && testCase.expected) {
-      passed = aggregatedData.boughtInPastMonth === testCase.expected.boughtInPastMonth &&
-               aggregatedData.totalVariants === testCase.expected.totalVariants;
+      passed = Object.keys(testCase.expected).every(key => aggregatedData[key] === testCase.expected[key]);
     }
     
     console.log(`Test ${index + 1} (${testCase.name}): ${passed ? 'PASSED' : 'FAILED'}`);
@@ -633,26 +1999,65 @@ function runParserTests() {
   console.log('=== Running Amazon Product Parser Tests ===');
   
   const bsrTestsPassed = testBSRParsing();
+  const browseNodeTestsPassed = testBrowseNodeParsing();
   const brandTestsPassed = testBrandParsing();
   const salesDataTestsPassed = testSalesDataParsing();
+  const reviewTestsPassed = testReviewParsing();
+  const priceTestsPassed = testPriceParsing();
+  const sellerTestsPassed = testSellerParsing();
+  const dateTestsPassed = testDateFirstAvailableParsing();
+  const physicalTestsPassed = testPhysicalAttributeParsing();
   const variantTestsPassed = testVariantParsing();
+  const variationModelTestsPassed = testVariationModelParsing();
+  const badgeTestsPassed = testBadgeParsing();
+  const availabilityTestsPassed = testAvailabilityParsing();
+  const offerListingTestsPassed = testOfferListingParsing();
+  const searchCardTestsPassed = testSearchCardParsing();
+  const listingQualityTestsPassed = testListingQuality();
+  const provenanceTestsPassed = testProvenance();
   const aggregationTestsPassed = testSalesDataAggregation();
   const errorHandlingTestsPassed = testErrorHandling();
   const querySelectorTestsPassed = testQuerySelector();
   
   console.log('=== Parser Test Summary ===');
   console.log(`BSR Parsing: ${bsrTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Browse Node Parsing: ${browseNodeTestsPassed ? 'PASSED' : 'FAILED'}`);
   console.log(`Brand Parsing: ${brandTestsPassed ? 'PASSED' : 'FAILED'}`);
   console.log(`Sales Data Parsing: ${salesDataTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Review Parsing: ${reviewTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Price Parsing: ${priceTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Seller Parsing: ${sellerTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Date First Available Parsing: ${dateTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Physical Attribute Parsing: ${physicalTestsPassed ? 'PASSED' : 'FAILED'}`);
   console.log(`Variant Parsing: ${variantTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Variation Model Parsing: ${variationModelTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Badge Parsing: ${badgeTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Availability Parsing: ${availabilityTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Offer Listing Parsing: ${offerListingTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Search Card Parsing: ${searchCardTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Listing Quality: ${listingQualityTestsPassed ? 'PASSED' : 'FAILED'}`);
+  console.log(`Provenance: ${provenanceTestsPassed ? 'PASSED' : 'FAILED'}`);
   console.log(`Sales Data Aggregation: ${aggregationTestsPassed ? 'PASSED' : 'FAILED'}`);
   console.log(`Error Handling: ${errorHandlingTestsPassed ? 'PASSED' : 'FAILED'}`);
   console.log(`QuerySelector: ${querySelectorTestsPassed ? 'PASSED' : 'FAILED'}`);
   console.log(`Overall: ${
     bsrTestsPassed && 
+    browseNodeTestsPassed &&
     brandTestsPassed && 
     salesDataTestsPassed && 
+    reviewTestsPassed &&
+    priceTestsPassed &&
+    sellerTestsPassed &&
+    dateTestsPassed &&
+    physicalTestsPassed &&
     variantTestsPassed && 
+    variationModelTestsPassed &&
+    badgeTestsPassed &&
+    availabilityTestsPassed &&
+    offerListingTestsPassed &&
+    searchCardTestsPassed &&
+    listingQualityTestsPassed &&
+    provenanceTestsPassed &&
     aggregationTestsPassed &&
     errorHandlingTestsPassed &&
     querySelectorTestsPassed ? 'PASSED' : 'FAILED'
@@ -663,9 +2068,22 @@ function runParserTests() {
 if (typeof module !== 'undefined') {
   module.exports = {
     testBSRParsing,
+    testBrowseNodeParsing,
     testBrandParsing,
     testSalesDataParsing,
+    testReviewParsing,
+    testPriceParsing,
+    testSellerParsing,
+    testDateFirstAvailableParsing,
+    testPhysicalAttributeParsing,
     testVariantParsing,
+    testVariationModelParsing,
+    testBadgeParsing,
+    testAvailabilityParsing,
+    testOfferListingParsing,
+    testSearchCardParsing,
+    testListingQuality,
+    testProvenance,
     testSalesDataAggregation,
     testErrorHandling,
     testQuerySelector,
@@ -46,6 +46,9 @@ document.body.innerHTML = `
   <div id="showSalesData-toggle-container">
     <input type="checkbox" id="showSalesData">
   </div>
+  <div id="showReviews-toggle-container">
+    <input type="checkbox" id="showReviews">
+  </div>
   <input type="number" id="cacheExpiry" value="24">
   <input type="number" id="maxCacheSize" value="500">
   <button id="clearCache">清除缓存</button>
@@ -0,0 +1,179 @@
+/**
+ * Tests for the Snapshot Store module
+ */
+
+const zlib = require('zlib');
+
+// In-memory chrome.storage.local
+const storage = {};
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn((keys, callback) => {
+        const result = {};
+        keys.forEach(key => {
+          if (storage[key] !== undefined) result[key] = storage[key];
+        });
+        callback(result);
+      }),
+      set: jest.fn((items, callback) => {
+        Object.assign(storage, JSON.parse(JSON.stringify(items)));
+        if (callback) callback();
+      }),
+      remove: jest.fn((keys, callback) => {
+        keys.forEach(key => delete storage[key]);
+        if (callback) callback();
+      })
+    }
+  }
+};
+
+const { SnapshotStore } = require('../snapshot-store.js');
+
+/**
+ * Read the entries of a zip archive
+ * @param {Uint8Array} zip - The archive
+ * @returns {Object} File contents by name
+ */
+function readZip(zip) {
+  const buffer = Buffer.from(zip);
+  const files = {};
+  const endOffset = buffer.length - 22;
+  expect(buffer.readUInt32LE(endOffset)).toBe(0x06054b50);
+  
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let central = buffer.readUInt32LE(endOffset + 16);
+  
+  for (let i = 0; i < entryCount; i++) {
+    expect(buffer.readUInt32LE(central)).toBe(0x02014b50);
+    const compressedSize = buffer.readUInt32LE(central + 20);
+    const size = buffer.readUInt32LE(central + 24);
+    const nameLength = buffer.readUInt16LE(central + 28);
+    const localOffset = buffer.readUInt32LE(central + 42);
+    const name = buffer.toString('utf8', central + 46, central + 46 + nameLength);
+    
+    expect(buffer.readUInt32LE(localOffset)).toBe(0x04034b50);
+    const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const content = zlib.inflateRawSync(buffer.subarray(dataOffset, dataOffset + compressedSize));
+    expect(content.length).toBe(size);
+    
+    files[name] = content.toString('utf8');
+    central += 46 + nameLength;
+  }
+  
+  return files;
+}
+
+describe('SnapshotStore', () => {
+  let snapshotStore;
+  
+  beforeEach(() => {
+    Object.keys(storage).forEach(key => delete storage[key]);
+    snapshotStore = new SnapshotStore({ maxEntries: 3 });
+  });
+  
+  describe('getCaptureReason', () => {
+    const cases = [
+      {
+        name: 'parse errors',
+        data: { asin: 'B08N5KWB9H', parsingError: true, error: 'Unexpected markup' },
+        expected: { reason: 'parse_error', message: 'Unexpected markup', lowConfidenceFields: [] }
+      },
+      {
+        name: 'fields found by weak strategies',
+        data: { provenance: { brand: { confidence: 0.95 }, reviews: { confidence: 0.25 }, dateFirstAvailable: { confidence: 0.45 } } },
+        expected: { reason: 'low_confidence', message: 'Low confidence: reviews, dateFirstAvailable', lowConfidenceFields: ['reviews', 'dateFirstAvailable'] }
+      },
+      {
+        name: 'good parses',
+        data: { provenance: { brand: { confidence: 0.95 }, bsr: { confidence: 0.85 } } },
+        expected: null
+      }
+    ];
+    
+    cases.forEach(({ name, data, expected }) => {
+      test(`should handle ${name}`, () => {
+        expect(snapshotStore.getCaptureReason(data)).toEqual(expected);
+      });
+    });
+  });
+  
+  test('should store compressed snapshots with ASIN, marketplace and timestamp', async () => {
+    const html = `<html><body>${'<div class="s-result-item">Product</div>'.repeat(200)}</body></html>`;
+    
+    const summary = await snapshotStore.addSnapshot(html, {
+      asin: 'B08N5KWB9H',
+      marketplace: 'www.amazon.de',
+      url: 'https://www.amazon.de/dp/B08N5KWB9H',
+      reason: 'parse_error',
+      message: 'Unexpected markup'
+    });
+    
+    expect(summary.asin).toBe('B08N5KWB9H');
+    expect(summary.marketplace).toBe('www.amazon.de');
+    expect(typeof summary.timestamp).toBe('number');
+    expect(summary.data).toBeUndefined();
+    expect(summary.compressedSize).toBeLessThan(html.length / 10);
+    
+    const [stored] = await snapshotStore.getSnapshots();
+    const restored = zlib.gunzipSync(Buffer.from(stored.data, 'base64')).toString('utf8');
+    expect(restored).toBe(html);
+  });
+  
+  test('should drop the oldest snapshots when the ring buffer is full', async () => {
+    for (const asin of ['B000000001', 'B000000002', 'B000000003', 'B000000004']) {
+      await snapshotStore.addSnapshot(`<html>${asin}</html>`, { asin: asin, reason: 'parse_error' });
+    }
+    
+    const stats = await snapshotStore.getStats();
+    expect(stats.count).toBe(3);
+    expect(stats.snapshots.map(snapshot => snapshot.asin)).toEqual(['B000000002', 'B000000003', 'B000000004']);
+  });
+  
+  test('should keep the compressed size within maxBytes', async () => {
+    const smallStore = new SnapshotStore({ maxEntries: 10, maxBytes: 100 });
+    
+    await smallStore.addSnapshot('<html>first</html>', { asin: 'B000000001', reason: 'parse_error' });
+    await smallStore.addSnapshot('<html>second</html>', { asin: 'B000000002', reason: 'parse_error' });
+    await smallStore.addSnapshot('<html>third</html>', { asin: 'B000000003', reason: 'parse_error' });
+    
+    const stats = await smallStore.getStats();
+    expect(stats.totalBytes).toBeLessThanOrEqual(100);
+    expect(stats.snapshots[stats.count - 1].asin).toBe('B000000003');
+  });
+  
+  test('should skip pages too large for the store', async () => {
+    const tinyStore = new SnapshotStore({ maxBytes: 10 });
+    
+    expect(await tinyStore.addSnapshot('<html>page</html>', { asin: 'B000000001', reason: 'parse_error' })).toBeNull();
+    expect((await tinyStore.getStats()).count).toBe(0);
+  });
+  
+  test('should build a zip with the HTML files and an index', async () => {
+    await snapshotStore.addSnapshot('<html>Prix : 12,99 €</html>', {
+      asin: 'B08N5KWB9H',
+      marketplace: 'www.amazon.fr',
+      reason: 'low_confidence',
+      lowConfidenceFields: ['pricing']
+    });
+    
+    const files = readZip(await snapshotStore.createArchive());
+    const names = Object.keys(files);
+    
+    expect(names.length).toBe(2);
+    expect(names[0]).toMatch(/^B08N5KWB9H-amazon\.fr-\d{8}T\d{6}Z\.html$/);
+    expect(files[names[0]]).toBe('<html>Prix : 12,99 €</html>');
+    
+    const index = JSON.parse(files['index.json']);
+    expect(index[0].file).toBe(names[0]);
+    expect(index[0].reason).toBe('low_confidence');
+    expect(index[0].lowConfidenceFields).toEqual(['pricing']);
+  });
+  
+  test('should clear all snapshots', async () => {
+    await snapshotStore.addSnapshot('<html></html>', { asin: 'B000000001', reason: 'parse_error' });
+    await snapshotStore.clearSnapshots();
+    
+    expect(await snapshotStore.getSnapshots()).toEqual([]);
+  });
+});
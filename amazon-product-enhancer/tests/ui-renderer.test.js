@@ -130,6 +130,308 @@ describe('UIRenderer', () => {
     expect(salesValue.textContent).toContain('3');
   });
   
+  test('should render abbreviated sales badges as lower bounds', () => {
+    const salesData = {
+      boughtInPastMonth: 1000,
+      lowerBound: 1000,
+      isPlus: true,
+      displayText: '1K+ bought in past month',
+      locale: 'en',
+      totalVariants: 1
+    };
+    
+    renderer.renderSalesData(dataContainer, salesData);
+    
+    const salesItem = dataContainer.children[0];
+    expect(salesItem.children[1].textContent).toBe('1,000+ 上个月购买');
+    expect(salesItem.title).toBe('1K+ bought in past month');
+  });
+  
+  test('should render reviews with rating split and histogram', () => {
+    const reviews = {
+      averageRating: 4.5,
+      totalRatings: 12345,
+      globalRatings: 12345,
+      writtenReviews: 1234,
+      histogram: [
+        { stars: 5, percentage: 68 },
+        { stars: 4, percentage: 15 },
+        { stars: 3, percentage: 7 },
+        { stars: 2, percentage: 3 },
+        { stars: 1, percentage: 7 }
+      ]
+    };
+    
+    renderer.renderReviews(dataContainer, reviews);
+    
+    expect(dataContainer.children.length).toBe(2);
+    expect(dataContainer.children[0].children[1].textContent).toBe('4.5 ★ (12,345 个评分 / 1,234 条评论)');
+    expect(dataContainer.children[1].children[1].textContent).toBe('5★ 68% · 4★ 15% · 3★ 7% · 2★ 3% · 1★ 7%');
+  });
+  
+  test('should hide reviews when showReviews is disabled', () => {
+    const productData = {
+      asin: 'B08N5KWB9H',
+      reviews: { averageRating: 4.5, totalRatings: 100, globalRatings: 100, writtenReviews: null, histogram: [] }
+    };
+    
+    const renderReviewsSpy = jest.spyOn(renderer, 'renderReviews');
+    
+    renderer.applyUserSettings({ showReviews: false });
+    renderer.renderProductInfo(container, productData);
+    expect(renderReviewsSpy).not.toHaveBeenCalled();
+    
+    renderer.applyUserSettings({ showReviews: true });
+    renderer.renderProductInfo(container, productData);
+    expect(renderReviewsSpy).toHaveBeenCalledWith(dataContainer, productData.reviews);
+  });
+  
+  test('should render a compact seller badge', () => {
+    const seller = {
+      sellerName: 'Anker Direct',
+      sellerId: 'A1B2C3D4E5F6G7',
+      shipsFrom: 'Amazon',
+      fulfillmentChannel: 'FBA',
+      amazonHoldsBuyBox: false
+    };
+    
+    renderer.renderSellerBadge(dataContainer, seller);
+    
+    const badge = dataContainer.children[0];
+    expect(badge.className).toContain('amz-enhancer-seller-fba');
+    expect(badge.children[0].textContent).toBe('FBA');
+    expect(badge.children[1].textContent).toBe('Anker Direct');
+    expect(badge.title).toContain('A1B2C3D4E5F6G7');
+    expect(badge.title).toContain('第三方卖家');
+  });
+  
+  test('should flag new listings', () => {
+    const recentDate = new Date(Date.now() - 10 * 86400000).toISOString().slice(0, 10);
+    
+    renderer.renderListingAge(dataContainer, recentDate);
+    renderer.renderListingAge(dataContainer, '2015-06-01');
+    
+    const newItem = dataContainer.children[0];
+    expect(newItem.children[1].textContent).toBe(`${recentDate} (10 天)`);
+    expect(newItem.children[2].className).toBe('amz-enhancer-new-listing');
+    
+    const oldItem = dataContainer.children[1];
+    expect(oldItem.children.length).toBe(2);
+  });
+  
+  test('should render badges as icons with details in the tooltip', () => {
+    renderer.renderBadges(dataContainer, [
+      { type: 'best-seller', label: '#1 Best Seller', category: 'Power Banks' },
+      { type: 'prime', label: 'Prime' },
+      { type: 'unknown-badge', label: 'Unknown' }
+    ]);
+    
+    const row = dataContainer.children[0];
+    expect(row.className).toContain('amz-enhancer-badges');
+    expect(row.children.length).toBe(2);
+    expect(row.children[0].className).toBe('amz-enhancer-badge amz-enhancer-badge-best-seller');
+    expect(row.children[0].title).toBe('畅销榜第一: Power Banks');
+    expect(row.children[1].title).toBe('Prime');
+  });
+  
+  test('should report the selected badge type from the filter bar', () => {
+    const onChange = jest.fn();
+    const bar = renderer.createBadgeFilter(onChange);
+    
+    // First child is the label, then one chip per badge type
+    const chips = bar.children.slice(1);
+    expect(chips.map(chip => chip.dataset.badgeType)).toEqual(Object.keys(UIRenderer.badgeStyles));
+    
+    const clickHandler = chips[1].addEventListener.mock.calls[0][1];
+    clickHandler({ preventDefault: jest.fn() });
+    expect(onChange).toHaveBeenLastCalledWith('amazons-choice');
+    expect(chips[1].className).toContain('amz-enhancer-badge-chip-active');
+    
+    // Clicking the active chip again clears the filter
+    clickHandler({ preventDefault: jest.fn() });
+    expect(onChange).toHaveBeenLastCalledWith(null);
+    expect(chips[1].className).not.toContain('amz-enhancer-badge-chip-active');
+  });
+  
+  test('should render a collapsed variant matrix', () => {
+    const variations = {
+      parentAsin: 'B08N5P1XYZ',
+      currentAsin: 'B08N5KWB9H',
+      dimensions: [
+        { key: 'size_name', name: 'Size', values: ['S', 'M'] },
+        { key: 'color_name', name: 'Color', values: ['Black', 'White'] }
+      ],
+      children: [
+        { asin: 'B08N5KWB9H', dimensionValues: { size_name: 'S', color_name: 'Black' }, available: true, selected: true },
+        { asin: 'B08N5LFLC3', dimensionValues: { size_name: 'S', color_name: 'White' }, available: false, selected: false },
+        { asin: 'B08N5M7S6K', dimensionValues: { size_name: 'M', color_name: 'Black' }, available: true, selected: false }
+      ]
+    };
+    
+    renderer.renderVariantMatrix(dataContainer, variations);
+    
+    const item = dataContainer.children[0];
+    expect(item.className).toContain('amz-enhancer-variants');
+    expect(item.children[1].textContent).toBe('3 个 · 1 个缺货');
+    expect(item.title).toBe('父ASIN: B08N5P1XYZ');
+    
+    const matrix = item.children[3];
+    expect(matrix.style.display).toBe('none');
+    
+    // Rows are sizes, columns are colors; M / White is not offered
+    const rows = matrix.children[0].children;
+    expect(rows[0].children.map(cell => cell.textContent)).toEqual(['Size \\ Color', 'Black', 'White']);
+    expect(rows[1].children.map(cell => cell.textContent)).toEqual(['S', '✓', '✗']);
+    expect(rows[2].children.map(cell => cell.textContent)).toEqual(['M', '✓', '–']);
+    expect(rows[1].children[1].className).toBe('amz-enhancer-variant-selected');
+  });
+  
+  test('should not render a variant matrix for single products', () => {
+    renderer.renderVariantMatrix(dataContainer, {
+      parentAsin: null,
+      dimensions: [],
+      children: [{ asin: 'B08N5KWB9H', dimensionValues: {}, available: true, selected: true }]
+    });
+    
+    expect(dataContainer.children.length).toBe(0);
+  });
+  
+  test('should render an alert chip when stock is low', () => {
+    renderer.renderAvailability(dataContainer, { status: 'LOW_STOCK', quantity: 3, availableDate: null, shipsWithin: null, text: 'Only 3 left in stock - order soon.' });
+    renderer.renderAvailability(dataContainer, { status: 'IN_STOCK', quantity: null, availableDate: null, shipsWithin: null, text: 'In Stock' });
+    
+    const lowChip = dataContainer.children[0].children[0];
+    expect(lowChip.className).toBe('amz-enhancer-stock-chip amz-enhancer-stock-low');
+    expect(lowChip.textContent).toBe('仅剩 3 件');
+    expect(lowChip.title).toBe('Only 3 left in stock - order soon.');
+    
+    const inStockChip = dataContainer.children[1].children[0];
+    expect(inStockChip.className).toBe('amz-enhancer-stock-chip amz-enhancer-stock-ok');
+    expect(inStockChip.textContent).toBe('有货');
+  });
+  
+  test('should summarize seller offers by landed price', () => {
+    renderer.renderOfferSummary(dataContainer, {
+      totalOfferCount: 7,
+      offers: [
+        { price: { amount: 21.99, currency: 'USD' }, shipping: { amount: 0, currency: 'USD' }, conditionText: 'New', sellerName: 'Amazon.com', fulfillmentChannel: 'AMAZON', isPrime: true },
+        { price: { amount: 15.5, currency: 'USD' }, shipping: { amount: 5.99, currency: 'USD' }, conditionText: 'Used - Like New', sellerName: 'Gadget Deals', fulfillmentChannel: 'FBM', isPrime: false },
+        { price: { amount: 19.49, currency: 'USD' }, shipping: null, conditionText: 'New', sellerName: 'Anker Direct', fulfillmentChannel: 'FBA', isPrime: true }
+      ]
+    });
+    
+    const item = dataContainer.children[0];
+    expect(item.className).toContain('amz-enhancer-offers');
+    expect(item.children[1].textContent).toBe('7 个 · 最低 USD 19.49');
+    expect(item.title.split('\n')[0]).toBe('FBA/自营: 2 · FBM: 1');
+    expect(item.title).toContain('Gadget Deals (FBM): USD 15.50 Used - Like New');
+  });
+  
+  test('should render sponsored, coupon and delivery flags of a search card', () => {
+    renderer.renderCardFlags(dataContainer, {
+      sponsored: true,
+      coupon: { type: 'percent', value: 10, text: 'Save 10% with coupon' },
+      delivery: { text: 'FREE delivery Tue, Oct 21', date: '2026-10-21' }
+    });
+    renderer.renderCardFlags(dataContainer, { sponsored: false, coupon: null, delivery: null });
+    
+    expect(dataContainer.children.length).toBe(1);
+    const flags = dataContainer.children[0].children;
+    expect(flags.map(flag => flag.textContent)).toEqual(['广告', '优惠券 Save 10% with coupon', '送达 2026-10-21']);
+    expect(flags[0].className).toBe('amz-enhancer-card-flag amz-enhancer-card-flag-sponsored');
+  });
+  
+  test('should load details when the card-only details link is clicked', () => {
+    const onClick = jest.fn();
+    renderer.renderDetailsLink(container, onClick);
+    
+    const link = dataContainer.children[0];
+    expect(link.textContent).toBe('加载BSR/品牌');
+    expect(link.addEventListener).toHaveBeenCalledWith('click', expect.any(Function));
+    
+    const preventDefault = jest.fn();
+    link.addEventListener.mock.calls[0][1]({ preventDefault });
+    expect(preventDefault).toHaveBeenCalled();
+    expect(onClick).toHaveBeenCalled();
+  });
+  
+  test('should render the listing quality score next to BSR', () => {
+    renderer.renderProductInfo(container, {
+      asin: 'B08N5KWB9H',
+      bsr: [{ rank: 1234, category: 'Electronics' }],
+      listingQuality: {
+        score: 60,
+        checks: [
+          { key: 'images', points: 9, maxPoints: 20 },
+          { key: 'brandStory', points: 10, maxPoints: 10 }
+        ]
+      }
+    });
+    
+    // ASIN, BSR, then listing quality
+    const qualityItem = dataContainer.children[2];
+    expect(qualityItem.className).toContain('amz-enhancer-quality-fair');
+    expect(qualityItem.children[1].textContent).toBe('60/100');
+    expect(qualityItem.title).toBe('图片: 9/20\n品牌故事: 10/10');
+  });
+  
+  test('should dim values extracted with low confidence', () => {
+    renderer.renderProductInfo(container, {
+      asin: 'B08N5KWB9H',
+      brand: 'Anker',
+      bsr: [{ rank: 1234, category: 'Electronics' }],
+      provenance: {
+        brand: { strategy: 'canonicalUrl', selector: 'link[rel="canonical"]', confidence: 0.3, excerpt: null },
+        bsr: { strategy: 'detailRow', selector: 'Best Sellers Rank', confidence: 0.85, excerpt: null }
+      }
+    });
+    
+    // ASIN, brand, BSR
+    const [asinItem, brandItem, bsrItem] = dataContainer.children;
+    expect(asinItem.className).not.toContain('amz-enhancer-low-confidence');
+    expect(brandItem.className).toContain('amz-enhancer-low-confidence');
+    expect(brandItem.title).toBe('低可信度 (30%): canonicalUrl');
+    expect(bsrItem.className).not.toContain('amz-enhancer-low-confidence');
+  });
+  
+  test('should mark stale fields while fresh data is fetched', () => {
+    renderer.renderProductInfo(container, {
+      asin: 'B08N5KWB9H',
+      brand: 'Anker',
+      bsr: [{ rank: 1234, category: 'Electronics' }],
+      lastUpdated: '2024-05-01T10:00:00.000Z',
+      stale: true,
+      staleFields: ['bsr']
+    });
+    
+    // ASIN, brand, BSR, then the stale note
+    const [asinItem, brandItem, bsrItem, note] = dataContainer.children;
+    expect(asinItem.className).not.toContain('amz-enhancer-stale');
+    expect(brandItem.className).not.toContain('amz-enhancer-stale');
+    expect(bsrItem.className).toContain('amz-enhancer-stale');
+    expect(note.className).toContain('amz-enhancer-stale-note');
+    expect(note.textContent).toBe('旧数据，正在更新...');
+    expect(note.title).toContain('缓存时间');
+    
+    container.querySelector.mockImplementation(selector => selector === '.amz-enhancer-stale-note' ? note : null);
+    renderer.showRefreshFailed(container);
+    expect(note.textContent).toBe('更新失败，显示的是缓存数据');
+    expect(note.className).toContain('amz-enhancer-stale-note-failed');
+  });
+  
+  test('should render fresh data without stale markers', () => {
+    renderer.renderProductInfo(container, {
+      asin: 'B08N5KWB9H',
+      bsr: [{ rank: 1234, category: 'Electronics' }]
+    });
+    
+    // ASIN and BSR only
+    expect(dataContainer.children.length).toBe(2);
+    dataContainer.children.forEach(item => {
+      expect(item.className).not.toContain('amz-enhancer-stale');
+    });
+  });
+  
   test('should render all product information correctly', () => {
     const productData = {
       asin: 'B08N5KWB9H',
@@ -201,4 +503,25 @@ describe('UIRenderer', () => {
     expect(renderer.formatNumber(1000000)).toBe('1,000,000');
     expect(renderer.formatNumber(0)).toBe('0');
   });
+  
+  test('should format numbers for the configured marketplace', () => {
+    const germanRenderer = new UIRenderer({ marketplace: 'www.amazon.de' });
+    const indianRenderer = new UIRenderer({ marketplace: 'www.amazon.in' });
+    
+    expect(germanRenderer.formatNumber(1234567)).toBe('1.234.567');
+    expect(germanRenderer.formatPrice(1234.5, 'EUR')).toBe('EUR 1.234,50');
+    expect(indianRenderer.formatNumber(1234567)).toBe('12,34,567');
+  });
+  
+  test('should isolate right-to-left values from the layout', () => {
+    renderer.renderBrand(dataContainer, 'سامسونج');
+    renderer.renderBSR(dataContainer, [{ rank: 1234, category: 'الإلكترونيات' }]);
+    
+    const brandValue = dataContainer.children[0].children[1];
+    const bsrValue = dataContainer.children[1].children[1];
+    expect(brandValue.dir).toBe('auto');
+    expect(brandValue.textContent).toBe('سامسونج');
+    expect(bsrValue.dir).toBe('auto');
+    expect(bsrValue.textContent).toBe('#1,234 in الإلكترونيات');
+  });
 });
\ No newline at end of file
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Amazon Product Enhancer - Batch Parser
+ *
+ * Parses saved Amazon product pages outside the browser using the DOM-free
+ * HtmlDocument backend, so the results match what the extension produces.
+ *
+ * Usage:
+ *   node tools/batch-parse.js [--pretty] <file-or-directory>...
+ *
+ * Every .html/.htm file found is parsed and printed as one JSON object per
+ * line. The ASIN is taken from the file name when it contains one, otherwise
+ * from the page itself (canonical link or ASIN input). The marketplace, which
+ * selects number and date formats and marketplace rules, comes from the file
+ * name of debug snapshots ("B08N5KWB9H-amazon.de-20261019T083000Z.html"),
+ * else from the canonical link or og:url of the page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AmazonParser } = require('../parser.js');
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const ASIN_PATTERN = /\b(B0[A-Z0-9]{8}|\d{9}[\dX])\b/;
+const MARKETPLACE_PATTERN = /-(amazon\.[a-z.]+[a-z])-/i;
+
+/**
+ * Collect HTML files from the given paths
+ * @param {Array} inputPaths - Files or directories
+ * @returns {Array} HTML file paths
+ */
+function collectHtmlFiles(inputPaths) {
+  const files = [];
+  
+  inputPaths.forEach(inputPath => {
+    const stats = fs.statSync(inputPath);
+    
+    if (stats.isDirectory()) {
+      const entries = fs.readdirSync(inputPath).sort();
+      files.push(...collectHtmlFiles(entries.map(entry => path.join(inputPath, entry))
+        .filter(entryPath => fs.statSync(entryPath).isDirectory() || isHtmlFile(entryPath))));
+    } else {
+      files.push(inputPath);
+    }
+  });
+  
+  return files;
+}
+
+/**
+ * Check whether a path looks like a saved HTML page
+ * @param {string} filePath - File path
+ * @returns {boolean} True for .html/.htm files
+ */
+function isHtmlFile(filePath) {
+  return HTML_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Detect the ASIN of a saved product page
+ * @param {string} filePath - File path
+ * @param {string} html - Page HTML
+ * @returns {string|null} The ASIN or null if not found
+ */
+function detectAsin(filePath, html) {
+  const fileMatch = path.basename(filePath).match(ASIN_PATTERN);
+  if (fileMatch) {
+    return fileMatch[1];
+  }
+  
+  const canonicalMatch = html.match(/<link[^>]+rel=["']canonical["'][^>]*\/dp\/([A-Z0-9]{10})/i);
+  if (canonicalMatch) {
+    return canonicalMatch[1];
+  }
+  
+  const inputMatch = html.match(/<input[^>]+(?:id|name)=["']ASIN["'][^>]*value=["']([A-Z0-9]{10})["']/i);
+  return inputMatch ? inputMatch[1] : null;
+}
+
+/**
+ * Detect the marketplace a saved product page comes from
+ * @param {string} filePath - File path
+ * @param {string} html - Page HTML
+ * @returns {string|null} Hostname such as "www.amazon.de", or null if not found
+ */
+function detectMarketplace(filePath, html) {
+  // Debug snapshots are named by SnapshotStore.getFileName
+  const fileMatch = path.basename(filePath).match(MARKETPLACE_PATTERN);
+  if (fileMatch) {
+    return `www.${fileMatch[1].toLowerCase()}`;
+  }
+  
+  const tags = [
+    html.match(/<link[^>]+rel=["']canonical["'][^>]*>/i),
+    html.match(/<meta[^>]+property=["']og:url["'][^>]*>/i)
+  ];
+  
+  for (const tag of tags) {
+    const urlMatch = tag && tag[0].match(/(?:href|content)=["']https?:\/\/([^/"']+)/i);
+    if (urlMatch && /amazon\./i.test(urlMatch[1])) {
+      return urlMatch[1].toLowerCase();
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Parse one saved product page
+ * @param {AmazonParser} parser - Parser instance
+ * @param {string} filePath - File path
+ * @returns {Object} Parsed product data with the source file
+ */
+function parseFile(parser, filePath) {
+  const html = fs.readFileSync(filePath, 'utf8');
+  const asin = detectAsin(filePath, html);
+  const marketplace = detectMarketplace(filePath, html);
+  
+  return Object.assign({ file: filePath }, parser.parseProductPage(html, asin, marketplace));
+}
+
+/**
+ * Run the batch parser
+ * @param {Array} args - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const pretty = args.includes('--pretty');
+  const inputPaths = args.filter(arg => arg !== '--pretty');
+  
+  if (inputPaths.length === 0) {
+    console.error('Usage: node tools/batch-parse.js [--pretty] <file-or-directory>...');
+    return 2;
+  }
+  
+  const parser = new AmazonParser({ documentAdapter: AmazonParser.htmlDocumentAdapter });
+  let failures = 0;
+  
+  collectHtmlFiles(inputPaths).forEach(filePath => {
+    try {
+      const result = parseFile(parser, filePath);
+      console.log(pretty ? JSON.stringify(result, null, 2) : JSON.stringify(result));
+    } catch (error) {
+      failures++;
+      console.error(`Failed to parse ${filePath}: ${error.message}`);
+    }
+  });
+  
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { collectHtmlFiles, detectAsin, detectMarketplace, parseFile, main };
@@ -5,7 +5,9 @@
  * - BSR (Best Sellers Rank) information
  * - ASIN and brand information
  * - Sales data (bought in past month)
- * - Loading states and error messages
+ * - Reviews, seller / fulfillment badge and merchandising badges
+ * - Variant matrix of the variation family
+ * - Loading states, stale data markers and error messages
  * 
  * The renderer ensures that the UI is consistent with Amazon's design language
  * and provides a seamless experience for users.
@@ -22,6 +24,10 @@ class UIRenderer {
       showASIN: true,
       showBrand: true,
       showSalesData: true,
+      showReviews: true,
+      newListingDays: 90, // listings younger than this are flagged as new
+      lowConfidenceThreshold: 0.5, // values extracted with less confidence are dimmed
+      marketplace: null, // hostname whose number format is used, defaults to the current page
       ...settings
     };
   }
@@ -46,6 +52,8 @@ class UIRenderer {
     container = document.createElement('div');
     container.className = 'amz-enhancer-container';
     container.dataset.asin = productInfo.asin;
+    // Our labels are Chinese, so keep the layout left-to-right on RTL pages (amazon.sa, amazon.eg)
+    container.dir = 'ltr';
     
     // Build the initial content with available information
     let initialContent = `
@@ -177,21 +185,56 @@ class UIRenderer {
     // Clear existing content
     dataContainer.innerHTML = '';
     
+    // Seller badge first so FBA/FBM is visible at a glance
+    if (productData.seller) {
+      this.renderField(dataContainer, productData, 'seller', () => this.renderSellerBadge(dataContainer, productData.seller));
+    }
+    
+    if (productData.badges) {
+      this.renderField(dataContainer, productData, 'badges', () => this.renderBadges(dataContainer, productData.badges));
+    }
+    
+    if (productData.availability) {
+      this.renderField(dataContainer, productData, 'availability', () => this.renderAvailability(dataContainer, productData.availability));
+    }
+    
+    // Flags only search result cards show
+    if (productData.sponsored || productData.coupon || productData.delivery) {
+      this.renderCardFlags(dataContainer, productData);
+    }
+    
     // Render each component based on settings
     if (this.settings.showASIN && productData.asin) {
       this.renderASIN(dataContainer, productData.asin);
     }
     
     if (this.settings.showBrand && productData.brand) {
-      this.renderBrand(dataContainer, productData.brand);
+      this.renderField(dataContainer, productData, 'brand', () => this.renderBrand(dataContainer, productData.brand));
     }
     
     if (this.settings.showBSR && productData.bsr) {
-      this.renderBSR(dataContainer, productData.bsr);
+      this.renderField(dataContainer, productData, 'bsr', () => this.renderBSR(dataContainer, productData.bsr));
+    }
+    
+    // Listing quality goes next to BSR, both describe how well the listing competes
+    if (productData.listingQuality) {
+      this.renderField(dataContainer, productData, 'listingContent', () => this.renderListingQuality(dataContainer, productData.listingQuality));
     }
     
     if (this.settings.showSalesData && productData.salesData) {
-      this.renderSalesData(dataContainer, productData.salesData);
+      this.renderField(dataContainer, productData, 'salesData', () => this.renderSalesData(dataContainer, productData.salesData));
+    }
+    
+    if (this.settings.showReviews && productData.reviews) {
+      this.renderField(dataContainer, productData, 'reviews', () => this.renderReviews(dataContainer, productData.reviews));
+    }
+    
+    if (productData.dateFirstAvailable) {
+      this.renderField(dataContainer, productData, 'dateFirstAvailable', () => this.renderListingAge(dataContainer, productData.dateFirstAvailable));
+    }
+    
+    if (productData.variations) {
+      this.renderField(dataContainer, productData, 'variations', () => this.renderVariantMatrix(dataContainer, productData.variations));
     }
     
     // If no data was rendered, show a message
@@ -201,6 +244,72 @@ class UIRenderer {
       noDataElement.textContent = '无可用数据';
       dataContainer.appendChild(noDataElement);
     }
+    
+    if (productData.stale) {
+      this.renderStaleNote(dataContainer, productData);
+    }
+  }
+
+  /**
+   * Note that cached data is shown while fresh data is fetched
+   * @param {Element} container - The container to render into
+   * @param {Object} productData - Stale product data with lastUpdated
+   */
+  renderStaleNote(container, productData) {
+    const note = document.createElement('div');
+    note.className = 'amz-enhancer-item amz-enhancer-stale-note';
+    note.textContent = '旧数据，正在更新...';
+    
+    if (productData.lastUpdated) {
+      note.title = `缓存时间: ${new Date(productData.lastUpdated).toLocaleString()}`;
+    }
+    
+    container.appendChild(note);
+  }
+
+  /**
+   * Show that refreshing stale data failed, the stale data stays visible
+   * @param {Element} container - The info container
+   */
+  showRefreshFailed(container) {
+    const note = container.querySelector('.amz-enhancer-stale-note');
+    if (!note) return;
+    
+    note.textContent = '更新失败，显示的是缓存数据';
+    note.className += ' amz-enhancer-stale-note-failed';
+  }
+
+  /**
+   * Render one field, dim what it added when it was extracted with low confidence
+   * and mark it when it is past its cache expiry
+   * @param {Element} container - The container being rendered into
+   * @param {Object} productData - Product data with its provenance and staleFields, both may be missing
+   * @param {string} field - Product data field name
+   * @param {Function} render - Renders the field into the container
+   */
+  renderField(container, productData, field, render) {
+    const firstIndex = container.children.length;
+    render();
+    
+    if (productData.staleFields && productData.staleFields.includes(field)) {
+      for (let i = firstIndex; i < container.children.length; i++) {
+        container.children[i].className += ' amz-enhancer-stale';
+      }
+    }
+    
+    const provenance = productData.provenance;
+    const source = provenance ? provenance[field] : null;
+    if (!source || typeof source.confidence !== 'number' ||
+        source.confidence >= this.settings.lowConfidenceThreshold) {
+      return;
+    }
+    
+    const percent = Math.round(source.confidence * 100);
+    for (let i = firstIndex; i < container.children.length; i++) {
+      const element = container.children[i];
+      element.className += ' amz-enhancer-low-confidence';
+      element.title = `低可信度 (${percent}%): ${source.strategy}` + (element.title ? `\n${element.title}` : '');
+    }
   }
 
   /**
@@ -227,6 +336,7 @@ class UIRenderer {
     // Add BSR value container
     const bsrValueContainer = document.createElement('span');
     bsrValueContainer.className = 'amz-enhancer-value';
+    bsrValueContainer.dir = 'auto';
     
     // If there's only one BSR, display it directly
     if (bsrData.length === 1) {
@@ -256,6 +366,7 @@ class UIRenderer {
         for (let i = 1; i < bsrData.length; i++) {
           const item = document.createElement('div');
           item.className = 'amz-enhancer-bsr-item';
+          item.dir = 'auto';
           item.textContent = `#${this.formatNumber(bsrData[i].rank)} in ${bsrData[i].category}`;
           dropdown.appendChild(item);
         }
@@ -303,19 +414,461 @@ class UIRenderer {
    * @param {Object} salesData - Sales data object
    */
   renderSalesData(container, salesData) {
-    if (!salesData || !salesData.boughtInPastMonth) {
+    // Entries cached before lowerBound existed only carry boughtInPastMonth
+    const lowerBound = salesData ? salesData.lowerBound || salesData.boughtInPastMonth : 0;
+    
+    if (!lowerBound) {
       this.renderInfoItem(container, '销售数据', '无销售数据');
       return;
     }
     
-    let salesText = `${this.formatNumber(salesData.boughtInPastMonth)} 上个月购买`;
+    // "+" badges such as "1K+" only give a lower bound
+    let salesText = `${this.formatNumber(lowerBound)}${salesData.isPlus ? '+' : ''} 上个月购买`;
     
     // Add variant information if available
     if (salesData.totalVariants > 1) {
       salesText += ` (共 ${salesData.totalVariants} 个变体)`;
     }
     
-    this.renderInfoItem(container, '销售数据', salesText);
+    const item = this.renderInfoItem(container, '销售数据', salesText);
+    
+    // Keep Amazon's original badge text available on hover
+    if (salesData.displayText) {
+      item.title = salesData.displayText;
+    }
+  }
+
+  /**
+   * Render review rating, rating counts and star histogram
+   * @param {Element} container - The container to render into
+   * @param {Object} reviews - Review data object
+   */
+  renderReviews(container, reviews) {
+    if (!reviews || (reviews.averageRating === null && !reviews.totalRatings)) {
+      this.renderInfoItem(container, '评论', '无评论数据');
+      return;
+    }
+    
+    let reviewsText = reviews.averageRating !== null ? `${this.formatNumber(reviews.averageRating.toFixed(1))} ★` : '-';
+    
+    // Global ratings include star-only ratings, written reviews are a subset
+    const counts = [];
+    if (reviews.globalRatings || reviews.totalRatings) {
+      counts.push(`${this.formatNumber(reviews.globalRatings || reviews.totalRatings)} 个评分`);
+    }
+    if (reviews.writtenReviews) {
+      counts.push(`${this.formatNumber(reviews.writtenReviews)} 条评论`);
+    }
+    if (counts.length > 0) {
+      reviewsText += ` (${counts.join(' / ')})`;
+    }
+    
+    this.renderInfoItem(container, '评论', reviewsText);
+    
+    // Star histogram from 5 to 1 stars
+    if (reviews.histogram && reviews.histogram.length > 0) {
+      const histogramText = reviews.histogram
+        .map(entry => `${entry.stars}★ ${entry.percentage}%`)
+        .join(' · ');
+      
+      const item = this.renderInfoItem(container, '评分分布', histogramText);
+      item.className += ' amz-enhancer-histogram';
+    }
+  }
+
+  /**
+   * Render the listing date and age, flagging new listings
+   * @param {Element} container - The container to render into
+   * @param {string} dateFirstAvailable - ISO date (YYYY-MM-DD)
+   */
+  renderListingAge(container, dateFirstAvailable) {
+    // Recompute the age so cached data does not show a stale value
+    const firstAvailable = Date.parse(`${dateFirstAvailable}T00:00:00Z`);
+    if (isNaN(firstAvailable)) return;
+    
+    const listingAgeDays = Math.max(0, Math.floor((Date.now() - firstAvailable) / 86400000));
+    const item = this.renderInfoItem(
+      container,
+      '上架时间',
+      `${dateFirstAvailable} (${this.formatNumber(listingAgeDays)} 天)`
+    );
+    
+    if (listingAgeDays <= this.settings.newListingDays) {
+      const newBadge = document.createElement('span');
+      newBadge.className = 'amz-enhancer-new-listing';
+      newBadge.textContent = '新品';
+      item.appendChild(newBadge);
+    }
+  }
+
+  /**
+   * Render the listing-quality score with the points of each check in the tooltip
+   * @param {Element} container - The container to render into
+   * @param {Object} listingQuality - Object with score (0-100) and checks (key, points, maxPoints)
+   */
+  renderListingQuality(container, listingQuality) {
+    const item = this.renderInfoItem(container, '质量', `${listingQuality.score}/100`);
+    
+    const level = listingQuality.score >= 80 ? 'good' : listingQuality.score >= 50 ? 'fair' : 'poor';
+    item.className += ` amz-enhancer-quality amz-enhancer-quality-${level}`;
+    
+    item.title = listingQuality.checks.map(check => {
+      const label = UIRenderer.listingQualityLabels[check.key] || check.key;
+      return `${label}: ${check.points}/${check.maxPoints}`;
+    }).join('\n');
+  }
+
+  /**
+   * Render the stock level as a chip, alert-colored when stock is low or out
+   * @param {Element} container - The container to render into
+   * @param {Object} availability - Availability with status, quantity, availableDate and shipsWithin
+   */
+  renderAvailability(container, availability) {
+    const style = UIRenderer.availabilityStyles[availability.status];
+    if (!style) return;
+    
+    let text = style.label;
+    if (availability.status === 'LOW_STOCK' && availability.quantity !== null) {
+      text = `仅剩 ${availability.quantity} 件`;
+    } else if (availability.status === 'AVAILABLE_FROM' && availability.availableDate) {
+      text = `${availability.availableDate} 到货`;
+    } else if (availability.status === 'SHIPS_LATER' && availability.shipsWithin) {
+      text = `${style.label} (${availability.shipsWithin})`;
+    }
+    
+    const item = document.createElement('div');
+    item.className = 'amz-enhancer-item';
+    
+    const chip = document.createElement('span');
+    chip.className = `amz-enhancer-stock-chip amz-enhancer-stock-${style.level}`;
+    chip.textContent = text;
+    chip.title = availability.text;
+    
+    item.appendChild(chip);
+    container.appendChild(item);
+  }
+
+  /**
+   * Render the sponsored, coupon and delivery flags of a search result card
+   * @param {Element} container - The container to render into
+   * @param {Object} cardData - Card data from AmazonParser.parseSearchCard
+   */
+  renderCardFlags(container, cardData) {
+    const flags = [];
+    if (cardData.sponsored) {
+      flags.push({ className: 'sponsored', text: '广告' });
+    }
+    if (cardData.coupon) {
+      flags.push({ className: 'coupon', text: `优惠券 ${cardData.coupon.text}` });
+    }
+    if (cardData.delivery) {
+      flags.push({ className: 'delivery', text: `送达 ${cardData.delivery.date || cardData.delivery.text}` });
+    }
+    if (flags.length === 0) return;
+    
+    const item = document.createElement('div');
+    item.className = 'amz-enhancer-item amz-enhancer-card-flags';
+    
+    flags.forEach(flag => {
+      const chip = document.createElement('span');
+      chip.className = `amz-enhancer-card-flag amz-enhancer-card-flag-${flag.className}`;
+      chip.textContent = flag.text;
+      item.appendChild(chip);
+    });
+    
+    container.appendChild(item);
+  }
+
+  /**
+   * Add a link that loads the detail page data of a product shown in card-only mode
+   * @param {Element} container - The container to render into
+   * @param {Function} onClick - Called when the link is clicked
+   */
+  renderDetailsLink(container, onClick) {
+    const dataContainer = container.querySelector('.amz-enhancer-data') || container;
+    
+    const link = document.createElement('a');
+    link.className = 'amz-enhancer-item amz-enhancer-details-link';
+    link.href = '#';
+    link.textContent = '加载BSR/品牌';
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      onClick();
+    });
+    
+    dataContainer.appendChild(link);
+  }
+
+  /**
+   * Render how many sellers compete on a listing and the lowest landed price
+   * @param {Element} container - The container to render into
+   * @param {Object} offerListing - Offer listing with totalOfferCount and offers
+   */
+  renderOfferSummary(container, offerListing) {
+    const offers = offerListing.offers || [];
+    if (offers.length === 0) return;
+    
+    // Landed price includes shipping, which is how buyers compare offers
+    const landedPrices = offers.map(offer => offer.price.amount + (offer.shipping ? offer.shipping.amount : 0));
+    const lowestIndex = landedPrices.indexOf(Math.min(...landedPrices));
+    const lowest = offers[lowestIndex];
+    const fbaCount = offers.filter(offer => offer.fulfillmentChannel !== 'FBM').length;
+    
+    const item = this.renderInfoItem(
+      container,
+      '卖家',
+      `${offerListing.totalOfferCount} 个 · 最低 ${this.formatPrice(landedPrices[lowestIndex], lowest.price.currency)}`
+    );
+    item.className += ' amz-enhancer-offers';
+    item.title = [
+      `FBA/自营: ${fbaCount} · FBM: ${offers.length - fbaCount}`,
+      ...offers.map(offer => `${offer.sellerName || '未知卖家'} (${offer.fulfillmentChannel}${offer.isPrime ? ', Prime' : ''}): ` +
+        `${this.formatPrice(offer.price.amount, offer.price.currency)} ${offer.conditionText || ''}`.trim())
+    ].join('\n');
+  }
+
+  /**
+   * Format a price amount with its currency code
+   * @param {number} amount - Price amount
+   * @param {string} currency - ISO currency code
+   * @returns {string} Formatted price, e.g. "USD 19.99"
+   */
+  formatPrice(amount, currency) {
+    return `${currency ? currency + ' ' : ''}${this.formatNumber(amount.toFixed(2))}`;
+  }
+
+  /**
+   * Render a compact seller and fulfillment badge
+   * @param {Element} container - The container to render into
+   * @param {Object} seller - Seller object with sellerName, sellerId, shipsFrom, fulfillmentChannel and amazonHoldsBuyBox
+   */
+  renderSellerBadge(container, seller) {
+    if (!seller || !seller.fulfillmentChannel) return;
+    
+    const channelLabels = {
+      AMAZON: '亚马逊自营',
+      FBA: 'FBA',
+      FBM: 'FBM'
+    };
+    
+    const badge = document.createElement('div');
+    badge.className = `amz-enhancer-item amz-enhancer-seller-badge amz-enhancer-seller-${seller.fulfillmentChannel.toLowerCase()}`;
+    
+    const channelElement = document.createElement('span');
+    channelElement.className = 'amz-enhancer-seller-channel';
+    channelElement.textContent = channelLabels[seller.fulfillmentChannel] || seller.fulfillmentChannel;
+    badge.appendChild(channelElement);
+    
+    // Amazon's own offers need no seller name next to the channel
+    if (seller.sellerName && seller.fulfillmentChannel !== 'AMAZON') {
+      const nameElement = document.createElement('span');
+      nameElement.className = 'amz-enhancer-seller-name';
+      nameElement.textContent = seller.sellerName;
+      badge.appendChild(nameElement);
+    }
+    
+    // Full details on hover
+    const details = [
+      `卖家: ${seller.sellerName || '未知'}${seller.sellerId ? ` (${seller.sellerId})` : ''}`,
+      `发货: ${seller.shipsFrom || '未知'}`,
+      `购物车: ${seller.amazonHoldsBuyBox ? '亚马逊' : '第三方卖家'}`
+    ];
+    badge.title = details.join('\n');
+    
+    container.appendChild(badge);
+  }
+
+  /**
+   * Render merchandising badges as a row of icons
+   * @param {Element} container - The container to render into
+   * @param {Array} badges - Badge objects with type, label and optional category / keyword
+   */
+  renderBadges(container, badges) {
+    if (!badges || badges.length === 0) return;
+    
+    const row = document.createElement('div');
+    row.className = 'amz-enhancer-item amz-enhancer-badges';
+    
+    badges.forEach(badge => {
+      const style = UIRenderer.badgeStyles[badge.type];
+      if (!style) return;
+      
+      const icon = document.createElement('span');
+      icon.className = `amz-enhancer-badge amz-enhancer-badge-${badge.type}`;
+      icon.textContent = style.icon;
+      
+      // Category and keyword go into the tooltip
+      const detail = badge.category || badge.keyword;
+      icon.title = detail ? `${style.label}: ${detail}` : style.label;
+      row.appendChild(icon);
+    });
+    
+    if (row.children.length > 0) {
+      container.appendChild(row);
+    }
+  }
+
+  /**
+   * Create the badge filter bar shown above the results grid
+   * @param {Function} onChange - Called with the selected badge type, or null for all products
+   * @returns {Element} The filter bar element
+   */
+  createBadgeFilter(onChange) {
+    const bar = document.createElement('div');
+    bar.className = 'amz-enhancer-badge-filter';
+    bar.dir = 'ltr';
+    
+    const label = document.createElement('span');
+    label.className = 'amz-enhancer-label';
+    label.textContent = '按徽章筛选: ';
+    bar.appendChild(label);
+    
+    const chips = [];
+    let selectedType = null;
+    
+    Object.keys(UIRenderer.badgeStyles).forEach(type => {
+      const style = UIRenderer.badgeStyles[type];
+      const chip = document.createElement('span');
+      chip.className = 'amz-enhancer-badge-chip';
+      chip.textContent = `${style.icon} ${style.label}`;
+      chip.dataset.badgeType = type;
+      
+      // Clicking the selected chip again clears the filter
+      chip.addEventListener('click', (e) => {
+        e.preventDefault();
+        selectedType = selectedType === type ? null : type;
+        chips.forEach(other => {
+          other.className = other.className.replace(' amz-enhancer-badge-chip-active', '');
+          if (other.dataset.badgeType === selectedType) {
+            other.className += ' amz-enhancer-badge-chip-active';
+          }
+        });
+        onChange(selectedType);
+      });
+      
+      chips.push(chip);
+      bar.appendChild(chip);
+    });
+    
+    return bar;
+  }
+
+  /**
+   * Render the variation family as a collapsible matrix
+   * @param {Element} container - The container to render into
+   * @param {Object} variations - Variation model with parentAsin, dimensions and children
+   */
+  renderVariantMatrix(container, variations) {
+    if (!variations || !variations.children || variations.children.length < 2) return;
+    
+    const children = variations.children;
+    const outOfStock = children.filter(child => child.available === false).length;
+    const summary = `${children.length} 个${outOfStock > 0 ? ` · ${outOfStock} 个缺货` : ''}`;
+    const item = this.renderInfoItem(container, '变体', summary);
+    item.className += ' amz-enhancer-variants';
+    
+    if (variations.parentAsin) {
+      item.title = `父ASIN: ${variations.parentAsin}`;
+    }
+    
+    // Add a toggle button for the matrix
+    const toggleButton = document.createElement('span');
+    toggleButton.className = 'amz-enhancer-variant-toggle';
+    toggleButton.textContent = ' 展开';
+    item.appendChild(toggleButton);
+    
+    const matrix = document.createElement('div');
+    matrix.className = 'amz-enhancer-variant-matrix';
+    matrix.style.display = 'none';
+    
+    const dimensions = variations.dimensions.filter(dimension => dimension.values.length > 0);
+    if (dimensions.length === 2) {
+      matrix.appendChild(this.createVariantTable(children, dimensions[0], dimensions[1]));
+    } else {
+      // One dimension (or more than two): list every child with its values
+      children.forEach(child => {
+        const row = document.createElement('div');
+        row.className = 'amz-enhancer-variant-row';
+        const values = dimensions.map(dimension => child.dimensionValues[dimension.key]).filter(Boolean);
+        row.textContent = `${this.getVariantStatusSymbol(child)} ${values.join(' / ') || child.asin}`;
+        if (child.selected) {
+          row.className += ' amz-enhancer-variant-selected';
+        }
+        matrix.appendChild(row);
+      });
+    }
+    
+    // Toggle matrix on click
+    toggleButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      matrix.style.display = matrix.style.display === 'none' ? 'block' : 'none';
+      toggleButton.textContent = matrix.style.display === 'none' ? ' 展开' : ' 收起';
+    });
+    
+    item.appendChild(matrix);
+  }
+
+  /**
+   * Build a table of two variation dimensions
+   * @param {Array} children - Child variations
+   * @param {Object} rowDimension - Dimension shown as rows
+   * @param {Object} columnDimension - Dimension shown as columns
+   * @returns {Element} The table element
+   */
+  createVariantTable(children, rowDimension, columnDimension) {
+    const table = document.createElement('table');
+    table.className = 'amz-enhancer-variant-table';
+    
+    const header = document.createElement('tr');
+    const corner = document.createElement('th');
+    corner.textContent = `${rowDimension.name} \\ ${columnDimension.name}`;
+    header.appendChild(corner);
+    columnDimension.values.forEach(value => {
+      const cell = document.createElement('th');
+      cell.textContent = value;
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+    
+    rowDimension.values.forEach(rowValue => {
+      const row = document.createElement('tr');
+      const rowHeader = document.createElement('th');
+      rowHeader.textContent = rowValue;
+      row.appendChild(rowHeader);
+      
+      columnDimension.values.forEach(columnValue => {
+        const child = children.find(candidate =>
+          candidate.dimensionValues[rowDimension.key] === rowValue &&
+          candidate.dimensionValues[columnDimension.key] === columnValue
+        );
+        
+        // Combinations that are not offered are shown as a dash
+        const cell = document.createElement('td');
+        cell.textContent = child ? this.getVariantStatusSymbol(child) : '–';
+        if (child) {
+          cell.title = child.asin;
+          if (child.selected) {
+            cell.className = 'amz-enhancer-variant-selected';
+          }
+        }
+        row.appendChild(cell);
+      });
+      
+      table.appendChild(row);
+    });
+    
+    return table;
+  }
+
+  /**
+   * Get the availability symbol for a child variation
+   * @param {Object} child - Child variation
+   * @returns {string} ✓ in stock, ✗ out of stock, ? unknown
+   */
+  getVariantStatusSymbol(child) {
+    if (child.available === true) return '✓';
+    if (child.available === false) return '✗';
+    return '?';
   }
 
   /**
@@ -323,6 +876,7 @@ class UIRenderer {
    * @param {Element} container - The container to render into
    * @param {string} label - The label text
    * @param {string} value - The value text
+   * @returns {Element} The rendered item
    */
   renderInfoItem(container, label, value) {
     const item = document.createElement('div');
@@ -334,20 +888,39 @@ class UIRenderer {
     
     const valueElement = document.createElement('span');
     valueElement.className = 'amz-enhancer-value';
+    // Isolate page text such as Arabic categories or brands from the surrounding layout
+    valueElement.dir = 'auto';
     valueElement.textContent = value;
     
     item.appendChild(labelElement);
     item.appendChild(valueElement);
     container.appendChild(item);
+    
+    return item;
   }
 
   /**
-   * Format a number with thousands separators
-   * @param {number} num - The number to format
+   * Format a number with the thousands and decimal separators of the marketplace
+   * @param {number|string} num - The number to format
    * @returns {string} Formatted number string
    */
   formatNumber(num) {
-    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    return this.getLocale().formatNumber(num);
+  }
+
+  /**
+   * Get the locale of the marketplace the renderer formats numbers for
+   * @returns {MarketplaceLocale} The locale of settings.marketplace or of the current page
+   */
+  getLocale() {
+    const marketplace = this.settings.marketplace ||
+      (typeof window !== 'undefined' && window.location ? window.location.hostname : null);
+    
+    // Loaded as a content script in the extension, required in Node
+    const localeClass = typeof MarketplaceLocale !== 'undefined' ? 
+      MarketplaceLocale : 
+      require('./marketplace-locale.js').MarketplaceLocale;
+    return localeClass.forMarketplace(marketplace);
   }
 
   /**
@@ -362,6 +935,38 @@ class UIRenderer {
   }
 }
 
+// Icon and label of each merchandising badge type
+UIRenderer.badgeStyles = {
+  'best-seller': { icon: '🏆', label: '畅销榜第一' },
+  'amazons-choice': { icon: '✔', label: '亚马逊之选' },
+  'overall-pick': { icon: '★', label: '综合之选' },
+  'climate-pledge': { icon: '🌱', label: '气候友好' },
+  'small-business': { icon: '🏪', label: '小企业' },
+  'prime': { icon: 'prime', label: 'Prime' }
+};
+
+// Chip label and color level of each availability status
+UIRenderer.availabilityStyles = {
+  'IN_STOCK': { label: '有货', level: 'ok' },
+  'LOW_STOCK': { label: '库存紧张', level: 'low' },
+  'SHIPS_LATER': { label: '延迟发货', level: 'low' },
+  'AVAILABLE_FROM': { label: '预售', level: 'out' },
+  'TEMPORARILY_OUT_OF_STOCK': { label: '暂时缺货', level: 'out' },
+  'UNAVAILABLE': { label: '无货', level: 'out' }
+};
+
+// Tooltip labels of the listing-quality checks
+UIRenderer.listingQualityLabels = {
+  images: '图片',
+  videos: '视频',
+  bullets: '五点描述',
+  title: '标题长度',
+  questions: '已回答问题',
+  aPlus: 'A+内容',
+  premiumAPlus: '高级A+',
+  brandStory: '品牌故事'
+};
+
 // Export the class for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = UIRenderer;